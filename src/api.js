@@ -1,175 +1,342 @@
-import axios from 'axios';
-import { getConfig } from './config.js';
+import chalk from 'chalk';
+import { OpenBankingClient } from './client.js';
+import { getConfig, getActiveProfile, forgetCommandToken } from './config.js';
+import { getHttpsAgent } from './tls.js';
+import { getClientCredentialsToken, canRefreshToken, tokenNeedsRefresh, refreshAccessToken } from './auth.js';
+import { logVerbose } from './retry.js';
+import { appendAudit } from './audit.js';
 
-const BASE_URL = 'https://api.openbanking.org.uk/open-banking/v3.1/aisp';
+// The CLI's view of the API: an OpenBankingClient configured from the active profile.
+// Commands import these functions rather than building clients themselves.
+
+const clients = new Map();
+
+// Schema validation for this run: false, "warn" or "strict" (see --validate)
+let validation = false;
+
+export function setValidation(mode) {
+  validation = mode === true ? 'warn' : mode || false;
+}
+
+// Set once writing the audit log has failed, so the warning is not repeated per request
+let auditFailed = false;
+
+function logWarning(message) {
+  process.stderr.write(chalk.yellow(`⚠ ${message}`) + '\n');
+}
 
 /**
- * Make an authenticated API request
+ * Record a finished request in the audit log with the profile and consent it ran under
  */
-async function apiRequest(method, endpoint, data = null, params = null) {
-  const accessToken = getConfig('accessToken');
+function auditRequest(request) {
+  try {
+    appendAudit({ profile: getActiveProfile(), consentId: getConfig('consentId') || null, ...request });
+  } catch (error) {
+    if (!auditFailed) logWarning(`Could not write the audit log: ${error.message}`);
+    auditFailed = true;
+  }
+}
+
+/**
+ * User access token for the active profile, refreshed when near expiry or after a 401.
+ * With tokenCommand set, a 401 runs the command again instead.
+ */
+async function profileToken({ forceRefresh = false } = {}) {
+  if (forceRefresh && getConfig('tokenCommand')) forgetCommandToken();
+  if (forceRefresh ? canRefreshToken() : tokenNeedsRefresh()) {
+    await refreshAccessToken();
+  }
 
+  const accessToken = getConfig('accessToken');
   if (!accessToken) {
-    throw new Error('Access token not configured. Run: openbankingorgukacco config set --token <token>');
+    throw new Error('Access token not configured. Run: openbankingorgukacco auth login');
   }
+  return accessToken;
+}
 
-  const config = {
-    method,
-    url: `${BASE_URL}${endpoint}`,
-    headers: {
-      'Authorization': `Bearer ${accessToken}`,
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    }
+/**
+ * FAPI headers sent with every resource request, besides the per-attempt interaction id
+ */
+function fapiHeaders() {
+  const headers = {};
+
+  const financialId = getConfig('financialId');
+  const authDate = getConfig('authDate');
+  const customerIpAddress = getConfig('customerIpAddress');
+  if (financialId) headers['x-fapi-financial-id'] = financialId;
+  if (authDate) headers['x-fapi-auth-date'] = authDate;
+  if (customerIpAddress) headers['x-fapi-customer-ip-address'] = customerIpAddress;
+
+  return headers;
+}
+
+/**
+ * Client for the active profile. One is kept per profile and connection settings, so the
+ * rate limiter's buckets survive between calls.
+ */
+export function getClient() {
+  const httpsAgent = getHttpsAgent();
+  const settings = {
+    baseUrl: getConfig('baseUrl'),
+    apiVersion: getConfig('apiVersion'),
+    retry: { maxRetries: getConfig('maxRetries'), baseDelay: getConfig('retryBaseDelay') },
+    rateLimit: getConfig('rateLimit'),
+    validate: validation
   };
+  const key = JSON.stringify([getActiveProfile(), settings]);
+
+  const cached = clients.get(key);
+  if (cached && cached.httpsAgent === httpsAgent) return cached.client;
+
+  const client = new OpenBankingClient({
+    ...settings,
+    tokenProvider: profileToken,
+    clientTokenProvider: getClientCredentialsToken,
+    httpsAgent,
+    headers: fapiHeaders,
+    logger: { debug: logVerbose, warn: logWarning },
+    onRequest: auditRequest
+  });
+  clients.set(key, { client, httpsAgent });
+  return client;
+}
 
-  if (params) config.params = params;
-  if (data) config.data = data;
+// ============================================================
+// CONSENTS
+// ============================================================
 
-  try {
-    const response = await axios(config);
-    return response.data;
-  } catch (error) {
-    handleApiError(error);
-  }
+export function createAccountAccessConsent(consent) {
+  return getClient().createAccountAccessConsent(consent);
 }
 
-function handleApiError(error) {
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
-
-    if (status === 401) {
-      throw new Error('Authentication failed. Check your access token.');
-    } else if (status === 403) {
-      throw new Error('Access forbidden. Check your API permissions.');
-    } else if (status === 404) {
-      throw new Error('Resource not found.');
-    } else if (status === 429) {
-      throw new Error('Rate limit exceeded. Please wait before retrying.');
-    } else {
-      const message = data?.message || data?.error || JSON.stringify(data);
-      throw new Error(`API Error (${status}): ${message}`);
-    }
-  } else if (error.request) {
-    throw new Error('No response from Open Banking API. Check your internet connection.');
-  } else {
-    throw error;
-  }
+export function getAccountAccessConsent(consentId) {
+  return getClient().getAccountAccessConsent(consentId);
+}
+
+export function deleteAccountAccessConsent(consentId) {
+  return getClient().deleteAccountAccessConsent(consentId);
 }
 
 // ============================================================
 // ACCOUNTS
 // ============================================================
 
-export async function listAccounts() {
-  const data = await apiRequest('GET', '/accounts');
-  return data.Data?.Account || [];
+export function iterateAccounts(options) {
+  return getClient().iterateAccounts(options);
+}
+
+export function listAccounts(options) {
+  return getClient().listAccounts(options);
+}
+
+export function getAccount(accountId) {
+  return getClient().getAccount(accountId);
 }
 
-export async function getAccount(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}`);
-  return data.Data?.Account?.[0] || null;
+export function iterateAccountBalances(accountId, options) {
+  return getClient().iterateAccountBalances(accountId, options);
 }
 
-export async function getAccountBalances(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/balances`);
-  return data.Data?.Balance || [];
+export function getAccountBalances(accountId, options) {
+  return getClient().getAccountBalances(accountId, options);
 }
 
-export async function getAccountTransactions(accountId, { fromDate, toDate } = {}) {
-  const params = {};
-  if (fromDate) params.fromBookingDateTime = fromDate;
-  if (toDate) params.toBookingDateTime = toDate;
+export function iterateAccountTransactions(accountId, options) {
+  return getClient().iterateAccountTransactions(accountId, options);
+}
 
-  const data = await apiRequest('GET', `/accounts/${accountId}/transactions`, null, params);
-  return data.Data?.Transaction || [];
+export function getAccountTransactions(accountId, options) {
+  return getClient().getAccountTransactions(accountId, options);
 }
 
 // ============================================================
 // BALANCES
 // ============================================================
 
-export async function listBalances() {
-  const data = await apiRequest('GET', '/balances');
-  return data.Data?.Balance || [];
+export function iterateBalances(options) {
+  return getClient().iterateBalances(options);
+}
+
+export function listBalances(options) {
+  return getClient().listBalances(options);
 }
 
 // ============================================================
 // TRANSACTIONS
 // ============================================================
 
-export async function listTransactions({ fromDate, toDate } = {}) {
-  const params = {};
-  if (fromDate) params.fromBookingDateTime = fromDate;
-  if (toDate) params.toBookingDateTime = toDate;
+export function iterateTransactions(options) {
+  return getClient().iterateTransactions(options);
+}
 
-  const data = await apiRequest('GET', '/transactions', null, params);
-  return data.Data?.Transaction || [];
+export function listTransactions(options) {
+  return getClient().listTransactions(options);
 }
 
-export async function getTransaction(accountId, transactionId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/transactions/${transactionId}`);
-  return data.Data?.Transaction?.[0] || null;
+export function getTransaction(accountId, transactionId) {
+  return getClient().getTransaction(accountId, transactionId);
 }
 
 // ============================================================
 // BENEFICIARIES
 // ============================================================
 
-export async function listBeneficiaries() {
-  const data = await apiRequest('GET', '/beneficiaries');
-  return data.Data?.Beneficiary || [];
+export function iterateBeneficiaries(options) {
+  return getClient().iterateBeneficiaries(options);
 }
 
-export async function getAccountBeneficiaries(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/beneficiaries`);
-  return data.Data?.Beneficiary || [];
+export function listBeneficiaries(options) {
+  return getClient().listBeneficiaries(options);
+}
+
+export function iterateAccountBeneficiaries(accountId, options) {
+  return getClient().iterateAccountBeneficiaries(accountId, options);
+}
+
+export function getAccountBeneficiaries(accountId, options) {
+  return getClient().getAccountBeneficiaries(accountId, options);
 }
 
 // ============================================================
 // DIRECT DEBITS
 // ============================================================
 
-export async function listDirectDebits() {
-  const data = await apiRequest('GET', '/direct-debits');
-  return data.Data?.DirectDebit || [];
+export function iterateDirectDebits(options) {
+  return getClient().iterateDirectDebits(options);
+}
+
+export function listDirectDebits(options) {
+  return getClient().listDirectDebits(options);
 }
 
-export async function getAccountDirectDebits(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/direct-debits`);
-  return data.Data?.DirectDebit || [];
+export function iterateAccountDirectDebits(accountId, options) {
+  return getClient().iterateAccountDirectDebits(accountId, options);
+}
+
+export function getAccountDirectDebits(accountId, options) {
+  return getClient().getAccountDirectDebits(accountId, options);
 }
 
 // ============================================================
 // STANDING ORDERS
 // ============================================================
 
-export async function listStandingOrders() {
-  const data = await apiRequest('GET', '/standing-orders');
-  return data.Data?.StandingOrder || [];
+export function iterateStandingOrders(options) {
+  return getClient().iterateStandingOrders(options);
 }
 
-export async function getAccountStandingOrders(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/standing-orders`);
-  return data.Data?.StandingOrder || [];
+export function listStandingOrders(options) {
+  return getClient().listStandingOrders(options);
+}
+
+export function iterateAccountStandingOrders(accountId, options) {
+  return getClient().iterateAccountStandingOrders(accountId, options);
+}
+
+export function getAccountStandingOrders(accountId, options) {
+  return getClient().getAccountStandingOrders(accountId, options);
 }
 
 // ============================================================
 // STATEMENTS
 // ============================================================
 
-export async function listStatements(accountId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/statements`);
-  return data.Data?.Statement || [];
+export function iterateStatements(accountId, options) {
+  return getClient().iterateStatements(accountId, options);
+}
+
+export function listStatements(accountId, options) {
+  return getClient().listStatements(accountId, options);
+}
+
+export function getStatement(accountId, statementId) {
+  return getClient().getStatement(accountId, statementId);
+}
+
+export function iterateStatementTransactions(accountId, statementId, options) {
+  return getClient().iterateStatementTransactions(accountId, statementId, options);
+}
+
+export function getStatementTransactions(accountId, statementId, options) {
+  return getClient().getStatementTransactions(accountId, statementId, options);
+}
+
+export function getStatementFile(accountId, statementId, options) {
+  return getClient().getStatementFile(accountId, statementId, options);
+}
+
+// ============================================================
+// PRODUCTS
+// ============================================================
+
+export function iterateProducts(options) {
+  return getClient().iterateProducts(options);
+}
+
+export function listProducts(options) {
+  return getClient().listProducts(options);
+}
+
+export function getAccountProduct(accountId) {
+  return getClient().getAccountProduct(accountId);
+}
+
+// ============================================================
+// OFFERS
+// ============================================================
+
+export function iterateOffers(options) {
+  return getClient().iterateOffers(options);
+}
+
+export function listOffers(options) {
+  return getClient().listOffers(options);
+}
+
+export function iterateAccountOffers(accountId, options) {
+  return getClient().iterateAccountOffers(accountId, options);
+}
+
+export function getAccountOffers(accountId, options) {
+  return getClient().getAccountOffers(accountId, options);
+}
+
+// ============================================================
+// PARTIES
+// ============================================================
+
+export function getParty() {
+  return getClient().getParty();
+}
+
+export function getAccountParty(accountId) {
+  return getClient().getAccountParty(accountId);
+}
+
+export function iterateAccountParties(accountId, options) {
+  return getClient().iterateAccountParties(accountId, options);
+}
+
+export function getAccountParties(accountId, options) {
+  return getClient().getAccountParties(accountId, options);
+}
+
+// ============================================================
+// SCHEDULED PAYMENTS
+// ============================================================
+
+export function iterateScheduledPayments(options) {
+  return getClient().iterateScheduledPayments(options);
+}
+
+export function listScheduledPayments(options) {
+  return getClient().listScheduledPayments(options);
 }
 
-export async function getStatement(accountId, statementId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/statements/${statementId}`);
-  return data.Data?.Statement?.[0] || null;
+export function iterateAccountScheduledPayments(accountId, options) {
+  return getClient().iterateAccountScheduledPayments(accountId, options);
 }
 
-export async function getStatementTransactions(accountId, statementId) {
-  const data = await apiRequest('GET', `/accounts/${accountId}/statements/${statementId}/transactions`);
-  return data.Data?.Transaction || [];
+export function getAccountScheduledPayments(accountId, options) {
+  return getClient().getAccountScheduledPayments(accountId, options);
 }
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import config from './config.js';
+
+// The live log is closed and a new one started once it would grow past this size
+export const MAX_AUDIT_BYTES = 10 * 1024 * 1024;
+
+// Columns of `audit export`, in order
+export const AUDIT_FIELDS = [
+  'time', 'command', 'profile', 'consentId', 'method', 'endpoint', 'query',
+  'status', 'error', 'interactionId', 'records', 'attempts', 'durationMs'
+];
+
+const LIVE_FILE = 'audit.jsonl';
+
+// Closed logs are named after the time they were closed: audit-2024-06-01T09-30-00Z.jsonl
+const ROTATED_PATTERN = /^audit-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}Z)(?:-(\d+))?\.jsonl$/;
+
+// CLI command that triggered this run's requests, e.g. "accounts transactions"
+let command = null;
+
+// ============================================================
+// Writing
+// ============================================================
+
+/**
+ * Directory holding the audit log. One log covers every profile.
+ */
+export function getAuditDir() {
+  return join(dirname(config.path), 'audit');
+}
+
+export function setAuditCommand(name) {
+  command = name || null;
+}
+
+function fileStamp(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Close the live log under a timestamped name. Closed logs are never deleted or rewritten.
+ */
+function rotate(live) {
+  const stamp = fileStamp(new Date());
+  let target = join(getAuditDir(), `audit-${stamp}.jsonl`);
+  for (let n = 1; fs.existsSync(target); n++) target = join(getAuditDir(), `audit-${stamp}-${n}.jsonl`);
+  fs.renameSync(live, target);
+}
+
+/**
+ * Append one request to the log. Entries carry what was accessed and when, never the
+ * token, request body or response body.
+ */
+export function appendAudit(entry) {
+  const dir = getAuditDir();
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  const line = JSON.stringify({ time: new Date().toISOString(), command, ...entry }) + '\n';
+  const live = join(dir, LIVE_FILE);
+  const size = fs.existsSync(live) ? fs.statSync(live).size : 0;
+  if (size && size + Buffer.byteLength(line) > MAX_AUDIT_BYTES) rotate(live);
+  fs.appendFileSync(live, line, { mode: 0o600 });
+}
+
+// ============================================================
+// Reading
+// ============================================================
+
+/**
+ * Log files oldest first, skipping closed logs that ended before `since`
+ */
+function auditFiles(since) {
+  const dir = getAuditDir();
+  if (!fs.existsSync(dir)) return [];
+
+  const rotated = fs.readdirSync(dir)
+    .map(name => ({ name, match: ROTATED_PATTERN.exec(name) }))
+    .filter(({ match }) => match)
+    .filter(({ match }) => {
+      if (!since) return true;
+      const closed = match[1].replace(/T(\d{2})-(\d{2})-(\d{2})Z$/, 'T$1:$2:$3Z');
+      return closed >= since;
+    })
+    .sort((a, b) => a.match[1].localeCompare(b.match[1]) || (Number(a.match[2]) || 0) - (Number(b.match[2]) || 0))
+    .map(({ name }) => name);
+
+  const live = fs.existsSync(join(dir, LIVE_FILE)) ? [LIVE_FILE] : [];
+  return [...rotated, ...live].map(name => join(dir, name));
+}
+
+/**
+ * Matches an endpoint and everything below it; `*` stands for one path segment,
+ * such as an account id
+ */
+function endpointMatcher(pattern) {
+  const path = pattern.startsWith('/') ? pattern : `/${pattern}`;
+  const source = path.replace(/\/$/, '').split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]+');
+  const regex = new RegExp(`^${source}(?:/|$)`);
+  return (endpoint) => regex.test(endpoint || '');
+}
+
+/**
+ * Logged requests, oldest first. `since` and `until` are ISO timestamps; `endpoint` is a
+ * path pattern (see endpointMatcher).
+ */
+export function readAudit({ since, until, endpoint } = {}) {
+  const matches = endpoint ? endpointMatcher(endpoint) : () => true;
+  const entries = [];
+
+  auditFiles(since).forEach(file => {
+    fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+      if (!line) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return; // a line cut short by a crash mid-write
+      }
+      if (since && entry.time < since) return;
+      if (until && entry.time >= until) return;
+      if (!matches(entry.endpoint)) return;
+      entries.push(entry);
+    });
+  });
+
+  return entries;
+}
@@ -0,0 +1,122 @@
+import { test, describe, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { useTempConfig, startServer } from './testkit.js';
+
+const dir = useTempConfig();
+const { setConfig } = await import('./config.js');
+const { appendAudit, readAudit, setAuditCommand, getAuditDir, MAX_AUDIT_BYTES } = await import('./audit.js');
+const { listAccounts, getAccount } = await import('./api.js');
+
+function at(time, entry) {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse(time) });
+  try {
+    appendAudit(entry);
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+function clearAudit() {
+  fs.rmSync(getAuditDir(), { recursive: true, force: true });
+}
+
+describe('audit log', () => {
+  afterEach(() => {
+    setAuditCommand(null);
+    clearAudit();
+  });
+
+  test('appends one line per request with the time and command, owner-only', () => {
+    setAuditCommand('accounts list');
+    at('2024-06-01T09:30:00Z', { method: 'GET', endpoint: '/accounts', status: 200 });
+    setAuditCommand('');
+    at('2024-06-01T09:31:00Z', { method: 'GET', endpoint: '/balances', status: 502, error: 'Bad Gateway' });
+
+    assert.equal(getAuditDir(), join(dir, 'audit'));
+    assert.deepEqual(readAudit(), [
+      { time: '2024-06-01T09:30:00.000Z', command: 'accounts list', method: 'GET', endpoint: '/accounts', status: 200 },
+      { time: '2024-06-01T09:31:00.000Z', command: null, method: 'GET', endpoint: '/balances', status: 502, error: 'Bad Gateway' }
+    ]);
+    assert.equal(fs.statSync(join(getAuditDir(), 'audit.jsonl')).mode & 0o777, 0o600);
+    assert.equal(fs.statSync(getAuditDir()).mode & 0o777, 0o700);
+  });
+
+  test('filters by time and by endpoint pattern, with * for one segment', () => {
+    at('2024-06-01T09:00:00Z', { endpoint: '/accounts' });
+    at('2024-06-02T09:00:00Z', { endpoint: '/accounts/22289/transactions' });
+    at('2024-06-03T09:00:00Z', { endpoint: '/accounts/31820/balances' });
+    at('2024-06-04T09:00:00Z', { endpoint: '/accounts-extra' });
+
+    const endpoints = options => readAudit(options).map(entry => entry.endpoint);
+    assert.deepEqual(endpoints({ endpoint: 'accounts' }), ['/accounts', '/accounts/22289/transactions', '/accounts/31820/balances']);
+    assert.deepEqual(endpoints({ endpoint: '/accounts/*/balances' }), ['/accounts/31820/balances']);
+    assert.deepEqual(endpoints({ endpoint: '/accounts/22289/' }), ['/accounts/22289/transactions']);
+    assert.deepEqual(endpoints({ since: '2024-06-02T09:00:00.000Z', until: '2024-06-04T00:00:00Z' }), ['/accounts/22289/transactions', '/accounts/31820/balances']);
+  });
+
+  test('reads closed logs oldest first and skips lines cut short by a crash', () => {
+    fs.mkdirSync(getAuditDir(), { recursive: true });
+    const write = (name, ...times) => fs.writeFileSync(join(getAuditDir(), name), times.map(time => JSON.stringify({ time })).join('\n') + '\n');
+    write('audit-2024-06-02T00-00-00Z-1.jsonl', '2024-06-01T23:00:00Z');
+    write('audit-2024-06-02T00-00-00Z.jsonl', '2024-06-01T22:00:00Z');
+    write('audit-2024-06-01T00-00-00Z.jsonl', '2024-05-31T12:00:00Z');
+    write('audit.jsonl', '2024-06-02T08:00:00Z');
+    fs.appendFileSync(join(getAuditDir(), 'audit.jsonl'), '{"time":"2024-06-02T09:00');
+    fs.writeFileSync(join(getAuditDir(), 'notes.txt'), 'not a log');
+
+    assert.deepEqual(readAudit().map(entry => entry.time), ['2024-05-31T12:00:00Z', '2024-06-01T22:00:00Z', '2024-06-01T23:00:00Z', '2024-06-02T08:00:00Z']);
+    assert.deepEqual(readAudit({ since: '2024-06-01T20:00:00Z' }).map(entry => entry.time), ['2024-06-01T22:00:00Z', '2024-06-01T23:00:00Z', '2024-06-02T08:00:00Z']);
+  });
+
+  test('closes the live log under a timestamped name before it grows past the limit', () => {
+    fs.mkdirSync(getAuditDir(), { recursive: true });
+    const live = join(getAuditDir(), 'audit.jsonl');
+    fs.writeFileSync(live, '');
+    fs.truncateSync(live, MAX_AUDIT_BYTES - 10);
+
+    at('2024-06-30T18:00:05.123Z', { endpoint: '/accounts' });
+    fs.writeFileSync(live, '');
+    fs.truncateSync(live, MAX_AUDIT_BYTES - 10);
+    at('2024-06-30T18:00:05.900Z', { endpoint: '/balances' });
+
+    assert.deepEqual(fs.readdirSync(getAuditDir()).sort(), ['audit-2024-06-30T18-00-05Z-1.jsonl', 'audit-2024-06-30T18-00-05Z.jsonl', 'audit.jsonl']);
+    assert.deepEqual(readAudit().map(entry => entry.endpoint), ['/balances']);
+  });
+});
+
+describe('requests through the API', () => {
+  test('are logged with the profile and consent, never the token or body', async () => {
+    const server = await startServer((req, url) => {
+      if (url.pathname.endsWith('/accounts')) return { body: { Data: { Account: [{ AccountId: '22289' }, { AccountId: '31820' }] }, Links: {} } };
+      return { status: 404, body: { Code: '404', Message: 'Account unknown' } };
+    });
+    try {
+      setConfig('baseUrl', server.baseUrl);
+      setConfig('accessToken', 'secret-access-token');
+      setConfig('consentId', 'consent-1');
+      setConfig('rateLimit', 0);
+      setConfig('maxRetries', 0);
+      setAuditCommand('accounts list');
+
+      await listAccounts();
+      await assert.rejects(getAccount('nope'));
+
+      const [list, failed] = readAudit();
+      assert.deepEqual(
+        { profile: list.profile, consentId: list.consentId, command: list.command, method: list.method, endpoint: list.endpoint, status: list.status, records: list.records, attempts: list.attempts },
+        { profile: 'default', consentId: 'consent-1', command: 'accounts list', method: 'GET', endpoint: '/accounts', status: 200, records: 2, attempts: 1 }
+      );
+      assert.equal(list.interactionId, server.requests[0].headers['x-fapi-interaction-id']);
+      assert.equal(typeof list.durationMs, 'number');
+      assert.deepEqual([failed.endpoint, failed.status], ['/accounts/nope', 404]);
+
+      const raw = fs.readFileSync(join(getAuditDir(), 'audit.jsonl'), 'utf8');
+      assert.doesNotMatch(raw, /secret-access-token|22289|Account unknown/);
+    } finally {
+      setAuditCommand(null);
+      await server.close();
+    }
+  });
+});
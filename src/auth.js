@@ -0,0 +1,249 @@
+import http from 'http';
+import crypto from 'crypto';
+import axios from 'axios';
+import { getConfig, setConfig, hasValidToken } from './config.js';
+import { getHttpsAgent } from './tls.js';
+
+export const DEFAULT_PERMISSIONS = [
+  'ReadAccountsDetail',
+  'ReadBalances',
+  'ReadBeneficiariesDetail',
+  'ReadDirectDebits',
+  'ReadStandingOrdersDetail',
+  'ReadTransactionsCredits',
+  'ReadTransactionsDebits',
+  'ReadTransactionsDetail',
+  'ReadStatementsDetail',
+  'ReadProducts',
+  'ReadOffers',
+  'ReadParty',
+  'ReadPartyPSU',
+  'ReadScheduledPaymentsDetail'
+];
+
+const CALLBACK_TIMEOUT = 5 * 60 * 1000;
+
+let refreshInFlight = null;
+
+function requireClientConfig() {
+  if (!getConfig('clientId') || !getConfig('tokenUrl')) {
+    throw new Error('Client credentials not configured. Run: openbankingorgukacco config set --client-id <id> --token-url <url>');
+  }
+}
+
+/**
+ * POST a grant to the token endpoint using client_secret_basic when a secret is configured
+ */
+async function tokenRequest(params) {
+  requireClientConfig();
+
+  const clientId = getConfig('clientId');
+  const clientSecret = getConfig('clientSecret');
+  const body = new URLSearchParams(params);
+  if (!clientSecret) body.set('client_id', clientId);
+
+  try {
+    const response = await axios.post(getConfig('tokenUrl'), body.toString(), {
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      auth: clientSecret ? { username: clientId, password: clientSecret } : undefined,
+      httpsAgent: getHttpsAgent()
+    });
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      const data = error.response.data;
+      const message = data?.error_description || data?.error || JSON.stringify(data);
+      throw new Error(`Token request failed (${error.response.status}): ${message}`);
+    }
+    throw new Error('No response from token endpoint. Check your token URL.');
+  }
+}
+
+/**
+ * Persist a token endpoint response to config
+ */
+export function storeTokens(tokens) {
+  setConfig('accessToken', tokens.access_token);
+  if (tokens.refresh_token) setConfig('refreshToken', tokens.refresh_token);
+  // No expires_in means the expiry is unknown; a stale one would ask for a refresh on every call
+  setConfig('tokenExpiry', tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : 0);
+}
+
+/**
+ * Whether a stored refresh token and client registration allow renewing the access token
+ */
+export function canRefreshToken() {
+  return !!(getConfig('refreshToken') && getConfig('clientId') && getConfig('tokenUrl'));
+}
+
+/**
+ * Whether the access token is missing or expires within 60s (unknown expiry counts as valid)
+ */
+export function tokenNeedsRefresh() {
+  if (!canRefreshToken()) return false;
+  if (!getConfig('accessToken')) return true;
+  return !!getConfig('tokenExpiry') && !hasValidToken();
+}
+
+/**
+ * Renew the access token with the stored refresh token and persist the result.
+ * Concurrent callers share a single token request.
+ */
+export async function refreshAccessToken() {
+  if (!refreshInFlight) {
+    refreshInFlight = tokenRequest({ grant_type: 'refresh_token', refresh_token: getConfig('refreshToken') })
+      .then(tokens => {
+        storeTokens(tokens);
+        return tokens.access_token;
+      })
+      .catch(error => {
+        throw new Error(`${error.message}. Run: openbankingorgukacco auth login`);
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+}
+
+/**
+ * Obtain a client credentials token for the consent endpoints
+ */
+export async function getClientCredentialsToken() {
+  const tokens = await tokenRequest({ grant_type: 'client_credentials', scope: 'accounts' });
+  return tokens.access_token;
+}
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Generate the state, nonce and PKCE pair for one authorization attempt
+ */
+export function createAuthorizationRequest() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+}
+
+/**
+ * Build the PSU authorization URL for a consent.
+ * The request object is unsigned; ASPSPs requiring signed request objects need a signing key.
+ */
+export function buildAuthorizationUrl(consentId, { state, nonce, codeChallenge }) {
+  const authorizeUrl = getConfig('authorizeUrl');
+  if (!authorizeUrl) {
+    throw new Error('Authorization URL not configured. Run: openbankingorgukacco config set --authorize-url <url>');
+  }
+
+  const clientId = getConfig('clientId');
+  const redirectUri = getConfig('redirectUri');
+  const claims = {
+    iss: clientId,
+    aud: authorizeUrl,
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: 'openid accounts',
+    state,
+    nonce,
+    claims: {
+      userinfo: { openbanking_intent_id: { value: consentId, essential: true } },
+      id_token: { openbanking_intent_id: { value: consentId, essential: true } }
+    }
+  };
+  const request = `${base64url(JSON.stringify({ alg: 'none' }))}.${base64url(JSON.stringify(claims))}.`;
+
+  const url = new URL(authorizeUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', 'openid accounts');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  url.searchParams.set('request', request);
+  return url.toString();
+}
+
+/**
+ * Listen on the loopback redirect URI until the ASPSP redirects back with a code.
+ * Requests whose state does not match this attempt (stray tabs, forged links) get a 400
+ * and are otherwise ignored; only a matching redirect or the timeout ends the wait.
+ */
+export function waitForAuthorizationCode(state, timeout = CALLBACK_TIMEOUT) {
+  const redirectUri = new URL(getConfig('redirectUri'));
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, redirectUri);
+      if (url.pathname !== redirectUri.pathname) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      if (url.searchParams.get('state') !== state) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        res.end('<h1>Unknown authorization request</h1><p>This link does not belong to the login waiting in the terminal.</p>');
+        return;
+      }
+
+      const error = url.searchParams.get('error');
+      const code = url.searchParams.get('code');
+      const ok = !error && code;
+
+      res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html' });
+      res.end(ok
+        ? '<h1>Authorization complete</h1><p>You can close this window and return to the terminal.</p>'
+        : '<h1>Authorization failed</h1><p>Return to the terminal for details.</p>');
+
+      clearTimeout(timer);
+      server.close();
+
+      if (error) {
+        reject(new Error(`Authorization denied: ${url.searchParams.get('error_description') || error}`));
+      } else if (!code) {
+        reject(new Error('Authorization redirect did not include a code.'));
+      } else {
+        resolve(code);
+      }
+    });
+
+    const timer = setTimeout(() => {
+      server.close();
+      reject(new Error('Timed out waiting for authorization redirect.'));
+    }, timeout);
+
+    server.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Could not listen on ${redirectUri.host}: ${error.message}`));
+    });
+
+    server.listen(Number(redirectUri.port) || 80, redirectUri.hostname);
+  });
+}
+
+/**
+ * Exchange an authorization code for access and refresh tokens
+ */
+export async function exchangeAuthorizationCode(code, codeVerifier) {
+  const tokens = await tokenRequest({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getConfig('redirectUri'),
+    code_verifier: codeVerifier
+  });
+  // Sent as x-fapi-auth-date: the last time the PSU authenticated with us
+  setConfig('authDate', new Date().toUTCString());
+  return tokens;
+}
@@ -0,0 +1,169 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useTempConfig, freePort, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig, getConfig } = await import('./config.js');
+const {
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  waitForAuthorizationCode,
+  tokenNeedsRefresh,
+  refreshAccessToken
+} = await import('./auth.js');
+const { listAccounts } = await import('./api.js');
+
+describe('authorization request', () => {
+  test('PKCE challenge is the S256 hash of the verifier', () => {
+    const request = createAuthorizationRequest();
+    const expected = crypto.createHash('sha256').update(request.codeVerifier).digest('base64url');
+    assert.equal(request.codeChallenge, expected);
+    assert.notEqual(request.state, createAuthorizationRequest().state);
+  });
+
+  test('authorization URL carries the consent id in the request object', () => {
+    setConfig('clientId', 'client-1');
+    setConfig('authorizeUrl', 'https://bank.example/authorize');
+    setConfig('redirectUri', 'http://127.0.0.1:8765/callback');
+
+    const url = new URL(buildAuthorizationUrl('consent-42', { state: 's1', nonce: 'n1', codeChallenge: 'c1' }));
+    assert.equal(url.searchParams.get('state'), 's1');
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    const claims = JSON.parse(Buffer.from(url.searchParams.get('request').split('.')[1], 'base64url'));
+    assert.equal(claims.claims.id_token.openbanking_intent_id.value, 'consent-42');
+    assert.equal(claims.redirect_uri, 'http://127.0.0.1:8765/callback');
+  });
+});
+
+describe('waitForAuthorizationCode', () => {
+  let callback;
+  before(async () => {
+    callback = `http://127.0.0.1:${await freePort()}/callback`;
+    setConfig('redirectUri', callback);
+  });
+
+  // Connection: close, so the listener can shut down as soon as it has its answer
+  const get = (query, path = '/callback') =>
+    fetch(new URL(`${path}?${query}`, callback), { headers: { Connection: 'close' } });
+
+  async function listening() {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      try {
+        await get('', '/ready');
+        return;
+      } catch {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    }
+  }
+
+  test('ignores redirects with another state and resolves with the matching code', async () => {
+    const waiting = waitForAuthorizationCode('good-state', 5000);
+    await listening();
+
+    assert.equal((await get('code=forged&state=other')).status, 400);
+    assert.equal((await get('error=access_denied&state=other')).status, 400);
+    assert.equal((await get('code=missing-state')).status, 400);
+    assert.equal((await get('', '/elsewhere')).status, 404);
+
+    const response = await get('code=real-code&state=good-state');
+    assert.equal(response.status, 200);
+    assert.equal(await waiting, 'real-code');
+  });
+
+  test('rejects a denial that carries the right state', async () => {
+    const denied = assert.rejects(waitForAuthorizationCode('s2', 5000), /Authorization denied: User cancelled/);
+    await listening();
+    await get('error=access_denied&error_description=User+cancelled&state=s2');
+    await denied;
+  });
+
+  test('a forged redirect does not end the wait before the timeout', async () => {
+    const timedOut = assert.rejects(waitForAuthorizationCode('s3', 300), /Timed out/);
+    await listening();
+    await get('code=forged&state=nope');
+    await timedOut;
+  });
+});
+
+describe('token refresh', () => {
+  let server;
+  let issued = 0;
+  let expiresIn = 3600;
+
+  before(async () => {
+    // Token endpoint plus one resource that only accepts the latest token
+    server = await startServer((req, url) => {
+      if (url.pathname === '/token') {
+        issued++;
+        return { body: { access_token: `fresh-${issued}`, refresh_token: `refresh-${issued}`, ...(expiresIn ? { expires_in: expiresIn } : {}) } };
+      }
+      if (req.headers.authorization !== `Bearer fresh-${issued}`) return { status: 401, body: {} };
+      return { body: { Data: { Account: [{ AccountId: '1' }] }, Links: {} } };
+    });
+    setConfig('baseUrl', server.baseUrl);
+    setConfig('tokenUrl', `${server.root}/token`);
+    setConfig('clientId', 'client-1');
+    setConfig('rateLimit', 0);
+    setConfig('maxRetries', 0);
+  });
+
+  test('needs a refresh only with a refresh token and an expired or missing access token', () => {
+    setConfig('refreshToken', '');
+    setConfig('accessToken', '');
+    assert.equal(tokenNeedsRefresh(), false);
+
+    setConfig('refreshToken', 'r');
+    assert.equal(tokenNeedsRefresh(), true);
+
+    setConfig('accessToken', 'a');
+    setConfig('tokenExpiry', Date.now() + 3600 * 1000);
+    assert.equal(tokenNeedsRefresh(), false);
+    setConfig('tokenExpiry', Date.now() + 30 * 1000);
+    assert.equal(tokenNeedsRefresh(), true);
+    setConfig('tokenExpiry', 0);
+    assert.equal(tokenNeedsRefresh(), false);
+  });
+
+  test('concurrent refreshes share one token request and store the result', async () => {
+    setConfig('refreshToken', 'r');
+    const before = issued;
+    const tokens = await Promise.all([refreshAccessToken(), refreshAccessToken(), refreshAccessToken()]);
+    assert.equal(issued, before + 1);
+    assert.deepEqual(new Set(tokens), new Set([`fresh-${issued}`]));
+    assert.equal(getConfig('accessToken'), `fresh-${issued}`);
+    assert.equal(getConfig('refreshToken'), `refresh-${issued}`);
+    assert.ok(getConfig('tokenExpiry') > Date.now());
+  });
+
+  test('a refresh without expires_in clears the old expiry instead of refreshing on every call', async () => {
+    setConfig('refreshToken', 'r');
+    setConfig('accessToken', 'old');
+    setConfig('tokenExpiry', Date.now() - 1000);
+    assert.equal(tokenNeedsRefresh(), true);
+
+    expiresIn = null;
+    try {
+      await refreshAccessToken();
+      assert.equal(getConfig('tokenExpiry'), 0);
+      assert.equal(tokenNeedsRefresh(), false);
+
+      const before = issued;
+      await listAccounts();
+      await listAccounts();
+      assert.equal(issued, before);
+    } finally {
+      expiresIn = 3600;
+    }
+  });
+
+  test('a 401 from the bank refreshes the token and retries the request once', async () => {
+    setConfig('accessToken', 'revoked');
+    setConfig('tokenExpiry', Date.now() + 3600 * 1000);
+    const accounts = await listAccounts();
+    assert.deepEqual(accounts, [{ AccountId: '1' }]);
+    assert.equal(getConfig('accessToken'), `fresh-${issued}`);
+    await server.close();
+  });
+});
@@ -0,0 +1,585 @@
+import crypto from 'crypto';
+import { toUnits, formatUnits } from './money.js';
+
+export const CAMT053_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.02';
+export const CAMT052_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:camt.052.001.02';
+
+// OB balance types map one-to-one onto ISO 20022 BalanceType12Code
+const BALANCE_TYPE_CODES = {
+  ClosingAvailable: 'CLAV',
+  ClosingBooked: 'CLBD',
+  Expected: 'XPCD',
+  ForwardAvailable: 'FWAV',
+  Information: 'INFO',
+  InterimAvailable: 'ITAV',
+  InterimBooked: 'ITBD',
+  OpeningAvailable: 'OPAV',
+  OpeningBooked: 'OPBD',
+  PreviouslyClosedBooked: 'PRCD'
+};
+
+const ENTRY_STATUS_CODES = {
+  Booked: 'BOOK',
+  Pending: 'PDNG'
+};
+
+// Bank transaction code families outside the Payments domain
+const FAMILY_DOMAINS = {
+  ACCB: 'CAMT',
+  CAPL: 'CAMT',
+  OPCL: 'ACMT',
+  ACOP: 'ACMT',
+  ADOP: 'ACMT',
+  FTDP: 'LDAS',
+  NTDP: 'LDAS',
+  MGLN: 'LDAS',
+  CSLN: 'LDAS',
+  CUST: 'SECU',
+  SETT: 'SECU',
+  FWRD: 'FORX',
+  SPOT: 'FORX'
+};
+
+// OB sends the ISO code names (e.g. ReceivedCreditTransfer); camt needs the 4-letter codes.
+// Keys are lower case without a trailing "s", as banks vary in both.
+const FAMILY_CODES = {
+  receivedcredittransfer: 'RCDT',
+  issuedcredittransfer: 'ICDT',
+  receivedrealtimecredittransfer: 'RRCT',
+  issuedrealtimecredittransfer: 'IRCT',
+  receivedcashconcentration: 'RCCN',
+  issuedcashconcentration: 'ICCN',
+  receiveddirectdebit: 'RDDT',
+  issueddirectdebit: 'IDDT',
+  receivedcheque: 'RCHQ',
+  issuedcheque: 'ICHQ',
+  customercardtransaction: 'CCRD',
+  merchantcardtransaction: 'MCRD',
+  lockbox: 'LBOX',
+  countertransaction: 'CNTR',
+  draft: 'DRFT',
+  miscellaneouscreditoperation: 'MCOP',
+  miscellaneousdebitoperation: 'MDOP',
+  accountbalancing: 'ACCB',
+  cashpooling: 'CAPL',
+  openingclosing: 'OPCL',
+  additionalmiscellaneouscreditoperation: 'ACOP',
+  additionalmiscellaneousdebitoperation: 'ADOP'
+};
+
+const SUB_FAMILY_CODES = {
+  domesticcredittransfer: 'DMCT',
+  crossbordercredittransfer: 'XBCT',
+  standingorder: 'STDO',
+  directdebit: 'PMDD',
+  directdebitpayment: 'PMDD',
+  pointofsale: 'POSD',
+  cashwithdrawal: 'CWDL',
+  cashdeposit: 'CDPT',
+  interest: 'INTR',
+  charge: 'CHRG',
+  fee: 'FEES',
+  commission: 'COMM',
+  reversal: 'RRTN',
+  other: 'OTHR'
+};
+
+// ============================================================
+// Schema subset
+// ============================================================
+
+/**
+ * Content models for the camt.05x.001.02 elements emitted here.
+ * Children are listed in XSD sequence order with [minOccurs, maxOccurs].
+ */
+const CONTENT_MODELS = {
+  Document: { BkToCstmrStmt: [0, 1], BkToCstmrAcctRpt: [0, 1] },
+  BkToCstmrStmt: { GrpHdr: [1, 1], Stmt: [1, Infinity] },
+  BkToCstmrAcctRpt: { GrpHdr: [1, 1], Rpt: [1, Infinity] },
+  GrpHdr: { MsgId: [1, 1], CreDtTm: [1, 1] },
+  Stmt: { Id: [1, 1], CreDtTm: [1, 1], FrToDt: [0, 1], Acct: [1, 1], Bal: [1, Infinity], TxsSummry: [0, 1], Ntry: [0, Infinity] },
+  Rpt: { Id: [1, 1], CreDtTm: [1, 1], FrToDt: [0, 1], Acct: [1, 1], Bal: [0, Infinity], TxsSummry: [0, 1], Ntry: [0, Infinity] },
+  FrToDt: { FrDtTm: [1, 1], ToDtTm: [1, 1] },
+  Acct: { Id: [1, 1], Ccy: [0, 1], Nm: [0, 1], Svcr: [0, 1] },
+  Othr: { Id: [1, 1], SchmeNm: [0, 1] },
+  SchmeNm: { Cd: [0, 1], Prtry: [0, 1] },
+  Svcr: { FinInstnId: [1, 1] },
+  FinInstnId: { BIC: [0, 1] },
+  Bal: { Tp: [1, 1], Amt: [1, 1], CdtDbtInd: [1, 1], Dt: [1, 1] },
+  Tp: { CdOrPrtry: [1, 1] },
+  CdOrPrtry: { Cd: [0, 1], Prtry: [0, 1] },
+  Dt: { Dt: [0, 1], DtTm: [0, 1] },
+  TxsSummry: { TtlNtries: [0, 1], TtlCdtNtries: [0, 1], TtlDbtNtries: [0, 1] },
+  TtlNtries: { NbOfNtries: [0, 1], Sum: [0, 1], TtlNetNtryAmt: [0, 1], CdtDbtInd: [0, 1] },
+  TtlCdtNtries: { NbOfNtries: [0, 1], Sum: [0, 1] },
+  TtlDbtNtries: { NbOfNtries: [0, 1], Sum: [0, 1] },
+  Ntry: {
+    NtryRef: [0, 1],
+    Amt: [1, 1],
+    CdtDbtInd: [1, 1],
+    Sts: [1, 1],
+    BookgDt: [0, 1],
+    ValDt: [0, 1],
+    AcctSvcrRef: [0, 1],
+    BkTxCd: [1, 1],
+    NtryDtls: [0, Infinity],
+    AddtlNtryInf: [0, 1]
+  },
+  BookgDt: { Dt: [0, 1], DtTm: [0, 1] },
+  ValDt: { Dt: [0, 1], DtTm: [0, 1] },
+  BkTxCd: { Domn: [0, 1], Prtry: [0, 1] },
+  Domn: { Cd: [1, 1], Fmly: [1, 1] },
+  Fmly: { Cd: [1, 1], SubFmlyCd: [1, 1] },
+  Prtry: { Cd: [1, 1], Issr: [0, 1] },
+  NtryDtls: { TxDtls: [0, Infinity] },
+  TxDtls: { Refs: [0, 1], RltdPties: [0, 1], RmtInf: [0, 1], AddtlTxInf: [0, 1] },
+  Refs: { AcctSvcrRef: [0, 1], EndToEndId: [0, 1] },
+  RltdPties: { Dbtr: [0, 1], DbtrAcct: [0, 1], Cdtr: [0, 1], CdtrAcct: [0, 1] },
+  Dbtr: { Nm: [0, 1] },
+  Cdtr: { Nm: [0, 1] },
+  DbtrAcct: { Id: [1, 1] },
+  CdtrAcct: { Id: [1, 1] },
+  RmtInf: { Ustrd: [0, Infinity] }
+};
+
+// Containers whose Id holds an account identification choice rather than text
+const ACCOUNT_ID_CHOICE = { IBAN: [0, 1], Othr: [0, 1] };
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+const DECIMAL = /^\d{1,13}(\.\d{1,5})?$/;
+
+const TEXT_RULES = {
+  MsgId: { maxLength: 35 },
+  Id: { maxLength: 35 },
+  NtryRef: { maxLength: 35 },
+  AcctSvcrRef: { maxLength: 35 },
+  EndToEndId: { maxLength: 35 },
+  Nm: { maxLength: 70 },
+  IBAN: { pattern: /^[A-Z]{2}[0-9]{2}[A-Z0-9]{1,30}$/ },
+  BIC: { pattern: /^[A-Z]{6}[A-Z2-9][A-NP-Z0-9]([A-Z0-9]{3})?$/ },
+  Ccy: { pattern: /^[A-Z]{3}$/ },
+  Ustrd: { maxLength: 140 },
+  AddtlNtryInf: { maxLength: 500 },
+  AddtlTxInf: { maxLength: 500 },
+  Amt: { pattern: DECIMAL },
+  Sum: { pattern: DECIMAL },
+  TtlNetNtryAmt: { pattern: DECIMAL },
+  NbOfNtries: { pattern: /^\d{1,15}$/ },
+  CdtDbtInd: { values: ['CRDT', 'DBIT'] },
+  Sts: { values: ['BOOK', 'PDNG', 'INFO'] },
+  CreDtTm: { pattern: DATE_TIME },
+  FrDtTm: { pattern: DATE_TIME },
+  ToDtTm: { pattern: DATE_TIME },
+  DtTm: { pattern: DATE_TIME },
+  Dt: { pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  Cd: { maxLength: 35 },
+  SubFmlyCd: { maxLength: 4 },
+  Issr: { maxLength: 35 }
+};
+
+// ============================================================
+// XML tree
+// ============================================================
+
+function el(name, content, attrs = {}) {
+  if (Array.isArray(content)) {
+    return { name, attrs, children: content.filter(Boolean) };
+  }
+  return { name, attrs, text: String(content) };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function serialize(node, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attrs = Object.entries(node.attrs).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  if (node.text !== undefined) {
+    return `${indent}<${node.name}${attrs}>${escapeXml(node.text)}</${node.name}>`;
+  }
+  return [
+    `${indent}<${node.name}${attrs}>`,
+    ...node.children.map(child => serialize(child, depth + 1)),
+    `${indent}</${node.name}>`
+  ].join('\n');
+}
+
+/**
+ * Check a tree against the content models and text rules, returning violations with paths
+ */
+export function validateCamt(node, path = node.name, parent = null) {
+  const errors = [];
+
+  if (node.text !== undefined) {
+    const rule = TEXT_RULES[node.name];
+    if (rule?.maxLength && node.text.length > rule.maxLength) {
+      errors.push(`${path}: exceeds ${rule.maxLength} characters`);
+    }
+    if (rule?.pattern && !rule.pattern.test(node.text)) {
+      errors.push(`${path}: "${node.text}" does not match the expected format`);
+    }
+    if (rule?.values && !rule.values.includes(node.text)) {
+      errors.push(`${path}: "${node.text}" is not one of ${rule.values.join(', ')}`);
+    }
+    if (node.name === 'Amt' && !/^[A-Z]{3}$/.test(node.attrs.Ccy || '')) {
+      errors.push(`${path}: missing or invalid Ccy attribute`);
+    }
+    return errors;
+  }
+
+  const isAccountId = node.name === 'Id' && ['Acct', 'DbtrAcct', 'CdtrAcct'].includes(parent);
+  const model = isAccountId ? ACCOUNT_ID_CHOICE : CONTENT_MODELS[node.name];
+  if (!model) {
+    errors.push(`${path}: unexpected element`);
+    return errors;
+  }
+
+  const order = Object.keys(model);
+  const counts = {};
+  let lastIndex = -1;
+
+  node.children.forEach(child => {
+    const index = order.indexOf(child.name);
+    if (index === -1) {
+      errors.push(`${path}/${child.name}: not allowed in ${node.name}`);
+    } else if (index < lastIndex) {
+      errors.push(`${path}/${child.name}: out of sequence`);
+    } else {
+      lastIndex = index;
+    }
+    counts[child.name] = (counts[child.name] || 0) + 1;
+    const position = node.children.filter(c => c.name === child.name).length > 1 ? `[${counts[child.name]}]` : '';
+    errors.push(...validateCamt(child, `${path}/${child.name}${position}`, node.name));
+  });
+
+  Object.entries(model).forEach(([name, [min, max]]) => {
+    const count = counts[name] || 0;
+    if (count < min) errors.push(`${path}: missing required ${name}`);
+    if (count > max) errors.push(`${path}: ${name} occurs more than ${max} time(s)`);
+  });
+  if (isAccountId && node.children.length !== 1) {
+    errors.push(`${path}: must contain exactly one of IBAN or Othr`);
+  }
+  // A statement reports booked entries only; pending ones belong in a camt.052 report
+  if (node.name === 'Stmt') {
+    node.children.filter(child => child.name === 'Ntry').forEach((entry, index) => {
+      if (entry.children.find(child => child.name === 'Sts')?.text === 'PDNG') {
+        errors.push(`${path}/Ntry[${index + 1}]/Sts: pending entries are not allowed in a statement`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+function render(document) {
+  const errors = validateCamt(document);
+  if (errors.length) {
+    throw new Error(`Generated document failed schema validation:\n  ${errors.join('\n  ')}`);
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(document)}\n`;
+}
+
+// ============================================================
+// Amounts
+// ============================================================
+
+function indicator(units) {
+  return units < 0n ? 'DBIT' : 'CRDT';
+}
+
+// ============================================================
+// Mapping
+// ============================================================
+
+function truncate(value, length) {
+  return value ? String(value).substring(0, length) : value;
+}
+
+function isoDateTime(value) {
+  if (!value) return null;
+  return DATE_TIME.test(value) ? value : new Date(value).toISOString();
+}
+
+/**
+ * Deterministic 35-character ID derived from the source identifiers
+ */
+function messageId(prefix, ...parts) {
+  return `${prefix}${crypto.createHash('sha1').update(parts.join('|')).digest('hex')}`.substring(0, 35);
+}
+
+function accountIdElement(identifiers) {
+  const iban = identifiers?.find(id => id.SchemeName?.endsWith('IBAN'));
+  if (iban) return el('Id', [el('IBAN', iban.Identification.replace(/\s/g, ''))]);
+
+  const other = identifiers?.[0];
+  if (!other) return null;
+  return el('Id', [
+    el('Othr', [
+      el('Id', truncate(other.Identification, 34)),
+      other.SchemeName ? el('SchmeNm', [el('Prtry', truncate(other.SchemeName, 35))]) : null
+    ])
+  ]);
+}
+
+function accountElement(account, accountId, currency) {
+  const identifiers = account?.Account || [];
+  const id = accountIdElement(identifiers) || el('Id', [el('Othr', [el('Id', truncate(accountId, 34))])]);
+  const name = identifiers.find(identifier => identifier.Name)?.Name || account?.Nickname;
+  const bic = account?.Servicer?.SchemeName?.endsWith('BICFI') ? account.Servicer.Identification : null;
+
+  return el('Acct', [
+    id,
+    el('Ccy', currency),
+    name ? el('Nm', truncate(name, 70)) : null,
+    bic ? el('Svcr', [el('FinInstnId', [el('BIC', bic)])]) : null
+  ]);
+}
+
+function balanceElement(code, units, currency, dateTime) {
+  return el('Bal', [
+    el('Tp', [el('CdOrPrtry', [el('Cd', code)])]),
+    el('Amt', formatUnits(units), { Ccy: currency }),
+    el('CdtDbtInd', indicator(units)),
+    el('Dt', [el('DtTm', isoDateTime(dateTime))])
+  ]);
+}
+
+/**
+ * Resolve an OB code name, or pass through a value that is already an ISO code
+ */
+function isoCode(value, names) {
+  if (!value) return null;
+  if (/^[A-Z]{4}$/.test(value)) return value;
+  return names[value.toLowerCase().replace(/s$/, '')] || null;
+}
+
+function bankTransactionCode(transaction) {
+  const code = transaction.BankTransactionCode;
+  const proprietary = transaction.ProprietaryBankTransactionCode;
+  const family = isoCode(code?.Code, FAMILY_CODES);
+
+  const domain = family
+    ? el('Domn', [
+      el('Cd', FAMILY_DOMAINS[family] || 'PMNT'),
+      el('Fmly', [el('Cd', family), el('SubFmlyCd', isoCode(code.SubCode, SUB_FAMILY_CODES) || 'OTHR')])
+    ])
+    : null;
+  const prtry = proprietary?.Code
+    ? el('Prtry', [el('Cd', truncate(proprietary.Code, 35)), proprietary.Issuer ? el('Issr', truncate(proprietary.Issuer, 35)) : null])
+    : null;
+
+  // XTND/NTAV/NTAV is the ISO code for "not available"
+  return el('BkTxCd', domain || prtry
+    ? [domain, prtry]
+    : [el('Domn', [el('Cd', 'XTND'), el('Fmly', [el('Cd', 'NTAV'), el('SubFmlyCd', 'NTAV')])])]);
+}
+
+function relatedParties(transaction) {
+  const debit = transaction.CreditDebitIndicator === 'Debit';
+  const counterparty = debit ? transaction.CreditorAccount : transaction.DebtorAccount;
+  const name = counterparty?.Name || (debit ? transaction.MerchantDetails?.MerchantName : null);
+  if (!name && !counterparty?.Identification) return null;
+
+  const partyTag = debit ? 'Cdtr' : 'Dbtr';
+  const accountTag = debit ? 'CdtrAcct' : 'DbtrAcct';
+  const accountId = counterparty?.Identification ? accountIdElement([counterparty]) : null;
+
+  return el('RltdPties', [
+    name ? el(partyTag, [el('Nm', truncate(name, 70))]) : null,
+    accountId ? el(accountTag, [accountId]) : null
+  ]);
+}
+
+function entryElement(transaction, currency) {
+  const units = toUnits(transaction.Amount?.Amount ?? '0', transaction.CreditDebitIndicator);
+  const reference = transaction.TransactionId || transaction.TransactionReference;
+  const details = [
+    reference
+      ? el('Refs', [
+        transaction.TransactionId ? el('AcctSvcrRef', truncate(transaction.TransactionId, 35)) : null,
+        transaction.TransactionReference ? el('EndToEndId', truncate(transaction.TransactionReference, 35)) : null
+      ])
+      : null,
+    relatedParties(transaction),
+    transaction.TransactionReference ? el('RmtInf', [el('Ustrd', truncate(transaction.TransactionReference, 140))]) : null,
+    transaction.TransactionInformation ? el('AddtlTxInf', truncate(transaction.TransactionInformation, 500)) : null
+  ].filter(Boolean);
+
+  return el('Ntry', [
+    reference ? el('NtryRef', truncate(reference, 35)) : null,
+    el('Amt', formatUnits(units), { Ccy: transaction.Amount?.Currency || currency }),
+    el('CdtDbtInd', indicator(units)),
+    el('Sts', ENTRY_STATUS_CODES[transaction.Status] || 'BOOK'),
+    transaction.BookingDateTime ? el('BookgDt', [el('DtTm', isoDateTime(transaction.BookingDateTime))]) : null,
+    transaction.ValueDateTime ? el('ValDt', [el('DtTm', isoDateTime(transaction.ValueDateTime))]) : null,
+    transaction.TransactionId ? el('AcctSvcrRef', truncate(transaction.TransactionId, 35)) : null,
+    bankTransactionCode(transaction),
+    details.length ? el('NtryDtls', [el('TxDtls', details)]) : null,
+    transaction.TransactionInformation ? el('AddtlNtryInf', truncate(transaction.TransactionInformation, 500)) : null
+  ]);
+}
+
+function transactionsSummary(transactions) {
+  let credit = 0n;
+  let debit = 0n;
+  let credits = 0;
+  let debits = 0;
+
+  transactions.forEach(transaction => {
+    const units = toUnits(transaction.Amount?.Amount ?? '0', transaction.CreditDebitIndicator);
+    if (units < 0n) {
+      debit -= units;
+      debits++;
+    } else {
+      credit += units;
+      credits++;
+    }
+  });
+
+  const net = credit - debit;
+  return el('TxsSummry', [
+    el('TtlNtries', [
+      el('NbOfNtries', transactions.length),
+      el('Sum', formatUnits(credit + debit)),
+      el('TtlNetNtryAmt', formatUnits(net)),
+      el('CdtDbtInd', indicator(net))
+    ]),
+    el('TtlCdtNtries', [el('NbOfNtries', credits), el('Sum', formatUnits(credit))]),
+    el('TtlDbtNtries', [el('NbOfNtries', debits), el('Sum', formatUnits(debit))])
+  ]);
+}
+
+function sortByBooking(transactions) {
+  return [...transactions].sort((a, b) => new Date(a.BookingDateTime) - new Date(b.BookingDateTime));
+}
+
+function netUnits(transactions) {
+  return transactions.reduce((sum, transaction) =>
+    sum + toUnits(transaction.Amount?.Amount ?? '0', transaction.CreditDebitIndicator), 0n);
+}
+
+function statementAmount(statement, type) {
+  const amount = statement?.StatementAmount?.find(entry => entry.Type?.endsWith(type));
+  return amount ? toUnits(amount.Amount.Amount, amount.CreditDebitIndicator) : null;
+}
+
+/**
+ * Work out opening and closing balances for a statement period.
+ * Uses the statement's own amounts, then running balances on transactions, then derives
+ * whichever side is missing from the net movement.
+ */
+export function statementBalances(statement, transactions) {
+  let opening = statementAmount(statement, 'OpeningBalance') ?? statementAmount(statement, 'PreviousClosingBalance');
+  let closing = statementAmount(statement, 'ClosingBalance');
+
+  const sorted = sortByBooking(transactions);
+  const first = sorted.find(transaction => transaction.Balance?.Amount);
+  const last = [...sorted].reverse().find(transaction => transaction.Balance?.Amount);
+
+  if (opening === null && first) {
+    const firstIndex = sorted.indexOf(first);
+    const after = toUnits(first.Balance.Amount.Amount, first.Balance.CreditDebitIndicator);
+    opening = after - netUnits(sorted.slice(0, firstIndex + 1));
+  }
+  if (closing === null && last) {
+    const lastIndex = sorted.indexOf(last);
+    const after = toUnits(last.Balance.Amount.Amount, last.Balance.CreditDebitIndicator);
+    closing = after + netUnits(sorted.slice(lastIndex + 1));
+  }
+
+  const net = netUnits(sorted);
+  if (opening === null && closing !== null) opening = closing - net;
+  if (closing === null && opening !== null) closing = opening + net;
+
+  return { opening, closing };
+}
+
+// ============================================================
+// Documents
+// ============================================================
+
+/**
+ * Build a camt.053 bank-to-customer statement from an OB statement and its transactions.
+ * A statement covers booked entries only, so pending transactions are left out of the
+ * entries, the totals and any derived balance; toCamt052 reports them as PDNG.
+ */
+export function toCamt053({ account, accountId, statement, transactions: all, createdAt = new Date().toISOString() }) {
+  const transactions = all.filter(transaction => transaction.Status !== 'Pending');
+  const currency = account?.Currency || transactions[0]?.Amount?.Currency || 'GBP';
+  const { opening, closing } = statementBalances(statement, transactions);
+  if (opening === null || closing === null) {
+    throw new Error('Statement has no opening or closing balance and transactions carry no running balance.');
+  }
+
+  const statementId = statement?.StatementId || 'STATEMENT';
+  const from = isoDateTime(statement?.StartDateTime);
+  const to = isoDateTime(statement?.EndDateTime);
+  const sorted = sortByBooking(transactions);
+
+  const document = el('Document', [
+    el('BkToCstmrStmt', [
+      el('GrpHdr', [
+        el('MsgId', messageId('OB053', accountId, statementId)),
+        el('CreDtTm', createdAt)
+      ]),
+      el('Stmt', [
+        el('Id', truncate(statementId, 35)),
+        el('CreDtTm', isoDateTime(statement?.CreationDateTime) || createdAt),
+        from && to ? el('FrToDt', [el('FrDtTm', from), el('ToDtTm', to)]) : null,
+        accountElement(account, accountId, currency),
+        balanceElement('OPBD', opening, currency, from || sorted[0]?.BookingDateTime || createdAt),
+        balanceElement('CLBD', closing, currency, to || sorted[sorted.length - 1]?.BookingDateTime || createdAt),
+        transactionsSummary(sorted),
+        ...sorted.map(transaction => entryElement(transaction, currency))
+      ])
+    ])
+  ], { xmlns: CAMT053_NAMESPACE });
+
+  return render(document);
+}
+
+/**
+ * Build a camt.052 intraday account report from current balances and recent transactions
+ */
+export function toCamt052({ account, accountId, balances, transactions, fromDate, toDate, createdAt = new Date().toISOString() }) {
+  const currency = account?.Currency || balances[0]?.Amount?.Currency || 'GBP';
+  const sorted = sortByBooking(transactions);
+  const from = isoDateTime(fromDate) || sorted[0]?.BookingDateTime;
+  const to = isoDateTime(toDate) || createdAt;
+
+  const balanceElements = balances
+    .filter(balance => BALANCE_TYPE_CODES[balance.Type])
+    .map(balance => balanceElement(
+      BALANCE_TYPE_CODES[balance.Type],
+      toUnits(balance.Amount.Amount, balance.CreditDebitIndicator),
+      balance.Amount.Currency || currency,
+      balance.DateTime || createdAt
+    ));
+
+  const document = el('Document', [
+    el('BkToCstmrAcctRpt', [
+      el('GrpHdr', [
+        el('MsgId', messageId('OB052', accountId, createdAt)),
+        el('CreDtTm', createdAt)
+      ]),
+      el('Rpt', [
+        el('Id', messageId('RPT', accountId, from, to)),
+        el('CreDtTm', createdAt),
+        from ? el('FrToDt', [el('FrDtTm', isoDateTime(from)), el('ToDtTm', to)]) : null,
+        accountElement(account, accountId, currency),
+        ...balanceElements,
+        transactionsSummary(sorted),
+        ...sorted.map(transaction => entryElement(transaction, currency))
+      ])
+    ])
+  ], { xmlns: CAMT052_NAMESPACE });
+
+  return render(document);
+}
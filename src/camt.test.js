@@ -0,0 +1,164 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCamt053, toCamt052, validateCamt, statementBalances } from './camt.js';
+import { toUnits } from './money.js';
+
+const account = {
+  AccountId: '22289',
+  Currency: 'GBP',
+  Nickname: 'Bills',
+  Account: [{ SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '80200110203345', Name: 'Mr Kevin' }]
+};
+
+const transactions = [
+  {
+    TransactionId: 'txn-1',
+    Status: 'Booked',
+    BookingDateTime: '2024-06-01T09:00:00+00:00',
+    Amount: { Amount: '100.00', Currency: 'GBP' },
+    CreditDebitIndicator: 'Credit',
+    BankTransactionCode: { Code: 'ReceivedCreditTransfer', SubCode: 'DomesticCreditTransfer' },
+    Balance: { Amount: { Amount: '600.00', Currency: 'GBP' }, CreditDebitIndicator: 'Credit', Type: 'InterimBooked' }
+  },
+  {
+    TransactionId: 'txn-2',
+    Status: 'Booked',
+    BookingDateTime: '2024-06-02T09:00:00+00:00',
+    Amount: { Amount: '40.00', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    TransactionInformation: 'Groceries & more'
+  },
+  {
+    TransactionId: 'txn-3',
+    Status: 'Pending',
+    BookingDateTime: '2024-06-03T09:00:00+00:00',
+    Amount: { Amount: '25.00', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit'
+  }
+];
+
+const statement = { StatementId: 'stmt-1', StartDateTime: '2024-06-01T00:00:00+00:00', EndDateTime: '2024-06-30T23:59:59+00:00' };
+const createdAt = '2024-07-01T08:00:00Z';
+
+function node(name, content, attrs = {}) {
+  return Array.isArray(content) ? { name, attrs, children: content } : { name, attrs, text: String(content) };
+}
+
+function balanceNode(code) {
+  return node('Bal', [
+    node('Tp', [node('CdOrPrtry', [node('Cd', code)])]),
+    node('Amt', '1.00', { Ccy: 'GBP' }),
+    node('CdtDbtInd', 'CRDT'),
+    node('Dt', [node('DtTm', createdAt)])
+  ]);
+}
+
+function entryNode(status) {
+  return node('Ntry', [
+    node('Amt', '1.00', { Ccy: 'GBP' }),
+    node('CdtDbtInd', 'CRDT'),
+    node('Sts', status),
+    node('BkTxCd', [node('Prtry', [node('Cd', 'X')])])
+  ]);
+}
+
+function statementDocument(stmtChildren) {
+  return node('Document', [
+    node('BkToCstmrStmt', [
+      node('GrpHdr', [node('MsgId', 'M1'), node('CreDtTm', createdAt)]),
+      node('Stmt', stmtChildren)
+    ])
+  ]);
+}
+
+const head = [node('Id', 'S1'), node('CreDtTm', createdAt), node('Acct', [node('Id', [node('IBAN', 'GB29NWBK60161331926819')])])];
+
+describe('toCamt053', () => {
+  test('reports booked entries only, with balances derived from them', () => {
+    const xml = toCamt053({ account, accountId: '22289', statement, transactions, createdAt });
+    assert.equal(xml.match(/<Ntry>/g).length, 2);
+    assert.doesNotMatch(xml, /PDNG|txn-3/);
+    assert.match(xml, /<TtlNtries>\s*<NbOfNtries>2<\/NbOfNtries>\s*<Sum>140.00<\/Sum>\s*<TtlNetNtryAmt>60.00<\/TtlNetNtryAmt>/);
+    // Opening 500.00 from txn-1's running balance; closing adds the booked movement only
+    assert.match(xml, /<Cd>OPBD<\/Cd>[\s\S]*?<Amt Ccy="GBP">500.00<\/Amt>/);
+    assert.match(xml, /<Cd>CLBD<\/Cd>[\s\S]*?<Amt Ccy="GBP">560.00<\/Amt>/);
+    assert.match(xml, /<Domn>\s*<Cd>PMNT<\/Cd>\s*<Fmly>\s*<Cd>RCDT<\/Cd>\s*<SubFmlyCd>DMCT<\/SubFmlyCd>/);
+    assert.match(xml, /Groceries &amp; more/);
+  });
+
+  test('fails without any balance to start from', () => {
+    assert.throws(() => toCamt053({ account, accountId: '22289', statement, transactions: transactions.slice(1), createdAt }), /no opening or closing balance/);
+  });
+});
+
+describe('toCamt052', () => {
+  test('keeps pending entries as PDNG', () => {
+    const balances = [{ Type: 'InterimAvailable', DateTime: createdAt, Amount: { Amount: '535.00', Currency: 'GBP' }, CreditDebitIndicator: 'Credit' }];
+    const xml = toCamt052({ account, accountId: '22289', balances, transactions, fromDate: '2024-06-01', createdAt });
+    assert.equal(xml.match(/<Ntry>/g).length, 3);
+    assert.equal(xml.match(/<Sts>PDNG<\/Sts>/g).length, 1);
+    assert.match(xml, /<Cd>ITAV<\/Cd>/);
+  });
+});
+
+describe('statementBalances', () => {
+  test("prefers the statement's own amounts", () => {
+    const withAmounts = {
+      StatementAmount: [
+        { Type: 'UK.OBIE.OpeningBalance', Amount: { Amount: '10.00' }, CreditDebitIndicator: 'Debit' },
+        { Type: 'UK.OBIE.ClosingBalance', Amount: { Amount: '50.00' }, CreditDebitIndicator: 'Credit' }
+      ]
+    };
+    assert.deepEqual(statementBalances(withAmounts, transactions), { opening: toUnits('10.00', 'Debit'), closing: toUnits('50.00') });
+  });
+
+  test('derives the missing side from the net movement', () => {
+    const closingOnly = { StatementAmount: [{ Type: 'UK.OBIE.ClosingBalance', Amount: { Amount: '100.00' }, CreditDebitIndicator: 'Credit' }] };
+    assert.deepEqual(statementBalances(closingOnly, transactions.slice(1, 2)), { opening: toUnits('140.00'), closing: toUnits('100.00') });
+    assert.deepEqual(statementBalances({}, transactions.slice(1, 2)), { opening: null, closing: null });
+  });
+});
+
+describe('validateCamt', () => {
+  test('accepts a minimal statement', () => {
+    assert.deepEqual(validateCamt(statementDocument([...head, balanceNode('OPBD'), entryNode('BOOK')])), []);
+  });
+
+  test('reports missing, misplaced and unknown elements with their paths', () => {
+    const [id, createdAtNode, acct] = head;
+    assert.deepEqual(validateCamt(statementDocument([id, createdAtNode, acct])), [
+      'Document/BkToCstmrStmt/Stmt: missing required Bal'
+    ]);
+    assert.deepEqual(validateCamt(statementDocument([createdAtNode, id, acct, balanceNode('OPBD')])), [
+      'Document/BkToCstmrStmt/Stmt/Id: out of sequence'
+    ]);
+    assert.deepEqual(validateCamt(statementDocument([...head, balanceNode('OPBD'), node('Foo', 'x')])), [
+      'Document/BkToCstmrStmt/Stmt/Foo: not allowed in Stmt'
+    ]);
+    assert.deepEqual(validateCamt(node('GrpHdr', [node('MsgId', 'a'), node('MsgId', 'b'), node('CreDtTm', createdAt)])), [
+      'GrpHdr: MsgId occurs more than 1 time(s)'
+    ]);
+  });
+
+  test('repeated elements are numbered in paths', () => {
+    const errors = validateCamt(statementDocument([...head, balanceNode('OPBD'), balanceNode('CLBD'), entryNode('BOOK'), entryNode('XXXX')]));
+    assert.deepEqual(errors, ['Document/BkToCstmrStmt/Stmt/Ntry[2]/Sts: "XXXX" is not one of BOOK, PDNG, INFO']);
+  });
+
+  test('checks text lengths, formats and the Ccy attribute', () => {
+    assert.deepEqual(validateCamt(node('MsgId', 'x'.repeat(36))), ['MsgId: exceeds 35 characters']);
+    assert.deepEqual(validateCamt(node('CreDtTm', '2024-07-01')), ['CreDtTm: "2024-07-01" does not match the expected format']);
+    assert.deepEqual(validateCamt(node('Amt', '1.234567', { Ccy: 'GBP' })), ['Amt: "1.234567" does not match the expected format']);
+    assert.deepEqual(validateCamt(node('Amt', '1.00')), ['Amt: missing or invalid Ccy attribute']);
+  });
+
+  test('an account Id holds exactly one of IBAN or Othr', () => {
+    const both = node('Acct', [node('Id', [node('IBAN', 'GB29NWBK60161331926819'), node('Othr', [node('Id', '1')])])]);
+    assert.deepEqual(validateCamt(both), ['Acct/Id: must contain exactly one of IBAN or Othr']);
+  });
+
+  test('a statement may not carry pending entries', () => {
+    const errors = validateCamt(statementDocument([...head, balanceNode('OPBD'), entryNode('BOOK'), entryNode('PDNG')]));
+    assert.deepEqual(errors, ['Document/BkToCstmrStmt/Stmt/Ntry[2]/Sts: pending entries are not allowed in a statement']);
+  });
+});
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import { extname } from 'path';
+import YAML from 'yaml';
+
+// Category given to transactions no rule assigned one to; usable as a --category filter
+export const UNCATEGORISED = 'Uncategorised';
+
+// Rule match fields and where they read from on an OBTransaction
+const MATCH_FIELDS = {
+  description: { exact: false, value: t => t.TransactionInformation },
+  merchant: { exact: false, value: t => t.MerchantDetails?.MerchantName },
+  mcc: { exact: true, value: t => t.MerchantDetails?.MerchantCategoryCode },
+  code: { exact: true, value: t => t.ProprietaryBankTransactionCode?.Code },
+  indicator: { exact: true, value: t => t.CreditDebitIndicator },
+  amount: { range: true, value: t => t.Amount?.Amount }
+};
+
+// ============================================================
+// Loading
+// ============================================================
+
+/**
+ * Turn "/pattern/flags" into a RegExp; anything else is matched literally
+ */
+function compilePattern(pattern, exact, where) {
+  const text = String(pattern);
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // Stateful flags would make repeated .test() calls alternate
+      return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`${where}: invalid regular expression ${text}: ${error.message}`);
+    }
+  }
+  const lower = text.toLowerCase();
+  return exact
+    ? { test: value => value.toLowerCase() === lower }
+    : { test: value => value.toLowerCase().includes(lower) };
+}
+
+function compileRange(range, where) {
+  const spec = typeof range === 'number' ? { min: range, max: range } : range;
+  if (!spec || typeof spec !== 'object' || (spec.min === undefined && spec.max === undefined)) {
+    throw new Error(`${where}: amount must be a number or { min, max }`);
+  }
+  const min = spec.min === undefined ? -Infinity : Number(spec.min);
+  const max = spec.max === undefined ? Infinity : Number(spec.max);
+  if (isNaN(min) || isNaN(max)) throw new Error(`${where}: amount bounds must be numbers`);
+  return { test: value => value >= min && value <= max };
+}
+
+function compileRule(rule, index) {
+  const label = `Rule ${index + 1}${rule?.name ? ` ("${rule.name}")` : ''}`;
+  if (!rule || typeof rule !== 'object') throw new Error(`${label}: must be an object`);
+  if (!rule.category && !rule.tags) throw new Error(`${label}: needs a category or tags`);
+  if (!rule.match || typeof rule.match !== 'object' || Object.keys(rule.match).length === 0) {
+    throw new Error(`${label}: needs at least one match condition`);
+  }
+
+  const conditions = Object.entries(rule.match).map(([field, expected]) => {
+    const spec = MATCH_FIELDS[field];
+    if (!spec) {
+      throw new Error(`${label}: unknown match field "${field}". Use one of: ${Object.keys(MATCH_FIELDS).join(', ')}`);
+    }
+    const where = `${label} match.${field}`;
+
+    if (spec.range) {
+      const range = compileRange(expected, where);
+      return transaction => {
+        const amount = parseFloat(spec.value(transaction));
+        return !isNaN(amount) && range.test(Math.abs(amount));
+      };
+    }
+
+    // A list matches when any entry does
+    const patterns = (Array.isArray(expected) ? expected : [expected]).map(pattern => compilePattern(pattern, spec.exact, where));
+    return transaction => {
+      const value = spec.value(transaction);
+      return value !== undefined && value !== null && patterns.some(pattern => pattern.test(String(value)));
+    };
+  });
+
+  return {
+    name: rule.name || rule.category || `rule ${index + 1}`,
+    category: rule.category || null,
+    tags: [].concat(rule.tags || []).map(String),
+    matches: transaction => conditions.every(condition => condition(transaction))
+  };
+}
+
+/**
+ * Parse and validate a rules document: a list of rules, or { rules: [...] }
+ */
+export function parseRules(document) {
+  const rules = Array.isArray(document) ? document : document?.rules;
+  if (!Array.isArray(rules)) throw new Error('Rules file must be a list of rules or contain a "rules" list.');
+  return rules.map(compileRule);
+}
+
+/**
+ * Load rules from a .json, .yaml or .yml file
+ */
+export function loadRules(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read rules file ${file}: ${error.message}`);
+  }
+
+  let document;
+  try {
+    document = extname(file).toLowerCase() === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse rules file ${file}: ${error.message}`);
+  }
+
+  try {
+    return parseRules(document);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+// ============================================================
+// Matching
+// ============================================================
+
+/**
+ * Run every rule against a transaction. The first matching rule with a category
+ * decides the category; tags are collected from all matching rules.
+ */
+export function categorise(transaction, rules) {
+  const matched = rules.filter(rule => rule.matches(transaction));
+  return {
+    category: matched.find(rule => rule.category)?.category || UNCATEGORISED,
+    tags: [...new Set(matched.flatMap(rule => rule.tags))],
+    rules: matched.map(rule => rule.name)
+  };
+}
+
+/**
+ * Copy transactions with Category and Tags fields added
+ */
+export function applyCategories(transactions, rules) {
+  return transactions.map(transaction => {
+    const { category, tags } = categorise(transaction, rules);
+    return { ...transaction, Category: category, Tags: tags };
+  });
+}
+
+/**
+ * Keep transactions whose Category is one of `categories` (case-insensitive)
+ */
+export function filterByCategory(transactions, categories) {
+  const wanted = categories.map(category => category.toLowerCase());
+  return transactions.filter(transaction => wanted.includes(String(transaction.Category).toLowerCase()));
+}
@@ -0,0 +1,97 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { UNCATEGORISED, parseRules, loadRules, categorise, applyCategories, filterByCategory } from './categories.js';
+import { tempDir } from './testkit.js';
+
+function transaction(information, extra = {}) {
+  return {
+    TransactionInformation: information,
+    Amount: { Amount: '12.50', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    ...extra
+  };
+}
+
+describe('categorise', () => {
+  const rules = parseRules([
+    { name: 'Coffee', match: { description: 'coffee' }, tags: ['treat'] },
+    { category: 'Groceries', match: { merchant: ['Tesco', 'Sainsbury'] } },
+    { category: 'Eating out', match: { description: '/costa|pret/i' }, tags: 'lunch' },
+    { category: 'Shopping', match: { mcc: '5411' } },
+    { category: 'Big spend', match: { amount: { min: 100 }, indicator: 'Debit' } }
+  ]);
+
+  test('the first matching rule with a category wins; tags come from every match', () => {
+    const result = categorise(transaction('Costa Coffee', { MerchantDetails: { MerchantName: 'Tesco Express', MerchantCategoryCode: '5411' } }), rules);
+    assert.deepEqual(result, {
+      category: 'Groceries',
+      tags: ['treat', 'lunch'],
+      rules: ['Coffee', 'Groceries', 'Eating out', 'Shopping']
+    });
+  });
+
+  test('plain text is a case-insensitive substring for free text and a whole-value match for codes', () => {
+    assert.equal(categorise(transaction('PRET A MANGER'), rules).category, 'Eating out');
+    assert.equal(categorise(transaction('x', { MerchantDetails: { MerchantCategoryCode: '54111' } }), rules).category, UNCATEGORISED);
+  });
+
+  test('amount ranges compare the absolute amount, and all conditions must hold', () => {
+    assert.equal(categorise(transaction('Sofa', { Amount: { Amount: '450.00' } }), rules).category, 'Big spend');
+    assert.equal(categorise(transaction('Refund', { Amount: { Amount: '450.00' }, CreditDebitIndicator: 'Credit' }), rules).category, UNCATEGORISED);
+  });
+
+  test('a regex flag g does not make repeated matches alternate', () => {
+    const [rule] = parseRules([{ category: 'Rail', match: { description: '/trainline/gi' } }]);
+    assert.deepEqual([1, 2, 3].map(() => rule.matches(transaction('TRAINLINE.COM'))), [true, true, true]);
+  });
+});
+
+describe('--category filtering', () => {
+  const rules = parseRules([{ category: 'Groceries', match: { description: 'tesco' } }]);
+  const categorised = applyCategories([transaction('TESCO'), transaction('Council tax'), transaction('Tesco fuel')], rules);
+
+  test('unmatched transactions fall in the Uncategorised bucket', () => {
+    assert.deepEqual(categorised.map(t => t.Category), ['Groceries', UNCATEGORISED, 'Groceries']);
+    assert.deepEqual(categorised[1].Tags, []);
+  });
+
+  test('the bucket can be selected by name, case-insensitively, alone or with other categories', () => {
+    assert.deepEqual(filterByCategory(categorised, ['uncategorised']).map(t => t.TransactionInformation), ['Council tax']);
+    assert.equal(filterByCategory(categorised, ['groceries', UNCATEGORISED]).length, 3);
+    assert.deepEqual(filterByCategory(categorised, ['Transport']), []);
+  });
+});
+
+describe('loadRules', () => {
+  const dir = tempDir();
+  const write = (name, text) => {
+    fs.writeFileSync(join(dir, name), text);
+    return join(dir, name);
+  };
+
+  test('reads YAML and JSON, as a list or under "rules"', () => {
+    assert.equal(loadRules(write('rules.yaml', 'rules:\n  - category: Rent\n    match:\n      description: landlord\n')).length, 1);
+    assert.equal(loadRules(write('rules.json', JSON.stringify([{ category: 'Rent', match: { description: 'landlord' } }]))).length, 1);
+  });
+
+  test('a regex that does not compile names the file, the rule and the field', () => {
+    const file = write('bad-regex.yaml', '- category: Fine\n  match:\n    description: ok\n- name: Broken\n  category: Bills\n  match:\n    merchant: "/(unclosed/"\n');
+    assert.throws(() => loadRules(file), (error) => {
+      assert.match(error.message, new RegExp(`^${file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}: Rule 2 \\("Broken"\\) match\\.merchant: invalid regular expression /\\(unclosed/: `));
+      return true;
+    });
+  });
+
+  test('reports unreadable files, bad syntax and malformed rules', () => {
+    assert.throws(() => loadRules(join(dir, 'missing.yaml')), /Could not read rules file/);
+    assert.throws(() => loadRules(write('bad.json', '{')), /Could not parse rules file/);
+    assert.throws(() => loadRules(write('flat.yaml', 'category: Rent\n')), /must be a list of rules/);
+    assert.throws(() => loadRules(write('nomatch.yaml', '- category: Rent\n')), /Rule 1: needs at least one match condition/);
+    assert.throws(() => loadRules(write('field.yaml', '- category: Rent\n  match:\n    payee: x\n')), /unknown match field "payee"/);
+    assert.throws(() => loadRules(write('amount.yaml', '- category: Rent\n  match:\n    amount: { min: lots }\n')), /amount bounds must be numbers/);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+});
@@ -0,0 +1,242 @@
+import type { Agent } from 'https';
+import type { Readable } from 'stream';
+import type {
+  OBAccount6,
+  OBReadAccount6,
+  OBReadBalance1,
+  OBReadBalance1DataBalance,
+  OBTransaction6,
+  OBReadTransaction6,
+  OBBeneficiary5,
+  OBReadBeneficiary5,
+  OBReadDirectDebit2,
+  OBReadDirectDebit2DataDirectDebit,
+  OBStandingOrder6,
+  OBReadStandingOrder6,
+  OBStatement2,
+  OBReadStatement2,
+  OBReadProduct2,
+  OBReadProduct2DataProduct,
+  OBReadOffer1,
+  OBReadOffer1DataOffer,
+  OBParty2,
+  OBReadParty2,
+  OBReadParty3,
+  OBScheduledPayment3,
+  OBReadScheduledPayment3,
+  OBExternalPermissions1Code,
+  OBReadConsentResponse1,
+  OBReadConsentResponse1Data
+} from './models.js';
+
+export * from './models.js';
+
+export interface TokenRequest {
+  /** True after a 401: return a renewed token, or the same one to give up */
+  forceRefresh: boolean;
+}
+
+export type TokenProvider = (request: TokenRequest) => string | Promise<string>;
+
+export interface RetryPolicy {
+  /** Retries for GETs failing with 429, 5xx or a network error (default 3) */
+  maxRetries?: number;
+  /** Base backoff delay in milliseconds (default 500) */
+  baseDelay?: number;
+}
+
+/** One finished request, after retries; never the token or any body */
+export interface RequestRecord {
+  method: string;
+  /** Path below /aisp, e.g. "/accounts/22289/transactions" */
+  endpoint: string;
+  /** Query string without the "?", or "" */
+  query: string;
+  /** HTTP status, or null when no response arrived */
+  status: number | null;
+  /** Error code or message when the request failed without a status */
+  error: string | null;
+  /** The bank's echoed x-fapi-interaction-id, or the one sent */
+  interactionId: string;
+  /** Length of the array under Data, 1 for a single record, null for files and empty bodies */
+  records: number | null;
+  attempts: number;
+  durationMs: number;
+}
+
+export interface OpenBankingClientOptions {
+  /** ASPSP API base URL, before the version segment */
+  baseUrl: string;
+  /** Default "v3.1" */
+  apiVersion?: string;
+  accessToken?: string;
+  tokenProvider?: TokenProvider;
+  /** Client credentials token for the account-access-consents endpoints */
+  clientTokenProvider?: TokenProvider;
+  /** Agent carrying the transport (OBWAC) certificate for mutual TLS */
+  httpsAgent?: Agent;
+  /** Extra headers such as x-fapi-financial-id, or a function returning them per request */
+  headers?: Record<string, string> | (() => Record<string, string>);
+  /** `debug` gets one line per attempt, retry and rate-limit wait; `warn` gets schema violations */
+  logger?: { debug(message: string): void; warn?(message: string): void };
+  retry?: RetryPolicy;
+  /** Requests per second per host; 0 (default) disables throttling */
+  rateLimit?: number;
+  /** Check JSON responses against the OB v3.1 schemas: true or "warn" logs violations, "strict" throws */
+  validate?: boolean | 'warn' | 'strict';
+  /** Pages a list follows when the call sets no maxPages (default 1000) */
+  maxPages?: number;
+  /** Called once per request when it succeeds or finally fails, e.g. to keep an audit trail */
+  onRequest?: (record: RequestRecord) => void;
+}
+
+export interface PageOptions {
+  /** Start from this page number */
+  page?: number;
+  /** Stop after this many pages */
+  maxPages?: number;
+  /** Stop after this many records (ignored with envelope) */
+  limit?: number;
+}
+
+export interface DateRangeOptions extends PageOptions {
+  /** fromBookingDateTime */
+  fromDate?: string;
+  /** toBookingDateTime */
+  toDate?: string;
+}
+
+/** List methods: records across all pages, or one response body per page with `envelope: true` */
+export interface ListMethod<TOptions, TRecord, TEnvelope> {
+  (options?: TOptions & { envelope?: false }): Promise<TRecord[]>;
+  (options: TOptions & { envelope: true }): Promise<TEnvelope[]>;
+}
+
+export interface AccountListMethod<TOptions, TRecord, TEnvelope> {
+  (accountId: string, options?: TOptions & { envelope?: false }): Promise<TRecord[]>;
+  (accountId: string, options: TOptions & { envelope: true }): Promise<TEnvelope[]>;
+}
+
+export interface EnvelopeOption {
+  envelope?: boolean;
+}
+
+export interface RequestOptions {
+  data?: unknown;
+  params?: Record<string, unknown> | null;
+  accept?: string;
+  responseType?: 'json' | 'stream' | 'arraybuffer' | 'text';
+  /** Authenticate with the client credentials token */
+  clientToken?: boolean;
+}
+
+/** Pages a list follows when neither the call nor the client sets maxPages */
+export declare const DEFAULT_MAX_PAGES: number;
+
+export declare class OpenBankingError extends Error {
+  /** HTTP status; undefined when no response arrived */
+  status?: number;
+  /** x-fapi-interaction-id of the failed attempt, as echoed by the bank when it did */
+  interactionId?: string;
+  /** Response body, when it was not a stream */
+  body?: unknown;
+  retries: number;
+}
+
+export interface SchemaViolation {
+  /** Field path such as "Data.Transaction[3].Amount.Amount" */
+  path: string;
+  message: string;
+}
+
+/** Thrown with `validate: "strict"` when a response breaks its schema */
+export declare class ResponseValidationError extends OpenBankingError {
+  /** Schema name, e.g. "OBReadTransaction6" */
+  schema: string;
+  violations: SchemaViolation[];
+}
+
+export declare class OpenBankingClient {
+  constructor(options: OpenBankingClientOptions);
+
+  /** AISP base URL, e.g. https://bank.example/open-banking/v3.1/aisp */
+  readonly baseUrl: string;
+
+  request<T = unknown>(method: string, endpoint: string, options?: RequestOptions): Promise<T>;
+  paginate<T = unknown>(endpoint: string, key: string, params?: Record<string, unknown>, options?: PageOptions & EnvelopeOption): AsyncGenerator<T>;
+
+  createAccountAccessConsent(
+    consent: { permissions: OBExternalPermissions1Code[]; expirationDateTime?: string; fromDate?: string; toDate?: string },
+    options?: { envelope?: false }
+  ): Promise<OBReadConsentResponse1Data | null>;
+  createAccountAccessConsent(
+    consent: { permissions: OBExternalPermissions1Code[]; expirationDateTime?: string; fromDate?: string; toDate?: string },
+    options: { envelope: true }
+  ): Promise<OBReadConsentResponse1>;
+  getAccountAccessConsent(consentId: string, options?: { envelope?: false }): Promise<OBReadConsentResponse1Data | null>;
+  getAccountAccessConsent(consentId: string, options: { envelope: true }): Promise<OBReadConsentResponse1>;
+  deleteAccountAccessConsent(consentId: string): Promise<void>;
+
+  iterateAccounts(options?: PageOptions): AsyncGenerator<OBAccount6>;
+  listAccounts: ListMethod<PageOptions, OBAccount6, OBReadAccount6>;
+  getAccount(accountId: string, options?: { envelope?: false }): Promise<OBAccount6 | null>;
+  getAccount(accountId: string, options: { envelope: true }): Promise<OBReadAccount6>;
+  iterateAccountBalances(accountId: string, options?: PageOptions): AsyncGenerator<OBReadBalance1DataBalance>;
+  getAccountBalances: AccountListMethod<PageOptions, OBReadBalance1DataBalance, OBReadBalance1>;
+  iterateAccountTransactions(accountId: string, options?: DateRangeOptions): AsyncGenerator<OBTransaction6>;
+  getAccountTransactions: AccountListMethod<DateRangeOptions, OBTransaction6, OBReadTransaction6>;
+
+  iterateBalances(options?: PageOptions): AsyncGenerator<OBReadBalance1DataBalance>;
+  listBalances: ListMethod<PageOptions, OBReadBalance1DataBalance, OBReadBalance1>;
+
+  iterateTransactions(options?: DateRangeOptions): AsyncGenerator<OBTransaction6>;
+  listTransactions: ListMethod<DateRangeOptions, OBTransaction6, OBReadTransaction6>;
+  getTransaction(accountId: string, transactionId: string, options?: { envelope?: false }): Promise<OBTransaction6 | null>;
+  getTransaction(accountId: string, transactionId: string, options: { envelope: true }): Promise<OBReadTransaction6>;
+
+  iterateBeneficiaries(options?: PageOptions): AsyncGenerator<OBBeneficiary5>;
+  listBeneficiaries: ListMethod<PageOptions, OBBeneficiary5, OBReadBeneficiary5>;
+  iterateAccountBeneficiaries(accountId: string, options?: PageOptions): AsyncGenerator<OBBeneficiary5>;
+  getAccountBeneficiaries: AccountListMethod<PageOptions, OBBeneficiary5, OBReadBeneficiary5>;
+
+  iterateDirectDebits(options?: PageOptions): AsyncGenerator<OBReadDirectDebit2DataDirectDebit>;
+  listDirectDebits: ListMethod<PageOptions, OBReadDirectDebit2DataDirectDebit, OBReadDirectDebit2>;
+  iterateAccountDirectDebits(accountId: string, options?: PageOptions): AsyncGenerator<OBReadDirectDebit2DataDirectDebit>;
+  getAccountDirectDebits: AccountListMethod<PageOptions, OBReadDirectDebit2DataDirectDebit, OBReadDirectDebit2>;
+
+  iterateStandingOrders(options?: PageOptions): AsyncGenerator<OBStandingOrder6>;
+  listStandingOrders: ListMethod<PageOptions, OBStandingOrder6, OBReadStandingOrder6>;
+  iterateAccountStandingOrders(accountId: string, options?: PageOptions): AsyncGenerator<OBStandingOrder6>;
+  getAccountStandingOrders: AccountListMethod<PageOptions, OBStandingOrder6, OBReadStandingOrder6>;
+
+  iterateStatements(accountId: string, options?: PageOptions): AsyncGenerator<OBStatement2>;
+  listStatements: AccountListMethod<PageOptions, OBStatement2, OBReadStatement2>;
+  getStatement(accountId: string, statementId: string, options?: { envelope?: false }): Promise<OBStatement2 | null>;
+  getStatement(accountId: string, statementId: string, options: { envelope: true }): Promise<OBReadStatement2>;
+  iterateStatementTransactions(accountId: string, statementId: string, options?: PageOptions): AsyncGenerator<OBTransaction6>;
+  getStatementTransactions(accountId: string, statementId: string, options?: PageOptions & { envelope?: false }): Promise<OBTransaction6[]>;
+  getStatementTransactions(accountId: string, statementId: string, options: PageOptions & { envelope: true }): Promise<OBReadTransaction6[]>;
+  getStatementFile(accountId: string, statementId: string, options?: { accept?: string }): Promise<Readable>;
+
+  iterateProducts(options?: PageOptions): AsyncGenerator<OBReadProduct2DataProduct>;
+  listProducts: ListMethod<PageOptions, OBReadProduct2DataProduct, OBReadProduct2>;
+  getAccountProduct(accountId: string, options?: { envelope?: false }): Promise<OBReadProduct2DataProduct[]>;
+  getAccountProduct(accountId: string, options: { envelope: true }): Promise<OBReadProduct2>;
+
+  iterateOffers(options?: PageOptions): AsyncGenerator<OBReadOffer1DataOffer>;
+  listOffers: ListMethod<PageOptions, OBReadOffer1DataOffer, OBReadOffer1>;
+  iterateAccountOffers(accountId: string, options?: PageOptions): AsyncGenerator<OBReadOffer1DataOffer>;
+  getAccountOffers: AccountListMethod<PageOptions, OBReadOffer1DataOffer, OBReadOffer1>;
+
+  getParty(options?: { envelope?: false }): Promise<OBParty2 | null>;
+  getParty(options: { envelope: true }): Promise<OBReadParty2>;
+  getAccountParty(accountId: string, options?: { envelope?: false }): Promise<OBParty2 | null>;
+  getAccountParty(accountId: string, options: { envelope: true }): Promise<OBReadParty2>;
+  iterateAccountParties(accountId: string, options?: PageOptions): AsyncGenerator<OBParty2>;
+  getAccountParties: AccountListMethod<PageOptions, OBParty2, OBReadParty3>;
+
+  iterateScheduledPayments(options?: PageOptions): AsyncGenerator<OBScheduledPayment3>;
+  listScheduledPayments: ListMethod<PageOptions, OBScheduledPayment3, OBReadScheduledPayment3>;
+  iterateAccountScheduledPayments(accountId: string, options?: PageOptions): AsyncGenerator<OBScheduledPayment3>;
+  getAccountScheduledPayments: AccountListMethod<PageOptions, OBScheduledPayment3, OBReadScheduledPayment3>;
+}
@@ -0,0 +1,658 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { DEFAULT_RETRY_POLICY, isRetryable, parseRetryAfter, retryDelay, createRateLimiter, sleep } from './retry.js';
+import { validateResponse } from './validation.js';
+
+// Programmatic client for the AISP endpoints. It holds no global state and never
+// reads the CLI's config store; everything it needs comes in through the constructor.
+
+/**
+ * Error thrown for failed API calls. `status` is absent when no response arrived.
+ */
+export class OpenBankingError extends Error {
+  constructor(message, { status, interactionId, body, retries = 0 } = {}) {
+    super(message);
+    this.name = 'OpenBankingError';
+    this.status = status;
+    this.interactionId = interactionId;
+    this.body = body;
+    this.retries = retries;
+  }
+}
+
+/**
+ * Thrown in strict validation mode when a response body breaks the OB v3.1 schema.
+ * `violations` lists each problem as `{ path, message }`.
+ */
+export class ResponseValidationError extends OpenBankingError {
+  constructor(message, { schema, violations, ...details }) {
+    super(message, details);
+    this.name = 'ResponseValidationError';
+    this.schema = schema;
+    this.violations = violations;
+  }
+}
+
+// Pages a list follows when the caller sets no maxPages, so a bank whose Links.Next never
+// runs out cannot keep a command fetching forever
+export const DEFAULT_MAX_PAGES = 1000;
+
+// Violations listed in a warning or error message; the rest are counted
+const MAX_LISTED_VIOLATIONS = 10;
+
+function describeViolations(url, schema, violations) {
+  const listed = violations.slice(0, MAX_LISTED_VIOLATIONS).map(({ path, message }) => `\n  ${path} ${message}`);
+  const more = violations.length > MAX_LISTED_VIOLATIONS ? `\n  ...and ${violations.length - MAX_LISTED_VIOLATIONS} more` : '';
+  return `Response from ${new URL(url).pathname} does not match ${schema}:${listed.join('')}${more}`;
+}
+
+function describeError(error, interactionId, retries) {
+  // Prefer the ID the bank echoed back; that is the one their support desk can trace
+  const echoedId = error.response?.headers?.['x-fapi-interaction-id'] || interactionId;
+  const suffix = echoedId ? ` (x-fapi-interaction-id: ${echoedId})` : '';
+  const gaveUp = retries ? ` Gave up after ${retries} ${retries === 1 ? 'retry' : 'retries'}.` : '';
+
+  if (!error.response) {
+    if (!error.request) return error;
+    return new OpenBankingError(`No response from Open Banking API. Check your internet connection.${gaveUp}${suffix}`, { interactionId: echoedId, retries });
+  }
+
+  const status = error.response.status;
+  const data = error.response.data;
+  const details = { status, interactionId: echoedId, body: typeof data?.pipe === 'function' ? undefined : data, retries };
+
+  if (status === 401) return new OpenBankingError(`Authentication failed. Check your access token.${suffix}`, details);
+  if (status === 403) return new OpenBankingError(`Access forbidden. Check your API permissions.${suffix}`, details);
+  if (status === 404) return new OpenBankingError(`Resource not found.${suffix}`, details);
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    const wait = retryAfter !== null ? ` Retry after ${Math.ceil(retryAfter / 1000)}s.` : ' Please wait before retrying.';
+    return new OpenBankingError(`Rate limit exceeded.${gaveUp}${wait}${suffix}`, details);
+  }
+  if (!details.body) return new OpenBankingError(`API Error (${status})${gaveUp}${suffix}`, details);
+
+  const message = data?.Message || data?.message || data?.error || JSON.stringify(data);
+  return new OpenBankingError(`API Error (${status}): ${message}${gaveUp}${suffix}`, details);
+}
+
+/**
+ * Tag for endpoint paths: every interpolated id is percent-encoded, so an id holding
+ * "/", "?" or "#" stays one path segment. "." and ".." are refused, since URL
+ * normalisation would turn them into a different endpoint even when encoded.
+ */
+function path(strings, ...ids) {
+  return strings.reduce((result, string, index) => {
+    const id = String(ids[index - 1]);
+    if (id === '' || id === '.' || id === '..') throw new Error(`Invalid id "${id}" in ${strings.join('{id}')}`);
+    return result + encodeURIComponent(id) + string;
+  });
+}
+
+function dateParams(fromDate, toDate) {
+  const params = {};
+  if (fromDate) params.fromBookingDateTime = fromDate;
+  if (toDate) params.toBookingDateTime = toDate;
+  return params;
+}
+
+/**
+ * Records in a response body: the length of the array under Data (Account, Transaction, ...),
+ * 1 for a single object such as a consent, null when there is no JSON body
+ */
+function countRecords(body) {
+  const data = body?.Data;
+  if (!data || typeof data !== 'object') return null;
+  const list = Object.values(data).find(Array.isArray);
+  return list ? list.length : 1;
+}
+
+/**
+ * `url` with `params` added to its query string, as sent; unset params are left out
+ */
+function withQuery(url, params) {
+  const full = new URL(url);
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) full.searchParams.set(key, value);
+  });
+  return full;
+}
+
+/**
+ * Identity of a page for spotting Links.Next loops: the absolute URL with its query
+ * parameters sorted and encoded one way, since banks differ from axios in both
+ */
+function pageKey(url) {
+  const key = new URL(url);
+  key.searchParams.sort();
+  return key.href;
+}
+
+/**
+ * Drain an async iterator into an array, stopping early at `limit` records
+ */
+async function collect(iterator, limit) {
+  const results = [];
+  for await (const record of iterator) {
+    results.push(record);
+    if (limit && results.length >= limit) break;
+  }
+  return results;
+}
+
+export class OpenBankingClient {
+  #baseUrl;
+  #tokenProvider;
+  #clientTokenProvider;
+  #httpsAgent;
+  #headers;
+  #logger;
+  #retry;
+  #limiter;
+  #validate;
+  #onRequest;
+  #maxPages;
+
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl ASPSP API base URL, before the version segment
+   * @param {string} [options.apiVersion='v3.1']
+   * @param {string} [options.accessToken] Fixed user access token; or use tokenProvider
+   * @param {Function} [options.tokenProvider] `({ forceRefresh }) => token`; asked again with forceRefresh after a 401
+   * @param {Function} [options.clientTokenProvider] Client credentials token for the consent endpoints
+   * @param {import('https').Agent} [options.httpsAgent] Agent carrying the transport certificate
+   * @param {object|Function} [options.headers] Extra headers (e.g. x-fapi-financial-id), or a function returning them
+   * @param {{ debug: Function, warn?: Function }} [options.logger] `debug` receives one line per attempt, retry and
+   *   rate-limit wait; `warn` receives schema violations
+   * @param {{ maxRetries?: number, baseDelay?: number }} [options.retry] Backoff for GETs failing with 429, 5xx or network errors
+   * @param {number} [options.rateLimit=0] Requests per second per host; 0 disables throttling
+   * @param {boolean|'warn'|'strict'} [options.validate=false] Check JSON responses against the OB v3.1 schemas;
+   *   `true` or "warn" reports violations to `logger.warn`, "strict" throws ResponseValidationError
+   * @param {number} [options.maxPages=1000] Pages a list follows when the call sets no maxPages
+   * @param {Function} [options.onRequest] Called once per request, after any retries, with
+   *   `{ method, endpoint, query, status, error, interactionId, records, attempts, durationMs }`;
+   *   never the token or a body
+   */
+  constructor({
+    baseUrl,
+    apiVersion = 'v3.1',
+    accessToken,
+    tokenProvider,
+    clientTokenProvider,
+    httpsAgent,
+    headers = {},
+    logger,
+    retry = {},
+    rateLimit = 0,
+    validate = false,
+    maxPages = DEFAULT_MAX_PAGES,
+    onRequest
+  } = {}) {
+    if (!baseUrl) throw new Error('OpenBankingClient needs a baseUrl');
+
+    this.#baseUrl = `${baseUrl.replace(/\/$/, '')}/${apiVersion}/aisp`;
+    this.#tokenProvider = tokenProvider || (accessToken ? () => accessToken : null);
+    this.#clientTokenProvider = clientTokenProvider || null;
+    this.#httpsAgent = httpsAgent;
+    this.#headers = headers;
+    this.#logger = logger;
+    this.#retry = { ...DEFAULT_RETRY_POLICY, ...retry };
+    this.#limiter = createRateLimiter(rateLimit, message => this.#log(message));
+    this.#validate = validate === true ? 'warn' : validate;
+    this.#onRequest = onRequest;
+    this.#maxPages = maxPages;
+  }
+
+  get baseUrl() {
+    return this.#baseUrl;
+  }
+
+  #log(message) {
+    this.#logger?.debug?.(message);
+  }
+
+  /**
+   * Check a JSON body against the schema for its endpoint: warn through the logger,
+   * or throw in strict mode
+   */
+  #checkResponse(url, response, interactionId) {
+    const result = validateResponse(url, response.data);
+    if (!result?.violations.length) return;
+
+    const message = describeViolations(url, result.schema, result.violations);
+    if (this.#validate !== 'strict') {
+      this.#logger?.warn?.(message);
+      return;
+    }
+    throw new ResponseValidationError(message, {
+      schema: result.schema,
+      violations: result.violations,
+      status: response.status,
+      interactionId: response.headers?.['x-fapi-interaction-id'] || interactionId,
+      body: response.data
+    });
+  }
+
+  /**
+   * Tell onRequest how a request ended. The query string includes params sent separately, so
+   * each page of a list shows its date window. A failing callback never fails the request.
+   */
+  #report(method, url, params, outcome) {
+    if (!this.#onRequest) return;
+    const full = withQuery(url, params);
+    const base = new URL(this.#baseUrl).pathname;
+    const endpoint = full.pathname.startsWith(base) ? full.pathname.slice(base.length) || '/' : full.pathname;
+    try {
+      this.#onRequest({ method, endpoint, query: full.search.slice(1), ...outcome });
+    } catch (error) {
+      this.#logger?.warn?.(`onRequest failed: ${error.message}`);
+    }
+  }
+
+  #url(endpoint) {
+    return endpoint.startsWith('http') ? endpoint : `${this.#baseUrl}${endpoint}`;
+  }
+
+  async #token(useClientToken, forceRefresh = false) {
+    const provider = useClientToken ? this.#clientTokenProvider : this.#tokenProvider;
+    if (!provider) {
+      throw new Error(useClientToken
+        ? 'Consent endpoints need a clientTokenProvider'
+        : 'No access token: pass accessToken or tokenProvider');
+    }
+    const token = await provider({ forceRefresh });
+    if (!token) throw new Error('Token provider returned no access token');
+    return token;
+  }
+
+  /**
+   * Make an authenticated request and return the parsed response body.
+   * GETs that fail with 429, 5xx or a network error are retried with backoff; after a 401
+   * the token provider is asked once for a fresh token.
+   *
+   * @param {string} method
+   * @param {string} endpoint Path below /aisp, or a fully qualified URL (e.g. Links.Next)
+   * @param {object} [options] `{ data, params, accept, responseType, clientToken }`
+   */
+  async request(method, endpoint, { data = null, params = null, accept, responseType, clientToken = false } = {}) {
+    const url = this.#url(endpoint);
+    let accessToken = await this.#token(clientToken);
+    let refreshed = false;
+    const began = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      const interactionId = crypto.randomUUID();
+      const extraHeaders = typeof this.#headers === 'function' ? this.#headers() : this.#headers;
+      const config = {
+        method,
+        url,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': accept || 'application/json',
+          'Content-Type': 'application/json',
+          ...extraHeaders,
+          'x-fapi-interaction-id': interactionId
+        },
+        httpsAgent: this.#httpsAgent
+      };
+
+      if (params) config.params = params;
+      if (data) config.data = data;
+      if (responseType) config.responseType = responseType;
+
+      await this.#limiter.acquire(url);
+      this.#log(`${method} ${url} attempt ${attempt}/${this.#retry.maxRetries + 1} x-fapi-interaction-id: ${interactionId}`);
+      const started = Date.now();
+
+      try {
+        const response = await axios(config);
+        this.#log(`${response.status} in ${Date.now() - started}ms x-fapi-interaction-id: ${response.headers?.['x-fapi-interaction-id'] || interactionId}`);
+        this.#report(method, url, params, {
+          status: response.status,
+          error: null,
+          interactionId: response.headers?.['x-fapi-interaction-id'] || interactionId,
+          records: responseType ? null : countRecords(response.data),
+          attempts: attempt,
+          durationMs: Date.now() - began
+        });
+        if (this.#validate && !responseType && method !== 'DELETE') this.#checkResponse(url, response, interactionId);
+        return response.data;
+      } catch (error) {
+        if (error instanceof ResponseValidationError) throw error;
+        const status = error.response?.status;
+        this.#log(`${status || error.code || 'error'} in ${Date.now() - started}ms x-fapi-interaction-id: ${error.response?.headers?.['x-fapi-interaction-id'] || interactionId}`);
+
+        if (status === 401 && !refreshed) {
+          refreshed = true;
+          const fresh = await this.#token(clientToken, true);
+          if (fresh !== accessToken) {
+            accessToken = fresh;
+            attempt--;
+            continue;
+          }
+        }
+
+        const delay = attempt <= this.#retry.maxRetries && isRetryable(method, error)
+          ? retryDelay(attempt, this.#retry, parseRetryAfter(error.response?.headers?.['retry-after']))
+          : null;
+        if (delay !== null) {
+          this.#log(`Retrying in ${delay}ms`);
+          await sleep(delay);
+          continue;
+        }
+
+        this.#report(method, url, params, {
+          status: status ?? null,
+          error: status ? null : error.code || error.message,
+          interactionId: error.response?.headers?.['x-fapi-interaction-id'] || interactionId,
+          records: null,
+          attempts: attempt,
+          durationMs: Date.now() - began
+        });
+        throw describeError(error, interactionId, attempt - 1);
+      }
+    }
+  }
+
+  /**
+   * Walk a paginated list endpoint, following Links.Next until the last page.
+   * Yields individual records from Data[key], or whole response bodies with `envelope`.
+   * Stops with a warning when Links.Next points back at a page already read, or when the
+   * client's page cap is reached without a maxPages of the caller's own.
+   */
+  async* paginate(endpoint, key, params = {}, { page, maxPages, envelope = false } = {}) {
+    let url = endpoint;
+    let query = { ...params };
+    if (page) query.page = page;
+
+    let pageNumber = page || 1;
+    let fetched = 0;
+    const visited = new Set();
+    const cap = maxPages || this.#maxPages;
+
+    while (url) {
+      visited.add(pageKey(withQuery(this.#url(url), query)));
+      const body = await this.request('GET', url, { params: query });
+      fetched++;
+
+      if (envelope) yield body;
+      else yield* body.Data?.[key] || [];
+
+      const next = body.Links?.Next;
+      const totalPages = body.Meta?.TotalPages;
+      if (!next) break;
+      if (totalPages && pageNumber >= totalPages) break;
+      if (visited.has(pageKey(this.#url(next)))) {
+        this.#logger?.warn?.(`Links.Next of ${endpoint} returns to a page already read (${next}); stopping after ${fetched} pages`);
+        break;
+      }
+      if (cap && fetched >= cap) {
+        if (!maxPages) this.#logger?.warn?.(`Stopped ${endpoint} after ${fetched} pages; pass maxPages to read further`);
+        break;
+      }
+
+      // Links.Next is a fully qualified URL that already carries the query string
+      url = next;
+      query = null;
+      pageNumber++;
+    }
+  }
+
+  #list(endpoint, key, params, options = {}) {
+    return collect(this.paginate(endpoint, key, params, options), options.envelope ? null : options.limit);
+  }
+
+  async #get(endpoint, pick, { envelope = false } = {}) {
+    const body = await this.request('GET', endpoint);
+    return envelope ? body : pick(body.Data);
+  }
+
+  // ============================================================
+  // CONSENTS
+  // ============================================================
+
+  async createAccountAccessConsent({ permissions, expirationDateTime, fromDate, toDate }, { envelope = false } = {}) {
+    const consent = { Permissions: permissions };
+    if (expirationDateTime) consent.ExpirationDateTime = expirationDateTime;
+    if (fromDate) consent.TransactionFromDateTime = fromDate;
+    if (toDate) consent.TransactionToDateTime = toDate;
+
+    const body = await this.request('POST', '/account-access-consents', { data: { Data: consent, Risk: {} }, clientToken: true });
+    return envelope ? body : body.Data || null;
+  }
+
+  async getAccountAccessConsent(consentId, { envelope = false } = {}) {
+    const body = await this.request('GET', path`/account-access-consents/${consentId}`, { clientToken: true });
+    return envelope ? body : body.Data || null;
+  }
+
+  async deleteAccountAccessConsent(consentId) {
+    await this.request('DELETE', path`/account-access-consents/${consentId}`, { clientToken: true });
+  }
+
+  // ============================================================
+  // ACCOUNTS
+  // ============================================================
+
+  iterateAccounts(options = {}) {
+    return this.paginate('/accounts', 'Account', {}, options);
+  }
+
+  listAccounts(options = {}) {
+    return this.#list('/accounts', 'Account', {}, options);
+  }
+
+  getAccount(accountId, options) {
+    return this.#get(path`/accounts/${accountId}`, data => data?.Account?.[0] || null, options);
+  }
+
+  iterateAccountBalances(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/balances`, 'Balance', {}, options);
+  }
+
+  getAccountBalances(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/balances`, 'Balance', {}, options);
+  }
+
+  iterateAccountTransactions(accountId, { fromDate, toDate, ...options } = {}) {
+    return this.paginate(path`/accounts/${accountId}/transactions`, 'Transaction', dateParams(fromDate, toDate), options);
+  }
+
+  getAccountTransactions(accountId, { fromDate, toDate, ...options } = {}) {
+    return this.#list(path`/accounts/${accountId}/transactions`, 'Transaction', dateParams(fromDate, toDate), options);
+  }
+
+  // ============================================================
+  // BALANCES
+  // ============================================================
+
+  iterateBalances(options = {}) {
+    return this.paginate('/balances', 'Balance', {}, options);
+  }
+
+  listBalances(options = {}) {
+    return this.#list('/balances', 'Balance', {}, options);
+  }
+
+  // ============================================================
+  // TRANSACTIONS
+  // ============================================================
+
+  iterateTransactions({ fromDate, toDate, ...options } = {}) {
+    return this.paginate('/transactions', 'Transaction', dateParams(fromDate, toDate), options);
+  }
+
+  listTransactions({ fromDate, toDate, ...options } = {}) {
+    return this.#list('/transactions', 'Transaction', dateParams(fromDate, toDate), options);
+  }
+
+  getTransaction(accountId, transactionId, options) {
+    return this.#get(path`/accounts/${accountId}/transactions/${transactionId}`, data => data?.Transaction?.[0] || null, options);
+  }
+
+  // ============================================================
+  // BENEFICIARIES
+  // ============================================================
+
+  iterateBeneficiaries(options = {}) {
+    return this.paginate('/beneficiaries', 'Beneficiary', {}, options);
+  }
+
+  listBeneficiaries(options = {}) {
+    return this.#list('/beneficiaries', 'Beneficiary', {}, options);
+  }
+
+  iterateAccountBeneficiaries(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/beneficiaries`, 'Beneficiary', {}, options);
+  }
+
+  getAccountBeneficiaries(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/beneficiaries`, 'Beneficiary', {}, options);
+  }
+
+  // ============================================================
+  // DIRECT DEBITS
+  // ============================================================
+
+  iterateDirectDebits(options = {}) {
+    return this.paginate('/direct-debits', 'DirectDebit', {}, options);
+  }
+
+  listDirectDebits(options = {}) {
+    return this.#list('/direct-debits', 'DirectDebit', {}, options);
+  }
+
+  iterateAccountDirectDebits(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/direct-debits`, 'DirectDebit', {}, options);
+  }
+
+  getAccountDirectDebits(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/direct-debits`, 'DirectDebit', {}, options);
+  }
+
+  // ============================================================
+  // STANDING ORDERS
+  // ============================================================
+
+  iterateStandingOrders(options = {}) {
+    return this.paginate('/standing-orders', 'StandingOrder', {}, options);
+  }
+
+  listStandingOrders(options = {}) {
+    return this.#list('/standing-orders', 'StandingOrder', {}, options);
+  }
+
+  iterateAccountStandingOrders(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/standing-orders`, 'StandingOrder', {}, options);
+  }
+
+  getAccountStandingOrders(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/standing-orders`, 'StandingOrder', {}, options);
+  }
+
+  // ============================================================
+  // STATEMENTS
+  // ============================================================
+
+  iterateStatements(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/statements`, 'Statement', {}, options);
+  }
+
+  listStatements(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/statements`, 'Statement', {}, options);
+  }
+
+  getStatement(accountId, statementId, options) {
+    return this.#get(path`/accounts/${accountId}/statements/${statementId}`, data => data?.Statement?.[0] || null, options);
+  }
+
+  iterateStatementTransactions(accountId, statementId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/statements/${statementId}/transactions`, 'Transaction', {}, options);
+  }
+
+  getStatementTransactions(accountId, statementId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/statements/${statementId}/transactions`, 'Transaction', {}, options);
+  }
+
+  /**
+   * Stream the statement file (usually a PDF) as returned by the bank
+   */
+  getStatementFile(accountId, statementId, { accept = 'application/pdf' } = {}) {
+    return this.request('GET', path`/accounts/${accountId}/statements/${statementId}/file`, { accept, responseType: 'stream' });
+  }
+
+  // ============================================================
+  // PRODUCTS
+  // ============================================================
+
+  iterateProducts(options = {}) {
+    return this.paginate('/products', 'Product', {}, options);
+  }
+
+  listProducts(options = {}) {
+    return this.#list('/products', 'Product', {}, options);
+  }
+
+  getAccountProduct(accountId, options) {
+    return this.#get(path`/accounts/${accountId}/product`, data => data?.Product || [], options);
+  }
+
+  // ============================================================
+  // OFFERS
+  // ============================================================
+
+  iterateOffers(options = {}) {
+    return this.paginate('/offers', 'Offer', {}, options);
+  }
+
+  listOffers(options = {}) {
+    return this.#list('/offers', 'Offer', {}, options);
+  }
+
+  iterateAccountOffers(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/offers`, 'Offer', {}, options);
+  }
+
+  getAccountOffers(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/offers`, 'Offer', {}, options);
+  }
+
+  // ============================================================
+  // PARTIES
+  // ============================================================
+
+  getParty(options) {
+    return this.#get('/party', data => data?.Party || null, options);
+  }
+
+  getAccountParty(accountId, options) {
+    return this.#get(path`/accounts/${accountId}/party`, data => data?.Party || null, options);
+  }
+
+  iterateAccountParties(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/parties`, 'Party', {}, options);
+  }
+
+  getAccountParties(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/parties`, 'Party', {}, options);
+  }
+
+  // ============================================================
+  // SCHEDULED PAYMENTS
+  // ============================================================
+
+  iterateScheduledPayments(options = {}) {
+    return this.paginate('/scheduled-payments', 'ScheduledPayment', {}, options);
+  }
+
+  listScheduledPayments(options = {}) {
+    return this.#list('/scheduled-payments', 'ScheduledPayment', {}, options);
+  }
+
+  iterateAccountScheduledPayments(accountId, options = {}) {
+    return this.paginate(path`/accounts/${accountId}/scheduled-payments`, 'ScheduledPayment', {}, options);
+  }
+
+  getAccountScheduledPayments(accountId, options = {}) {
+    return this.#list(path`/accounts/${accountId}/scheduled-payments`, 'ScheduledPayment', {}, options);
+  }
+}
@@ -0,0 +1,264 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenBankingClient } from './client.js';
+import { startServer } from './testkit.js';
+
+function createClient(baseUrl, options = {}) {
+  const warnings = [];
+  const debug = [];
+  const client = new OpenBankingClient({
+    baseUrl,
+    accessToken: 'test-token',
+    retry: { maxRetries: 0 },
+    logger: { debug: message => debug.push(message), warn: message => warnings.push(message) },
+    ...options
+  });
+  return { client, warnings, debug };
+}
+
+/**
+ * Server for /accounts whose page n links to next(n), or to nothing when that returns null.
+ * Page 1 is linked by its bare URL, as the first request asks for it.
+ */
+function accountPages(next, extra = {}) {
+  return startServer((req, url) => {
+    const n = Number(url.searchParams.get('page') || 1);
+    const to = next(n);
+    const link = `http://${req.headers.host}/open-banking/v3.1/aisp/accounts${to === 1 ? '' : `?page=${to}`}`;
+    return {
+      body: {
+        Data: { Account: [{ AccountId: `${n}a` }, { AccountId: `${n}b` }] },
+        Links: to ? { Next: link } : {},
+        ...extra
+      }
+    };
+  });
+}
+
+describe('paginate', () => {
+  test('follows Links.Next until the last page', async () => {
+    const server = await accountPages(n => (n < 3 ? n + 1 : null));
+    try {
+      const { client } = createClient(server.baseUrl);
+      const accounts = await client.listAccounts();
+      assert.deepEqual(accounts.map(a => a.AccountId), ['1a', '1b', '2a', '2b', '3a', '3b']);
+      assert.equal(server.requests.length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('stops when Links.Next alternates between two pages', async () => {
+    const server = await accountPages(n => (n === 2 ? 3 : 2));
+    try {
+      const { client, warnings } = createClient(server.baseUrl);
+      const accounts = await client.listAccounts();
+      assert.equal(accounts.length, 6);
+      assert.equal(server.requests.length, 3);
+      assert.match(warnings[0], /page already read/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('stops when Links.Next points back at the first page', async () => {
+    const server = await accountPages(() => 1);
+    try {
+      const { client, warnings } = createClient(server.baseUrl);
+      assert.deepEqual((await client.listAccounts()).map(a => a.AccountId), ['1a', '1b']);
+      assert.equal(server.requests.length, 1);
+      assert.match(warnings[0], /page already read/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('recognises a page linked with its query in another order or encoding', async () => {
+    const server = await startServer((req, url) => ({
+      body: {
+        Data: { Transaction: [{ TransactionId: url.search }] },
+        Links: { Next: `http://${req.headers.host}${url.pathname}?toBookingDateTime=2024-06-30T00%3A00%3A00&fromBookingDateTime=2024-06-01T00:00:00` }
+      }
+    }));
+    try {
+      const { client } = createClient(server.baseUrl);
+      const transactions = await client.getAccountTransactions('a1', { fromDate: '2024-06-01T00:00:00', toDate: '2024-06-30T00:00:00' });
+      assert.equal(transactions.length, 1);
+      assert.equal(server.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('stops at the page cap when Links.Next never runs out', async () => {
+    const server = await accountPages(n => n + 1);
+    try {
+      const { client, warnings } = createClient(server.baseUrl, { maxPages: 5 });
+      assert.equal((await client.listAccounts()).length, 10);
+      assert.equal(server.requests.length, 5);
+      assert.match(warnings[0], /Stopped \/accounts after 5 pages/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test("the call's maxPages wins over the cap, without a warning", async () => {
+    const server = await accountPages(n => n + 1);
+    try {
+      const { client, warnings } = createClient(server.baseUrl, { maxPages: 5 });
+      assert.equal((await client.listAccounts({ maxPages: 2 })).length, 4);
+      assert.deepEqual(warnings, []);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('stops at Meta.TotalPages', async () => {
+    const server = await accountPages(n => n + 1, { Meta: { TotalPages: 2 } });
+    try {
+      const { client } = createClient(server.baseUrl);
+      assert.equal((await client.listAccounts()).length, 4);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('limit stops early; envelope yields whole bodies; page starts later', async () => {
+    const server = await accountPages(n => (n < 3 ? n + 1 : null));
+    try {
+      const { client } = createClient(server.baseUrl);
+      assert.deepEqual((await client.listAccounts({ limit: 3 })).map(a => a.AccountId), ['1a', '1b', '2a']);
+      assert.equal(server.requests.length, 2);
+
+      const bodies = await client.listAccounts({ envelope: true });
+      assert.equal(bodies.length, 3);
+      assert.ok(bodies[0].Links.Next);
+
+      assert.deepEqual((await client.listAccounts({ page: 3 })).map(a => a.AccountId), ['3a', '3b']);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('products, offers, parties and scheduled payments', () => {
+  test('read their endpoints and pick the records out of Data', async () => {
+    const bodies = {
+      '/products': { Data: { Product: [{ ProductId: 'p1' }] } },
+      '/accounts/a1/product': { Data: { Product: [{ ProductId: 'p2' }] } },
+      '/offers': { Data: { Offer: [{ OfferId: 'o1' }] } },
+      '/accounts/a1/offers': { Data: { Offer: [{ OfferId: 'o2' }] } },
+      '/party': { Data: { Party: { PartyId: 'me' } } },
+      '/accounts/a1/party': { Data: { Party: { PartyId: 'holder' } } },
+      '/accounts/a1/parties': { Data: { Party: [{ PartyId: 'holder' }, { PartyId: 'joint' }] } },
+      '/scheduled-payments': { Data: { ScheduledPayment: [{ ScheduledPaymentId: 's1' }] } },
+      '/accounts/a1/scheduled-payments': { Data: { ScheduledPayment: [{ ScheduledPaymentId: 's2' }] } }
+    };
+    const server = await startServer((req, url) => ({ body: { Links: {}, ...bodies[url.pathname.replace('/open-banking/v3.1/aisp', '')] } }));
+    try {
+      const { client } = createClient(server.baseUrl);
+      assert.deepEqual(await client.listProducts(), [{ ProductId: 'p1' }]);
+      assert.deepEqual(await client.getAccountProduct('a1'), [{ ProductId: 'p2' }]);
+      assert.deepEqual(await client.listOffers(), [{ OfferId: 'o1' }]);
+      assert.deepEqual(await client.getAccountOffers('a1'), [{ OfferId: 'o2' }]);
+      assert.deepEqual(await client.getParty(), { PartyId: 'me' });
+      assert.deepEqual(await client.getAccountParty('a1'), { PartyId: 'holder' });
+      assert.deepEqual((await client.getAccountParties('a1')).map(p => p.PartyId), ['holder', 'joint']);
+      assert.deepEqual(await client.listScheduledPayments(), [{ ScheduledPaymentId: 's1' }]);
+      assert.deepEqual(await client.getAccountScheduledPayments('a1'), [{ ScheduledPaymentId: 's2' }]);
+      assert.equal(server.requests.length, Object.keys(bodies).length);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('a statement file streams with the requested media type', async () => {
+    const server = await startServer(() => ({ body: '%PDF-1.4 statement', headers: { 'Content-Type': 'application/pdf' } }));
+    try {
+      const { client } = createClient(server.baseUrl);
+      const stream = await client.getStatementFile('a1', 's1');
+      const chunks = [];
+      for await (const chunk of stream) chunks.push(chunk);
+      assert.equal(Buffer.concat(chunks).toString(), '%PDF-1.4 statement');
+      assert.equal(server.requests[0].path, '/open-banking/v3.1/aisp/accounts/a1/statements/s1/file');
+      assert.equal(server.requests[0].headers.accept, 'application/pdf');
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('retries', () => {
+  test('a GET is repeated after 503 and 429, honouring Retry-After, and each attempt is logged', async () => {
+    const server = await startServer((req, url, count) => {
+      if (count === 1) return { status: 503, body: {} };
+      if (count === 2) return { status: 429, body: {}, headers: { 'Retry-After': '0' } };
+      return { body: { Data: { Account: [{ AccountId: '1' }] }, Links: {} } };
+    });
+    try {
+      const { client, debug } = createClient(server.baseUrl, { retry: { maxRetries: 2, baseDelay: 1 } });
+      assert.deepEqual(await client.listAccounts(), [{ AccountId: '1' }]);
+      assert.equal(server.requests.length, 3);
+
+      const attempts = debug.filter(line => line.startsWith('GET '));
+      assert.deepEqual(attempts.map(line => / attempt (\d\/\d) /.exec(line)[1]), ['1/3', '2/3', '3/3']);
+      const ids = server.requests.map(request => request.headers['x-fapi-interaction-id']);
+      ids.forEach((id, index) => assert.ok(attempts[index].endsWith(`x-fapi-interaction-id: ${id}`)));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('gives up after maxRetries and says so', async () => {
+    const server = await startServer(() => ({ status: 502, body: {} }));
+    try {
+      const { client } = createClient(server.baseUrl, { retry: { maxRetries: 2, baseDelay: 1 } });
+      await assert.rejects(client.listAccounts(), /Gave up after 2 retries/);
+      assert.equal(server.requests.length, 3);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('other methods and client errors are not repeated', async () => {
+    const server = await startServer((req) => ({ status: req.method === 'GET' ? 404 : 503, body: {} }));
+    try {
+      const { client } = createClient(server.baseUrl, { retry: { maxRetries: 3, baseDelay: 1 } });
+      await assert.rejects(client.request('DELETE', '/account-access-consents/c1'));
+      await assert.rejects(client.getAccount('a1'), /Resource not found/);
+      assert.equal(server.requests.length, 2);
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+describe('path parameters', () => {
+  test('are percent-encoded so an id stays one segment', async () => {
+    const server = await startServer(() => ({ body: { Data: { Statement: [{ StatementId: 's' }] }, Links: {} } }));
+    try {
+      const { client } = createClient(server.baseUrl);
+      await client.getStatement('../../party?x=1#', 'a/b c');
+      await client.getAccountBalances('22289');
+      assert.deepEqual(server.requests.map(request => request.url), [
+        '/open-banking/v3.1/aisp/accounts/..%2F..%2Fparty%3Fx%3D1%23/statements/a%2Fb%20c',
+        '/open-banking/v3.1/aisp/accounts/22289/balances'
+      ]);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('dot segments and empty ids are refused before any request', async () => {
+    const server = await startServer(() => ({ body: {} }));
+    try {
+      const { client } = createClient(server.baseUrl);
+      await assert.rejects(async () => client.getAccount('..'), /Invalid id "\.\." in \/accounts\/\{id\}/);
+      await assert.rejects(async () => client.getAccountTransactions('.'), /Invalid id "\."/);
+      await assert.rejects(async () => client.deleteAccountAccessConsent(''), /Invalid id ""/);
+      assert.equal(server.requests.length, 0);
+    } finally {
+      await server.close();
+    }
+  });
+});
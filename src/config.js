@@ -1,43 +1,552 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
 import Conf from 'conf';
+import {
+  SECRET_KEYS,
+  SECRET_ENV,
+  PASSPHRASE_ENV,
+  generateKey,
+  generateSalt,
+  deriveKey,
+  createCheck,
+  verifyCheck,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  runSecretCommand
+} from './secrets.js';
+
+export const DEFAULT_PROFILE = 'default';
+
+// Directory to keep the configuration (and the store, snapshots and audit log beside it) in
+export const CONFIG_DIR_ENV = 'OBACCOUNT_CONFIG_DIR';
+
+// Name reported by getActiveProfile() while --sandbox is in effect
+export const SANDBOX_PROFILE = 'sandbox';
+
+// Settings stored per profile; each bank connection has its own copy
+const PROFILE_SCHEMA = {
+  baseUrl: {
+    type: 'string',
+    default: 'https://api.openbanking.org.uk/open-banking'
+  },
+  apiVersion: {
+    type: 'string',
+    default: 'v3.1'
+  },
+  accessToken: {
+    type: 'string',
+    default: ''
+  },
+  tokenCommand: {
+    type: 'string',
+    default: ''
+  },
+  tokenExpiry: {
+    type: 'number',
+    default: 0
+  },
+  refreshToken: {
+    type: 'string',
+    default: ''
+  },
+  clientId: {
+    type: 'string',
+    default: ''
+  },
+  clientSecret: {
+    type: 'string',
+    default: ''
+  },
+  tokenUrl: {
+    type: 'string',
+    default: ''
+  },
+  authorizeUrl: {
+    type: 'string',
+    default: ''
+  },
+  redirectUri: {
+    type: 'string',
+    default: 'http://127.0.0.1:8765/callback'
+  },
+  consentId: {
+    type: 'string',
+    default: ''
+  },
+  authDate: {
+    type: 'string',
+    default: ''
+  },
+  certPath: {
+    type: 'string',
+    default: ''
+  },
+  keyPath: {
+    type: 'string',
+    default: ''
+  },
+  caPath: {
+    type: 'string',
+    default: ''
+  },
+  certPassphrase: {
+    type: 'string',
+    default: ''
+  },
+  financialId: {
+    type: 'string',
+    default: ''
+  },
+  customerIpAddress: {
+    type: 'string',
+    default: ''
+  },
+  maxRetries: {
+    type: 'number',
+    default: 3
+  },
+  retryBaseDelay: {
+    type: 'number',
+    default: 500
+  },
+  rateLimit: {
+    type: 'number',
+    default: 5
+  },
+  categoryRules: {
+    type: 'string',
+    default: ''
+  },
+  ratesFile: {
+    type: 'string',
+    default: ''
+  },
+  balanceType: {
+    type: 'string',
+    default: ''
+  },
+  webhookUrl: {
+    type: 'string',
+    default: ''
+  },
+  redactOutput: {
+    type: 'boolean',
+    default: false
+  }
+};
+
+// Settings kept when a profile's credentials are cleared
+const CONNECTION_KEYS = ['baseUrl', 'apiVersion', 'tokenCommand', 'maxRetries', 'retryBaseDelay', 'rateLimit', 'categoryRules', 'ratesFile', 'balanceType', 'webhookUrl', 'redactOutput'];
 
 const config = new Conf({
   projectName: 'openbankingorgukacco-cli',
+  // A separate configuration directory, e.g. for CI jobs or tests
+  ...(process.env[CONFIG_DIR_ENV] ? { cwd: process.env[CONFIG_DIR_ENV] } : {}),
   schema: {
-    accessToken: {
+    currentProfile: {
       type: 'string',
-      default: ''
+      default: DEFAULT_PROFILE
+    },
+    profiles: {
+      type: 'object',
+      default: {},
+      additionalProperties: {
+        type: 'object',
+        properties: PROFILE_SCHEMA
+      }
     },
-    tokenExpiry: {
-      type: 'number',
-      default: 0
+    // How secrets are encrypted: with a random key kept in a file next to the config ("keyfile"),
+    // or with a key derived from the user's passphrase ("passphrase", see: config lock)
+    encryption: {
+      type: 'object',
+      default: { mode: 'keyfile' },
+      properties: {
+        mode: { type: 'string', enum: ['keyfile', 'passphrase'] },
+        salt: { type: 'string' },
+        check: { type: 'string' }
+      }
+    },
+    // Key for --redact pseudonyms; shared by every profile so an account seen through two
+    // banks gets the same token
+    redaction: {
+      type: 'object',
+      default: {},
+      properties: {
+        key: { type: 'string' }
+      }
     }
   }
 });
 
+// Key for the stored secrets, once known in this process
+let secretKey = null;
+
+// Access tokens printed by tokenCommand, per profile, so the command runs once per process
+const commandTokens = new Map();
+
+migrateLegacyConfig();
+migratePlaintextSecrets();
+
+// Set by the global --profile option; overrides currentProfile for this run
+let activeProfile = null;
+
+// The profile the run selected, while switchProfile() visits others. Secret environment
+// variables belong to it alone, so --all-profiles never sends them to another bank.
+let selectedProfile = null;
+
+// Set by the global --sandbox option; in-memory settings that replace every profile
+let sandbox = null;
+
+/**
+ * Move settings from the single-profile layout into the default profile
+ */
+function migrateLegacyConfig() {
+  const legacy = Object.keys(PROFILE_SCHEMA).filter(key => config.has(key));
+  if (legacy.length === 0) return;
+
+  const profile = config.get(`profiles.${DEFAULT_PROFILE}`) || {};
+  legacy.forEach(key => {
+    profile[key] = config.get(key);
+    config.delete(key);
+  });
+  config.set(`profiles.${DEFAULT_PROFILE}`, profile);
+}
+
+/**
+ * Encrypt secrets written by versions that stored them in plaintext. A locked config is
+ * migrated once the passphrase is known. An unlocked one is locked with PASSPHRASE_ENV when
+ * that is set; otherwise the secrets go to the key file, which anyone able to read the
+ * config can also read, so the user is told how to lock it.
+ */
+function migratePlaintextSecrets() {
+  if (isLocked() && !secretKey) return;
+  const profiles = config.get('profiles');
+  const plaintext = Object.values(profiles).some(profile => SECRET_KEYS.some(key => profile[key] && !isEncrypted(profile[key])));
+  if (!plaintext) return;
+
+  if (!isLocked() && process.env[PASSPHRASE_ENV]) {
+    lockConfig(process.env[PASSPHRASE_ENV]);
+    return;
+  }
+
+  const key = loadSecretKey();
+  Object.values(profiles).forEach(profile => {
+    SECRET_KEYS.forEach(name => {
+      if (profile[name] && !isEncrypted(profile[name])) profile[name] = encryptSecret(key, name, profile[name]);
+    });
+  });
+  config.set('profiles', profiles);
+
+  if (!isLocked()) {
+    process.stderr.write([
+      `Warning: plaintext secrets in ${config.path} were encrypted with the key in ${getKeyFilePath()}.`,
+      'Anyone who can read both files can decrypt them; the key file only hides secrets from casual view.',
+      `To protect them with a passphrase, run: openbankingorgukacco config lock (or set ${PASSPHRASE_ENV} and run any command).`,
+      ''
+    ].join('\n'));
+  }
+}
+
+function profileDefaults() {
+  return Object.fromEntries(Object.entries(PROFILE_SCHEMA).map(([key, schema]) => [key, schema.default]));
+}
+
+function profilePath(name) {
+  return `profiles.${name}`;
+}
+
+// ============================================================
+// Profiles
+// ============================================================
+
+export function getActiveProfile() {
+  if (sandbox) return SANDBOX_PROFILE;
+  return activeProfile || config.get('currentProfile');
+}
+
+/**
+ * Serve settings from memory for the rest of this process, leaving stored profiles untouched.
+ * Tokens obtained while sandboxed are never written to disk.
+ */
+export function useSandbox(values) {
+  sandbox = { ...profileDefaults(), ...values };
+}
+
+export function isSandbox() {
+  return !!sandbox;
+}
+
+/**
+ * Select the profile used for the rest of this process without persisting it
+ */
+export function setActiveProfile(name) {
+  switchProfile(name);
+  selectedProfile = name;
+}
+
+/**
+ * Make another profile active for a while, e.g. to read every profile. Secret environment
+ * variables stay with the profile the run selected.
+ */
+export function switchProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist. Run: openbankingorgukacco profile list`);
+  }
+  activeProfile = name;
+}
+
+export function profileExists(name) {
+  return name === DEFAULT_PROFILE || config.has(profilePath(name));
+}
+
+export function listProfiles() {
+  const names = Object.keys(config.get('profiles'));
+  if (!names.includes(DEFAULT_PROFILE)) names.unshift(DEFAULT_PROFILE);
+  return names.map(name => ({ name, ...profileDefaults(), ...config.get(profilePath(name)) }));
+}
+
+export function addProfile(name, values = {}) {
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error('Profile names may only contain letters, numbers, "-" and "_".');
+  }
+  if (name === SANDBOX_PROFILE) {
+    throw new Error(`"${SANDBOX_PROFILE}" is reserved for --sandbox.`);
+  }
+  if (profileExists(name)) {
+    throw new Error(`Profile "${name}" already exists.`);
+  }
+  config.set(profilePath(name), values);
+}
+
+export function useProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist. Run: openbankingorgukacco profile list`);
+  }
+  config.set('currentProfile', name);
+}
+
+export function removeProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Profile "${name}" does not exist.`);
+  }
+  if (name === getActiveProfile()) {
+    throw new Error(`Profile "${name}" is in use. Switch to another profile first.`);
+  }
+  config.delete(profilePath(name));
+}
+
+// ============================================================
+// Secrets
+// ============================================================
+
+export function getKeyFilePath() {
+  return join(dirname(config.path), 'secret.key');
+}
+
+/**
+ * Whether secrets are encrypted with a passphrase rather than the key file
+ */
+export function isLocked() {
+  return config.get('encryption').mode === 'passphrase';
+}
+
+/**
+ * Whether a command reading secrets must first be given the passphrase
+ */
+export function needsPassphrase() {
+  return !sandbox && isLocked() && !secretKey && !process.env[PASSPHRASE_ENV];
+}
+
+function loadSecretKey() {
+  if (secretKey) return secretKey;
+
+  if (isLocked()) {
+    const passphrase = process.env[PASSPHRASE_ENV];
+    if (!passphrase) {
+      throw new Error(`Configuration is locked. Run the command in a terminal to enter the passphrase, or set ${PASSPHRASE_ENV}.`);
+    }
+    try {
+      unlockWithPassphrase(passphrase);
+    } catch {
+      throw new Error(`${PASSPHRASE_ENV} does not match the passphrase set with: openbankingorgukacco config lock`);
+    }
+    return secretKey;
+  }
+
+  const file = getKeyFilePath();
+  if (fs.existsSync(file)) {
+    secretKey = Buffer.from(fs.readFileSync(file, 'utf8').trim(), 'base64');
+  } else {
+    secretKey = generateKey();
+    fs.mkdirSync(dirname(file), { recursive: true });
+    fs.writeFileSync(file, secretKey.toString('base64'), { mode: 0o600 });
+  }
+  return secretKey;
+}
+
+/**
+ * Derive the key for a locked configuration; throws when the passphrase is wrong
+ */
+export function unlockWithPassphrase(passphrase) {
+  const { salt, check } = config.get('encryption');
+  const key = deriveKey(passphrase, salt);
+  if (!verifyCheck(key, check)) throw new Error('Incorrect passphrase.');
+  secretKey = key;
+  migratePlaintextSecrets();
+}
+
+/**
+ * Decrypt every stored secret with the current key and encrypt it again with `key`
+ */
+function reencryptSecrets(key) {
+  const current = loadSecretKey();
+  const profiles = config.get('profiles');
+  Object.values(profiles).forEach(profile => {
+    SECRET_KEYS.forEach(name => {
+      if (!profile[name]) return;
+      const plaintext = isEncrypted(profile[name]) ? decryptSecret(current, name, profile[name]) : profile[name];
+      profile[name] = encryptSecret(key, name, plaintext);
+    });
+  });
+  return profiles;
+}
+
+/**
+ * Encrypt secrets with a key derived from `passphrase`, replacing the key file.
+ * On a locked config this changes the passphrase.
+ */
+export function lockConfig(passphrase) {
+  const salt = generateSalt();
+  const key = deriveKey(passphrase, salt);
+  const profiles = reencryptSecrets(key);
+
+  config.set({ profiles, encryption: { mode: 'passphrase', salt, check: createCheck(key) } });
+  secretKey = key;
+  fs.rmSync(getKeyFilePath(), { force: true });
+}
+
+/**
+ * Go back to a random key kept in the key file, so commands no longer ask for the passphrase
+ */
+export function unlockConfig() {
+  const key = generateKey();
+  const profiles = reencryptSecrets(key);
+
+  const file = getKeyFilePath();
+  fs.mkdirSync(dirname(file), { recursive: true });
+  fs.writeFileSync(file, key.toString('base64'), { mode: 0o600 });
+  config.set({ profiles, encryption: { mode: 'keyfile' } });
+  secretKey = key;
+}
+
+/**
+ * A secret's environment variable, for the profile the run selected only
+ */
+function envSecret(key) {
+  if (getActiveProfile() !== (selectedProfile || config.get('currentProfile'))) return undefined;
+  return process.env[SECRET_ENV[key]] || undefined;
+}
+
+function getSecret(key) {
+  const fromEnv = envSecret(key);
+  if (fromEnv) return fromEnv;
+
+  const path = profilePath(getActiveProfile());
+  const command = key === 'accessToken' && config.get(`${path}.tokenCommand`);
+  if (command) {
+    if (!commandTokens.has(path)) commandTokens.set(path, runSecretCommand(command));
+    return commandTokens.get(path);
+  }
+
+  const value = config.get(`${path}.${key}`, '');
+  if (!isEncrypted(value)) return value;
+  const cipherKey = loadSecretKey();
+  try {
+    return decryptSecret(cipherKey, key, value);
+  } catch {
+    throw new Error(`Could not decrypt the stored ${key}: ${isLocked() ? 'the passphrase does not match' : `the key in ${getKeyFilePath()} does not match`}. Set it again or run: openbankingorgukacco auth login`);
+  }
+}
+
+/**
+ * Where a secret comes from for this run: "env", "command", "stored" or null.
+ * Neither decrypts the value nor runs tokenCommand.
+ */
+export function secretSource(key) {
+  if (sandbox) return sandbox[key] ? 'stored' : null;
+  if (envSecret(key)) return 'env';
+  const path = profilePath(getActiveProfile());
+  if (key === 'accessToken' && config.get(`${path}.tokenCommand`)) return 'command';
+  return config.get(`${path}.${key}`) ? 'stored' : null;
+}
+
+export function isSecretSet(key) {
+  return secretSource(key) !== null;
+}
+
+/**
+ * Run tokenCommand again on next use, e.g. after the bank rejected its token
+ */
+export function forgetCommandToken() {
+  commandTokens.delete(profilePath(getActiveProfile()));
+}
+
+/**
+ * The stored key for --redact pseudonyms, created on first use
+ */
+export function getRedactionKey() {
+  const { key } = config.get('redaction');
+  if (key) return key;
+  const created = generateKey().toString('base64');
+  config.set('redaction', { key: created });
+  return created;
+}
+
+// ============================================================
+// Settings (active profile)
+// ============================================================
+
 export function getConfig(key) {
-  return config.get(key);
+  if (sandbox) return key in sandbox ? sandbox[key] : PROFILE_SCHEMA[key]?.default;
+  if (SECRET_KEYS.includes(key)) return getSecret(key);
+  return config.get(`${profilePath(getActiveProfile())}.${key}`, PROFILE_SCHEMA[key]?.default);
 }
 
 export function setConfig(key, value) {
-  config.set(key, value);
+  if (sandbox) {
+    sandbox[key] = value;
+    return;
+  }
+  const stored = SECRET_KEYS.includes(key) && value ? encryptSecret(loadSecretKey(), key, value) : value;
+  config.set(`${profilePath(getActiveProfile())}.${key}`, stored);
 }
 
 export function getAllConfig() {
-  return config.store;
+  if (sandbox) return { ...sandbox };
+  return { ...profileDefaults(), ...config.get(profilePath(getActiveProfile())) };
 }
 
+/**
+ * Clear the active profile's credentials, keeping its connection settings
+ */
 export function clearConfig() {
-  config.clear();
+  if (sandbox) {
+    sandbox = { ...profileDefaults(), ...Object.fromEntries(CONNECTION_KEYS.map(key => [key, sandbox[key]])) };
+    return;
+  }
+  const path = profilePath(getActiveProfile());
+  const kept = Object.fromEntries(CONNECTION_KEYS.filter(key => config.has(`${path}.${key}`)).map(key => [key, config.get(`${path}.${key}`)]));
+  config.set(path, kept);
 }
 
 export function isConfigured() {
-  const accessToken = config.get('accessToken');
-  return !!accessToken;
+  return isSecretSet('accessToken') || isSecretSet('refreshToken');
 }
 
 export function hasValidToken() {
-  const accessToken = config.get('accessToken');
-  const tokenExpiry = config.get('tokenExpiry');
+  const accessToken = getConfig('accessToken');
+  const tokenExpiry = getConfig('tokenExpiry');
   if (!accessToken) return false;
   return tokenExpiry > Date.now() + 60000;
 }
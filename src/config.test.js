@@ -0,0 +1,193 @@
+import { test, describe } from 'node:test';
+import { execFile } from 'child_process';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { useTempConfig, tempDir } from './testkit.js';
+
+// A single-profile config as written before profiles existed
+const dir = useTempConfig();
+fs.writeFileSync(join(dir, 'config.json'), JSON.stringify({ baseUrl: 'https://legacy.example/open-banking', consentId: 'legacy-consent' }));
+
+const {
+  getConfig,
+  setConfig,
+  clearConfig,
+  getActiveProfile,
+  setActiveProfile,
+  switchProfile,
+  listProfiles,
+  addProfile,
+  useProfile,
+  removeProfile,
+  useSandbox,
+  DEFAULT_PROFILE,
+  getKeyFilePath,
+  isLocked,
+  lockConfig,
+  unlockConfig,
+  unlockWithPassphrase,
+  isConfigured,
+  secretSource
+} = await import('./config.js');
+const { PASSPHRASE_ENV, SECRET_ENV } = await import('./secrets.js');
+
+function storedProfile() {
+  return JSON.parse(fs.readFileSync(join(dir, 'config.json'), 'utf8')).profiles.default;
+}
+
+/**
+ * Load config.js in a fresh process over a config directory; resolves with its stderr
+ */
+function loadConfigIn(configDir, env = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['--input-type=module', '-e', `await import(${JSON.stringify(new URL('./config.js', import.meta.url).href)})`], {
+      env: { ...process.env, OBACCOUNT_CONFIG_DIR: configDir, [PASSPHRASE_ENV]: '', ...env },
+      timeout: 30_000
+    }, (error, stdout, stderr) => (error ? reject(error) : resolve(stderr)));
+  });
+}
+
+describe('profiles', () => {
+  test('settings from the single-profile layout move into the default profile', () => {
+    assert.equal(getActiveProfile(), DEFAULT_PROFILE);
+    assert.equal(getConfig('baseUrl'), 'https://legacy.example/open-banking');
+    assert.equal(getConfig('consentId'), 'legacy-consent');
+    const stored = JSON.parse(fs.readFileSync(join(dir, 'config.json'), 'utf8'));
+    assert.equal(stored.baseUrl, undefined);
+  });
+
+  test('each profile keeps its own settings', () => {
+    addProfile('barclays', { baseUrl: 'https://barclays.example/open-banking' });
+    setActiveProfile('barclays');
+    assert.equal(getConfig('baseUrl'), 'https://barclays.example/open-banking');
+    assert.equal(getConfig('apiVersion'), 'v3.1');
+    setConfig('consentId', 'barclays-consent');
+
+    setActiveProfile(DEFAULT_PROFILE);
+    assert.equal(getConfig('consentId'), 'legacy-consent');
+    assert.deepEqual(listProfiles().map(profile => profile.name), ['default', 'barclays']);
+  });
+
+  test('names are validated and unique; sandbox is reserved', () => {
+    assert.throws(() => addProfile('bad name'), /may only contain/);
+    assert.throws(() => addProfile('barclays'), /already exists/);
+    assert.throws(() => addProfile('sandbox'), /reserved/);
+    assert.throws(() => setActiveProfile('missing'), /does not exist/);
+  });
+
+  test('the default profile can be switched, and an active profile cannot be removed', () => {
+    useProfile('barclays');
+    setActiveProfile('barclays');
+    assert.throws(() => removeProfile('barclays'), /in use/);
+    useProfile(DEFAULT_PROFILE);
+    setActiveProfile(DEFAULT_PROFILE);
+    removeProfile('barclays');
+    assert.deepEqual(listProfiles().map(profile => profile.name), ['default']);
+  });
+
+  test('secret environment variables only apply to the profile the run selected', () => {
+    addProfile('work', { baseUrl: 'https://work.example/open-banking' });
+    addProfile('home', { baseUrl: 'https://home.example/open-banking' });
+    setActiveProfile('work');
+    setConfig('accessToken', 'stored-work-token');
+    process.env[SECRET_ENV.accessToken] = 'env-token';
+    try {
+      setActiveProfile('home');
+      assert.equal(getConfig('accessToken'), 'env-token');
+      assert.equal(secretSource('accessToken'), 'env');
+
+      // As --all-profiles visits each profile
+      switchProfile('work');
+      assert.equal(getConfig('accessToken'), 'stored-work-token');
+      switchProfile(DEFAULT_PROFILE);
+      assert.equal(getConfig('accessToken'), '');
+      assert.equal(isConfigured(), false);
+      switchProfile('home');
+      assert.equal(getConfig('accessToken'), 'env-token');
+
+      // Selecting another profile for the run takes them along
+      setActiveProfile(DEFAULT_PROFILE);
+      assert.equal(getConfig('accessToken'), 'env-token');
+    } finally {
+      delete process.env[SECRET_ENV.accessToken];
+      setActiveProfile(DEFAULT_PROFILE);
+      removeProfile('work');
+      removeProfile('home');
+    }
+  });
+
+  test('clearing a profile drops credentials but keeps connection settings', () => {
+    setConfig('accessToken', 'token');
+    setConfig('rateLimit', 2);
+    clearConfig();
+    assert.equal(getConfig('accessToken'), '');
+    assert.equal(getConfig('consentId'), '');
+    assert.equal(getConfig('baseUrl'), 'https://legacy.example/open-banking');
+    assert.equal(getConfig('rateLimit'), 2);
+  });
+});
+
+describe('secrets at rest', () => {
+  test('are stored encrypted with the key file and read back in plaintext', () => {
+    setConfig('clientSecret', 'client-secret-value');
+    assert.match(storedProfile().clientSecret, /^enc:v1:/);
+    assert.equal(getConfig('clientSecret'), 'client-secret-value');
+    assert.ok(fs.existsSync(getKeyFilePath()));
+  });
+
+  test('locking moves them to a passphrase key and removes the key file', () => {
+    const before = storedProfile().clientSecret;
+    lockConfig('correct horse');
+    assert.equal(isLocked(), true);
+    assert.equal(fs.existsSync(getKeyFilePath()), false);
+    assert.notEqual(storedProfile().clientSecret, before);
+    assert.equal(getConfig('clientSecret'), 'client-secret-value');
+
+    assert.throws(() => unlockWithPassphrase('wrong horse'), /^Error: Incorrect passphrase\.$/);
+    unlockWithPassphrase('correct horse');
+
+    unlockConfig();
+    assert.equal(isLocked(), false);
+    assert.ok(fs.existsSync(getKeyFilePath()));
+    assert.equal(getConfig('clientSecret'), 'client-secret-value');
+  });
+
+  test('plaintext from earlier versions moves to the key file with a warning', async () => {
+    const configDir = tempDir();
+    fs.writeFileSync(join(configDir, 'config.json'), JSON.stringify({ profiles: { default: { accessToken: 'plain-token' } } }));
+    const stderr = await loadConfigIn(configDir);
+
+    const stored = JSON.parse(fs.readFileSync(join(configDir, 'config.json'), 'utf8'));
+    assert.match(stored.profiles.default.accessToken, /^enc:v1:/);
+    assert.ok(fs.existsSync(join(configDir, 'secret.key')));
+    assert.match(stderr, /only hides secrets from casual view/);
+    assert.match(stderr, /openbankingorgukacco config lock/);
+
+    assert.equal(await loadConfigIn(configDir), '', 'warns once');
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test(`plaintext is locked with ${PASSPHRASE_ENV} when it is set`, async () => {
+    const configDir = tempDir();
+    fs.writeFileSync(join(configDir, 'config.json'), JSON.stringify({ profiles: { default: { accessToken: 'plain-token' } } }));
+    assert.equal(await loadConfigIn(configDir, { [PASSPHRASE_ENV]: 'correct horse' }), '');
+
+    const stored = JSON.parse(fs.readFileSync(join(configDir, 'config.json'), 'utf8'));
+    assert.equal(stored.encryption.mode, 'passphrase');
+    assert.match(stored.profiles.default.accessToken, /^enc:v1:/);
+    assert.equal(fs.existsSync(join(configDir, 'secret.key')), false);
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+});
+
+describe('sandbox', () => {
+  test('the sandbox serves settings from memory and writes nothing', () => {
+    const before = fs.readFileSync(join(dir, 'config.json'), 'utf8');
+    useSandbox({ baseUrl: 'http://127.0.0.1:9999/open-banking', accessToken: 'mock' });
+    assert.equal(getActiveProfile(), 'sandbox');
+    setConfig('accessToken', 'changed');
+    assert.equal(getConfig('accessToken'), 'changed');
+    assert.equal(fs.readFileSync(join(dir, 'config.json'), 'utf8'), before);
+  });
+});
@@ -0,0 +1,182 @@
+import { getClient } from './api.js';
+import { DEFAULT_PERMISSIONS } from './auth.js';
+import { validateBody } from './validation.js';
+
+// Statuses meaning the bank does not offer the endpoint, or the consent does not cover it
+const UNAVAILABLE_STATUSES = [403, 404, 405, 501];
+
+// Every AISP endpoint, in the order they are called. `key` is the Data property holding the
+// records (null when Data is the record); `provides` names an id later paths need, taken from
+// the first record returned. Endpoints without a schema only have to succeed.
+const ENDPOINTS = [
+  { resource: 'Consents', method: 'POST', endpoint: '/account-access-consents', schema: 'OBReadConsentResponse1', key: null, provides: 'ConsentId', consent: true,
+    call: (client) => client.createAccountAccessConsent({ permissions: DEFAULT_PERMISSIONS }, { envelope: true }) },
+  { resource: 'Consents', endpoint: '/account-access-consents/{ConsentId}', schema: 'OBReadConsentResponse1', key: null, consent: true,
+    call: (client, ids) => client.getAccountAccessConsent(ids.ConsentId, { envelope: true }) },
+  { resource: 'Consents', method: 'DELETE', endpoint: '/account-access-consents/{ConsentId}', schema: null, consent: true,
+    call: (client, ids) => client.deleteAccountAccessConsent(ids.ConsentId) },
+
+  { resource: 'Accounts', endpoint: '/accounts', schema: 'OBReadAccount6', key: 'Account', provides: 'AccountId',
+    call: (client, ids, pages) => client.listAccounts(pages) },
+  { resource: 'Balances', endpoint: '/balances', schema: 'OBReadBalance1', key: 'Balance',
+    call: (client, ids, pages) => client.listBalances(pages) },
+  { resource: 'Transactions', endpoint: '/transactions', schema: 'OBReadTransaction6', key: 'Transaction',
+    call: (client, ids, pages) => client.listTransactions(pages) },
+  { resource: 'Beneficiaries', endpoint: '/beneficiaries', schema: 'OBReadBeneficiary5', key: 'Beneficiary',
+    call: (client, ids, pages) => client.listBeneficiaries(pages) },
+  { resource: 'Direct Debits', endpoint: '/direct-debits', schema: 'OBReadDirectDebit2', key: 'DirectDebit',
+    call: (client, ids, pages) => client.listDirectDebits(pages) },
+  { resource: 'Standing Orders', endpoint: '/standing-orders', schema: 'OBReadStandingOrder6', key: 'StandingOrder',
+    call: (client, ids, pages) => client.listStandingOrders(pages) },
+  { resource: 'Products', endpoint: '/products', schema: 'OBReadProduct2', key: 'Product',
+    call: (client, ids, pages) => client.listProducts(pages) },
+  { resource: 'Offers', endpoint: '/offers', schema: 'OBReadOffer1', key: 'Offer',
+    call: (client, ids, pages) => client.listOffers(pages) },
+  { resource: 'Parties', endpoint: '/party', schema: 'OBReadParty2', key: 'Party',
+    call: (client) => client.getParty({ envelope: true }) },
+  { resource: 'Scheduled Payments', endpoint: '/scheduled-payments', schema: 'OBReadScheduledPayment3', key: 'ScheduledPayment',
+    call: (client, ids, pages) => client.listScheduledPayments(pages) },
+
+  { resource: 'Accounts', endpoint: '/accounts/{AccountId}', schema: 'OBReadAccount6', key: 'Account',
+    call: (client, ids) => client.getAccount(ids.AccountId, { envelope: true }) },
+  { resource: 'Balances', endpoint: '/accounts/{AccountId}/balances', schema: 'OBReadBalance1', key: 'Balance',
+    call: (client, ids, pages) => client.getAccountBalances(ids.AccountId, pages) },
+  { resource: 'Transactions', endpoint: '/accounts/{AccountId}/transactions', schema: 'OBReadTransaction6', key: 'Transaction', provides: 'TransactionId',
+    call: (client, ids, pages) => client.getAccountTransactions(ids.AccountId, pages) },
+  { resource: 'Transactions', endpoint: '/accounts/{AccountId}/transactions/{TransactionId}', schema: 'OBReadTransaction6', key: 'Transaction',
+    call: (client, ids) => client.getTransaction(ids.AccountId, ids.TransactionId, { envelope: true }) },
+  { resource: 'Beneficiaries', endpoint: '/accounts/{AccountId}/beneficiaries', schema: 'OBReadBeneficiary5', key: 'Beneficiary',
+    call: (client, ids, pages) => client.getAccountBeneficiaries(ids.AccountId, pages) },
+  { resource: 'Direct Debits', endpoint: '/accounts/{AccountId}/direct-debits', schema: 'OBReadDirectDebit2', key: 'DirectDebit',
+    call: (client, ids, pages) => client.getAccountDirectDebits(ids.AccountId, pages) },
+  { resource: 'Standing Orders', endpoint: '/accounts/{AccountId}/standing-orders', schema: 'OBReadStandingOrder6', key: 'StandingOrder',
+    call: (client, ids, pages) => client.getAccountStandingOrders(ids.AccountId, pages) },
+  { resource: 'Statements', endpoint: '/accounts/{AccountId}/statements', schema: 'OBReadStatement2', key: 'Statement', provides: 'StatementId',
+    call: (client, ids, pages) => client.listStatements(ids.AccountId, pages) },
+  { resource: 'Statements', endpoint: '/accounts/{AccountId}/statements/{StatementId}', schema: 'OBReadStatement2', key: 'Statement',
+    call: (client, ids) => client.getStatement(ids.AccountId, ids.StatementId, { envelope: true }) },
+  { resource: 'Statements', endpoint: '/accounts/{AccountId}/statements/{StatementId}/transactions', schema: 'OBReadTransaction6', key: 'Transaction',
+    call: (client, ids, pages) => client.getStatementTransactions(ids.AccountId, ids.StatementId, pages) },
+  // A download, not JSON: it passes if the bank serves it
+  { resource: 'Statements', endpoint: '/accounts/{AccountId}/statements/{StatementId}/file', schema: null,
+    call: async (client, ids) => (await client.getStatementFile(ids.AccountId, ids.StatementId)).destroy() },
+  { resource: 'Products', endpoint: '/accounts/{AccountId}/product', schema: 'OBReadProduct2', key: 'Product',
+    call: (client, ids) => client.getAccountProduct(ids.AccountId, { envelope: true }) },
+  { resource: 'Offers', endpoint: '/accounts/{AccountId}/offers', schema: 'OBReadOffer1', key: 'Offer',
+    call: (client, ids, pages) => client.getAccountOffers(ids.AccountId, pages) },
+  { resource: 'Parties', endpoint: '/accounts/{AccountId}/party', schema: 'OBReadParty2', key: 'Party',
+    call: (client, ids) => client.getAccountParty(ids.AccountId, { envelope: true }) },
+  { resource: 'Parties', endpoint: '/accounts/{AccountId}/parties', schema: 'OBReadParty3', key: 'Party',
+    call: (client, ids, pages) => client.getAccountParties(ids.AccountId, pages) },
+  { resource: 'Scheduled Payments', endpoint: '/accounts/{AccountId}/scheduled-payments', schema: 'OBReadScheduledPayment3', key: 'ScheduledPayment',
+    call: (client, ids, pages) => client.getAccountScheduledPayments(ids.AccountId, pages) }
+];
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function records(body, key) {
+  const data = key ? body?.Data?.[key] : body?.Data;
+  if (Array.isArray(data)) return data;
+  return data ? [data] : [];
+}
+
+function firstId(bodies, key, field) {
+  for (const body of bodies) {
+    const record = records(body, key).find(item => item[field]);
+    if (record) return record[field];
+  }
+  return null;
+}
+
+/**
+ * Ids the path still needs, or [] when it can be called
+ */
+function missingIds(endpoint, ids) {
+  return [...endpoint.matchAll(/\{(\w+)\}/g)].map(match => match[1]).filter(name => !ids[name]);
+}
+
+function fillPath(endpoint, ids) {
+  return endpoint.replace(/\{(\w+)\}/g, (placeholder, name) => ids[name] || placeholder);
+}
+
+// ============================================================
+// Run
+// ============================================================
+
+/**
+ * Call one endpoint and validate every page it returns
+ */
+async function check(target, client, ids, pages) {
+  const result = {
+    Resource: target.resource,
+    Method: target.method || 'GET',
+    Endpoint: target.endpoint,
+    Path: fillPath(target.endpoint, ids),
+    Schema: target.schema,
+    Result: 'pass',
+    Pages: 0,
+    Records: 0,
+    Violations: [],
+    Error: null
+  };
+
+  const missing = missingIds(target.endpoint, ids);
+  if (missing.length) {
+    return { ...result, Result: 'skip', Error: `No ${missing[0]} to test with` };
+  }
+
+  let bodies;
+  try {
+    bodies = [].concat(await target.call(client, ids, pages) ?? []);
+  } catch (error) {
+    const unavailable = UNAVAILABLE_STATUSES.includes(error.status);
+    return { ...result, Result: unavailable ? 'skip' : 'error', Error: unavailable ? `Not available (HTTP ${error.status})` : error.message };
+  }
+  if (!target.schema) return result;
+
+  result.Pages = bodies.length;
+  bodies.forEach((body, index) => {
+    result.Records += records(body, target.key).length;
+    validateBody(target.schema, body).forEach(violation => {
+      result.Violations.push(bodies.length > 1 ? { ...violation, page: index + 1 } : violation);
+    });
+  });
+  if (result.Violations.length) result.Result = 'fail';
+  if (target.provides && !ids[target.provides]) ids[target.provides] = firstId(bodies, target.key, target.provides);
+  return result;
+}
+
+/**
+ * Exercise every AISP endpoint for the active profile and validate the responses.
+ * Account-level endpoints use `accountId`, or the first account listed; transaction and
+ * statement ids come from the lists. With `consents`, a throwaway consent is created,
+ * read back and deleted.
+ * Returns the ids used and one result per endpoint.
+ */
+export async function runConformance({ accountId, maxPages, consents = false } = {}) {
+  const client = getClient();
+  const pages = { envelope: true, maxPages };
+  const ids = { AccountId: accountId || null };
+  const results = [];
+
+  for (const target of ENDPOINTS) {
+    if (target.consent && !consents) continue;
+    results.push(await check(target, client, ids, pages));
+  }
+
+  return { ids: { AccountId: ids.AccountId, TransactionId: ids.TransactionId || null, StatementId: ids.StatementId || null }, results };
+}
+
+/**
+ * Pass/fail counts per resource, in the order resources were first checked
+ */
+export function summariseConformance(results) {
+  const summary = new Map();
+  results.forEach(result => {
+    if (!summary.has(result.Resource)) summary.set(result.Resource, { Resource: result.Resource, pass: 0, fail: 0, error: 0, skip: 0 });
+    summary.get(result.Resource)[result.Result]++;
+  });
+  return [...summary.values()];
+}
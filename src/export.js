@@ -0,0 +1,344 @@
+import crypto from 'crypto';
+
+export const EXPORT_FORMATS = ['csv', 'ofx', 'qif', 'ndjson'];
+
+const CSV_COLUMNS = [
+  'accountId',
+  'transactionId',
+  'bookingDate',
+  'valueDate',
+  'status',
+  'amount',
+  'currency',
+  'creditDebitIndicator',
+  'description',
+  'reference',
+  'merchantName',
+  'merchantCategoryCode',
+  'bankTransactionCode',
+  'proprietaryBankTransactionCode',
+  'proprietaryBankTransactionIssuer',
+  'balanceAfter',
+  'balanceCurrency',
+  'balanceType',
+  'category',
+  'tags'
+];
+
+// ============================================================
+// Flattening
+// ============================================================
+
+/**
+ * Apply the OB sign convention: amounts are always positive, the indicator carries the direction
+ */
+export function signedAmount(amount, creditDebitIndicator) {
+  if (amount === undefined || amount === null || amount === '') return '';
+  const value = String(amount).replace(/^[-+]/, '');
+  return creditDebitIndicator === 'Debit' ? `-${value}` : value;
+}
+
+/**
+ * Stable identifier for transactions without a TransactionId
+ */
+function fallbackId(transaction) {
+  const parts = [
+    transaction.AccountId,
+    transaction.TransactionReference,
+    transaction.BookingDateTime,
+    transaction.Amount?.Amount,
+    transaction.CreditDebitIndicator,
+    transaction.TransactionInformation
+  ];
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex').substring(0, 20);
+}
+
+/**
+ * Flatten an OBTransaction into a single-level record
+ */
+export function flattenTransaction(transaction) {
+  const bankCode = transaction.BankTransactionCode;
+  const proprietary = transaction.ProprietaryBankTransactionCode;
+  const balance = transaction.Balance;
+
+  return {
+    accountId: transaction.AccountId || '',
+    transactionId: transaction.TransactionId || fallbackId(transaction),
+    bookingDate: transaction.BookingDateTime?.substring(0, 10) || '',
+    valueDate: transaction.ValueDateTime?.substring(0, 10) || '',
+    status: transaction.Status || '',
+    amount: signedAmount(transaction.Amount?.Amount, transaction.CreditDebitIndicator),
+    currency: transaction.Amount?.Currency || '',
+    creditDebitIndicator: transaction.CreditDebitIndicator || '',
+    description: transaction.TransactionInformation || '',
+    reference: transaction.TransactionReference || '',
+    merchantName: transaction.MerchantDetails?.MerchantName || '',
+    merchantCategoryCode: transaction.MerchantDetails?.MerchantCategoryCode || '',
+    bankTransactionCode: bankCode ? [bankCode.Code, bankCode.SubCode].filter(Boolean).join('/') : '',
+    proprietaryBankTransactionCode: proprietary?.Code || '',
+    proprietaryBankTransactionIssuer: proprietary?.Issuer || '',
+    balanceAfter: balance ? signedAmount(balance.Amount?.Amount, balance.CreditDebitIndicator) : '',
+    balanceCurrency: balance?.Amount?.Currency || '',
+    balanceType: balance?.Type || '',
+    category: transaction.Category || '',
+    tags: (transaction.Tags || []).join(';')
+  };
+}
+
+// ============================================================
+// CSV / NDJSON
+// ============================================================
+
+function csvField(value) {
+  let text = String(value ?? '');
+  // Spreadsheets run text starting with = + - or @ as a formula; signed amounts stay numbers
+  if (/^[=+\-@]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render flat records as CSV with the given columns, in order
+ */
+export function rowsToCsv(rows, columns) {
+  const lines = [columns.map(csvField).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => csvField(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+export function toCsv(transactions) {
+  return rowsToCsv(transactions.map(flattenTransaction), CSV_COLUMNS);
+}
+
+export function toNdjson(transactions) {
+  return transactions.map(transaction => JSON.stringify(flattenTransaction(transaction))).join('\n') + '\n';
+}
+
+// ============================================================
+// Account identification
+// ============================================================
+
+function isCreditCard(account) {
+  return account?.AccountSubType === 'CreditCard';
+}
+
+/**
+ * Derive bank and account identifiers from OBAccount.Account[]
+ */
+export function accountIdentification(account, accountId) {
+  const identifiers = account?.Account || [];
+  const sortCode = identifiers.find(id => id.SchemeName?.endsWith('SortCodeAccountNumber'));
+  if (sortCode) {
+    const digits = sortCode.Identification.replace(/\D/g, '');
+    return { bankId: digits.substring(0, 6), accountNumber: digits.substring(6) };
+  }
+
+  const iban = identifiers.find(id => id.SchemeName?.endsWith('IBAN'));
+  if (iban) {
+    return { bankId: account.Servicer?.Identification || iban.Identification.substring(4, 8), accountNumber: iban.Identification };
+  }
+
+  const other = identifiers[0];
+  return {
+    bankId: account?.Servicer?.Identification || 'UNKNOWN',
+    accountNumber: other?.Identification || account?.AccountId || accountId
+  };
+}
+
+/**
+ * Pick the ledger balance: ClosingBooked, then InterimBooked, then whatever is available
+ */
+export function ledgerBalance(balances = []) {
+  return balances.find(balance => balance.Type === 'ClosingBooked') ||
+    balances.find(balance => balance.Type === 'InterimBooked') ||
+    balances[0] ||
+    null;
+}
+
+// ============================================================
+// OFX
+// ============================================================
+
+function ofxEscape(value, maxLength) {
+  // SGML values end at the line break
+  const text = String(value ?? '').replace(/[\r\n]+/g, ' ').substring(0, maxLength);
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Whether a transaction's booking date can be read; OFX and QIF leave out those that cannot
+ */
+export function hasBookingDate(transaction) {
+  return !!transaction.BookingDateTime && !Number.isNaN(Date.parse(transaction.BookingDateTime));
+}
+
+function ofxDate(dateTime) {
+  const date = dateTime ? new Date(dateTime) : new Date();
+  return date.toISOString().replace(/[-:T]/g, '').substring(0, 14) + '[0:GMT]';
+}
+
+function ofxAccountType(account) {
+  return account?.AccountSubType === 'Savings' ? 'SAVINGS' : 'CHECKING';
+}
+
+function ofxTransaction(transaction) {
+  const flat = flattenTransaction(transaction);
+  const lines = [
+    '<STMTTRN>',
+    `<TRNTYPE>${transaction.CreditDebitIndicator === 'Debit' ? 'DEBIT' : 'CREDIT'}`,
+    `<DTPOSTED>${ofxDate(transaction.BookingDateTime)}`
+  ];
+  if (transaction.ValueDateTime && !Number.isNaN(Date.parse(transaction.ValueDateTime))) lines.push(`<DTAVAIL>${ofxDate(transaction.ValueDateTime)}`);
+  lines.push(`<TRNAMT>${flat.amount || '0.00'}`);
+  lines.push(`<FITID>${ofxEscape(flat.transactionId, 255)}`);
+  lines.push(`<NAME>${ofxEscape(flat.merchantName || flat.description || flat.reference || 'Transaction', 32)}`);
+  const memo = [flat.description, flat.reference].filter(Boolean).join(' ');
+  if (memo) lines.push(`<MEMO>${ofxEscape(memo, 255)}`);
+  lines.push('</STMTTRN>');
+  return lines.join('\n');
+}
+
+function ofxStatement(accountId, transactions, { account, balances }, index) {
+  const creditCard = isCreditCard(account);
+  const { bankId, accountNumber } = accountIdentification(account, accountId);
+  const currency = account?.Currency || transactions[0]?.Amount?.Currency || 'GBP';
+  const dates = transactions.map(transaction => transaction.BookingDateTime).filter(Boolean).sort();
+  const ledger = ledgerBalance(balances);
+
+  const accountFrom = creditCard
+    ? `<CCACCTFROM>\n<ACCTID>${ofxEscape(accountNumber, 22)}\n</CCACCTFROM>`
+    : `<BANKACCTFROM>\n<BANKID>${ofxEscape(bankId, 9)}\n<ACCTID>${ofxEscape(accountNumber, 22)}\n<ACCTTYPE>${ofxAccountType(account)}\n</BANKACCTFROM>`;
+
+  const asOf = Number.isNaN(Date.parse(ledger?.DateTime)) ? undefined : ledger.DateTime;
+  const ledgerBlock = ledger
+    ? `<LEDGERBAL>\n<BALAMT>${signedAmount(ledger.Amount?.Amount, ledger.CreditDebitIndicator)}\n<DTASOF>${ofxDate(asOf)}\n</LEDGERBAL>`
+    : `<LEDGERBAL>\n<BALAMT>0.00\n<DTASOF>${ofxDate()}\n</LEDGERBAL>`;
+
+  const statementTag = creditCard ? 'CCSTMTRS' : 'STMTRS';
+  const wrapperTag = creditCard ? 'CCSTMTTRNRS' : 'STMTTRNRS';
+
+  return [
+    `<${wrapperTag}>`,
+    `<TRNUID>${index + 1}`,
+    '<STATUS>\n<CODE>0\n<SEVERITY>INFO\n</STATUS>',
+    `<${statementTag}>`,
+    `<CURDEF>${currency}`,
+    accountFrom,
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(dates[0])}`,
+    `<DTEND>${ofxDate(dates[dates.length - 1])}`,
+    ...transactions.map(ofxTransaction),
+    '</BANKTRANLIST>',
+    ledgerBlock,
+    `</${statementTag}>`,
+    `</${wrapperTag}>`
+  ].join('\n');
+}
+
+function groupByAccount(transactions) {
+  const groups = new Map();
+  transactions.forEach(transaction => {
+    const accountId = transaction.AccountId || '';
+    if (!groups.has(accountId)) groups.set(accountId, []);
+    groups.get(accountId).push(transaction);
+  });
+  return groups;
+}
+
+/**
+ * Pending items can still change or be cancelled, and accounting packages keep whatever
+ * they import, so OFX and QIF carry booked transactions unless asked otherwise.
+ * Rows without a readable booking date cannot be placed in a statement and are left out.
+ */
+function importable(transactions, includePending) {
+  return transactions.filter(transaction => hasBookingDate(transaction) && (includePending || transaction.Status !== 'Pending'));
+}
+
+/**
+ * Render OFX 1.0.2 with one statement per account.
+ * `accounts` maps AccountId to { account, balances } from getAccount/getAccountBalances.
+ */
+export function toOfx(transactions, accounts = {}, { includePending = false } = {}) {
+  const bank = [];
+  const creditCard = [];
+
+  [...groupByAccount(importable(transactions, includePending))].forEach(([accountId, accountTransactions], index) => {
+    const context = accounts[accountId] || {};
+    const statement = ofxStatement(accountId, accountTransactions, context, index);
+    (isCreditCard(context.account) ? creditCard : bank).push(statement);
+  });
+
+  const header = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:UTF-8',
+    'CHARSET:NONE',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    ''
+  ].join('\n');
+
+  const body = [
+    '<OFX>',
+    '<SIGNONMSGSRSV1>',
+    '<SONRS>',
+    '<STATUS>\n<CODE>0\n<SEVERITY>INFO\n</STATUS>',
+    `<DTSERVER>${ofxDate()}`,
+    '<LANGUAGE>ENG',
+    '</SONRS>',
+    '</SIGNONMSGSRSV1>'
+  ];
+  if (bank.length) body.push('<BANKMSGSRSV1>', ...bank, '</BANKMSGSRSV1>');
+  if (creditCard.length) body.push('<CREDITCARDMSGSRSV1>', ...creditCard, '</CREDITCARDMSGSRSV1>');
+  body.push('</OFX>');
+
+  return `${header}\n${body.join('\n')}\n`;
+}
+
+// ============================================================
+// QIF
+// ============================================================
+
+function qifDate(dateTime) {
+  // UK day-first dates; choose DD/MM/YYYY when importing
+  const [year, month, day] = dateTime.substring(0, 10).split('-');
+  return `${day}/${month}/${year}`;
+}
+
+function qifLine(value) {
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Render QIF with one !Account block per account.
+ * `accounts` maps AccountId to { account } for names and account types.
+ */
+export function toQif(transactions, accounts = {}, { includePending = false } = {}) {
+  const lines = [];
+  const groups = groupByAccount(importable(transactions, includePending));
+  const multipleAccounts = groups.size > 1;
+
+  groups.forEach((accountTransactions, accountId) => {
+    const account = accounts[accountId]?.account;
+    const type = isCreditCard(account) ? 'CCard' : 'Bank';
+
+    if (multipleAccounts) {
+      lines.push('!Account', `N${qifLine(account?.Nickname || accountId)}`, `T${type}`, '^');
+    }
+    lines.push(`!Type:${type}`);
+
+    accountTransactions.forEach(transaction => {
+      const flat = flattenTransaction(transaction);
+      lines.push(`D${qifDate(transaction.BookingDateTime || '')}`);
+      lines.push(`T${flat.amount || '0.00'}`);
+      if (transaction.Status === 'Booked') lines.push('CX');
+      lines.push(`P${qifLine(flat.merchantName || flat.description || flat.reference)}`);
+      if (flat.description) lines.push(`M${qifLine(flat.description)}`);
+      lines.push('^');
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
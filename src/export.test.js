@@ -0,0 +1,169 @@
+import { test, describe, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { toCsv, toOfx, toQif, toNdjson, rowsToCsv, signedAmount, accountIdentification, hasBookingDate } from './export.js';
+
+// Expected output lives in src/golden; UPDATE_GOLDEN=1 npm test rewrites it after a deliberate change
+const GOLDEN_DIR = fileURLToPath(new URL('./golden/', import.meta.url));
+
+function assertGolden(name, actual) {
+  const file = `${GOLDEN_DIR}${name}`;
+  if (process.env.UPDATE_GOLDEN) fs.writeFileSync(file, actual);
+  assert.equal(actual, fs.readFileSync(file, 'utf8'));
+}
+
+const transactions = [
+  {
+    AccountId: '22289',
+    TransactionId: 'txn-1',
+    TransactionReference: 'INV 42',
+    Status: 'Booked',
+    BookingDateTime: '2024-06-03T09:15:00+00:00',
+    ValueDateTime: '2024-06-03T09:15:00+00:00',
+    Amount: { Amount: '42.50', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    TransactionInformation: 'Tesco Stores, "Express" & more',
+    MerchantDetails: { MerchantName: 'Tesco', MerchantCategoryCode: '5411' },
+    BankTransactionCode: { Code: 'ReceivedCreditTransfer', SubCode: 'DomesticCreditTransfer' },
+    ProprietaryBankTransactionCode: { Code: 'DEB', Issuer: 'Bank' },
+    Balance: { Amount: { Amount: '1207.50', Currency: 'GBP' }, CreditDebitIndicator: 'Credit', Type: 'InterimBooked' }
+  },
+  {
+    AccountId: '22289',
+    TransactionId: 'txn-2',
+    Status: 'Booked',
+    BookingDateTime: '2024-06-01T00:00:00+00:00',
+    Amount: { Amount: '1250.00', Currency: 'GBP' },
+    CreditDebitIndicator: 'Credit',
+    TransactionInformation: 'Salary\nJune'
+  },
+  {
+    AccountId: '22289',
+    TransactionId: 'txn-3',
+    Status: 'Pending',
+    BookingDateTime: '2024-06-04T12:00:00+00:00',
+    Amount: { Amount: '9.99', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    TransactionInformation: 'Streaming subscription'
+  },
+  {
+    AccountId: '44017',
+    Status: 'Booked',
+    BookingDateTime: '2024-06-02T18:30:00+00:00',
+    Amount: { Amount: '15.00', Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    TransactionInformation: 'Card payment <online>'
+  }
+];
+
+const accounts = {
+  22289: {
+    account: {
+      AccountId: '22289',
+      Currency: 'GBP',
+      AccountSubType: 'CurrentAccount',
+      Nickname: 'Bills',
+      Account: [{ SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '80200110203345' }]
+    },
+    balances: [{ Type: 'ClosingBooked', DateTime: '2024-06-04T00:00:00+00:00', Amount: { Amount: '1207.50', Currency: 'GBP' }, CreditDebitIndicator: 'Credit' }]
+  },
+  44017: {
+    account: {
+      AccountId: '44017',
+      Currency: 'GBP',
+      AccountSubType: 'CreditCard',
+      Nickname: 'Card',
+      Account: [{ SchemeName: 'UK.OBIE.PAN', Identification: '5409050000000000' }]
+    },
+    balances: [{ Type: 'InterimBooked', DateTime: '2024-06-04T00:00:00+00:00', Amount: { Amount: '15.00', Currency: 'GBP' }, CreditDebitIndicator: 'Debit' }]
+  }
+};
+
+describe('export formats', () => {
+  // OFX stamps the time it was generated
+  before(() => mock.timers.enable({ apis: ['Date'], now: new Date('2024-06-05T08:00:00Z') }));
+  after(() => mock.timers.reset());
+
+  test('CSV', () => {
+    assertGolden('transactions.csv', toCsv(transactions));
+  });
+
+  test('NDJSON has one flattened record per line', () => {
+    const lines = toNdjson(transactions).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 4);
+    assert.equal(lines[0].amount, '-42.50');
+    assert.match(lines[3].transactionId, /^[0-9a-f]{20}$/, 'a stable id stands in for a missing TransactionId');
+  });
+
+  test('OFX leaves out pending transactions', () => {
+    assertGolden('transactions.ofx', toOfx(transactions, accounts));
+  });
+
+  test('OFX with pending transactions', () => {
+    const ofx = toOfx(transactions, accounts, { includePending: true });
+    assert.match(ofx, /<FITID>txn-3/);
+    assert.match(ofx, /<DTEND>20240604120000\[0:GMT\]/);
+  });
+
+  test('OFX declares the UTF-8 it is written in', () => {
+    const ofx = toOfx([{ ...transactions[0], MerchantDetails: { MerchantName: 'Café Nero £' } }], accounts);
+    assert.match(ofx, /\nENCODING:UTF-8\nCHARSET:NONE\n/);
+    assert.match(ofx, /<NAME>Café Nero £\n/);
+  });
+
+  test('OFX and QIF leave out rows without a readable booking date instead of failing', () => {
+    const undated = [
+      { ...transactions[1], TransactionId: 'no-date', BookingDateTime: undefined },
+      { ...transactions[1], TransactionId: 'bad-date', BookingDateTime: 'yesterday' },
+      { ...transactions[0], ValueDateTime: 'soon' }
+    ];
+    const ofx = toOfx(undated, accounts);
+    assert.deepEqual(ofx.match(/<FITID>.*/g), ['<FITID>txn-1']);
+    assert.doesNotMatch(ofx, /<DTAVAIL>/);
+    assert.match(toQif(undated, accounts), /^!Type:Bank\nD03\/06\/2024\n[^]*\^\n$/);
+    assert.equal(hasBookingDate(undated[1]), false);
+  });
+
+  test('QIF leaves out pending transactions', () => {
+    assertGolden('transactions.qif', toQif(transactions, accounts));
+  });
+
+  test('QIF with pending transactions leaves them uncleared', () => {
+    const qif = toQif(transactions, accounts, { includePending: true });
+    assert.match(qif, /D04\/06\/2024\nT-9.99\nPStreaming subscription/);
+  });
+});
+
+describe('export helpers', () => {
+  test('CSV text that a spreadsheet would run as a formula is prefixed with a quote', () => {
+    const csv = rowsToCsv(
+      [
+        { amount: '-42.50', description: '=HYPERLINK("http://x","y")', reference: '+44 7700', merchant: '-SUM(A1)' },
+        { amount: '+3', description: '@cmd', reference: 'plain - text', merchant: '' }
+      ],
+      ['amount', 'description', 'reference', 'merchant']
+    );
+    assert.equal(csv, [
+      'amount,description,reference,merchant',
+      '-42.50,"\'=HYPERLINK(""http://x"",""y"")",\'+44 7700,\'-SUM(A1)',
+      '+3,\'@cmd,plain - text,',
+      ''
+    ].join('\r\n'));
+  });
+
+  test('signedAmount puts the direction on the number', () => {
+    assert.equal(signedAmount('10.00', 'Debit'), '-10.00');
+    assert.equal(signedAmount('-10.00', 'Credit'), '10.00');
+    assert.equal(signedAmount('', 'Debit'), '');
+  });
+
+  test('accountIdentification reads sort code, IBAN or the first identifier', () => {
+    assert.deepEqual(accountIdentification(accounts[22289].account), { bankId: '802001', accountNumber: '10203345' });
+    assert.deepEqual(
+      accountIdentification({ Account: [{ SchemeName: 'UK.OBIE.IBAN', Identification: 'GB29NWBK60161331926819' }] }),
+      { bankId: 'NWBK', accountNumber: 'GB29NWBK60161331926819' }
+    );
+    assert.deepEqual(accountIdentification(undefined, 'x'), { bankId: 'UNKNOWN', accountNumber: 'x' });
+  });
+});
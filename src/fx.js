@@ -0,0 +1,153 @@
+import fs from 'fs';
+import { extname } from 'path';
+import { roundUnits } from './money.js';
+
+// Rates are held as BigInt with 10 decimals so conversions stay in integer arithmetic
+const RATE_SCALE = 10n ** 10n;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// ============================================================
+// Parsing
+// ============================================================
+
+function parseRate(value, where) {
+  const text = String(value).trim();
+  if (!/^\d+(\.\d+)?$/.test(text) || Number(text) === 0) throw new Error(`${where}: invalid rate "${text}"`);
+  const [whole, fraction = ''] = text.split('.');
+  return BigInt(whole) * RATE_SCALE + BigInt((fraction + '0000000000').substring(0, 10));
+}
+
+function parseCurrency(value, where) {
+  const code = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) throw new Error(`${where}: invalid currency "${String(value).trim()}"`);
+  return code;
+}
+
+/**
+ * "2024-10-16" or the ECB daily file's "16 October 2024" -> "2024-10-16"
+ */
+function parseDate(value, where) {
+  const text = String(value ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.substring(0, 10);
+  const match = text.match(/^(\d{1,2}) ([A-Za-z]+) (\d{4})$/);
+  const month = match ? MONTHS.indexOf(match[2].toLowerCase()) : -1;
+  if (month === -1) throw new Error(`${where}: invalid date "${text}"`);
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+}
+
+function splitCsvLine(line) {
+  return line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+/**
+ * Two CSV layouts are accepted:
+ * - ECB reference rates (eurofxref.csv, eurofxref-hist.csv): a Date column and one column per
+ *   currency, rates against EUR. The newest row is used.
+ * - One rate per line with Currency and Rate columns, plus optional Date and Base columns.
+ */
+function parseCsv(text, file) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) throw new Error(`${file}: no rates found`);
+  const header = splitCsvLine(lines[0]).map(cell => cell.toLowerCase());
+  const rows = lines.slice(1).map(splitCsvLine);
+
+  if (header.includes('currency') && header.includes('rate')) {
+    const column = name => header.indexOf(name);
+    const rates = {};
+    let date = null;
+    let base = 'EUR';
+    rows.forEach((row, index) => {
+      const where = `${file} line ${index + 2}`;
+      rates[parseCurrency(row[column('currency')], where)] = parseRate(row[column('rate')], where);
+      if (column('date') !== -1 && row[column('date')]) {
+        const rowDate = parseDate(row[column('date')], where);
+        if (!date || rowDate > date) date = rowDate;
+      }
+      if (column('base') !== -1 && row[column('base')]) base = parseCurrency(row[column('base')], where);
+    });
+    return { base, date, rates };
+  }
+
+  if (header[0] !== 'date') throw new Error(`${file}: expected a Date column (ECB layout) or Currency and Rate columns`);
+  const dated = rows.map((row, index) => ({ row, line: index + 2, date: parseDate(row[0], `${file} line ${index + 2}`) }));
+  const latest = dated.reduce((newest, entry) => (entry.date > newest.date ? entry : newest));
+  const rates = {};
+  header.slice(1).forEach((currency, index) => {
+    const value = latest.row[index + 1];
+    // The historical file pads retired currencies with N/A and rows end with a trailing comma
+    if (!currency || !value || value === 'N/A') return;
+    rates[parseCurrency(currency, file)] = parseRate(value, `${file} line ${latest.line}`);
+  });
+  return { base: 'EUR', date: latest.date, rates };
+}
+
+/**
+ * { "base": "EUR", "date": "2024-10-16", "rates": { "GBP": 0.8365, "USD": 1.0882 } }
+ */
+function parseJson(text, file) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not parse rates file ${file}: ${error.message}`);
+  }
+  if (!document?.rates || typeof document.rates !== 'object') throw new Error(`${file}: expected a "rates" object`);
+
+  const rates = {};
+  Object.entries(document.rates).forEach(([currency, rate]) => {
+    rates[parseCurrency(currency, file)] = parseRate(rate, `${file} ${currency}`);
+  });
+  return {
+    base: document.base ? parseCurrency(document.base, file) : 'EUR',
+    date: document.date ? parseDate(document.date, file) : null,
+    rates
+  };
+}
+
+// ============================================================
+// Rates
+// ============================================================
+
+/**
+ * Load reference rates from a .json or .csv file. Rates are units of each currency per one
+ * unit of `base`. Returns { file, base, date, rates }; `date` is null when the file has none.
+ */
+export function loadRates(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read rates file ${file}: ${error.message}`);
+  }
+
+  const parsed = extname(file).toLowerCase() === '.json' ? parseJson(text, file) : parseCsv(text, file);
+  parsed.rates[parsed.base] = RATE_SCALE;
+  return { file, ...parsed };
+}
+
+/**
+ * Rate to multiply an amount in `from` by to get `to`, as a scaled BigInt, or null when the
+ * rates cannot bridge the two currencies
+ */
+function crossRate(rates, from, to) {
+  if (from === to) return RATE_SCALE;
+  if (!rates?.rates[from] || !rates?.rates[to]) return null;
+  return (rates.rates[to] * RATE_SCALE) / rates.rates[from];
+}
+
+/**
+ * Convert money units between currencies, rounded to 2 decimals.
+ * Returns { units, rate } where `rate` is a display string, or null when no rate is available.
+ */
+export function convertUnits(units, from, to, rates) {
+  const rate = crossRate(rates, from, to);
+  if (rate === null) return null;
+  const converted = (units * rate * 2n + (units < 0n ? -RATE_SCALE : RATE_SCALE)) / (RATE_SCALE * 2n);
+  return { units: roundUnits(converted), rate: formatRate(rate) };
+}
+
+function formatRate(rate) {
+  const fraction = (rate % RATE_SCALE).toString().padStart(10, '0').substring(0, 6).replace(/0+$/, '');
+  return fraction ? `${rate / RATE_SCALE}.${fraction}` : `${rate / RATE_SCALE}`;
+}
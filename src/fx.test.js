@@ -0,0 +1,90 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { loadRates, convertUnits } from './fx.js';
+import { toUnits, formatSigned } from './money.js';
+import { tempDir } from './testkit.js';
+
+const dir = tempDir('obaccount-fx-');
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function ratesFile(name, content) {
+  const file = join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+function convert(amount, from, to, rates) {
+  const result = convertUnits(toUnits(amount.replace(/^-/, ''), amount.startsWith('-') ? 'Debit' : 'Credit'), from, to, rates);
+  return result && { amount: formatSigned(result.units), rate: result.rate };
+}
+
+describe('loadRates', () => {
+  test('reads the newest row of the ECB historical file, skipping N/A and trailing commas', () => {
+    const file = ratesFile('eurofxref-hist.csv', [
+      'Date,USD,JPY,GBP,CYP,',
+      '2024-10-15,1.0891,162.51,0.8339,N/A,',
+      '2024-10-16,1.0882,162.45,0.8365,N/A,',
+      '2024-10-14,1.0904,162.95,0.8351,N/A,'
+    ].join('\r\n'));
+    const rates = loadRates(file);
+    assert.equal(rates.base, 'EUR');
+    assert.equal(rates.date, '2024-10-16');
+    assert.deepEqual(Object.keys(rates.rates).sort(), ['EUR', 'GBP', 'JPY', 'USD']);
+    assert.equal(convert('100.00', 'EUR', 'GBP', rates).amount, '83.65');
+  });
+
+  test('reads the ECB daily file with its spelled-out date', () => {
+    const rates = loadRates(ratesFile('eurofxref.csv', 'Date, USD, GBP, \n16 October 2024, 1.0882, 0.8365, \n'));
+    assert.equal(rates.date, '2024-10-16');
+    assert.equal(convert('10.00', 'EUR', 'USD', rates).amount, '10.88');
+  });
+
+  test('reads one rate per line with Date and Base columns', () => {
+    const rates = loadRates(ratesFile('rates.csv', 'Currency,Rate,Date,Base\neur,1.1954,2024-10-15,GBP\nUSD,1.2961,2024-10-16,GBP\n'));
+    assert.equal(rates.base, 'GBP');
+    assert.equal(rates.date, '2024-10-16');
+    assert.equal(convert('10.00', 'EUR', 'GBP', rates).amount, '8.37');
+  });
+
+  test('reads JSON, with EUR as the default base and no date', () => {
+    const rates = loadRates(ratesFile('rates.json', JSON.stringify({ rates: { GBP: 0.8365, USD: '1.0882' } })));
+    assert.equal(rates.base, 'EUR');
+    assert.equal(rates.date, null);
+    assert.equal(rates.file, join(dir, 'rates.json'));
+  });
+
+  test('names the file and line of a bad value', () => {
+    assert.throws(() => loadRates(ratesFile('zero.csv', 'Currency,Rate\nGBP,0.8365\nUSD,0\n')), /zero\.csv line 3: invalid rate "0"/);
+    assert.throws(() => loadRates(ratesFile('code.csv', 'Currency,Rate\nPOUND,1\n')), /code\.csv line 2: invalid currency "POUND"/);
+    assert.throws(() => loadRates(ratesFile('date.csv', 'Date,GBP\nyesterday,0.8\n')), /date\.csv line 2: invalid date "yesterday"/);
+    assert.throws(() => loadRates(ratesFile('layout.csv', 'Day,GBP\n2024-10-16,0.8\n')), /expected a Date column/);
+    assert.throws(() => loadRates(ratesFile('empty.csv', 'Date,GBP\n')), /empty\.csv: no rates found/);
+    assert.throws(() => loadRates(ratesFile('bad.json', '{')), /Could not parse rates file .*bad\.json/);
+    assert.throws(() => loadRates(ratesFile('norates.json', '{"base":"EUR"}')), /expected a "rates" object/);
+    assert.throws(() => loadRates(join(dir, 'missing.csv')), /Could not read rates file .*missing\.csv/);
+  });
+});
+
+describe('convertUnits', () => {
+  const rates = loadRates(ratesFile('cross.json', JSON.stringify({ base: 'EUR', rates: { GBP: 0.8365, USD: 1.0882, XTS: 0.5 } })));
+
+  test('crosses two non-base currencies through the base', () => {
+    assert.deepEqual(convert('100.00', 'USD', 'GBP', rates), { amount: '76.87', rate: '0.7687' });
+    assert.deepEqual(convert('-100.00', 'USD', 'GBP', rates), { amount: '-76.87', rate: '0.7687' });
+    assert.deepEqual(convert('10.00', 'GBP', 'EUR', rates), { amount: '11.95', rate: '1.195457' });
+  });
+
+  test('rounds half away from zero to 2 decimals', () => {
+    assert.equal(convert('0.01', 'EUR', 'XTS', rates).amount, '0.01');
+    assert.equal(convert('-0.01', 'EUR', 'XTS', rates).amount, '-0.01');
+    assert.equal(convert('0.03', 'XTS', 'EUR', rates).amount, '0.06');
+  });
+
+  test('keeps the same currency at rate 1 without rates, and is null when a rate is missing', () => {
+    assert.deepEqual(convert('12.345', 'GBP', 'GBP', null), { amount: '12.35', rate: '1' });
+    assert.equal(convert('1.00', 'GBP', 'EUR', null), null);
+    assert.equal(convert('1.00', 'CHF', 'EUR', rates), null);
+  });
+});
@@ -0,0 +1,474 @@
+import http from 'http';
+import crypto from 'crypto';
+import {
+  listAccounts,
+  getAccount,
+  getAccountBalances,
+  getAccountTransactions,
+  getTransaction,
+  getAccountBeneficiaries,
+  getAccountDirectDebits,
+  getAccountStandingOrders,
+  listStatements,
+  getStatement,
+  getStatementTransactions,
+  listBalances,
+  listTransactions,
+  listBeneficiaries,
+  listDirectDebits,
+  listStandingOrders
+} from './api.js';
+import {
+  queryAccounts,
+  queryAccount,
+  queryBalances,
+  queryTransactions,
+  queryTransaction,
+  queryBeneficiaries,
+  queryDirectDebits,
+  queryStandingOrders
+} from './store.js';
+import { getConfig } from './config.js';
+import { SECRET_KEYS } from './secrets.js';
+import { redact } from './redact.js';
+import { TRANSACTION_STATUSES, compileQuery, applyQuery } from './query.js';
+import { applyCategories } from './categories.js';
+
+export const DEFAULT_SERVE_PORT = 8484;
+
+// Bearer key for local clients, so it can be fixed across restarts without appearing in `ps`
+export const SERVE_KEY_ENV = 'OBACCOUNT_SERVE_KEY';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const SERVER_ERROR = -32000;
+
+const PAGING_PARAMS = ['page', 'maxPages', 'limit'];
+const TRANSACTION_PARAMS = [...PAGING_PARAMS, 'from', 'to', 'where', 'status', 'min', 'max', 'search', 'sort'];
+
+// Read-only methods, named after the src/api.js functions they call. `path` is the REST route;
+// `:name` segments are required params. `params` lists the optional ones. `offline` answers
+// from the local store instead; methods without it need the API.
+const METHODS = {
+  listAccounts: { path: '/accounts', params: PAGING_PARAMS, call: (p, q) => listAccounts(q), offline: (p, q) => queryAccounts(q) },
+  getAccount: { path: '/accounts/:accountId', call: p => getAccount(p.accountId), offline: p => queryAccount(p.accountId) },
+  getAccountBalances: { path: '/accounts/:accountId/balances', params: PAGING_PARAMS, call: (p, q) => getAccountBalances(p.accountId, q), offline: (p, q) => queryBalances(p.accountId, q) },
+  getAccountTransactions: { path: '/accounts/:accountId/transactions', params: TRANSACTION_PARAMS, transactions: true, call: (p, q) => getAccountTransactions(p.accountId, q), offline: (p, q) => queryTransactions(p.accountId, q) },
+  getTransaction: { path: '/accounts/:accountId/transactions/:transactionId', call: p => getTransaction(p.accountId, p.transactionId), offline: p => queryTransaction(p.accountId, p.transactionId) },
+  getAccountBeneficiaries: { path: '/accounts/:accountId/beneficiaries', params: PAGING_PARAMS, call: (p, q) => getAccountBeneficiaries(p.accountId, q), offline: (p, q) => queryBeneficiaries(p.accountId, q) },
+  getAccountDirectDebits: { path: '/accounts/:accountId/direct-debits', params: PAGING_PARAMS, call: (p, q) => getAccountDirectDebits(p.accountId, q), offline: (p, q) => queryDirectDebits(p.accountId, q) },
+  getAccountStandingOrders: { path: '/accounts/:accountId/standing-orders', params: PAGING_PARAMS, call: (p, q) => getAccountStandingOrders(p.accountId, q), offline: (p, q) => queryStandingOrders(p.accountId, q) },
+  listStatements: { path: '/accounts/:accountId/statements', params: PAGING_PARAMS, call: (p, q) => listStatements(p.accountId, q) },
+  getStatement: { path: '/accounts/:accountId/statements/:statementId', call: p => getStatement(p.accountId, p.statementId) },
+  getStatementTransactions: { path: '/accounts/:accountId/statements/:statementId/transactions', params: TRANSACTION_PARAMS.filter(name => name !== 'from' && name !== 'to'), transactions: true, call: (p, q) => getStatementTransactions(p.accountId, p.statementId, q) },
+  listBalances: { path: '/balances', params: PAGING_PARAMS, call: (p, q) => listBalances(q), offline: (p, q) => queryBalances(null, q) },
+  listTransactions: { path: '/transactions', params: TRANSACTION_PARAMS, transactions: true, call: (p, q) => listTransactions(q), offline: (p, q) => queryTransactions(null, q) },
+  listBeneficiaries: { path: '/beneficiaries', params: PAGING_PARAMS, call: (p, q) => listBeneficiaries(q), offline: (p, q) => queryBeneficiaries(null, q) },
+  listDirectDebits: { path: '/direct-debits', params: PAGING_PARAMS, call: (p, q) => listDirectDebits(q), offline: (p, q) => queryDirectDebits(null, q) },
+  listStandingOrders: { path: '/standing-orders', params: PAGING_PARAMS, call: (p, q) => listStandingOrders(q), offline: (p, q) => queryStandingOrders(null, q) }
+};
+
+/**
+ * A problem with the request itself, answered with `status` (REST) or `code` (JSON-RPC)
+ */
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ============================================================
+// Helpers
+// ============================================================
+
+export function generateApiKey() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+export function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+function pathParams(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+function keyMatches(header, apiKey) {
+  const presented = Buffer.from(header?.replace(/^Bearer\s+/i, '') || '');
+  const expected = Buffer.from(apiKey);
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Error text safe to hand to a local client: any stored credential that found its way into a
+ * message (e.g. echoed back by a misbehaving bank) is masked
+ */
+function safeMessage(message) {
+  let safe = String(message);
+  SECRET_KEYS.forEach(key => {
+    let secret;
+    try {
+      secret = getConfig(key);
+    } catch {
+      return;
+    }
+    if (secret && secret.length >= 8) safe = safe.split(secret).join('[redacted]');
+  });
+  return safe;
+}
+
+function positiveInt(name, value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) throw new RequestError(400, INVALID_PARAMS, `${name} must be a positive integer`);
+  return parsed;
+}
+
+function amount(name, value) {
+  if (!/^\d+(\.\d+)?$/.test(String(value))) throw new RequestError(400, INVALID_PARAMS, `${name} must be an amount, e.g. 25 or 9.99`);
+  return parseFloat(value);
+}
+
+/**
+ * Check params against the method's required and optional names and coerce the numeric ones.
+ * REST query strings and JSON-RPC params go through the same rules.
+ */
+function normaliseParams(name, method, params) {
+  if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+    throw new RequestError(400, INVALID_PARAMS, 'params must be an object of named parameters');
+  }
+  const required = pathParams(method.path);
+  const allowed = [...required, ...(method.params || [])];
+  const unknown = Object.keys(params).find(key => !allowed.includes(key));
+  if (unknown) {
+    throw new RequestError(400, INVALID_PARAMS, `${name} does not take "${unknown}"${allowed.length ? `. Parameters: ${allowed.join(', ')}` : ''}`);
+  }
+  const missing = required.find(key => !params[key]);
+  if (missing) throw new RequestError(400, INVALID_PARAMS, `${name} needs "${missing}"`);
+
+  const text = Object.keys(params).find(key => !['page', 'maxPages', 'limit', 'min', 'max'].includes(key) && typeof params[key] !== 'string');
+  if (text) throw new RequestError(400, INVALID_PARAMS, `${text} must be a string`);
+
+  const normalised = { ...params };
+  ['page', 'maxPages', 'limit'].forEach(key => {
+    if (normalised[key] !== undefined) normalised[key] = positiveInt(key, normalised[key]);
+  });
+  ['min', 'max'].forEach(key => {
+    if (normalised[key] !== undefined) normalised[key] = amount(key, normalised[key]);
+  });
+  if (normalised.status !== undefined && !TRANSACTION_STATUSES.includes(String(normalised.status).toLowerCase())) {
+    throw new RequestError(400, INVALID_PARAMS, `status must be one of ${TRANSACTION_STATUSES.join(', ')}`);
+  }
+  return normalised;
+}
+
+// ============================================================
+// Calls
+// ============================================================
+
+/**
+ * Run one method. Transaction methods take the same filters as the CLI list commands, with
+ * --limit applied after filtering and sorting.
+ */
+async function invoke(name, params, { offline, rules }) {
+  const method = METHODS[name];
+  const p = normaliseParams(name, method, params);
+  const paging = { page: p.page, maxPages: p.maxPages, limit: p.limit };
+
+  if (offline && !method.offline) {
+    throw new RequestError(404, METHOD_NOT_FOUND, `${name} is not available offline; the local store does not keep it`);
+  }
+  const fetch = offline ? method.offline : method.call;
+
+  if (!method.transactions) {
+    const result = await fetch(p, paging);
+    if (result === undefined || result === null) throw new RequestError(404, SERVER_ERROR, 'Not found');
+    return result;
+  }
+
+  let query;
+  try {
+    query = compileQuery(p);
+  } catch (error) {
+    throw new RequestError(400, INVALID_PARAMS, error.message);
+  }
+  const refines = Boolean(query.filter || query.compare);
+  const fetched = await fetch(p, { fromDate: p.from, toDate: p.to, ...paging, limit: refines ? undefined : p.limit });
+  const transactions = applyQuery(rules ? applyCategories(fetched, rules) : fetched, query);
+  return refines && p.limit ? transactions.slice(0, p.limit) : transactions;
+}
+
+/**
+ * Short-lived cache keyed on method and params, so dashboards polling the same view share one
+ * bank call. Concurrent identical requests wait on the same promise.
+ */
+function createCache(ttlSeconds) {
+  const entries = new Map();
+  return (name, params, run) => {
+    if (!ttlSeconds) return run();
+    const key = `${name} ${JSON.stringify(Object.entries(params).sort())}`;
+    const cached = entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+    const promise = run();
+    entries.set(key, { promise, expiresAt: Date.now() + ttlSeconds * 1000 });
+    promise.catch(() => entries.delete(key));
+    return promise;
+  };
+}
+
+/**
+ * HTTP status for a failed call. Bank-side auth failures are the gateway's problem, not the
+ * local client's, so they surface as 502 rather than 401/403.
+ */
+function failureStatus(error) {
+  if (error instanceof RequestError) return error.status;
+  if (error.status === 404) return 404;
+  return 502;
+}
+
+// ============================================================
+// Server
+// ============================================================
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, headers) {
+  send(res, status, { error: { status, message } }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new RequestError(413, INVALID_REQUEST, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new RequestError(400, INVALID_PARAMS, `Malformed percent-encoding in path segment "${segment}"`);
+  }
+}
+
+/**
+ * Method and path params for a REST path, or null. A param that decodes to a path separator,
+ * query or fragment delimiter or a dot segment is refused: it names no record and could
+ * only be meant to reach a different bank endpoint.
+ */
+function matchRoute(pathname) {
+  const segments = pathname.replace(/\/+$/, '').split('/').filter(Boolean).map(decodeSegment);
+  for (const [name, method] of Object.entries(METHODS)) {
+    const pattern = method.path.split('/').filter(Boolean);
+    if (pattern.length !== segments.length) continue;
+    const params = {};
+    const matched = pattern.every((part, index) => {
+      if (part.startsWith(':')) {
+        params[part.substring(1)] = segments[index];
+        return true;
+      }
+      return part === segments[index];
+    });
+    if (!matched) continue;
+
+    Object.entries(params).forEach(([param, value]) => {
+      if (/[/\\?#]/.test(value) || value.includes('..')) {
+        throw new RequestError(400, INVALID_PARAMS, `Invalid ${param} "${value}"`);
+      }
+    });
+    return { name, params };
+  }
+  return null;
+}
+
+/**
+ * Describe every method for GET / so clients can discover what is served
+ */
+function describeMethods() {
+  return Object.entries(METHODS).map(([name, method]) => ({
+    method: name,
+    path: method.path,
+    required: pathParams(method.path),
+    optional: method.params || []
+  }));
+}
+
+/**
+ * Create the read-only gateway. Not listening yet; see startGateway().
+ *
+ * Options:
+ * - apiKey: bearer key every request except GET /health must present
+ * - offline: answer from the local store instead of the bank
+ * - rules: compiled category rules applied to transactions (see loadRules)
+ * - cacheTtl: seconds to reuse identical responses (0 disables)
+ * - redacted: replace personal data in responses with pseudonyms (see redact)
+ * - onRequest: called with { method, path, status, duration, calls } after each response,
+ *   where `calls` names the API methods served
+ *
+ * Responses are the records the CLI prints with --json; the bank token never leaves the process.
+ */
+export function createGateway({ apiKey, offline = false, rules = null, cacheTtl = 0, redacted = false, onRequest = () => {} }) {
+  if (!apiKey) throw new Error('An API key is required');
+  const cached = createCache(cacheTtl);
+  const context = { offline, rules };
+
+  const call = async (name, params) => {
+    const result = await cached(name, params, () => invoke(name, params, context));
+    return redacted ? redact(result) : result;
+  };
+
+  async function handleRpcCall(request) {
+    const id = request?.id ?? null;
+    const reply = (body) => (request && 'id' in request ? { jsonrpc: '2.0', id, ...body } : null);
+
+    if (!request || request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+      return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid JSON-RPC 2.0 request' } };
+    }
+    if (!Object.hasOwn(METHODS, request.method)) {
+      return reply({ error: { code: METHOD_NOT_FOUND, message: `Unknown method "${request.method}". Methods: ${Object.keys(METHODS).join(', ')}` } });
+    }
+    try {
+      return reply({ result: await call(request.method, request.params ?? {}) });
+    } catch (error) {
+      const code = error instanceof RequestError ? error.code : SERVER_ERROR;
+      return reply({ error: { code, message: safeMessage(error.message), data: { status: failureStatus(error) } } });
+    }
+  }
+
+  async function handleRpc(req, res, calls) {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      if (error instanceof RequestError) {
+        sendError(res, error.status, error.message);
+        return error.status;
+      }
+      send(res, 200, { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+      return 200;
+    }
+
+    const batch = Array.isArray(payload);
+    const requests = batch ? payload : [payload];
+    if (batch && !requests.length) {
+      send(res, 200, { jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Empty batch' } });
+      return 200;
+    }
+    requests.forEach(request => calls.push(request?.method));
+
+    const replies = (await Promise.all(requests.map(handleRpcCall))).filter(Boolean);
+    if (!replies.length) {
+      res.writeHead(204);
+      res.end();
+      return 204;
+    }
+    send(res, 200, batch ? replies : replies[0]);
+    return 200;
+  }
+
+  async function handleRest(req, res, url, calls) {
+    if (url.pathname === '/' || url.pathname === '') {
+      send(res, 200, { offline, methods: describeMethods() });
+      return 200;
+    }
+
+    let route;
+    try {
+      route = matchRoute(url.pathname);
+    } catch (error) {
+      sendError(res, error.status, error.message);
+      return error.status;
+    }
+    if (!route) {
+      sendError(res, 404, `No route for ${url.pathname}. GET / lists the routes`);
+      return 404;
+    }
+    calls.push(route.name);
+
+    try {
+      const params = { ...Object.fromEntries(url.searchParams), ...route.params };
+      send(res, 200, await call(route.name, params));
+      return 200;
+    } catch (error) {
+      const status = failureStatus(error);
+      sendError(res, status, safeMessage(error.message));
+      return status;
+    }
+  }
+
+  async function route(req, res, calls) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      send(res, 200, { status: 'ok' });
+      return 200;
+    }
+
+    if (!keyMatches(req.headers.authorization, apiKey)) {
+      sendError(res, 401, 'Missing or invalid API key', { 'WWW-Authenticate': 'Bearer' });
+      return 401;
+    }
+
+    if (url.pathname === '/rpc') {
+      if (req.method !== 'POST') {
+        sendError(res, 405, 'JSON-RPC requests must be POSTed', { Allow: 'POST' });
+        return 405;
+      }
+      return handleRpc(req, res, calls);
+    }
+
+    if (req.method !== 'GET') {
+      sendError(res, 405, 'The gateway is read-only', { Allow: 'GET' });
+      return 405;
+    }
+    return handleRest(req, res, url, calls);
+  }
+
+  return http.createServer((req, res) => {
+    const started = Date.now();
+    const calls = [];
+    const done = status => onRequest({ method: req.method, path: req.url, status, duration: Date.now() - started, calls: calls.filter(Boolean) });
+
+    route(req, res, calls)
+      .then(status => done(status || res.statusCode))
+      .catch(error => {
+        if (!res.headersSent) sendError(res, 500, safeMessage(error.message));
+        done(500);
+      });
+  });
+}
+
+/**
+ * Start the gateway. Resolves once it is listening; pass port 0 to pick a free port.
+ */
+export function startGateway({ port = DEFAULT_SERVE_PORT, host = '127.0.0.1', ...options }) {
+  const server = createGateway(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const address = server.address();
+      const url = `http://${address.family === 'IPv6' ? `[${address.address}]` : address.address}:${address.port}`;
+      resolve({ server, url, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
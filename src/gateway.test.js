@@ -0,0 +1,87 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempConfig, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig } = await import('./config.js');
+const { startGateway } = await import('./gateway.js');
+
+const API_KEY = 'gateway-test-key';
+
+describe('gateway', () => {
+  let bank;
+  let gateway;
+  const logged = [];
+
+  before(async () => {
+    bank = await startServer((req, url) => {
+      if (url.pathname.endsWith('/balances')) return { body: { Data: { Balance: [{ AccountId: '22289', Type: 'ClosingBooked' }] }, Links: {} } };
+      return { body: { Data: { Account: [{ AccountId: '22289' }] }, Links: {} } };
+    });
+    setConfig('baseUrl', bank.baseUrl);
+    setConfig('accessToken', 'bank-token');
+    setConfig('rateLimit', 0);
+    setConfig('maxRetries', 0);
+    gateway = await startGateway({ port: 0, apiKey: API_KEY, onRequest: entry => logged.push(entry) });
+  });
+
+  after(async () => {
+    await gateway.close();
+    await bank.close();
+  });
+
+  async function get(path, key = API_KEY) {
+    const response = await fetch(gateway.url + path, { headers: key ? { Authorization: `Bearer ${key}` } : {} });
+    return { status: response.status, body: await response.json() };
+  }
+
+  test('needs the API key everywhere but /health', async () => {
+    assert.deepEqual(await get('/health', null), { status: 200, body: { status: 'ok' } });
+    assert.equal((await get('/accounts', null)).status, 401);
+    assert.equal((await get('/accounts', 'wrong')).status, 401);
+    assert.equal(bank.requests.length, 0);
+  });
+
+  test('serves REST routes and JSON-RPC from the bank without handing out its token', async () => {
+    const rest = await get('/accounts/22289/balances');
+    assert.equal(rest.status, 200);
+    assert.equal(rest.body[0].Type, 'ClosingBooked');
+    assert.equal(bank.requests.at(-1).path, '/open-banking/v3.1/aisp/accounts/22289/balances');
+    assert.equal(bank.requests.at(-1).headers.authorization, 'Bearer bank-token');
+
+    const response = await fetch(`${gateway.url}/rpc`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${API_KEY}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'listAccounts', params: {} })
+    });
+    assert.deepEqual(await response.json(), { jsonrpc: '2.0', id: 7, result: [{ AccountId: '22289' }] });
+    assert.doesNotMatch(JSON.stringify(rest.body), /bank-token/);
+  });
+
+  test('answers 400 for a path param that could leave its endpoint', async () => {
+    const before = bank.requests.length;
+    const escape = await get('/accounts/..%2F..%2F..%2F..%2Fhealth%3F/balances');
+    assert.equal(escape.status, 400);
+    assert.equal(escape.body.error.message, 'Invalid accountId "../../../../health?"');
+
+    for (const id of ['%2E%2E%2Fparty', 'a..b', 'a%5Cb', 'a%23b', 'a%3Fb=1', 'a%2Fb']) {
+      assert.equal((await get(`/accounts/${id}`)).status, 400, id);
+    }
+    assert.equal((await get('/accounts/22289/transactions/..%2F..%2Fparty')).status, 400);
+    assert.equal(bank.requests.length, before, 'nothing reaches the bank');
+  });
+
+  test('answers 400, not 500, for malformed percent-encoding', async () => {
+    const malformed = await get('/accounts/%E0');
+    assert.deepEqual(malformed, { status: 400, body: { error: { status: 400, message: 'Malformed percent-encoding in path segment "%E0"' } } });
+    assert.equal(logged.at(-1).status, 400);
+    assert.equal((await get('/accounts/%/balances')).status, 400);
+  });
+
+  test('unknown routes are 404 and writes are refused', async () => {
+    assert.equal((await get('/accounts/22289/unknown')).status, 404);
+    const response = await fetch(`${gateway.url}/accounts`, { method: 'DELETE', headers: { Authorization: `Bearer ${API_KEY}` } });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET');
+  });
+});
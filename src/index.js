@@ -1,7 +1,30 @@
-import { Command } from 'commander';
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
-import { getConfig, setConfig, isConfigured, clearConfig } from './config.js';
+import {
+  getConfig,
+  setConfig,
+  isConfigured,
+  clearConfig,
+  getActiveProfile,
+  setActiveProfile,
+  switchProfile,
+  listProfiles,
+  addProfile,
+  useProfile,
+  removeProfile,
+  useSandbox,
+  isSecretSet,
+  secretSource,
+  isLocked,
+  needsPassphrase,
+  unlockWithPassphrase,
+  lockConfig,
+  unlockConfig,
+  getKeyFilePath
+} from './config.js';
 import {
   listAccounts,
   getAccount,
@@ -18,8 +41,83 @@ import {
   getAccountStandingOrders,
   listStatements,
   getStatement,
-  getStatementTransactions
+  getStatementTransactions,
+  getStatementFile,
+  listProducts,
+  getAccountProduct,
+  listOffers,
+  getAccountOffers,
+  getParty,
+  getAccountParty,
+  getAccountParties,
+  listScheduledPayments,
+  getAccountScheduledPayments,
+  createAccountAccessConsent,
+  getAccountAccessConsent,
+  deleteAccountAccessConsent,
+  setValidation
 } from './api.js';
+import {
+  DEFAULT_PERMISSIONS,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  waitForAuthorizationCode,
+  exchangeAuthorizationCode,
+  storeTokens
+} from './auth.js';
+import {
+  DEFAULT_OVERLAP_DAYS,
+  syncStore,
+  readSyncState,
+  getStorePath,
+  queryAccounts,
+  queryAccount,
+  queryBalances,
+  queryTransactions,
+  queryTransaction,
+  queryBeneficiaries,
+  queryDirectDebits,
+  queryStandingOrders
+} from './store.js';
+import { EXPORT_FORMATS, toCsv, toNdjson, toOfx, toQif, rowsToCsv, hasBookingDate } from './export.js';
+import { toCamt053, toCamt052 } from './camt.js';
+import { setVerbose } from './retry.js';
+import { DEFAULT_MOCK_PORT, startMockServer, parseFailureRule, sandboxConfig } from './mock-server.js';
+import { createFixtures } from './mock-fixtures.js';
+import { UNCATEGORISED, loadRules, categorise, applyCategories, filterByCategory } from './categories.js';
+import { CASHFLOW_GROUPINGS, cashflow, topMerchants, historyRange, balanceHistory } from './reports.js';
+import { DEFAULT_MIN_OCCURRENCES, RECURRING_FIELDS, detectRecurring } from './recurring.js';
+import { reconcile } from './reconcile.js';
+import {
+  WATCH_EVENTS,
+  DEFAULT_WATCH_WINDOW_DAYS,
+  DEFAULT_WATCH_INTERVAL,
+  pollOnce,
+  postWebhook,
+  resetWatchState,
+  getWatchStatePath
+} from './watch.js';
+import { runConformance, summariseConformance } from './conformance.js';
+import { TRANSACTION_STATUSES, CATEGORY_FIELDS, compileQuery, applyQuery } from './query.js';
+import { loadRates } from './fx.js';
+import {
+  DIFF_FORMATS,
+  LIVE,
+  SNAPSHOT_COLLECTIONS,
+  SNAPSHOT_TITLES,
+  captureSnapshot,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  diffSnapshots,
+  toJsonPatch,
+  toMarkdown
+} from './snapshot.js';
+import { DEFAULT_SERVE_PORT, SERVE_KEY_ENV, generateApiKey, isLoopback, startGateway } from './gateway.js';
+import { BALANCE_TYPES, DEFAULT_BALANCE_TYPE, summariseNetWorth } from './networth.js';
+import { PASSPHRASE_ENV, SECRET_ENV } from './secrets.js';
+import { setRedaction, isRedacting, redactOutput } from './redact.js';
+import { AUDIT_FIELDS, setAuditCommand, readAudit } from './audit.js';
 
 const program = new Command();
 
@@ -41,6 +139,7 @@ function printTable(data, columns) {
     return;
   }
 
+  data = redactOutput(data);
   const widths = {};
   columns.forEach(col => {
     widths[col.key] = col.label.length;
@@ -67,7 +166,7 @@ function printTable(data, columns) {
 }
 
 function printJson(data) {
-  console.log(JSON.stringify(data, null, 2));
+  console.log(JSON.stringify(redactOutput(data), null, 2));
 }
 
 async function withSpinner(message, fn) {
@@ -82,10 +181,273 @@ async function withSpinner(message, fn) {
   }
 }
 
+/**
+ * Read a line from the terminal without echoing it
+ */
+function promptSecret(question) {
+  return new Promise((resolve) => {
+    const stdin = process.stdin;
+    let value = '';
+    process.stderr.write(question);
+
+    const finish = () => {
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdin.off('data', onData);
+      process.stderr.write('\n');
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          resolve(value);
+          return;
+        }
+        if (char === '\u0003') {
+          finish();
+          process.exit(130);
+        }
+        value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+      }
+    };
+
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.on('data', onData);
+    stdin.resume();
+  });
+}
+
+/**
+ * Ask for a new passphrase twice; the two must match
+ */
+async function promptNewPassphrase() {
+  const passphrase = await promptSecret('New passphrase: ');
+  if (!passphrase) throw new Error('The passphrase cannot be empty.');
+  if (await promptSecret('Repeat passphrase: ') !== passphrase) throw new Error('Passphrases do not match.');
+  return passphrase;
+}
+
+function parsePositiveInt(value) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return parsed;
+}
+
+function parseNonNegativeInt(value) {
+  const parsed = parseInt(value, 10);
+  if (isNaN(parsed) || parsed < 0) {
+    throw new InvalidArgumentError('Must be zero or a positive integer.');
+  }
+  return parsed;
+}
+
+function parseBalanceType(value) {
+  if (!BALANCE_TYPES.includes(value)) {
+    throw new InvalidArgumentError(`Must be one of ${BALANCE_TYPES.join(', ')}.`);
+  }
+  return value;
+}
+
+function parseCurrencyCode(value) {
+  if (!/^[A-Za-z]{3}$/.test(value)) {
+    throw new InvalidArgumentError('Must be a three-letter ISO 4217 currency code, e.g. GBP.');
+  }
+  return value.toUpperCase();
+}
+
+function parseOnOff(value) {
+  if (!['on', 'off'].includes(value)) {
+    throw new InvalidArgumentError('Must be on or off.');
+  }
+  return value === 'on';
+}
+
+/**
+ * ISO date or time, or a span back from now such as 30m, 24h or 7d; returns an ISO timestamp
+ */
+function parseSince(value) {
+  const span = /^(\d+)([mhd])$/.exec(value);
+  if (span) {
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[span[2]];
+    return new Date(Date.now() - Number(span[1]) * unit).toISOString();
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new InvalidArgumentError('Must be an ISO 8601 date or time, or a span such as 30m, 24h or 7d.');
+  }
+  return new Date(time).toISOString();
+}
+
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new InvalidArgumentError('Must be an http:// or https:// URL.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new InvalidArgumentError('Must be an http:// or https:// URL.');
+  }
+  return value;
+}
+
+function paginationOptions(options) {
+  return {
+    page: options.page,
+    maxPages: options.maxPages,
+    limit: options.limit
+  };
+}
+
+/**
+ * Run fetch once per configured profile, tagging each record with its profile name.
+ * Profiles without credentials are skipped; per-profile failures are collected, not thrown.
+ */
+async function collectAcrossProfiles(fetch) {
+  const original = getActiveProfile();
+  const results = [];
+  const errors = [];
+
+  try {
+    for (const { name } of listProfiles()) {
+      switchProfile(name);
+      if (!isConfigured()) continue;
+      try {
+        const records = await fetch();
+        records.forEach(record => results.push({ Profile: name, ...record }));
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+  } finally {
+    switchProfile(original);
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Write to a file when --output is given, otherwise to stdout
+ */
+function writeOutput(content, file) {
+  if (file) {
+    fs.writeFileSync(file, content);
+    printSuccess(`Written to ${file}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+/**
+ * Load account details and balances for OFX/QIF account headers
+ */
+async function loadExportAccounts(accountIds, offline) {
+  const accounts = {};
+  for (const accountId of accountIds) {
+    accounts[accountId] = offline
+      ? { account: queryAccount(accountId), balances: queryBalances(accountId) }
+      : { account: await getAccount(accountId), balances: await getAccountBalances(accountId) };
+  }
+  return accounts;
+}
+
+/**
+ * Render transactions in an export format. accountId fills in records that omit it.
+ */
+async function exportTransactions(transactions, options, accountId) {
+  const records = redactOutput(accountId ? transactions.map(t => ({ ...t, AccountId: t.AccountId || accountId })) : transactions);
+
+  let content;
+  if (options.format === 'csv') {
+    content = toCsv(records);
+  } else if (options.format === 'ndjson') {
+    content = toNdjson(records);
+  } else {
+    const accountIds = [...new Set(records.map(t => t.AccountId).filter(Boolean))];
+    const accounts = await withSpinner('Fetching account details...', () => loadExportAccounts(accountIds, options.offline));
+    const render = options.format === 'ofx' ? toOfx : toQif;
+    content = render(records, redactOutput(accounts), { includePending: options.includePending });
+    // stderr, so the warning never ends up in an export written to stdout
+    const undated = records.filter(t => !hasBookingDate(t)).length;
+    if (undated) console.error(chalk.yellow(`${undated} transaction(s) without a valid booking date were left out`));
+  }
+
+  writeOutput(content, options.output);
+}
+
+function formatOption() {
+  return new Option('--format <format>', 'Export format').choices(EXPORT_FORMATS);
+}
+
+function parseAmount(value) {
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new InvalidArgumentError('Must be an amount, e.g. 25 or 9.99.');
+  }
+  return parseFloat(value);
+}
+
+/**
+ * --where, --status, --min, --max, --search and --sort, shared by every transaction list command
+ */
+function queryOptions(command) {
+  return command
+    .option('--where <expression>', 'Filter expression, e.g. \'amount > 100 and type = Debit and merchant ~ "tesco"\'')
+    .addOption(new Option('--status <status>', 'Only booked or pending transactions').choices(TRANSACTION_STATUSES))
+    .option('--min <amount>', 'Minimum amount, ignoring sign', parseAmount)
+    .option('--max <amount>', 'Maximum amount, ignoring sign', parseAmount)
+    .option('--search <text>', 'Text in the description, reference, merchant, payee, payer or category')
+    .option('--sort <fields>', 'Sort by fields, e.g. -amount,date ("-" for descending)');
+}
+
+/**
+ * Category rules from --rules or the profile's rules file; null when neither is set.
+ * `query` is the compiled transaction query, which needs rules if --where reads category or tags.
+ */
+function loadCategoryRules(options, query) {
+  const file = options.rules || getConfig('categoryRules');
+  if (!file) {
+    if (options.category) {
+      throw new Error('--category needs category rules. Pass --rules <file> or run: openbankingorgukacco config set --rules <file>');
+    }
+    const field = query?.fields.find(name => CATEGORY_FIELDS.includes(name));
+    if (field) {
+      throw new Error(`--where on ${field} needs category rules. Pass --rules <file> or run: openbankingorgukacco config set --rules <file>`);
+    }
+    return null;
+  }
+  return loadRules(file);
+}
+
+/**
+ * Transaction query for list commands. When transactions are filtered or sorted client-side
+ * the limit is applied afterwards instead.
+ */
+function transactionQuery(options, query) {
+  const fetchQuery = { fromDate: options.from, toDate: options.to, ...paginationOptions(options) };
+  if (options.category || query.filter || query.compare) delete fetchQuery.limit;
+  return fetchQuery;
+}
+
+/**
+ * Add Category and Tags, apply --category and the query options, then the deferred --limit
+ */
+function refineTransactions(transactions, rules, query, options) {
+  let refined = rules ? applyCategories(transactions, rules) : transactions;
+  if (rules && options.category) refined = filterByCategory(refined, options.category);
+  refined = applyQuery(refined, query);
+  if (options.limit && (options.category || query.filter || query.compare)) refined = refined.slice(0, options.limit);
+  return refined;
+}
+
 function requireAuth() {
   if (!isConfigured()) {
-    printError('Access token not configured.');
+    printError(`Access token not configured for profile "${getActiveProfile()}".`);
     console.log('\nRun the following to configure:');
+    console.log(chalk.cyan('  openbankingorgukacco auth login'));
+    console.log('or paste a token obtained elsewhere:');
     console.log(chalk.cyan('  openbankingorgukacco config set --token <token>'));
     process.exit(1);
   }
@@ -98,7 +460,71 @@ function requireAuth() {
 program
   .name('openbankingorgukacco')
   .description(chalk.bold('Open Banking UK Account & Transaction CLI') + ' - Access account and transaction data')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--profile <name>', 'Bank profile to use for this command')
+  .option('--verbose', 'Log each API attempt with its x-fapi-interaction-id to stderr')
+  .option('--sandbox', 'Use the mock ASPSP (see: mock-server) instead of a real bank')
+  .option('--sandbox-url <url>', `Address of the mock ASPSP; implies --sandbox (default: http://127.0.0.1:${DEFAULT_MOCK_PORT})`)
+  .option('--validate', 'Check API responses against the OB v3.1 schemas and warn about violations')
+  .option('--validate-strict', 'Like --validate, but fail on the first non-conformant response')
+  .option('--redact', 'Replace account numbers, names and references with stable pseudonyms in output')
+  .option('--no-redact', 'Show personal data even when the profile redacts by default');
+
+// Commands that never read secrets, so a locked config does not ask for the passphrase
+const NO_SECRET_COMMANDS = ['mock-server', 'profile', 'config show', 'config clear', 'audit'];
+
+/**
+ * Subcommand names without the program name, e.g. "accounts transactions"
+ */
+function commandPath(actionCommand) {
+  const names = [];
+  for (let command = actionCommand; command.parent; command = command.parent) names.unshift(command.name());
+  return names.join(' ');
+}
+
+/**
+ * Ask for the passphrase of a locked config up front, while a terminal is available.
+ * Without one, commands fail when they first need a secret (unless OBACCOUNT_PASSPHRASE is set).
+ */
+async function unlockInteractively(actionCommand) {
+  const path = commandPath(actionCommand);
+  if (NO_SECRET_COMMANDS.some(name => path === name || path.startsWith(`${name} `))) return;
+  if (!needsPassphrase() || !process.stdin.isTTY) return;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      unlockWithPassphrase(await promptSecret('Passphrase: '));
+      return;
+    } catch (error) {
+      printError(error.message);
+      if (attempt === 3) process.exit(1);
+    }
+  }
+}
+
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { profile, verbose, sandbox, sandboxUrl, validate, validateStrict, redact } = program.opts();
+  setVerbose(verbose);
+  setValidation(validateStrict ? 'strict' : validate);
+  setAuditCommand(commandPath(actionCommand));
+  if (sandbox || sandboxUrl) {
+    if (profile) {
+      printError('--sandbox cannot be combined with --profile.');
+      process.exit(1);
+    }
+    useSandbox(sandboxConfig(sandboxUrl));
+    setRedaction(redact ?? getConfig('redactOutput'));
+    return;
+  }
+  try {
+    if (profile) setActiveProfile(profile);
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+  setRedaction(redact ?? getConfig('redactOutput'));
+  await unlockInteractively(actionCommand);
+});
 
 // ============================================================
 // CONFIG
@@ -106,50 +532,327 @@ program
 
 const configCmd = program.command('config').description('Manage CLI configuration');
 
-configCmd
+// Values accepted by `config set`, mapped to their config keys
+const CONFIG_SETTINGS = [
+  { flags: '--base-url <url>', option: 'baseUrl', key: 'baseUrl', description: 'ASPSP API base URL (before the version segment)' },
+  { flags: '--api-version <version>', option: 'apiVersion', key: 'apiVersion', description: 'Account & Transaction API version' },
+  { flags: '--token <token>', option: 'token', key: 'accessToken', description: 'Access token' },
+  { flags: '--token-command <command>', option: 'tokenCommand', key: 'tokenCommand', description: 'Command that prints an access token (used instead of a stored one)' },
+  { flags: '--expiry <timestamp>', option: 'expiry', key: 'tokenExpiry', description: 'Token expiry timestamp', parse: v => parseInt(v, 10) },
+  { flags: '--client-id <id>', option: 'clientId', key: 'clientId', description: 'OAuth2 client ID' },
+  { flags: '--client-secret <secret>', option: 'clientSecret', key: 'clientSecret', description: 'OAuth2 client secret' },
+  { flags: '--token-url <url>', option: 'tokenUrl', key: 'tokenUrl', description: 'OAuth2 token endpoint' },
+  { flags: '--authorize-url <url>', option: 'authorizeUrl', key: 'authorizeUrl', description: 'OAuth2 authorization endpoint' },
+  { flags: '--redirect-uri <uri>', option: 'redirectUri', key: 'redirectUri', description: 'Loopback redirect URI' },
+  { flags: '--cert <path>', option: 'cert', key: 'certPath', description: 'Transport (OBWAC) certificate PEM file' },
+  { flags: '--key <path>', option: 'key', key: 'keyPath', description: 'Transport certificate private key PEM file' },
+  { flags: '--ca <path>', option: 'ca', key: 'caPath', description: 'CA bundle PEM file' },
+  { flags: '--passphrase <passphrase>', option: 'passphrase', key: 'certPassphrase', description: 'Private key passphrase' },
+  { flags: '--financial-id <id>', option: 'financialId', key: 'financialId', description: 'ASPSP x-fapi-financial-id' },
+  { flags: '--customer-ip <ip>', option: 'customerIp', key: 'customerIpAddress', description: 'PSU IP address sent as x-fapi-customer-ip-address' },
+  { flags: '--max-retries <n>', option: 'maxRetries', key: 'maxRetries', description: 'Retries for failed GET requests (0 disables)', parse: parseNonNegativeInt },
+  { flags: '--retry-delay <ms>', option: 'retryDelay', key: 'retryBaseDelay', description: 'Base backoff delay in milliseconds', parse: parseNonNegativeInt },
+  { flags: '--rules <file>', option: 'rules', key: 'categoryRules', description: 'Transaction category rules file (YAML or JSON)' },
+  { flags: '--rates <file>', option: 'rates', key: 'ratesFile', description: 'FX rates file for balances summary (CSV or JSON)' },
+  { flags: '--balance-type <type>', option: 'balanceType', key: 'balanceType', description: 'Preferred balance type for balances summary', parse: parseBalanceType },
+  { flags: '--rate-limit <n>', option: 'rateLimit', key: 'rateLimit', description: 'Client-side request limit per second per host (0 disables)', parse: parseNonNegativeInt },
+  { flags: '--webhook <url>', option: 'webhook', key: 'webhookUrl', description: 'Webhook URL that watch POSTs events to', parse: parseWebhookUrl },
+  { flags: '--redact-output <on|off>', option: 'redactOutput', key: 'redactOutput', description: 'Redact personal data in output by default', parse: parseOnOff }
+];
+
+const configSetCmd = configCmd
   .command('set')
-  .description('Set configuration values')
-  .option('--token <token>', 'Access token')
-  .option('--expiry <timestamp>', 'Token expiry timestamp')
-  .action((options) => {
-    if (options.token) {
-      setConfig('accessToken', options.token);
-      printSuccess(`Access token set`);
-    }
-    if (options.expiry) {
-      setConfig('tokenExpiry', parseInt(options.expiry));
-      printSuccess(`Token expiry set`);
-    }
-    if (!options.token && !options.expiry) {
-      printError('No options provided. Use --token or --expiry');
-    }
+  .description('Set configuration values');
+
+CONFIG_SETTINGS.forEach(setting => configSetCmd.option(setting.flags, setting.description, setting.parse));
+
+configSetCmd.action((options) => {
+  const provided = CONFIG_SETTINGS.filter(setting => options[setting.option] !== undefined);
+
+  if (provided.length === 0) {
+    printError(`No options provided. Use ${CONFIG_SETTINGS.map(setting => setting.flags.split(' ')[0]).join(', ')}`);
+    return;
+  }
+
+  provided.forEach(setting => {
+    setConfig(setting.key, options[setting.option]);
+    printSuccess(`${setting.description} set`);
   });
+});
 
 configCmd
   .command('show')
   .description('Show current configuration')
   .action(() => {
-    const hasToken = !!getConfig('accessToken');
     const tokenExpiry = getConfig('tokenExpiry');
+    const secret = (key) => {
+      const source = secretSource(key);
+      if (source === 'env') return chalk.green(`from ${SECRET_ENV[key]}`);
+      if (source === 'command') return chalk.green('from token command');
+      return source ? chalk.green('set') : chalk.dim('not set');
+    };
 
     console.log(chalk.bold('\nOpen Banking UK Account & Transaction CLI Configuration\n'));
-    console.log('Access Token: ', hasToken ? chalk.green('set') : chalk.red('not set'));
+    console.log('Profile:      ', chalk.cyan(getActiveProfile()));
+    console.log('Base URL:     ', getConfig('baseUrl'));
+    console.log('API Version:  ', getConfig('apiVersion'));
+    console.log('Access Token: ', isSecretSet('accessToken') ? secret('accessToken') : chalk.red('not set'));
+    if (getConfig('tokenCommand')) console.log('Token Command:', getConfig('tokenCommand'));
     if (tokenExpiry) {
       const expiry = new Date(tokenExpiry);
       const isValid = tokenExpiry > Date.now();
       console.log('Token Expiry: ', isValid ? chalk.green(expiry.toLocaleString()) : chalk.red(`expired (${expiry.toLocaleString()})`));
     }
+    console.log('Refresh Token:', secret('refreshToken'));
+    console.log('Client ID:    ', getConfig('clientId') || chalk.dim('not set'));
+    console.log('Client Secret:', secret('clientSecret'));
+    console.log('Token URL:    ', getConfig('tokenUrl') || chalk.dim('not set'));
+    console.log('Authorize URL:', getConfig('authorizeUrl') || chalk.dim('not set'));
+    console.log('Redirect URI: ', getConfig('redirectUri'));
+    console.log('Consent ID:   ', getConfig('consentId') || chalk.dim('not set'));
+    console.log('Certificate:  ', getConfig('certPath') || chalk.dim('not set'));
+    console.log('Private Key:  ', getConfig('keyPath') || chalk.dim('not set'));
+    console.log('CA Bundle:    ', getConfig('caPath') || chalk.dim('not set'));
+    console.log('Passphrase:   ', secret('certPassphrase'));
+    console.log('Financial ID: ', getConfig('financialId') || chalk.dim('not set'));
+    console.log('Customer IP:  ', getConfig('customerIpAddress') || chalk.dim('not set'));
+    console.log('Rules File:   ', getConfig('categoryRules') || chalk.dim('not set'));
+    console.log('Rates File:   ', getConfig('ratesFile') || chalk.dim('not set'));
+    console.log('Balance Type: ', getConfig('balanceType') || chalk.dim(`${DEFAULT_BALANCE_TYPE} (default)`));
+    console.log('Max Retries:  ', getConfig('maxRetries'));
+    console.log('Retry Delay:  ', `${getConfig('retryBaseDelay')}ms`);
+    console.log('Rate Limit:   ', getConfig('rateLimit') ? `${getConfig('rateLimit')}/s` : chalk.dim('off'));
+    console.log('Webhook URL:  ', getConfig('webhookUrl') || chalk.dim('not set'));
+    console.log('Redact Output:', getConfig('redactOutput') ? 'on' : chalk.dim('off'));
+    console.log('Secrets:      ', isLocked() ? 'encrypted with passphrase (locked)' : `encrypted with ${getKeyFilePath()}`);
     console.log('');
   });
 
 configCmd
   .command('clear')
-  .description('Clear configuration')
+  .description('Clear credentials for the active profile')
   .action(() => {
     clearConfig();
     printSuccess('Configuration cleared');
   });
 
+configCmd
+  .command('lock')
+  .description('Encrypt stored secrets with a passphrase, or change the passphrase')
+  .action(async () => {
+    const changing = isLocked();
+    try {
+      let passphrase;
+      if (process.stdin.isTTY) {
+        passphrase = await promptNewPassphrase();
+      } else if (!changing && process.env[PASSPHRASE_ENV]) {
+        passphrase = process.env[PASSPHRASE_ENV];
+      } else {
+        throw new Error(changing ? 'Changing the passphrase needs a terminal.' : `Run this in a terminal, or set ${PASSPHRASE_ENV}.`);
+      }
+      lockConfig(passphrase);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+
+    printSuccess(changing ? 'Passphrase changed' : 'Secrets encrypted with your passphrase');
+    if (!changing) console.log(`Commands that need them will ask for it. Set ${PASSPHRASE_ENV} for unattended runs.`);
+  });
+
+configCmd
+  .command('unlock')
+  .description('Stop asking for the passphrase: encrypt secrets with a key file instead')
+  .action(() => {
+    if (!isLocked()) {
+      printSuccess('Configuration is not locked');
+      return;
+    }
+    try {
+      unlockConfig();
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+    printSuccess(`Secrets encrypted with the key in ${getKeyFilePath()}`);
+  });
+
+// ============================================================
+// PROFILES
+// ============================================================
+
+const profileCmd = program.command('profile').description('Manage named bank profiles');
+
+profileCmd
+  .command('add <name>')
+  .description('Add a bank profile')
+  .option('--base-url <url>', 'ASPSP API base URL (before the version segment)')
+  .option('--api-version <version>', 'Account & Transaction API version')
+  .option('--use', 'Make this the default profile')
+  .action((name, options) => {
+    try {
+      const values = {};
+      if (options.baseUrl) values.baseUrl = options.baseUrl;
+      if (options.apiVersion) values.apiVersion = options.apiVersion;
+      addProfile(name, values);
+      printSuccess(`Profile added: ${name}`);
+
+      if (options.use) {
+        useProfile(name);
+        printSuccess(`Now using profile: ${name}`);
+      }
+      console.log(`\nConfigure credentials with: ${chalk.cyan(`openbankingorgukacco config set --profile ${name} ...`)}`);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+profileCmd
+  .command('list')
+  .description('List bank profiles')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const active = getActiveProfile();
+    const profiles = listProfiles().map(profile => ({
+      name: profile.name,
+      active: profile.name === active,
+      baseUrl: profile.baseUrl,
+      apiVersion: profile.apiVersion,
+      configured: !!(profile.accessToken || profile.refreshToken)
+    }));
+
+    if (options.json) {
+      printJson(profiles);
+      return;
+    }
+
+    printTable(profiles, [
+      { key: 'name', label: 'Profile', format: (v, row) => row.active ? `${v} *` : v },
+      { key: 'baseUrl', label: 'Base URL' },
+      { key: 'apiVersion', label: 'Version' },
+      { key: 'configured', label: 'Token', format: (v) => v ? 'set' : 'not set' }
+    ]);
+  });
+
+profileCmd
+  .command('use <name>')
+  .description('Set the default profile')
+  .action((name) => {
+    try {
+      useProfile(name);
+      printSuccess(`Now using profile: ${name}`);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+profileCmd
+  .command('remove <name>')
+  .description('Remove a bank profile and its credentials')
+  .action((name) => {
+    try {
+      removeProfile(name);
+      printSuccess(`Profile removed: ${name}`);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// AUTH
+// ============================================================
+
+const authCmd = program.command('auth').description('Authorize access via an account-access-consent');
+
+authCmd
+  .command('login')
+  .description('Create a consent, authorize it in the browser and store the tokens')
+  .option('--permissions <list>', 'Comma-separated consent permissions', DEFAULT_PERMISSIONS.join(','))
+  .option('--expires <datetime>', 'Consent expiration date time (ISO 8601)')
+  .option('--from <date>', 'Earliest transaction date the consent covers (ISO 8601)')
+  .option('--to <date>', 'Latest transaction date the consent covers (ISO 8601)')
+  .action(async (options) => {
+    try {
+      const consent = await withSpinner('Creating account-access-consent...', () =>
+        createAccountAccessConsent({
+          permissions: options.permissions.split(',').map(p => p.trim()).filter(Boolean),
+          expirationDateTime: options.expires,
+          fromDate: options.from,
+          toDate: options.to
+        })
+      );
+      setConfig('consentId', consent.ConsentId);
+      printSuccess(`Consent created: ${chalk.cyan(consent.ConsentId)}`);
+
+      const request = createAuthorizationRequest();
+      const url = buildAuthorizationUrl(consent.ConsentId, request);
+      console.log('\nOpen the following URL in your browser to authorize access:\n');
+      console.log(chalk.cyan(url) + '\n');
+
+      const code = await withSpinner(`Waiting for redirect to ${getConfig('redirectUri')}...`, () =>
+        waitForAuthorizationCode(request.state)
+      );
+      const tokens = await withSpinner('Exchanging authorization code...', () =>
+        exchangeAuthorizationCode(code, request.codeVerifier)
+      );
+      storeTokens(tokens);
+      printSuccess('Access token stored');
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+const consentCmd = authCmd.command('consent').description('Manage account-access-consents');
+
+consentCmd
+  .command('get [consent-id]')
+  .description('Get consent details (defaults to the stored consent)')
+  .option('--json', 'Output as JSON')
+  .action(async (consentId, options) => {
+    try {
+      const id = consentId || getConfig('consentId');
+      if (!id) throw new Error('No consent ID given and none stored. Run: openbankingorgukacco auth login');
+
+      const consent = await withSpinner('Fetching consent...', () => getAccountAccessConsent(id));
+
+      if (options.json) {
+        printJson(consent);
+        return;
+      }
+
+      console.log(chalk.bold('\nConsent Details\n'));
+      console.log('Consent ID:   ', chalk.cyan(consent.ConsentId || id));
+      console.log('Status:       ', consent.Status || 'N/A');
+      console.log('Created:      ', consent.CreationDateTime || 'N/A');
+      console.log('Expires:      ', consent.ExpirationDateTime || 'N/A');
+      console.log('Permissions:  ', (consent.Permissions || []).join(', ') || 'N/A');
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+consentCmd
+  .command('revoke [consent-id]')
+  .description('Delete a consent (defaults to the stored consent)')
+  .action(async (consentId) => {
+    try {
+      const id = consentId || getConfig('consentId');
+      if (!id) throw new Error('No consent ID given and none stored.');
+
+      await withSpinner('Revoking consent...', () => deleteAccountAccessConsent(id));
+      if (id === getConfig('consentId')) setConfig('consentId', '');
+      printSuccess(`Consent revoked: ${id}`);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
 // ============================================================
 // ACCOUNTS
 // ============================================================
@@ -159,11 +862,27 @@ const accountsCmd = program.command('accounts').description('Manage accounts');
 accountsCmd
   .command('list')
   .description('List all accounts')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--all-profiles', 'Aggregate accounts across every configured profile')
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.allProfiles && !options.offline) requireAuth();
     try {
-      const accounts = await withSpinner('Fetching accounts...', () => listAccounts());
+      let accounts;
+      if (options.offline) {
+        accounts = queryAccounts(paginationOptions(options));
+      } else if (options.allProfiles) {
+        const { results, errors } = await withSpinner('Fetching accounts from all profiles...', () =>
+          collectAcrossProfiles(() => listAccounts(paginationOptions(options)))
+        );
+        errors.forEach(printError);
+        accounts = results;
+      } else {
+        accounts = await withSpinner('Fetching accounts...', () => listAccounts(paginationOptions(options)));
+      }
 
       if (options.json) {
         printJson(accounts);
@@ -171,6 +890,7 @@ accountsCmd
       }
 
       printTable(accounts, [
+        ...(options.allProfiles ? [{ key: 'Profile', label: 'Profile' }] : []),
         { key: 'AccountId', label: 'ID' },
         { key: 'Nickname', label: 'Nickname' },
         { key: 'Currency', label: 'Currency' },
@@ -186,11 +906,14 @@ accountsCmd
 accountsCmd
   .command('get <account-id>')
   .description('Get account details')
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const account = await withSpinner('Fetching account...', () => getAccount(accountId));
+      const account = options.offline
+        ? queryAccount(accountId)
+        : await withSpinner('Fetching account...', () => getAccount(accountId));
 
       if (options.json) {
         printJson(account);
@@ -212,11 +935,17 @@ accountsCmd
 accountsCmd
   .command('balances <account-id>')
   .description('Get account balances')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const balances = await withSpinner('Fetching balances...', () => getAccountBalances(accountId));
+      const balances = options.offline
+        ? queryBalances(accountId, paginationOptions(options))
+        : await withSpinner('Fetching balances...', () => getAccountBalances(accountId, paginationOptions(options)));
 
       if (options.json) {
         printJson(balances);
@@ -235,24 +964,42 @@ accountsCmd
     }
   });
 
-accountsCmd
-  .command('transactions <account-id>')
-  .description('Get account transactions')
-  .option('--from <date>', 'From date (ISO 8601)')
-  .option('--to <date>', 'To date (ISO 8601)')
+queryOptions(
+  accountsCmd
+    .command('transactions <account-id>')
+    .description('Get account transactions')
+    .option('--from <date>', 'From date (ISO 8601)')
+    .option('--to <date>', 'To date (ISO 8601)')
+    .option('--page <n>', 'Start from page number', parsePositiveInt)
+    .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+    .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+    .option('--offline', 'Read from the local store instead of the API (see: sync)')
+    .option('--rules <file>', 'Category rules file (YAML or JSON)')
+    .option('--category <name...>', `Only show these categories ("${UNCATEGORISED}" for unmatched)`)
+)
+  .addOption(formatOption())
+  .option('--include-pending', 'Keep pending transactions in OFX and QIF exports')
+  .option('--output <file>', 'Write --format or --json output to a file')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const transactions = await withSpinner('Fetching transactions...', () =>
-        getAccountTransactions(accountId, {
-          fromDate: options.from,
-          toDate: options.to
-        })
-      );
+      const query = compileQuery(options);
+      const rules = loadCategoryRules(options, query);
+      const fetchQuery = transactionQuery(options, query);
+      const fetched = options.offline
+        ? queryTransactions(accountId, fetchQuery)
+        : await withSpinner('Fetching transactions...', () => getAccountTransactions(accountId, fetchQuery));
+      const transactions = refineTransactions(fetched, rules, query, options);
+
+      if (options.format) {
+        await exportTransactions(transactions, options, accountId);
+        return;
+      }
 
       if (options.json) {
-        printJson(transactions);
+        if (options.output) writeOutput(JSON.stringify(redactOutput(transactions), null, 2) + '\n', options.output);
+        else printJson(transactions);
         return;
       }
 
@@ -261,7 +1008,8 @@ accountsCmd
         { key: 'BookingDateTime', label: 'Date', format: (v) => v?.substring(0, 10) || '' },
         { key: 'Amount', label: 'Amount', format: (v, row) => `${v?.Amount || '0.00'} ${v?.Currency || ''}` },
         { key: 'CreditDebitIndicator', label: 'Type' },
-        { key: 'Status', label: 'Status' }
+        { key: 'Status', label: 'Status' },
+        ...(rules ? [{ key: 'Category', label: 'Category' }] : [])
       ]);
     } catch (error) {
       printError(error.message);
@@ -269,6 +1017,130 @@ accountsCmd
     }
   });
 
+/**
+ * A date-only --to covers that whole day; the API and the local store would otherwise
+ * read a bare date as its first instant
+ */
+function endOfDay(date) {
+  return date && /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T23:59:59` : date;
+}
+
+/**
+ * Opening and closing balances for `accounts reconcile`, with the period they bound.
+ * A balance only counts when it sits on the edge of the requested period; otherwise
+ * that side comes from the transactions' running balances.
+ */
+async function reconcileInputs(accountId, options) {
+  if (options.statement) {
+    if (options.offline) throw new Error('--statement needs the API; statements are not kept in the local store.');
+    if (options.from || options.to) throw new Error('--statement sets its own period; drop --from/--to.');
+
+    const [statement, transactions] = await withSpinner('Fetching statement...', () => Promise.all([
+      getStatement(accountId, options.statement),
+      getStatementTransactions(accountId, options.statement)
+    ]));
+    if (!statement) throw new Error(`Statement ${options.statement} not found`);
+
+    const amount = (type, dateTime) => {
+      const entry = statement.StatementAmount?.find(item => item.Type?.endsWith(type));
+      return entry ? { ...entry, DateTime: dateTime } : null;
+    };
+    return {
+      transactions,
+      opening: amount('OpeningBalance', statement.StartDateTime) || amount('PreviousClosingBalance', statement.StartDateTime),
+      closing: amount('ClosingBalance', statement.EndDateTime),
+      from: statement.StartDateTime,
+      to: statement.EndDateTime
+    };
+  }
+
+  const balances = options.offline
+    ? queryBalances(accountId)
+    : await withSpinner('Fetching balances...', () => getAccountBalances(accountId));
+  const openingBooked = balances.find(balance => balance.Type === 'OpeningBooked');
+  const closingBooked = balances.find(balance => balance.Type === 'ClosingBooked');
+
+  const opening = openingBooked?.DateTime && (!options.from || openingBooked.DateTime.startsWith(options.from.substring(0, 10)))
+    ? openingBooked
+    : null;
+  const closing = closingBooked?.DateTime && (!options.to || closingBooked.DateTime.substring(0, 10) <= options.to.substring(0, 10))
+    ? closingBooked
+    : null;
+
+  const from = opening ? opening.DateTime : options.from;
+  if (!from) throw new Error('--from is required: the bank reported no OpeningBooked balance to start from.');
+  const to = closing ? closing.DateTime : options.to;
+
+  const query = { fromDate: from.substring(0, 10), toDate: closing ? undefined : endOfDay(options.to) };
+  const transactions = options.offline
+    ? queryTransactions(accountId, query)
+    : await withSpinner('Fetching transactions...', () => getAccountTransactions(accountId, query));
+
+  return { transactions, opening, closing, from, to };
+}
+
+accountsCmd
+  .command('reconcile <account-id>')
+  .description('Check that opening balance + booked transactions = closing balance; exits 2 on mismatch')
+  .option('--from <date>', 'Start of the period (default: the OpeningBooked balance date)')
+  .option('--to <date>', 'End of the period (default: the ClosingBooked balance date)')
+  .option('--statement <statement-id>', "Use a statement's period, balances and transactions instead")
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    if (!options.offline) requireAuth();
+    let result;
+    try {
+      result = reconcile(await reconcileInputs(accountId, options));
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+
+    if (options.json) {
+      printJson({ AccountId: accountId, ...result });
+    } else {
+      const period = `${result.from?.substring(0, 10) || 'start'} to ${result.to?.substring(0, 10) || 'latest'}`;
+      console.log(chalk.bold(`\nReconciliation for ${accountId}, ${period}\n`));
+      console.log('Opening:          ', `${result.opening.Amount} ${result.currency}`, chalk.dim(`(${result.opening.Source})`));
+      console.log('Booked movement:  ', `${result.net} ${result.currency}`, chalk.dim(`(${result.bookedCount} transaction(s), ${result.pendingCount} pending ignored)`));
+      console.log('Expected closing: ', `${result.expectedClosing} ${result.currency}`);
+      console.log('Closing:          ', `${result.closing.Amount} ${result.currency}`, chalk.dim(`(${result.closing.Source})`));
+      console.log('Difference:       ', result.difference === '0.00' ? result.difference : chalk.red(result.difference));
+      console.log('Running balances: ', `${result.runningBalances.checked} checked, ${result.runningBalances.breaks} break(s)`);
+
+      const firstBreak = result.runningBalances.firstBreak;
+      if (firstBreak) {
+        console.log(chalk.bold('\nFirst break\n'));
+        printTable([firstBreak], [
+          { key: 'TransactionId', label: 'ID' },
+          { key: 'BookingDateTime', label: 'Date' },
+          { key: 'Amount', label: 'Amount' },
+          { key: 'Expected', label: 'Expected' },
+          { key: 'Reported', label: 'Reported' },
+          { key: 'Difference', label: 'Difference' }
+        ]);
+      }
+      if (result.duplicates.length) {
+        console.log(chalk.bold('\nDuplicate transaction ids\n'));
+        printTable(result.duplicates, [
+          { key: 'TransactionId', label: 'ID' },
+          { key: 'Count', label: 'Count' },
+          { key: 'Identical', label: 'Identical', format: (v) => (v ? 'yes' : 'no') },
+          { key: 'Extra', label: 'Extra Amount' }
+        ]);
+      }
+      if (result.missingIds) console.log(chalk.yellow(`\n${result.missingIds} transaction(s) have no TransactionId`));
+      if (result.otherCurrency) console.log(chalk.yellow(`${result.otherCurrency} transaction(s) in other currencies were left out`));
+
+      console.log('');
+      if (result.ok) printSuccess('Balances reconcile');
+      else printError('Balances do not reconcile');
+    }
+
+    if (!result.ok) process.exit(2);
+  });
+
 // ============================================================
 // BALANCES
 // ============================================================
@@ -278,11 +1150,27 @@ const balancesCmd = program.command('balances').description('View balances');
 balancesCmd
   .command('list')
   .description('List all balances')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--all-profiles', 'Aggregate balances across every configured profile')
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.allProfiles && !options.offline) requireAuth();
     try {
-      const balances = await withSpinner('Fetching balances...', () => listBalances());
+      let balances;
+      if (options.offline) {
+        balances = queryBalances(null, paginationOptions(options));
+      } else if (options.allProfiles) {
+        const { results, errors } = await withSpinner('Fetching balances from all profiles...', () =>
+          collectAcrossProfiles(() => listBalances(paginationOptions(options)))
+        );
+        errors.forEach(printError);
+        balances = results;
+      } else {
+        balances = await withSpinner('Fetching balances...', () => listBalances(paginationOptions(options)));
+      }
 
       if (options.json) {
         printJson(balances);
@@ -290,6 +1178,7 @@ balancesCmd
       }
 
       printTable(balances, [
+        ...(options.allProfiles ? [{ key: 'Profile', label: 'Profile' }] : []),
         { key: 'AccountId', label: 'Account ID' },
         { key: 'Type', label: 'Type' },
         { key: 'Amount', label: 'Amount', format: (v, row) => `${v?.Amount || '0.00'} ${v?.Currency || ''}` },
@@ -301,39 +1190,173 @@ balancesCmd
     }
   });
 
-// ============================================================
-// TRANSACTIONS
-// ============================================================
-
-const transactionsCmd = program.command('transactions').description('View transactions');
-
-transactionsCmd
-  .command('list')
-  .description('List all transactions')
-  .option('--from <date>', 'From date (ISO 8601)')
-  .option('--to <date>', 'To date (ISO 8601)')
+balancesCmd
+  .command('summary')
+  .description('Net worth across accounts, grouped by account type and converted to one currency')
+  .option('--base <currency>', 'Currency to total in', parseCurrencyCode, 'GBP')
+  .option('--balance-type <type>', `Balance type to use where reported (default: config or ${DEFAULT_BALANCE_TYPE})`, parseBalanceType)
+  .option('--rates <file>', 'FX reference rates file, CSV or JSON (default: config)')
+  .option('--all-profiles', 'Include accounts from every configured profile')
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.allProfiles && !options.offline) requireAuth();
     try {
-      const transactions = await withSpinner('Fetching transactions...', () =>
-        listTransactions({
-          fromDate: options.from,
-          toDate: options.to
-        })
-      );
+      const ratesFile = options.rates || getConfig('ratesFile');
+      const rates = ratesFile ? loadRates(ratesFile) : null;
+
+      let accounts;
+      let balances;
+      if (options.offline) {
+        accounts = queryAccounts();
+        balances = queryBalances(null);
+      } else if (options.allProfiles) {
+        const fetched = await withSpinner('Fetching accounts and balances from all profiles...', async () => ({
+          accounts: await collectAcrossProfiles(() => listAccounts()),
+          balances: await collectAcrossProfiles(() => listBalances())
+        }));
+        [...fetched.accounts.errors, ...fetched.balances.errors].forEach(printError);
+        accounts = fetched.accounts.results;
+        balances = fetched.balances.results;
+      } else {
+        ({ accounts, balances } = await withSpinner('Fetching accounts and balances...', async () => ({
+          accounts: await listAccounts(),
+          balances: await listBalances()
+        })));
+      }
+
+      const summary = summariseNetWorth({
+        accounts,
+        balances,
+        base: options.base,
+        balanceType: options.balanceType || getConfig('balanceType') || DEFAULT_BALANCE_TYPE,
+        rates
+      });
 
       if (options.json) {
-        printJson(transactions);
+        printJson(summary);
         return;
       }
 
-      printTable(transactions, [
-        { key: 'AccountId', label: 'Account' },
-        { key: 'TransactionId', label: 'ID', format: (v) => v?.substring(0, 10) + '...' },
+      printTable(summary.accounts, [
+        ...(options.allProfiles ? [{ key: 'Profile', label: 'Profile' }] : []),
+        { key: 'AccountId', label: 'Account ID' },
+        { key: 'Name', label: 'Name' },
+        { key: 'Group', label: 'Type' },
+        { key: 'BalanceType', label: 'Balance Type' },
+        { key: 'Balance', label: 'Balance', format: (v, row) => `${v} ${row.Currency}` },
+        { key: 'CreditLine', label: 'Credit Line', format: (v, row) => (v ? `${v} ${row.Currency}` : '') },
+        { key: 'Rate', label: 'Rate', format: v => v || '' },
+        { key: 'Value', label: `Value (${summary.base})` }
+      ]);
+
+      printTable(summary.groups, [
+        { key: 'Group', label: 'Type' },
+        { key: 'Class', label: 'Class' },
+        { key: 'Accounts', label: 'Accounts' },
+        { key: 'Value', label: `Value (${summary.base})` }
+      ]);
+
+      console.log('Assets:      ', `${summary.totals.Assets} ${summary.base}`);
+      console.log('Liabilities: ', `${summary.totals.Liabilities} ${summary.base}`);
+      console.log(chalk.bold('Net worth:    ' + `${summary.totals.NetWorth} ${summary.base}`));
+      if (summary.accounts.some(account => account.CreditLineExcluded)) {
+        console.log(chalk.dim('Credit lines included in available balances are not counted as funds'));
+      }
+      if (summary.rates) {
+        console.log(chalk.dim(`Rates from ${summary.rates.file}, ${summary.rates.date ? `dated ${summary.rates.date}` : 'undated'} (base ${summary.rates.base})`));
+      }
+      if (summary.missing.length) {
+        console.log(chalk.yellow(`No balance reported for: ${summary.missing.join(', ')}`));
+      }
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+balancesCmd
+  .command('report <account-id>')
+  .description('Generate an intraday account report from current balances and transactions')
+  .addOption(new Option('--format <format>', 'Report format').choices(['camt052']).default('camt052'))
+  .option('--from <date>', 'From date (ISO 8601)')
+  .option('--to <date>', 'To date (ISO 8601)')
+  .option('--output <file>', 'Write the report to a file')
+  .action(async (accountId, options) => {
+    requireAuth();
+    try {
+      const { account, balances, transactions } = await withSpinner('Fetching account data...', async () => ({
+        account: await getAccount(accountId),
+        balances: await getAccountBalances(accountId),
+        transactions: await getAccountTransactions(accountId, { fromDate: options.from, toDate: options.to })
+      }));
+
+      writeOutput(toCamt052(redactOutput({
+        account,
+        accountId,
+        balances,
+        transactions,
+        fromDate: options.from,
+        toDate: options.to
+      })), options.output);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// TRANSACTIONS
+// ============================================================
+
+const transactionsCmd = program.command('transactions').description('View transactions');
+
+queryOptions(
+  transactionsCmd
+    .command('list')
+    .description('List all transactions')
+    .option('--from <date>', 'From date (ISO 8601)')
+    .option('--to <date>', 'To date (ISO 8601)')
+    .option('--page <n>', 'Start from page number', parsePositiveInt)
+    .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+    .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+    .option('--offline', 'Read from the local store instead of the API (see: sync)')
+    .option('--rules <file>', 'Category rules file (YAML or JSON)')
+    .option('--category <name...>', `Only show these categories ("${UNCATEGORISED}" for unmatched)`)
+)
+  .addOption(formatOption())
+  .option('--include-pending', 'Keep pending transactions in OFX and QIF exports')
+  .option('--output <file>', 'Write --format or --json output to a file')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    if (!options.offline) requireAuth();
+    try {
+      const query = compileQuery(options);
+      const rules = loadCategoryRules(options, query);
+      const fetchQuery = transactionQuery(options, query);
+      const fetched = options.offline
+        ? queryTransactions(null, fetchQuery)
+        : await withSpinner('Fetching transactions...', () => listTransactions(fetchQuery));
+      const transactions = refineTransactions(fetched, rules, query, options);
+
+      if (options.format) {
+        await exportTransactions(transactions, options);
+        return;
+      }
+
+      if (options.json) {
+        if (options.output) writeOutput(JSON.stringify(redactOutput(transactions), null, 2) + '\n', options.output);
+        else printJson(transactions);
+        return;
+      }
+
+      printTable(transactions, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'TransactionId', label: 'ID', format: (v) => v?.substring(0, 10) + '...' },
         { key: 'BookingDateTime', label: 'Date', format: (v) => v?.substring(0, 10) || '' },
         { key: 'Amount', label: 'Amount', format: (v, row) => `${v?.Amount || '0.00'} ${v?.Currency || ''}` },
-        { key: 'CreditDebitIndicator', label: 'Type' }
+        { key: 'CreditDebitIndicator', label: 'Type' },
+        ...(rules ? [{ key: 'Category', label: 'Category' }] : [])
       ]);
     } catch (error) {
       printError(error.message);
@@ -344,13 +1367,14 @@ transactionsCmd
 transactionsCmd
   .command('get <account-id> <transaction-id>')
   .description('Get transaction details')
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, transactionId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const transaction = await withSpinner('Fetching transaction...', () =>
-        getTransaction(accountId, transactionId)
-      );
+      const transaction = options.offline
+        ? queryTransaction(accountId, transactionId)
+        : await withSpinner('Fetching transaction...', () => getTransaction(accountId, transactionId));
 
       if (options.json) {
         printJson(transaction);
@@ -370,6 +1394,320 @@ transactionsCmd
     }
   });
 
+// ============================================================
+// CATEGORIES
+// ============================================================
+
+const categoriesCmd = program.command('categories').description('Categorise transactions with a rules file');
+
+categoriesCmd
+  .command('test <rules-file>')
+  .description('Report which rules match which transactions, and what is left uncategorised')
+  .option('--account <id>', 'Only test against this account')
+  .option('--from <date>', 'From date (ISO 8601)')
+  .option('--to <date>', 'To date (ISO 8601)')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
+  .option('--matches', 'Also list every transaction with the rules it matched')
+  .option('--json', 'Output as JSON')
+  .action(async (rulesFile, options) => {
+    if (!options.offline) requireAuth();
+    try {
+      const rules = loadRules(rulesFile);
+      const query = { fromDate: options.from, toDate: options.to, ...paginationOptions(options) };
+      const transactions = options.offline
+        ? queryTransactions(options.account || null, query)
+        : await withSpinner('Fetching transactions...', () =>
+          options.account ? getAccountTransactions(options.account, query) : listTransactions(query));
+
+      const results = transactions.map(transaction => {
+        const { category, tags, rules: matched } = categorise(transaction, rules);
+        return {
+          AccountId: transaction.AccountId || options.account,
+          TransactionId: transaction.TransactionId,
+          BookingDateTime: transaction.BookingDateTime,
+          Amount: transaction.Amount,
+          CreditDebitIndicator: transaction.CreditDebitIndicator,
+          TransactionInformation: transaction.TransactionInformation,
+          MerchantName: transaction.MerchantDetails?.MerchantName,
+          Category: category,
+          Tags: tags,
+          Rules: matched
+        };
+      });
+      const uncategorised = results.filter(result => result.Category === UNCATEGORISED);
+      const ruleSummary = rules.map(rule => ({
+        Rule: rule.name,
+        Category: rule.category || '',
+        Tags: rule.tags.join(', '),
+        Matches: results.filter(result => result.Rules.includes(rule.name)).length
+      }));
+
+      if (options.json) {
+        printJson({ rules: ruleSummary, transactions: results, uncategorised: uncategorised.map(result => result.TransactionId) });
+        return;
+      }
+
+      console.log(chalk.bold('\nRules\n'));
+      printTable(ruleSummary, [
+        { key: 'Rule', label: 'Rule' },
+        { key: 'Category', label: 'Category' },
+        { key: 'Tags', label: 'Tags' },
+        { key: 'Matches', label: 'Matches' }
+      ]);
+
+      const baseColumns = [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'TransactionId', label: 'ID' },
+        { key: 'BookingDateTime', label: 'Date', format: (v) => v?.substring(0, 10) || '' },
+        { key: 'Amount', label: 'Amount', format: (v, row) => `${row.CreditDebitIndicator === 'Debit' ? '-' : ''}${v?.Amount || '0.00'} ${v?.Currency || ''}` },
+        { key: 'TransactionInformation', label: 'Description', format: (v, row) => row.MerchantName || v || '' }
+      ];
+
+      if (options.matches) {
+        console.log(chalk.bold('\nTransactions\n'));
+        printTable(results, [
+          ...baseColumns,
+          { key: 'Category', label: 'Category' },
+          { key: 'Rules', label: 'Rules', format: (v) => v.join(', ') }
+        ]);
+      }
+
+      console.log(chalk.bold('\nUncategorised\n'));
+      printTable(uncategorised, baseColumns);
+
+      console.log(`\n${results.length - uncategorised.length} of ${results.length} transaction(s) categorised`);
+      const unused = ruleSummary.filter(rule => rule.Matches === 0);
+      if (unused.length) console.log(chalk.yellow(`Rules with no matches: ${unused.map(rule => rule.Rule).join(', ')}`));
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+const reportCmd = program.command('report').description('Cash-flow, merchant and balance reports');
+
+/**
+ * Transactions for a report: one account or all, live or from the local store
+ */
+async function fetchReportTransactions(options) {
+  const query = { fromDate: options.from, toDate: options.to };
+  if (options.offline) return queryTransactions(options.account || null, query);
+  return withSpinner('Fetching transactions...', () =>
+    options.account ? getAccountTransactions(options.account, query) : listTransactions(query));
+}
+
+/**
+ * Print report rows as a table, or write them as JSON or CSV
+ */
+function printReport(rows, columns, options) {
+  if (options.json) {
+    if (options.output) writeOutput(JSON.stringify(redactOutput(rows), null, 2) + '\n', options.output);
+    else printJson(rows);
+  } else if (options.csv) {
+    writeOutput(rowsToCsv(redactOutput(rows), columns.map(column => column.key)), options.output);
+  } else {
+    printTable(rows, columns);
+  }
+}
+
+function reportOptions(command) {
+  return command
+    .option('--offline', 'Read from the local store instead of the API (see: sync)')
+    .option('--csv', 'Output as CSV')
+    .option('--output <file>', 'Write --json or --csv output to a file')
+    .option('--json', 'Output as JSON');
+}
+
+reportOptions(
+  reportCmd
+    .command('cashflow')
+    .description('Money in and out per account, by month, week or category')
+    .option('--account <id>', 'Only this account')
+    .option('--from <date>', 'From date (ISO 8601)')
+    .option('--to <date>', 'To date (ISO 8601)')
+    .addOption(new Option('--by <grouping>', 'Group by').choices(CASHFLOW_GROUPINGS).default('month'))
+    .option('--rules <file>', 'Category rules file for --by category (YAML or JSON)')
+).action(async (options) => {
+  if (!options.offline) requireAuth();
+  try {
+    const rules = loadCategoryRules(options);
+    if (options.by === 'category' && !rules) {
+      throw new Error('--by category needs category rules. Pass --rules <file> or run: openbankingorgukacco config set --rules <file>');
+    }
+
+    const fetched = await fetchReportTransactions(options);
+    const transactions = rules ? applyCategories(fetched, rules) : fetched;
+    const { rows, totals } = cashflow(transactions, { by: options.by });
+    const label = options.by === 'category' ? 'Category' : 'Period';
+
+    if (options.json) {
+      const report = { rows, totals };
+      if (options.output) writeOutput(JSON.stringify(redactOutput(report), null, 2) + '\n', options.output);
+      else printJson(report);
+      return;
+    }
+
+    const columns = [
+      { key: 'AccountId', label: 'Account' },
+      { key: label, label },
+      { key: 'Currency', label: 'Currency' },
+      { key: 'In', label: 'In' },
+      { key: 'Out', label: 'Out' },
+      { key: 'Net', label: 'Net' },
+      { key: 'Count', label: 'Count' }
+    ];
+    printReport(rows, columns, options);
+
+    if (!options.csv && totals.length) {
+      console.log(chalk.bold('\nTotals\n'));
+      printTable(totals, columns.filter(column => column.key !== label));
+    }
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+});
+
+reportOptions(
+  reportCmd
+    .command('top-merchants')
+    .description('Where the money goes: debits grouped by merchant, per currency')
+    .option('--account <id>', 'Only this account')
+    .option('--from <date>', 'From date (ISO 8601)')
+    .option('--to <date>', 'To date (ISO 8601)')
+    .option('--top <n>', 'Merchants to show per currency', parsePositiveInt, 10)
+).action(async (options) => {
+  if (!options.offline) requireAuth();
+  try {
+    const rows = topMerchants(await fetchReportTransactions(options), { top: options.top });
+    printReport(rows, [
+      { key: 'Rank', label: '#' },
+      { key: 'Merchant', label: 'Merchant' },
+      { key: 'Currency', label: 'Currency' },
+      { key: 'Count', label: 'Count' },
+      { key: 'Total', label: 'Total' },
+      { key: 'Average', label: 'Average' },
+      { key: 'LastSeen', label: 'Last Seen' }
+    ], options);
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+});
+
+reportOptions(
+  reportCmd
+    .command('balance-history <account-id>')
+    .description('Daily end-of-day balances, rebuilt backwards from the ClosingBooked balance')
+    .option('--from <date>', 'First day (default: 30 days before the balance date)')
+    .option('--to <date>', 'Last day (default: the balance date)')
+).action(async (accountId, options) => {
+  if (!options.offline) requireAuth();
+  try {
+    const balances = options.offline
+      ? queryBalances(accountId)
+      : await withSpinner('Fetching balances...', () => getAccountBalances(accountId));
+
+    // Every transaction between the first day and the balance itself gets undone, so --to is not applied here
+    const range = historyRange(balances, options);
+    const transactions = await fetchReportTransactions({ offline: options.offline, account: accountId, from: range.from });
+
+    const history = balanceHistory({ balances, transactions, from: range.from, to: range.to });
+
+    if (options.json) {
+      if (options.output) writeOutput(JSON.stringify(redactOutput(history), null, 2) + '\n', options.output);
+      else printJson(history);
+      return;
+    }
+
+    printReport(history.rows, [
+      { key: 'Date', label: 'Date' },
+      { key: 'In', label: 'In' },
+      { key: 'Out', label: 'Out' },
+      { key: 'Balance', label: 'Balance' },
+      { key: 'Currency', label: 'Currency' }
+    ], options);
+
+    if (!options.csv) {
+      console.log(chalk.dim(`Anchored on ${history.anchor.Type} ${history.anchor.Amount} ${history.anchor.Currency} at ${history.anchor.DateTime || 'now'}`));
+      if (history.skipped) console.log(chalk.yellow(`${history.skipped} transaction(s) in other currencies were left out`));
+    }
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+});
+
+// ============================================================
+// RECURRING
+// ============================================================
+
+const recurringCmd = program.command('recurring').description('Recurring payments and subscriptions');
+
+reportOptions(
+  recurringCmd
+    .command('detect')
+    .description('Find regular payments, their next due date and yearly cost, and flag price rises and missed payments')
+    .option('--account <id>', 'Only this account')
+    .option('--from <date>', 'From date (ISO 8601); a year or more of history works best')
+    .option('--to <date>', 'To date (ISO 8601)')
+    .option('--min-occurrences <n>', 'Payments needed before a payee counts as recurring', parsePositiveInt, DEFAULT_MIN_OCCURRENCES)
+    .option('--as-of <date>', 'Judge missed payments as of this date (default: --to, else the latest transaction date)')
+).action(async (options) => {
+  if (!options.offline) requireAuth();
+  try {
+    const transactions = await fetchReportTransactions(options);
+    const [directDebits, standingOrders] = options.offline
+      ? [queryDirectDebits(options.account || null), queryStandingOrders(options.account || null)]
+      : await withSpinner('Fetching direct debits and standing orders...', () => Promise.all([
+        options.account ? getAccountDirectDebits(options.account) : listDirectDebits(),
+        options.account ? getAccountStandingOrders(options.account) : listStandingOrders()
+      ]));
+
+    const recurring = detectRecurring(transactions, {
+      directDebits,
+      standingOrders,
+      minOccurrences: options.minOccurrences,
+      asOf: (options.asOf || options.to)?.substring(0, 10)
+    });
+
+    if (options.json || options.csv) {
+      const rows = options.csv ? recurring.map(item => ({ ...item, Flags: item.Flags.join(' ') })) : recurring;
+      printReport(rows, RECURRING_FIELDS.map(key => ({ key })), options);
+      return;
+    }
+
+    printTable(recurring, [
+      { key: 'AccountId', label: 'Account' },
+      { key: 'Payee', label: 'Payee' },
+      { key: 'Type', label: 'Type' },
+      { key: 'Frequency', label: 'Frequency' },
+      { key: 'LastAmount', label: 'Amount' },
+      { key: 'Currency', label: 'Currency' },
+      { key: 'LastDate', label: 'Last Paid' },
+      { key: 'NextDue', label: 'Next Due' },
+      { key: 'AnnualCost', label: 'Per Year' },
+      {
+        key: 'Flags',
+        label: 'Flags',
+        format: (flags, row) => flags
+          .map(flag => (flag === 'price-increase' ? `up from ${row.PreviousAmount}` : `${row.MissedPayments} missed`))
+          .join(', ')
+      }
+    ]);
+  } catch (error) {
+    printError(error.message);
+    process.exit(1);
+  }
+});
+
 // ============================================================
 // BENEFICIARIES
 // ============================================================
@@ -379,11 +1717,17 @@ const beneficiariesCmd = program.command('beneficiaries').description('View bene
 beneficiariesCmd
   .command('list')
   .description('List all beneficiaries')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const beneficiaries = await withSpinner('Fetching beneficiaries...', () => listBeneficiaries());
+      const beneficiaries = options.offline
+        ? queryBeneficiaries(null, paginationOptions(options))
+        : await withSpinner('Fetching beneficiaries...', () => listBeneficiaries(paginationOptions(options)));
 
       if (options.json) {
         printJson(beneficiaries);
@@ -404,13 +1748,17 @@ beneficiariesCmd
 beneficiariesCmd
   .command('account <account-id>')
   .description('List beneficiaries for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const beneficiaries = await withSpinner('Fetching beneficiaries...', () =>
-        getAccountBeneficiaries(accountId)
-      );
+      const beneficiaries = options.offline
+        ? queryBeneficiaries(accountId, paginationOptions(options))
+        : await withSpinner('Fetching beneficiaries...', () => getAccountBeneficiaries(accountId, paginationOptions(options)));
 
       if (options.json) {
         printJson(beneficiaries);
@@ -436,11 +1784,17 @@ const directDebitsCmd = program.command('direct-debits').description('View direc
 directDebitsCmd
   .command('list')
   .description('List all direct debits')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const directDebits = await withSpinner('Fetching direct debits...', () => listDirectDebits());
+      const directDebits = options.offline
+        ? queryDirectDebits(null, paginationOptions(options))
+        : await withSpinner('Fetching direct debits...', () => listDirectDebits(paginationOptions(options)));
 
       if (options.json) {
         printJson(directDebits);
@@ -462,13 +1816,17 @@ directDebitsCmd
 directDebitsCmd
   .command('account <account-id>')
   .description('List direct debits for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const directDebits = await withSpinner('Fetching direct debits...', () =>
-        getAccountDirectDebits(accountId)
-      );
+      const directDebits = options.offline
+        ? queryDirectDebits(accountId, paginationOptions(options))
+        : await withSpinner('Fetching direct debits...', () => getAccountDirectDebits(accountId, paginationOptions(options)));
 
       if (options.json) {
         printJson(directDebits);
@@ -495,11 +1853,17 @@ const standingOrdersCmd = program.command('standing-orders').description('View s
 standingOrdersCmd
   .command('list')
   .description('List all standing orders')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const standingOrders = await withSpinner('Fetching standing orders...', () => listStandingOrders());
+      const standingOrders = options.offline
+        ? queryStandingOrders(null, paginationOptions(options))
+        : await withSpinner('Fetching standing orders...', () => listStandingOrders(paginationOptions(options)));
 
       if (options.json) {
         printJson(standingOrders);
@@ -521,13 +1885,17 @@ standingOrdersCmd
 standingOrdersCmd
   .command('account <account-id>')
   .description('List standing orders for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--offline', 'Read from the local store instead of the API (see: sync)')
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
-    requireAuth();
+    if (!options.offline) requireAuth();
     try {
-      const standingOrders = await withSpinner('Fetching standing orders...', () =>
-        getAccountStandingOrders(accountId)
-      );
+      const standingOrders = options.offline
+        ? queryStandingOrders(accountId, paginationOptions(options))
+        : await withSpinner('Fetching standing orders...', () => getAccountStandingOrders(accountId, paginationOptions(options)));
 
       if (options.json) {
         printJson(standingOrders);
@@ -554,11 +1922,14 @@ const statementsCmd = program.command('statements').description('View statements
 statementsCmd
   .command('list <account-id>')
   .description('List statements for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
   .option('--json', 'Output as JSON')
   .action(async (accountId, options) => {
     requireAuth();
     try {
-      const statements = await withSpinner('Fetching statements...', () => listStatements(accountId));
+      const statements = await withSpinner('Fetching statements...', () => listStatements(accountId, paginationOptions(options)));
 
       if (options.json) {
         printJson(statements);
@@ -604,19 +1975,39 @@ statementsCmd
     }
   });
 
-statementsCmd
-  .command('transactions <account-id> <statement-id>')
-  .description('Get statement transactions')
+queryOptions(
+  statementsCmd
+    .command('transactions <account-id> <statement-id>')
+    .description('Get statement transactions')
+    .option('--page <n>', 'Start from page number', parsePositiveInt)
+    .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+    .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+    .option('--rules <file>', 'Category rules file (YAML or JSON)')
+    .option('--category <name...>', `Only show these categories ("${UNCATEGORISED}" for unmatched)`)
+)
+  .addOption(formatOption())
+  .option('--include-pending', 'Keep pending transactions in OFX and QIF exports')
+  .option('--output <file>', 'Write --format or --json output to a file')
   .option('--json', 'Output as JSON')
   .action(async (accountId, statementId, options) => {
     requireAuth();
     try {
-      const transactions = await withSpinner('Fetching transactions...', () =>
-        getStatementTransactions(accountId, statementId)
+      const query = compileQuery(options);
+      const rules = loadCategoryRules(options, query);
+      const { fromDate, toDate, ...fetchQuery } = transactionQuery(options, query);
+      const fetched = await withSpinner('Fetching transactions...', () =>
+        getStatementTransactions(accountId, statementId, fetchQuery)
       );
+      const transactions = refineTransactions(fetched, rules, query, options);
+
+      if (options.format) {
+        await exportTransactions(transactions, options, accountId);
+        return;
+      }
 
       if (options.json) {
-        printJson(transactions);
+        if (options.output) writeOutput(JSON.stringify(redactOutput(transactions), null, 2) + '\n', options.output);
+        else printJson(transactions);
         return;
       }
 
@@ -632,6 +2023,844 @@ statementsCmd
     }
   });
 
+statementsCmd
+  .command('export <account-id> <statement-id>')
+  .description('Export a statement as an ISO 20022 document')
+  .addOption(new Option('--format <format>', 'Statement format').choices(['camt053']).default('camt053'))
+  .option('--output <file>', 'Write the statement to a file')
+  .action(async (accountId, statementId, options) => {
+    requireAuth();
+    try {
+      const { account, statement, transactions } = await withSpinner('Fetching statement...', async () => ({
+        account: await getAccount(accountId),
+        statement: await getStatement(accountId, statementId),
+        transactions: await getStatementTransactions(accountId, statementId)
+      }));
+
+      writeOutput(toCamt053(redactOutput({ account, accountId, statement, transactions })), options.output);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+statementsCmd
+  .command('download <account-id> <statement-id>')
+  .description('Download the statement file (PDF)')
+  .option('--out <file>', 'Destination file (default: <statement-id>.pdf)')
+  .option('--accept <type>', 'Requested media type', 'application/pdf')
+  .action(async (accountId, statementId, options) => {
+    requireAuth();
+    const file = options.out || `${statementId}.pdf`;
+    const partial = `${file}.part`;
+    try {
+      await withSpinner('Downloading statement...', async () => {
+        const stream = await getStatementFile(accountId, statementId, { accept: options.accept });
+        await pipeline(stream, fs.createWriteStream(partial));
+      });
+      fs.renameSync(partial, file);
+      printSuccess(`Statement saved to ${file}`);
+    } catch (error) {
+      fs.rmSync(partial, { force: true });
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// PRODUCTS
+// ============================================================
+
+const productsCmd = program.command('products').description('View account products');
+
+productsCmd
+  .command('list')
+  .description('List products for all accounts')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const products = await withSpinner('Fetching products...', () => listProducts(paginationOptions(options)));
+
+      if (options.json) {
+        printJson(products);
+        return;
+      }
+
+      printTable(products, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'ProductId', label: 'ID' },
+        { key: 'ProductName', label: 'Name' },
+        { key: 'ProductType', label: 'Type' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+productsCmd
+  .command('account <account-id>')
+  .description('Get the product for an account')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    requireAuth();
+    try {
+      const products = await withSpinner('Fetching product...', () => getAccountProduct(accountId));
+
+      if (options.json) {
+        printJson(products);
+        return;
+      }
+
+      printTable(products, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'ProductId', label: 'ID' },
+        { key: 'ProductName', label: 'Name' },
+        { key: 'ProductType', label: 'Type' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// OFFERS
+// ============================================================
+
+const offersCmd = program.command('offers').description('View offers');
+
+offersCmd
+  .command('list')
+  .description('List all offers')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const offers = await withSpinner('Fetching offers...', () => listOffers(paginationOptions(options)));
+
+      if (options.json) {
+        printJson(offers);
+        return;
+      }
+
+      printTable(offers, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'OfferId', label: 'ID' },
+        { key: 'OfferType', label: 'Type' },
+        { key: 'Description', label: 'Description' },
+        { key: 'Amount', label: 'Amount', format: (v) => v ? `${v.Amount} ${v.Currency}` : '' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+offersCmd
+  .command('account <account-id>')
+  .description('List offers for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    requireAuth();
+    try {
+      const offers = await withSpinner('Fetching offers...', () =>
+        getAccountOffers(accountId, paginationOptions(options))
+      );
+
+      if (options.json) {
+        printJson(offers);
+        return;
+      }
+
+      printTable(offers, [
+        { key: 'OfferId', label: 'ID' },
+        { key: 'OfferType', label: 'Type' },
+        { key: 'Description', label: 'Description' },
+        { key: 'Amount', label: 'Amount', format: (v) => v ? `${v.Amount} ${v.Currency}` : '' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// PARTIES
+// ============================================================
+
+const partiesCmd = program.command('parties').description('View parties');
+
+const PARTY_COLUMNS = [
+  { key: 'PartyId', label: 'ID' },
+  { key: 'PartyType', label: 'Type' },
+  { key: 'Name', label: 'Name' },
+  { key: 'AccountRole', label: 'Role' },
+  { key: 'EmailAddress', label: 'Email' }
+];
+
+partiesCmd
+  .command('list')
+  .description('Get the party that authorised the consent (the PSU)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const party = await withSpinner('Fetching party...', () => getParty());
+
+      if (options.json) {
+        printJson(party);
+        return;
+      }
+
+      printTable(party ? [party] : [], PARTY_COLUMNS);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+partiesCmd
+  .command('account <account-id>')
+  .description('List parties for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--primary', 'Only the account owner (/accounts/{id}/party)')
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    requireAuth();
+    try {
+      const parties = await withSpinner('Fetching parties...', async () => {
+        if (!options.primary) return getAccountParties(accountId, paginationOptions(options));
+        const party = await getAccountParty(accountId);
+        return party ? [party] : [];
+      });
+
+      if (options.json) {
+        printJson(parties);
+        return;
+      }
+
+      printTable(parties, PARTY_COLUMNS);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// SCHEDULED PAYMENTS
+// ============================================================
+
+const scheduledPaymentsCmd = program.command('scheduled-payments').description('View scheduled payments');
+
+scheduledPaymentsCmd
+  .command('list')
+  .description('List all scheduled payments')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    try {
+      const scheduledPayments = await withSpinner('Fetching scheduled payments...', () => listScheduledPayments(paginationOptions(options)));
+
+      if (options.json) {
+        printJson(scheduledPayments);
+        return;
+      }
+
+      printTable(scheduledPayments, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'ScheduledPaymentId', label: 'ID' },
+        { key: 'ScheduledPaymentDateTime', label: 'Date', format: (v) => v?.substring(0, 10) || '' },
+        { key: 'InstructedAmount', label: 'Amount', format: (v) => v ? `${v.Amount} ${v.Currency}` : '' },
+        { key: 'CreditorAccount', label: 'Payee', format: (v) => v?.Name || v?.Identification || '' },
+        { key: 'Reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+scheduledPaymentsCmd
+  .command('account <account-id>')
+  .description('List scheduled payments for account')
+  .option('--page <n>', 'Start from page number', parsePositiveInt)
+  .option('--max-pages <n>', 'Maximum number of pages to fetch', parsePositiveInt)
+  .option('--limit <n>', 'Maximum number of records to return', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action(async (accountId, options) => {
+    requireAuth();
+    try {
+      const scheduledPayments = await withSpinner('Fetching scheduled payments...', () =>
+        getAccountScheduledPayments(accountId, paginationOptions(options))
+      );
+
+      if (options.json) {
+        printJson(scheduledPayments);
+        return;
+      }
+
+      printTable(scheduledPayments, [
+        { key: 'ScheduledPaymentId', label: 'ID' },
+        { key: 'ScheduledPaymentDateTime', label: 'Date', format: (v) => v?.substring(0, 10) || '' },
+        { key: 'InstructedAmount', label: 'Amount', format: (v) => v ? `${v.Amount} ${v.Currency}` : '' },
+        { key: 'CreditorAccount', label: 'Payee', format: (v) => v?.Name || v?.Identification || '' },
+        { key: 'Reference', label: 'Reference' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// SYNC
+// ============================================================
+
+const syncCmd = program
+  .command('sync')
+  .description('Download accounts, balances, transactions and mandates into the local store')
+  .option('--account <id...>', 'Only sync these account IDs')
+  .option('--overlap-days <n>', 'Re-read transactions this many days before the last synced booking date', parsePositiveInt, DEFAULT_OVERLAP_DAYS)
+  .option('--full', 'Re-download the full transaction history')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    const spinner = ora('Fetching accounts...').start();
+    try {
+      const summary = await syncStore({
+        accountIds: options.account,
+        overlapDays: options.overlapDays,
+        full: options.full,
+        onProgress: (message) => { spinner.text = message; }
+      });
+      spinner.stop();
+
+      if (options.json) {
+        printJson(summary);
+        return;
+      }
+
+      printTable(summary, [
+        { key: 'AccountId', label: 'Account' },
+        { key: 'Nickname', label: 'Nickname' },
+        { key: 'From', label: 'From', format: (v) => v ? v.substring(0, 10) : 'full' },
+        { key: 'Fetched', label: 'Fetched' },
+        { key: 'New', label: 'New' },
+        { key: 'StandingOrders', label: 'SOs' },
+        { key: 'DirectDebits', label: 'DDs' },
+        { key: 'Beneficiaries', label: 'Beneficiaries' }
+      ]);
+      printSuccess(`Store updated: ${getStorePath()}`);
+    } catch (error) {
+      spinner.stop();
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+syncCmd
+  .command('status')
+  .description('Show when each account was last synced')
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    const state = readSyncState();
+    const rows = Object.entries(state.accounts).map(([accountId, accountState]) => ({
+      AccountId: accountId,
+      ...accountState
+    }));
+
+    if (options.json) {
+      printJson(rows);
+      return;
+    }
+
+    printTable(rows, [
+      { key: 'AccountId', label: 'Account' },
+      { key: 'lastBookingDateTime', label: 'Last Booking' },
+      { key: 'lastSyncedAt', label: 'Last Synced' }
+    ]);
+  });
+
+// ============================================================
+// SNAPSHOT
+// ============================================================
+
+const snapshotCmd = program.command('snapshot').description('Record accounts, beneficiaries, direct debits and standing orders, and diff them over time');
+
+function snapshotCounts(snapshot) {
+  return SNAPSHOT_COLLECTIONS.map(name => `${snapshot[name].length} ${SNAPSHOT_TITLES[name].toLowerCase()}`).join(', ');
+}
+
+snapshotCmd
+  .command('take')
+  .description('Save the current standing data as a snapshot')
+  .option('--offline', 'Snapshot the local store instead of the API (see: sync)')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    if (!options.offline) requireAuth();
+    try {
+      const snapshot = saveSnapshot(await withSpinner('Fetching standing data...', () => captureSnapshot({ offline: options.offline })));
+
+      if (options.json) {
+        printJson({ id: snapshot.id, takenAt: snapshot.takenAt, file: snapshot.file, ...Object.fromEntries(SNAPSHOT_COLLECTIONS.map(name => [name, snapshot[name].length])) });
+        return;
+      }
+
+      printSuccess(`Snapshot ${chalk.cyan(snapshot.id)} saved: ${snapshotCounts(snapshot)}`);
+      console.log(chalk.dim(snapshot.file));
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+snapshotCmd
+  .command('list')
+  .description("List the active profile's snapshots, oldest first")
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const snapshots = listSnapshots();
+      if (options.json) {
+        printJson(snapshots);
+        return;
+      }
+      printTable(snapshots, [
+        { key: 'id', label: 'Snapshot' },
+        ...SNAPSHOT_COLLECTIONS.map(name => ({ key: name, label: SNAPSHOT_TITLES[name] }))
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+function formatDiffValue(value) {
+  if (value === undefined) return chalk.dim('(none)');
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Coloured, human-readable diff for the terminal
+ */
+function printSnapshotDiff(diff) {
+  console.log(chalk.bold(`\nStanding data changes: ${diff.from.id} → ${diff.to.id}\n`));
+  if (!diff.changes.length) {
+    console.log('No changes.\n');
+    return;
+  }
+
+  const marks = { added: chalk.green('+'), removed: chalk.red('-'), modified: chalk.yellow('~') };
+  SNAPSHOT_COLLECTIONS.forEach(name => {
+    const changes = diff.changes.filter(change => change.collection === name);
+    if (!changes.length) return;
+    console.log(chalk.bold(SNAPSHOT_TITLES[name]));
+    changes.forEach(change => {
+      console.log(`  ${marks[change.type]} ${change.label} ${chalk.dim(`(${change.key})`)}`);
+      (change.fields || []).forEach(({ field, before, after }) => {
+        console.log(`      ${field}: ${chalk.red(formatDiffValue(before))} → ${chalk.green(formatDiffValue(after))}`);
+      });
+    });
+    console.log('');
+  });
+
+  const totals = { added: 0, removed: 0, modified: 0 };
+  Object.values(diff.summary).forEach(counts => Object.keys(totals).forEach(type => { totals[type] += counts[type]; }));
+  console.log(`${totals.added} added, ${totals.removed} removed, ${totals.modified} modified\n`);
+}
+
+snapshotCmd
+  .command('diff [a] [b]')
+  .description(`Show what changed between two snapshots. a defaults to the latest snapshot, b to "${LIVE}" (the live data)`)
+  .addOption(new Option('--format <format>', 'Output format').choices(DIFF_FORMATS).default('text'))
+  .option('--ignore <field...>', 'Fields whose changes do not count, e.g. NextPaymentDateTime')
+  .option('--offline', `Read "${LIVE}" from the local store instead of the API (see: sync)`)
+  .option('--output <file>', 'Write json-patch, markdown or --json output to a file')
+  .option('--exit-code', 'Exit with status 2 when anything changed')
+  .option('--json', 'Output the full diff as JSON')
+  .action(async (a = 'latest', b = LIVE, options) => {
+    const live = a === LIVE || b === LIVE;
+    if (live && !options.offline) requireAuth();
+    try {
+      const before = a === LIVE ? null : loadSnapshot(a);
+      const after = b === LIVE ? null : loadSnapshot(b);
+      const current = live ? await withSpinner('Fetching standing data...', () => captureSnapshot({ offline: options.offline })) : null;
+
+      // Redacted before diffing, so the diff and patch carry tokens in both directions
+      const from = redactOutput(before || current);
+      const to = redactOutput(after || current);
+      const diff = diffSnapshots(from, to, { ignore: options.ignore || [] });
+
+      if (options.json) {
+        if (options.output) writeOutput(JSON.stringify(redactOutput(diff), null, 2) + '\n', options.output);
+        else printJson(diff);
+      } else if (options.format === 'json-patch') {
+        writeOutput(JSON.stringify(toJsonPatch(from, to, diff), null, 2) + '\n', options.output);
+      } else if (options.format === 'markdown') {
+        writeOutput(toMarkdown(diff), options.output);
+      } else {
+        printSnapshotDiff(diff);
+      }
+
+      if (options.exitCode && diff.changes.length) process.exit(2);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// WATCH
+// ============================================================
+
+/**
+ * Collect --threshold values: "<account-id>=<amount>", or a bare amount for every account
+ */
+function parseThreshold(value, previous = {}) {
+  const match = value.match(/^(?:([^=]+)=)?(-?\d+(?:\.\d+)?)$/);
+  if (!match) throw new InvalidArgumentError('Use <amount> or <account-id>=<amount>, e.g. 22289=100.00');
+  return { ...previous, [match[1] || '*']: match[2] };
+}
+
+/**
+ * One-line summary of a watch event for the terminal
+ */
+function describeEvent(event) {
+  const amount = (value) => (value ? `${value.CreditDebitIndicator === 'Debit' ? '-' : ''}${value.Amount?.Amount} ${value.Amount?.Currency}` : '');
+  switch (event.type) {
+    case 'new-transaction':
+    case 'pending-booked':
+      return `${amount(event.transaction)}  ${event.transaction.MerchantDetails?.MerchantName || event.transaction.TransactionInformation || ''}`;
+    case 'balance-low':
+      return `${event.balance.Type} ${amount(event.balance)} is below ${event.threshold}`;
+    case 'new-beneficiary':
+      return `${event.beneficiary.BeneficiaryId}  ${event.beneficiary.CreditorAccount?.Name || event.beneficiary.Reference || ''}`;
+    case 'new-direct-debit':
+      return `${event.directDebit.DirectDebitId}  ${event.directDebit.Name || event.directDebit.MandateIdentification || ''}`;
+    default:
+      return '';
+  }
+}
+
+const EVENT_COLOURS = {
+  'new-transaction': chalk.cyan,
+  'pending-booked': chalk.green,
+  'balance-low': chalk.red,
+  'new-beneficiary': chalk.yellow,
+  'new-direct-debit': chalk.yellow
+};
+
+program
+  .command('watch')
+  .description('Poll balances and transactions and report new activity')
+  .option('--account <id...>', 'Only watch these accounts (default: all)')
+  .option('--interval <seconds>', 'Seconds between polls', parsePositiveInt, DEFAULT_WATCH_INTERVAL)
+  .option('--threshold <amount>', 'Alert when a balance drops below this; "<account-id>=<amount>" for one account (repeatable)', parseThreshold)
+  .option('--window <days>', 'Days of transactions re-read each poll', parsePositiveInt, DEFAULT_WATCH_WINDOW_DAYS)
+  .addOption(new Option('--event <type...>', 'Only report these events').choices(WATCH_EVENTS))
+  .option('--ndjson [file]', 'Write events as NDJSON to stdout, or append them to a file')
+  .option('--webhook <url>', 'POST each event as JSON to this URL (default: config webhook)', parseWebhookUrl)
+  .option('--once', 'Poll once and exit, e.g. from cron')
+  .option('--reset', 'Forget previously seen activity and record a new baseline')
+  .action(async (options) => {
+    requireAuth();
+    const webhook = options.webhook || getConfig('webhookUrl');
+    // With NDJSON on stdout, everything else goes to stderr so the stream stays parseable
+    const status = (message) => console.error(chalk.dim(message));
+
+    if (options.reset) {
+      resetWatchState();
+      status('Watch state cleared; the next poll records a new baseline');
+    }
+
+    const emit = async (found) => {
+      if (options.event && !options.event.includes(found.type)) return;
+      const event = redactOutput(found);
+      if (options.ndjson === true) {
+        console.log(JSON.stringify(event));
+      } else {
+        const colour = EVENT_COLOURS[event.type] || chalk.white;
+        console.log(`${chalk.dim(event.time)}  ${colour(event.type.padEnd(16))}  ${event.accountId}  ${describeEvent(event)}`);
+        if (options.ndjson) fs.appendFileSync(options.ndjson, JSON.stringify(event) + '\n');
+      }
+      if (webhook) {
+        try {
+          await postWebhook(webhook, event);
+        } catch (error) {
+          printError(`Could not deliver ${event.type} to ${webhook}: ${error.message}`);
+        }
+      }
+    };
+
+    let stopping = false;
+    let timer = null;
+    let wake = null;
+    process.on('SIGINT', () => {
+      if (stopping) process.exit(130);
+      stopping = true;
+      status('Stopping after the current poll...');
+      clearTimeout(timer);
+      wake?.();
+    });
+
+    if (!options.once) status(`Watching every ${options.interval}s (state: ${getWatchStatePath()}). Ctrl+C to stop.`);
+
+    while (!stopping) {
+      try {
+        const { events, baselined } = await pollOnce({
+          accountIds: options.account,
+          thresholds: options.threshold,
+          windowDays: options.window
+        });
+        if (baselined.length) status(`Baseline recorded for ${baselined.join(', ')}`);
+        for (const event of events) await emit(event);
+      } catch (error) {
+        printError(error.message);
+        if (options.once) process.exit(1);
+      }
+
+      if (options.once) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, options.interval * 1000);
+      });
+    }
+  });
+
+// ============================================================
+// CONFORMANCE
+// ============================================================
+
+const conformanceCmd = program.command('conformance').description('Check the bank\'s responses against the OB v3.1 specification');
+
+conformanceCmd
+  .command('run')
+  .description('Call every AISP endpoint and validate each response against the bundled schemas')
+  .option('--account <id>', 'Account used for account-level endpoints (default: the first listed)')
+  .option('--max-pages <n>', 'Pages to fetch per list endpoint', parsePositiveInt)
+  .option('--consents', 'Also create, read back and delete a throwaway account-access-consent')
+  .option('--json', 'Output as JSON')
+  .action(async (options) => {
+    requireAuth();
+    let run;
+    try {
+      run = await withSpinner('Running conformance checks...', () =>
+        runConformance({ accountId: options.account, maxPages: options.maxPages, consents: options.consents })
+      );
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+
+    const { ids, results } = run;
+    const failures = results.filter(result => result.Result === 'fail' || result.Result === 'error').length;
+    if (options.json) {
+      printJson({ profile: getActiveProfile(), passed: failures === 0, ids, results, summary: summariseConformance(results) });
+    } else {
+      const used = Object.entries(ids).filter(([, value]) => value).map(([name, value]) => `${name} ${value}`);
+      if (used.length) console.log(chalk.dim(`Using ${used.join(', ')}\n`));
+
+      printTable(results, [
+        { key: 'Resource', label: 'Resource' },
+        { key: 'Method', label: 'Method' },
+        { key: 'Endpoint', label: 'Endpoint', format: (v) => v.replace('/accounts/{AccountId}/', '…/') },
+        { key: 'Result', label: 'Result', format: (v) => v.toUpperCase() },
+        { key: 'Records', label: 'Records', format: (v, row) => (row.Schema && row.Result !== 'skip' ? v : '-') },
+        { key: 'Violations', label: 'Violations', format: (v, row) => row.Error || v.length }
+      ]);
+
+      results.filter(result => result.Violations.length).forEach(result => {
+        console.log(chalk.bold(`\n${result.Method} ${result.Path}`) + chalk.dim(` (${result.Schema})`));
+        result.Violations.slice(0, 20).forEach(violation => {
+          const page = violation.page ? chalk.dim(` [page ${violation.page}]`) : '';
+          console.log(`  ${chalk.red(violation.path)} ${violation.message}${page}`);
+        });
+        if (result.Violations.length > 20) console.log(chalk.dim(`  ...and ${result.Violations.length - 20} more (see --json)`));
+      });
+
+      console.log(chalk.bold('\nBy resource\n'));
+      printTable(summariseConformance(results), [
+        { key: 'Resource', label: 'Resource' },
+        { key: 'pass', label: 'Pass' },
+        { key: 'fail', label: 'Fail' },
+        { key: 'error', label: 'Error' },
+        { key: 'skip', label: 'Skipped' }
+      ]);
+
+      console.log('');
+      if (failures === 0) printSuccess('All responses conform to OB v3.1');
+      else printError(`${failures} endpoint(s) failed`);
+    }
+
+    if (failures) process.exit(2);
+  });
+
+// ============================================================
+// SERVE
+// ============================================================
+
+program
+  .command('serve')
+  .description('Serve accounts, balances, transactions and more to local tools over read-only REST and JSON-RPC')
+  .option('--port <n>', 'Port to listen on', parseNonNegativeInt, DEFAULT_SERVE_PORT)
+  .option('--host <address>', 'Address to bind to', '127.0.0.1')
+  .option('--api-key <key>', `Bearer key clients must send (default: ${SERVE_KEY_ENV}, or a new random key)`)
+  .option('--offline', 'Answer from the local store instead of the API (see: sync)')
+  .option('--cache-ttl <seconds>', 'Reuse identical responses for this long (0 disables)', parseNonNegativeInt, 0)
+  .option('--rules <file>', 'Category rules file applied to transactions (default: config)')
+  .option('--log-file <file>', 'Also append each request to this file as NDJSON')
+  .option('--quiet', 'Do not log requests to the terminal')
+  .action(async (options) => {
+    if (!options.offline) requireAuth();
+    try {
+      const rules = loadCategoryRules(options);
+      const apiKey = options.apiKey || process.env[SERVE_KEY_ENV] || generateApiKey();
+      const log = options.logFile ? fs.createWriteStream(options.logFile, { flags: 'a' }) : null;
+
+      const { url } = await startGateway({
+        port: options.port,
+        host: options.host,
+        apiKey,
+        offline: options.offline,
+        rules,
+        cacheTtl: options.cacheTtl,
+        redacted: isRedacting(),
+        onRequest: ({ method, path, status, duration, calls }) => {
+          const time = new Date().toISOString();
+          if (log) log.write(JSON.stringify({ time, profile: getActiveProfile(), method, path, status, duration, calls }) + '\n');
+          if (!options.quiet) {
+            console.log(`${chalk.dim(time)} ${method} ${path}${calls.length ? chalk.dim(` [${calls.join(', ')}]`) : ''} ${status < 400 ? chalk.green(status) : chalk.red(status)} ${chalk.dim(`${duration}ms`)}`);
+          }
+        }
+      });
+
+      printSuccess(`Serving profile "${getActiveProfile()}"${options.offline ? ' from the local store' : ''} on ${chalk.cyan(url)}`);
+      if (!isLoopback(options.host)) {
+        console.log(chalk.yellow(`⚠ Bound to ${options.host}: anyone who can reach this address and has the key can read your accounts`));
+      }
+      if (!options.apiKey && !process.env[SERVE_KEY_ENV]) {
+        console.log(`\nAPI key (new each run; set ${SERVE_KEY_ENV} to keep one): ${chalk.cyan(apiKey)}`);
+      }
+      console.log(`\nTry: ${chalk.cyan(`curl -H "Authorization: Bearer <key>" ${url}/accounts`)}`);
+      console.log('Press Ctrl+C to stop.\n');
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// AUDIT
+// ============================================================
+
+const auditCmd = program.command('audit').description('Review the log of every API request made from this machine');
+
+function auditFilters(command) {
+  return command
+    .option('--since <when>', 'Only requests at or after this time (ISO 8601, or 30m, 24h, 7d back from now)', parseSince)
+    .option('--until <when>', 'Only requests before this time', parseSince)
+    .option('--endpoint <pattern>', 'Only this endpoint and those below it; * matches one path segment');
+}
+
+auditFilters(auditCmd
+  .command('show')
+  .description('List logged requests, oldest first'))
+  .option('--limit <n>', 'Show only the most recent n requests', parsePositiveInt)
+  .option('--json', 'Output as JSON')
+  .action((options) => {
+    try {
+      const entries = readAudit(options);
+      const shown = options.limit ? entries.slice(-options.limit) : entries;
+      if (options.json) {
+        printJson(shown);
+        return;
+      }
+      printTable(shown, [
+        { key: 'time', label: 'Time' },
+        { key: 'profile', label: 'Profile' },
+        { key: 'command', label: 'Command' },
+        { key: 'method', label: 'Method' },
+        { key: 'endpoint', label: 'Endpoint' },
+        { key: 'status', label: 'Status', format: (v, row) => v ?? row.error ?? '' },
+        { key: 'records', label: 'Records', format: (v) => v ?? '' },
+        { key: 'interactionId', label: 'Interaction ID' }
+      ]);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+auditFilters(auditCmd
+  .command('export')
+  .description('Write logged requests as CSV'))
+  .option('--output <file>', 'Write to a file instead of stdout')
+  .action((options) => {
+    try {
+      writeOutput(rowsToCsv(readAudit(options), AUDIT_FIELDS), options.output);
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// MOCK SERVER
+// ============================================================
+
+program
+  .command('mock-server')
+  .description('Run a local mock ASPSP serving fixture data (use with --sandbox)')
+  .option('--port <n>', 'Port to listen on', parsePositiveInt, DEFAULT_MOCK_PORT)
+  .option('--page-size <n>', 'Records per page on list endpoints', parsePositiveInt, 25)
+  .option('--token-ttl <seconds>', 'Lifetime of tokens issued by /token', parsePositiveInt, 3600)
+  .option('--fail <rule...>', 'Answer matching requests with an error: <status>[:<path>[:<times>]]')
+  .option('--retry-after <seconds>', 'Retry-After sent with 429 responses', parseNonNegativeInt, 1)
+  .option('--fixtures <file>', 'JSON file whose keys replace the built-in fixtures')
+  .option('--quiet', 'Do not log requests')
+  .action(async (options) => {
+    try {
+      const fixtures = options.fixtures
+        ? { ...createFixtures(), ...JSON.parse(fs.readFileSync(options.fixtures, 'utf8')) }
+        : createFixtures();
+
+      const { url } = await startMockServer({
+        port: options.port,
+        fixtures,
+        pageSize: options.pageSize,
+        tokenTtl: options.tokenTtl,
+        failures: (options.fail || []).map(parseFailureRule),
+        retryAfter: options.retryAfter,
+        onRequest: options.quiet
+          ? undefined
+          : ({ method, path, status }) => console.log(`${chalk.dim(new Date().toISOString())} ${method} ${path} ${status < 400 ? chalk.green(status) : chalk.red(status)}`)
+      });
+
+      printSuccess(`Mock ASPSP listening on ${chalk.cyan(url)}`);
+      console.log(`\nRun commands against it with: ${chalk.cyan(`openbankingorgukacco --sandbox ${options.port === DEFAULT_MOCK_PORT ? '' : `--sandbox-url ${url} `}accounts list`)}`);
+      console.log('Press Ctrl+C to stop.\n');
+    } catch (error) {
+      printError(error.message);
+      process.exit(1);
+    }
+  });
+
 // ============================================================
 // Parse
 // ============================================================
@@ -0,0 +1,174 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { startMockServer } from './mock-server.js';
+import { createFixtures } from './mock-fixtures.js';
+import { tempDir, startServer } from './testkit.js';
+
+// End-to-end: the CLI binary in a child process against the mock ASPSP
+const BIN = fileURLToPath(new URL('../bin/obaccount.js', import.meta.url));
+
+describe('commands against the mock ASPSP', () => {
+  let mock;
+  let configDir;
+
+  /**
+   * Run the CLI with a private config dir; resolves with exit code, stdout and stderr
+   */
+  function run(...args) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [BIN, ...args], {
+        env: { ...process.env, OBACCOUNT_CONFIG_DIR: configDir, NO_COLOR: '1' },
+        timeout: 30_000
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  function sandbox(...args) {
+    return run('--sandbox', '--sandbox-url', mock.url, ...args);
+  }
+
+  before(async () => {
+    configDir = tempDir();
+    mock = await startMockServer({ port: 0, failures: [{ status: 503, path: '/balances', times: 1 }] });
+  });
+
+  after(async () => {
+    await mock.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('--sandbox takes no value, so the command name after it is not swallowed', async () => {
+    const { code, stdout } = await run('--sandbox-url', mock.url, '--sandbox', 'accounts', 'list', '--json');
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).map(account => account.AccountId), ['22289', '31820', '44017']);
+  });
+
+  test('--sandbox-url on its own implies --sandbox; --profile is refused', async () => {
+    assert.equal((await run('--sandbox-url', mock.url, 'accounts', 'get', '22289', '--json')).code, 0);
+    const { code, stderr } = await run('--sandbox-url', mock.url, '--profile', 'default', 'accounts', 'list');
+    assert.equal(code, 1);
+    assert.match(stderr, /cannot be combined with --profile/);
+  });
+
+  test('transactions follow every page and export as CSV', async () => {
+    const { code, stdout } = await sandbox('accounts', 'transactions', '22289', '--format', 'csv');
+    assert.equal(code, 0);
+    const lines = stdout.trimEnd().split('\r\n');
+    assert.match(lines[0], /^accountId,transactionId,bookingDate/);
+    assert.ok(lines.length > 100, `expected every page, got ${lines.length - 1} rows`);
+  });
+
+  test('a 503 from the bank is retried', async () => {
+    const { code, stdout, stderr } = await sandbox('--verbose', 'accounts', 'balances', '22289', '--json');
+    assert.equal(code, 0);
+    assert.match(stderr, /\/balances attempt 2\/\d x-fapi-interaction-id: /);
+    assert.ok(JSON.parse(stdout).length > 0);
+  });
+
+  test('the other AISP resources answer', async () => {
+    for (const args of [['products', 'list'], ['offers', 'list'], ['parties', 'account', '22289'], ['scheduled-payments', 'list'], ['statements', 'list', '22289']]) {
+      const { code, stdout, stderr } = await sandbox(...args, '--json');
+      assert.equal(code, 0, `${args.join(' ')}: ${stderr}`);
+      assert.ok(JSON.parse(stdout).length > 0, args.join(' '));
+    }
+  });
+
+  test('statements download writes the file', async () => {
+    const out = join(configDir, 'statement.pdf');
+    const { code } = await sandbox('statements', 'download', '22289', 'STMT-CUR-2024-01', '--out', out);
+    assert.equal(code, 0);
+    assert.equal(fs.readFileSync(out).subarray(0, 5).toString(), '%PDF-');
+  });
+
+  test('--category splits transactions between rule categories and the Uncategorised bucket', async () => {
+    const rules = join(configDir, 'rules.yaml');
+    fs.writeFileSync(rules, '- category: Groceries\n  match:\n    merchant: /tesco|sainsbury/i\n');
+    const list = async (...args) => JSON.parse((await sandbox('accounts', 'transactions', '22289', '--rules', rules, ...args, '--json')).stdout);
+
+    const all = await list();
+    const groceries = await list('--category', 'groceries');
+    const rest = await list('--category', 'Uncategorised');
+    assert.ok(groceries.length > 0 && rest.length > 0);
+    assert.equal(groceries.length + rest.length, all.length);
+    assert.ok(rest.every(transaction => transaction.Category === 'Uncategorised'));
+
+    const { code, stderr } = await sandbox('accounts', 'transactions', '22289', '--category', 'Groceries');
+    assert.equal(code, 1);
+    assert.match(stderr, /--category needs category rules/);
+  });
+
+  test('reconcile --to takes in the whole of its last day', async () => {
+    const booked = (id, dateTime, amount, balance) => ({
+      AccountId: '22289',
+      TransactionId: id,
+      Status: 'Booked',
+      BookingDateTime: dateTime,
+      Amount: { Amount: amount, Currency: 'GBP' },
+      CreditDebitIndicator: 'Credit',
+      Balance: { Amount: { Amount: balance, Currency: 'GBP' }, CreditDebitIndicator: 'Credit', Type: 'InterimBooked' }
+    });
+    const fixtures = {
+      ...createFixtures(),
+      balances: [{ AccountId: '22289', Type: 'ClosingBooked', DateTime: '2024-04-05T18:00:00+00:00', Amount: { Amount: '170.00', Currency: 'GBP' }, CreditDebitIndicator: 'Credit' }],
+      transactions: [
+        booked('t1', '2024-03-01T10:00:00+00:00', '10.00', '110.00'),
+        booked('t2', '2024-03-31T15:00:00+00:00', '20.00', '130.00'),
+        booked('t3', '2024-04-02T10:00:00+00:00', '40.00', '170.00')
+      ]
+    };
+    const bank = await startMockServer({ port: 0, fixtures });
+    try {
+      const { code, stdout } = await run('--sandbox-url', bank.url, 'accounts', 'reconcile', '22289', '--from', '2024-03-01', '--to', '2024-03-31', '--json');
+      const result = JSON.parse(stdout);
+      assert.equal(code, 0);
+      assert.equal(result.bookedCount, 2);
+      assert.equal(result.closing.Amount, '130.00');
+    } finally {
+      await bank.close();
+    }
+  });
+
+  test('sync fills the sandbox store and offline reads serve it', async () => {
+    assert.equal((await sandbox('sync')).code, 0);
+    assert.ok(fs.existsSync(join(configDir, 'store', 'sandbox', 'transactions.jsonl')));
+    const { code, stdout } = await sandbox('accounts', 'list', '--offline', '--json');
+    assert.equal(code, 0);
+    assert.equal(JSON.parse(stdout).length, 3);
+  });
+});
+
+describe('--all-profiles', () => {
+  test('sends secret environment variables to the selected profile\'s bank only', async () => {
+    const configDir = tempDir();
+    const accounts = { Data: { Account: [{ AccountId: 'a1' }] }, Links: {} };
+    const home = await startServer(() => ({ body: accounts }));
+    const work = await startServer(() => ({ body: accounts }));
+    const run = (args, env = {}) => new Promise(resolve => {
+      execFile(process.execPath, [BIN, ...args], {
+        env: { ...process.env, OBACCOUNT_CONFIG_DIR: configDir, NO_COLOR: '1', ...env },
+        timeout: 30_000
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+
+    try {
+      assert.equal((await run(['config', 'set', '--base-url', home.baseUrl])).code, 0);
+      assert.equal((await run(['profile', 'add', 'work', '--base-url', work.baseUrl])).code, 0);
+      assert.equal((await run(['config', 'set', '--profile', 'work', '--token', 'stored-work-token'])).code, 0);
+      assert.equal((await run(['profile', 'add', 'idle'])).code, 0);
+
+      const { code, stdout, stderr } = await run(['accounts', 'list', '--all-profiles', '--json'], { OBACCOUNT_ACCESS_TOKEN: 'env-home-token' });
+      assert.equal(code, 0, stderr);
+      assert.deepEqual(JSON.parse(stdout).map(account => account.Profile), ['default', 'work']);
+      assert.deepEqual(home.requests.map(request => request.headers.authorization), ['Bearer env-home-token']);
+      assert.deepEqual(work.requests.map(request => request.headers.authorization), ['Bearer stored-work-token']);
+    } finally {
+      await home.close();
+      await work.close();
+      fs.rmSync(configDir, { recursive: true, force: true });
+    }
+  });
+});
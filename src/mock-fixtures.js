@@ -0,0 +1,416 @@
+// Fixture data for the mock ASPSP. Everything is generated from fixed dates so
+// runs are reproducible: six months of history ending on FIXTURE_END_DATE.
+
+export const FIXTURE_START_DATE = '2024-01-01';
+export const FIXTURE_END_DATE = '2024-06-30';
+
+const CURRENT = '22289';
+const SAVINGS = '31820';
+const CARD = '44017';
+
+const PARTY = {
+  PartyId: 'PXSIF023',
+  PartyNumber: '0000123456',
+  PartyType: 'Sole',
+  Name: 'Alex Smith',
+  EmailAddress: 'alex.smith@example.com',
+  Mobile: '+44-7700900123',
+  Address: [{
+    AddressType: 'Residential',
+    StreetName: 'Acacia Avenue',
+    BuildingNumber: '27',
+    PostCode: 'GU31 2ZZ',
+    TownName: 'Sparsholt',
+    Country: 'GB'
+  }]
+};
+
+const JOINT_PARTY = {
+  PartyId: 'PXSIF024',
+  PartyNumber: '0000123457',
+  PartyType: 'Joint',
+  Name: 'Sam Smith',
+  EmailAddress: 'sam.smith@example.com'
+};
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function money(pence, currency = 'GBP') {
+  return { Amount: (Math.abs(pence) / 100).toFixed(2), Currency: currency };
+}
+
+function dateTime(date, time = '09:00:00') {
+  return `${date}T${time}+00:00`;
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+function monthDays(day) {
+  const dates = [];
+  for (let month = 1; month <= 6; month++) {
+    dates.push(`2024-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  }
+  return dates;
+}
+
+// Small deterministic PRNG so grocery amounts vary without changing between runs
+function seeded(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+const CODES = {
+  BGC: { bank: { Code: 'ReceivedCreditTransfer', SubCode: 'DomesticCreditTransfer' }, issuer: 'Mock Bank' },
+  SO: { bank: { Code: 'IssuedCreditTransfer', SubCode: 'StandingOrder' }, issuer: 'Mock Bank' },
+  DD: { bank: { Code: 'IssuedDirectDebit', SubCode: 'DirectDebitPayment' }, issuer: 'Mock Bank' },
+  POS: { bank: { Code: 'CustomerCardTransactions', SubCode: 'PointOfSale' }, issuer: 'Mock Bank' },
+  FPO: { bank: { Code: 'IssuedCreditTransfer', SubCode: 'DomesticCreditTransfer' }, issuer: 'Mock Bank' },
+  INT: { bank: { Code: 'MiscellaneousCreditOperations', SubCode: 'Interest' }, issuer: 'Mock Bank' }
+};
+
+/**
+ * Turn a list of movements into OBTransactions with running balances, newest first
+ */
+function buildTransactions(accountId, prefix, openingPence, movements) {
+  const sorted = [...movements].sort((a, b) => (a.date + a.time).localeCompare(b.date + b.time));
+  let balance = openingPence;
+
+  const transactions = sorted.map((movement, index) => {
+    balance += movement.pence;
+    const code = CODES[movement.code];
+    const transaction = {
+      AccountId: accountId,
+      TransactionId: `${prefix}-${String(index + 1).padStart(4, '0')}`,
+      TransactionReference: movement.reference,
+      Amount: money(movement.pence),
+      CreditDebitIndicator: movement.pence < 0 ? 'Debit' : 'Credit',
+      Status: movement.pending ? 'Pending' : 'Booked',
+      BookingDateTime: dateTime(movement.date, movement.time),
+      ValueDateTime: dateTime(movement.date, movement.time),
+      TransactionInformation: movement.information,
+      BankTransactionCode: code.bank,
+      ProprietaryBankTransactionCode: { Code: movement.code, Issuer: code.issuer },
+      Balance: {
+        Amount: money(balance),
+        CreditDebitIndicator: balance < 0 ? 'Debit' : 'Credit',
+        Type: 'InterimBooked'
+      }
+    };
+    if (movement.merchant) {
+      transaction.MerchantDetails = { MerchantName: movement.merchant, MerchantCategoryCode: movement.mcc };
+    }
+    return transaction;
+  });
+
+  return { transactions: transactions.reverse(), closingPence: balance };
+}
+
+// ============================================================
+// Movements
+// ============================================================
+
+function currentAccountMovements() {
+  const random = seeded(42);
+  const movements = [];
+  const add = (date, pence, code, information, extra = {}) =>
+    movements.push({ date, time: extra.time || '09:00:00', pence, code, information, reference: extra.reference || information, ...extra });
+
+  monthDays(25).forEach(date => add(date, 285000, 'BGC', 'ACME LTD SALARY', { reference: 'ACME PAYROLL', time: '06:00:00' }));
+  monthDays(1).forEach(date => add(date, -95000, 'SO', 'RENT LANDLORD PROPERTIES', { reference: 'FLAT 2 RENT', time: '07:00:00' }));
+  monthDays(26).forEach(date => add(date, -20000, 'SO', 'TRANSFER TO SAVINGS', { reference: 'SAVINGS', time: '07:00:00' }));
+  monthDays(15).forEach(date => add(date, -14200, 'DD', 'SPARSHOLT COUNCIL TAX', { reference: 'CTAX 88123' }));
+  // Energy tariff goes up from May
+  monthDays(5).forEach((date, index) => add(date, index < 4 ? -7850 : -9200, 'DD', 'BRIGHT ENERGY', { reference: 'BE-100234' }));
+  monthDays(12).forEach(date => add(date, -1099, 'POS', 'SPOTIFY P1A2B3', { merchant: 'Spotify', mcc: '5815', time: '03:12:00' }));
+  // Gym payment missed in June
+  monthDays(3).slice(0, 5).forEach(date => add(date, -2499, 'POS', 'PUREGYM LTD', { merchant: 'PureGym', mcc: '7997', time: '05:30:00' }));
+
+  for (let date = '2024-01-06'; date <= FIXTURE_END_DATE; date = addDays(date, 7)) {
+    const pence = -(4000 + Math.round(random() * 6000));
+    add(date, pence, 'POS', 'TESCO STORES 2231', { merchant: 'Tesco', mcc: '5411', time: '11:20:00' });
+    add(addDays(date, 2), -(350 + Math.round(random() * 250)), 'POS', 'PRET A MANGER', { merchant: 'Pret A Manger', mcc: '5814', time: '08:05:00' });
+    add(addDays(date, 3), -(280 + Math.round(random() * 400)), 'POS', 'TFL TRAVEL CH', { merchant: 'Transport for London', mcc: '4111', time: '23:59:00' });
+  }
+
+  ['2024-01-19', '2024-02-22', '2024-04-08', '2024-05-30'].forEach((date, index) =>
+    add(date, -(1500 + index * 1275), 'POS', 'AMAZON.CO.UK*2K4', { merchant: 'Amazon', mcc: '5942', time: '19:45:00' }));
+  ['2024-02-10', '2024-06-08'].forEach(date => add(date, -4500, 'FPO', 'MUM BIRTHDAY', { reference: 'HAPPY BDAY' }));
+
+  // Not yet booked
+  add('2024-06-29', -3125, 'POS', 'SAINSBURYS S/MKTS', { merchant: "Sainsbury's", mcc: '5411', time: '16:40:00', pending: true });
+  add('2024-06-30', -420, 'POS', 'PRET A MANGER', { merchant: 'Pret A Manger', mcc: '5814', time: '08:10:00', pending: true });
+
+  return movements.filter(movement => movement.date <= FIXTURE_END_DATE);
+}
+
+function savingsMovements() {
+  const movements = [];
+  monthDays(26).forEach(date => movements.push({ date, time: '07:05:00', pence: 20000, code: 'BGC', information: 'TRANSFER FROM CURRENT', reference: 'SAVINGS' }));
+  monthDays(28).forEach((date, index) => movements.push({ date, time: '00:01:00', pence: 1050 + index * 12, code: 'INT', information: 'INTEREST', reference: 'GROSS INTEREST' }));
+  return movements;
+}
+
+function cardMovements() {
+  const movements = [];
+  const add = (date, pence, information, extra = {}) =>
+    movements.push({ date, time: '12:00:00', pence, code: 'POS', information, reference: information, ...extra });
+
+  monthDays(9).forEach(date => add(date, -1599, 'NETFLIX.COM', { merchant: 'Netflix', mcc: '4899' }));
+  ['2024-01-14', '2024-03-02', '2024-04-21', '2024-06-11'].forEach((date, index) =>
+    add(date, -(6500 + index * 900), 'JOHN LEWIS', { merchant: 'John Lewis', mcc: '5311' }));
+  monthDays(20).forEach(date => add(date, 4000, 'PAYMENT RECEIVED - THANK YOU', { code: 'BGC' }));
+  return movements;
+}
+
+// ============================================================
+// Fixtures
+// ============================================================
+
+function statementsFor(accountId, prefix, transactions, openingPence) {
+  const booked = [...transactions].reverse().filter(transaction => transaction.Status === 'Booked');
+  const statements = [];
+  let opening = openingPence;
+
+  for (let month = 1; month <= 5; month++) {
+    const start = `2024-${String(month).padStart(2, '0')}-01`;
+    const end = addDays(`2024-${String(month + 1).padStart(2, '0')}-01`, -1);
+    const inPeriod = booked.filter(transaction => {
+      const date = transaction.BookingDateTime.substring(0, 10);
+      return date >= start && date <= end;
+    });
+    const closing = inPeriod.reduce((sum, transaction) =>
+      sum + Math.round(Number(transaction.Amount.Amount) * 100) * (transaction.CreditDebitIndicator === 'Debit' ? -1 : 1), opening);
+
+    statements.push({
+      AccountId: accountId,
+      StatementId: `${prefix}-${start.substring(0, 7)}`,
+      StatementReference: `${start.substring(0, 7).replace('-', '')}-001`,
+      Type: 'RegularPeriodic',
+      StartDateTime: dateTime(start, '00:00:00'),
+      EndDateTime: dateTime(end, '23:59:59'),
+      CreationDateTime: dateTime(addDays(end, 1), '02:00:00'),
+      StatementDescription: [`Statement for ${start.substring(0, 7)}`],
+      StatementAmount: [
+        { Amount: money(opening), CreditDebitIndicator: opening < 0 ? 'Debit' : 'Credit', Type: 'OpeningBalance' },
+        { Amount: money(closing), CreditDebitIndicator: closing < 0 ? 'Debit' : 'Credit', Type: 'ClosingBalance' }
+      ]
+    });
+    opening = closing;
+  }
+
+  return statements;
+}
+
+function balancesFor(accountId, closingPence, bookedPence, creditLine) {
+  const balance = (type, pence) => ({
+    AccountId: accountId,
+    Amount: money(pence),
+    CreditDebitIndicator: pence < 0 ? 'Debit' : 'Credit',
+    Type: type,
+    DateTime: dateTime(FIXTURE_END_DATE, '18:00:00'),
+    ...(creditLine ? { CreditLine: [creditLine] } : {})
+  });
+
+  return [
+    balance('ClosingBooked', bookedPence),
+    balance('InterimBooked', bookedPence),
+    balance('InterimAvailable', closingPence + (creditLine?.Included ? Math.round(Number(creditLine.Amount.Amount) * 100) : 0))
+  ];
+}
+
+function bookedClosing(transactions, openingPence) {
+  return [...transactions].reverse()
+    .filter(transaction => transaction.Status === 'Booked')
+    .reduce((sum, transaction) =>
+      sum + Math.round(Number(transaction.Amount.Amount) * 100) * (transaction.CreditDebitIndicator === 'Debit' ? -1 : 1), openingPence);
+}
+
+/**
+ * Build the full fixture set served by the mock ASPSP
+ */
+export function createFixtures() {
+  const current = buildTransactions(CURRENT, 'CUR', 120000, currentAccountMovements());
+  const savings = buildTransactions(SAVINGS, 'SAV', 450000, savingsMovements());
+  const card = buildTransactions(CARD, 'CC', -18000, cardMovements());
+
+  const accounts = [
+    {
+      AccountId: CURRENT,
+      Status: 'Enabled',
+      StatusUpdateDateTime: dateTime('2019-03-01'),
+      Currency: 'GBP',
+      AccountType: 'Personal',
+      AccountSubType: 'CurrentAccount',
+      Nickname: 'Everyday',
+      OpeningDate: dateTime('2019-03-01'),
+      Account: [{ SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '80200110203345', Name: 'Mr Alex Smith', SecondaryIdentification: '00021' }],
+      Servicer: { SchemeName: 'UK.OBIE.BICFI', Identification: 'MOCKGB2L' }
+    },
+    {
+      AccountId: SAVINGS,
+      Status: 'Enabled',
+      StatusUpdateDateTime: dateTime('2020-07-15'),
+      Currency: 'GBP',
+      AccountType: 'Personal',
+      AccountSubType: 'Savings',
+      Nickname: 'Rainy Day',
+      OpeningDate: dateTime('2020-07-15'),
+      Account: [{ SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '80200110203348', Name: 'Mr Alex Smith and Mx Sam Smith' }]
+    },
+    {
+      AccountId: CARD,
+      Status: 'Enabled',
+      StatusUpdateDateTime: dateTime('2021-11-02'),
+      Currency: 'GBP',
+      AccountType: 'Personal',
+      AccountSubType: 'CreditCard',
+      Nickname: 'Rewards Card',
+      OpeningDate: dateTime('2021-11-02'),
+      Account: [{ SchemeName: 'UK.OBIE.PAN', Identification: '5555000000004444', Name: 'MR A SMITH' }]
+    }
+  ];
+
+  const overdraft = { Included: true, Amount: money(50000), Type: 'Pre-Agreed' };
+  const cardLimit = { Included: true, Amount: money(300000), Type: 'Credit' };
+  const currentBooked = bookedClosing(current.transactions, 120000);
+
+  const balances = [
+    ...balancesFor(CURRENT, current.closingPence, currentBooked, overdraft),
+    ...balancesFor(SAVINGS, savings.closingPence, savings.closingPence),
+    ...balancesFor(CARD, card.closingPence, card.closingPence, cardLimit)
+  ];
+
+  const beneficiaries = [
+    {
+      AccountId: CURRENT,
+      BeneficiaryId: 'BEN-001',
+      Reference: 'FLAT 2 RENT',
+      CreditorAccount: { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '40400412345678', Name: 'Landlord Properties Ltd' }
+    },
+    {
+      AccountId: CURRENT,
+      BeneficiaryId: 'BEN-002',
+      Reference: 'HAPPY BDAY',
+      CreditorAccount: { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '20000087654321', Name: 'Mrs J Smith' }
+    }
+  ];
+
+  const directDebits = [
+    {
+      AccountId: CURRENT,
+      DirectDebitId: 'DD-001',
+      MandateIdentification: 'CTAX 88123',
+      DirectDebitStatusCode: 'Active',
+      Name: 'Sparsholt Council',
+      PreviousPaymentDateTime: dateTime('2024-06-15'),
+      PreviousPaymentAmount: money(14200)
+    },
+    {
+      AccountId: CURRENT,
+      DirectDebitId: 'DD-002',
+      MandateIdentification: 'BE-100234',
+      DirectDebitStatusCode: 'Active',
+      Name: 'Bright Energy',
+      PreviousPaymentDateTime: dateTime('2024-06-05'),
+      PreviousPaymentAmount: money(9200)
+    }
+  ];
+
+  const standingOrders = [
+    {
+      AccountId: CURRENT,
+      StandingOrderId: 'SO-001',
+      Frequency: 'IntrvlMnthDay:01:01',
+      Reference: 'FLAT 2 RENT',
+      FirstPaymentDateTime: dateTime('2023-09-01'),
+      NextPaymentDateTime: dateTime('2024-07-01'),
+      StandingOrderStatusCode: 'Active',
+      FirstPaymentAmount: money(95000),
+      NextPaymentAmount: money(95000),
+      CreditorAccount: beneficiaries[0].CreditorAccount
+    },
+    {
+      AccountId: CURRENT,
+      StandingOrderId: 'SO-002',
+      Frequency: 'IntrvlMnthDay:01:26',
+      Reference: 'SAVINGS',
+      FirstPaymentDateTime: dateTime('2020-07-26'),
+      NextPaymentDateTime: dateTime('2024-07-26'),
+      StandingOrderStatusCode: 'Active',
+      FirstPaymentAmount: money(20000),
+      NextPaymentAmount: money(20000),
+      CreditorAccount: { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '80200110203348', Name: 'Rainy Day' }
+    }
+  ];
+
+  const scheduledPayments = [
+    {
+      AccountId: CURRENT,
+      ScheduledPaymentId: 'SP-001',
+      ScheduledPaymentDateTime: dateTime('2024-07-10'),
+      ScheduledType: 'Execution',
+      Reference: 'CAR SERVICE',
+      InstructedAmount: money(23000),
+      CreditorAccount: { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '60161331926819', Name: 'Sparsholt Motors' }
+    }
+  ];
+
+  const products = [
+    { AccountId: CURRENT, ProductId: 'PCA-CLASSIC', ProductName: 'Classic Current Account', ProductType: 'PersonalCurrentAccount' },
+    { AccountId: SAVINGS, ProductId: 'SAV-EASY', ProductName: 'Easy Access Saver', ProductType: 'Other', SecondaryProductId: 'EASY-2020' },
+    { AccountId: CARD, ProductId: 'CC-REWARDS', ProductName: 'Rewards Credit Card', ProductType: 'Other' }
+  ];
+
+  const offers = [
+    {
+      AccountId: CURRENT,
+      OfferId: 'OFF-001',
+      OfferType: 'LimitIncrease',
+      Description: 'Increase your arranged overdraft',
+      StartDateTime: dateTime('2024-06-01'),
+      EndDateTime: dateTime('2024-08-31'),
+      Amount: money(100000)
+    },
+    {
+      AccountId: CARD,
+      OfferId: 'OFF-002',
+      OfferType: 'BalanceTransfer',
+      Description: '0% balance transfers for 18 months',
+      Rate: '0.00',
+      Value: 18,
+      Term: 'Months',
+      StartDateTime: dateTime('2024-05-01'),
+      EndDateTime: dateTime('2024-09-30')
+    }
+  ];
+
+  const parties = {
+    [CURRENT]: [{ ...PARTY, AccountRole: 'UK.OBIE.Principal' }],
+    [SAVINGS]: [{ ...PARTY, AccountRole: 'UK.OBIE.Principal' }, { ...JOINT_PARTY, AccountRole: 'UK.OBIE.SecondaryOwner' }],
+    [CARD]: [{ ...PARTY, AccountRole: 'UK.OBIE.Principal' }]
+  };
+
+  return {
+    accounts,
+    balances,
+    transactions: [...current.transactions, ...savings.transactions, ...card.transactions],
+    beneficiaries,
+    directDebits,
+    standingOrders,
+    statements: statementsFor(CURRENT, 'STMT-CUR', current.transactions, 120000),
+    products,
+    offers,
+    party: PARTY,
+    parties,
+    scheduledPayments
+  };
+}
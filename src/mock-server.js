@@ -0,0 +1,446 @@
+import http from 'http';
+import crypto from 'crypto';
+import { createFixtures } from './mock-fixtures.js';
+
+export const DEFAULT_MOCK_PORT = 9090;
+
+// Accepted on every endpoint and never expires; what --sandbox sends
+export const MOCK_ACCESS_TOKEN = 'mock-access-token';
+export const MOCK_CLIENT_ID = 'mock-client';
+
+const API_PREFIX = '/open-banking/v3.1/aisp';
+const DEFAULT_PAGE_SIZE = 25;
+const DEFAULT_TOKEN_TTL = 3600;
+
+const ERROR_MESSAGES = {
+  400: ['UK.OBIE.Field.Invalid', 'Bad request'],
+  401: ['UK.OBIE.Unauthorized', 'Access token is missing, invalid or expired'],
+  403: ['UK.OBIE.Resource.ConsentMismatch', 'Consent does not permit this request'],
+  404: ['UK.OBIE.Resource.NotFound', 'Resource not found'],
+  405: ['UK.OBIE.UnsupportedMethod', 'Method not allowed'],
+  429: ['UK.OBIE.TooManyRequests', 'Too many requests'],
+  500: ['UK.OBIE.UnexpectedError', 'Internal server error'],
+  503: ['UK.OBIE.UnexpectedError', 'Service unavailable']
+};
+
+// A one-page PDF, enough for `statements download` to have something to save
+const STATEMENT_PDF = Buffer.from(
+  '%PDF-1.4\n1 0 obj<</Type/Catalog/Pages 2 0 R>>endobj\n' +
+  '2 0 obj<</Type/Pages/Kids[3 0 R]/Count 1>>endobj\n' +
+  '3 0 obj<</Type/Page/Parent 2 0 R/MediaBox[0 0 595 842]>>endobj\n' +
+  'trailer<</Root 1 0 R>>\n%%EOF\n'
+);
+
+// ============================================================
+// Failure injection
+// ============================================================
+
+/**
+ * Parse a failure rule from the CLI: `<status>[:<path>[:<times>]]`,
+ * e.g. `429`, `500:/transactions`, `503:/accounts:2`.
+ */
+export function parseFailureRule(spec) {
+  const [status, path = '', times] = String(spec).split(':');
+  const rule = { status: parseInt(status, 10), path };
+  if (!ERROR_MESSAGES[rule.status]) {
+    throw new Error(`Unsupported failure status "${status}". Use one of: ${Object.keys(ERROR_MESSAGES).join(', ')}`);
+  }
+  if (times !== undefined) {
+    rule.times = parseInt(times, 10);
+    if (isNaN(rule.times) || rule.times < 1) throw new Error(`Invalid failure count "${times}".`);
+  }
+  return rule;
+}
+
+/**
+ * First rule matching the request path that still has failures left.
+ * A request can also force a status with the `x-mock-status` header.
+ */
+function matchFailure(failures, path, headers) {
+  const forced = parseInt(headers['x-mock-status'], 10);
+  if (ERROR_MESSAGES[forced]) return { status: forced };
+
+  const rule = failures.find(rule => path.includes(rule.path) && rule.times !== 0);
+  if (!rule) return null;
+  if (rule.times) rule.times--;
+  return rule;
+}
+
+// ============================================================
+// Responses
+// ============================================================
+
+function send(res, status, body, headers = {}) {
+  const payload = Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': Buffer.isBuffer(body) ? 'application/pdf' : 'application/json',
+    ...headers
+  });
+  res.end(payload);
+}
+
+function sendError(res, status, headers = {}, message) {
+  const [code, defaultMessage] = ERROR_MESSAGES[status] || ERROR_MESSAGES[500];
+  send(res, status, {
+    Code: String(status),
+    Id: crypto.randomUUID(),
+    Message: message || defaultMessage,
+    Errors: [{ ErrorCode: code, Message: message || defaultMessage }]
+  }, headers);
+}
+
+function pageLinks(req, url, page, totalPages) {
+  const link = (n) => {
+    const target = new URL(url.pathname, `http://${req.headers.host}`);
+    url.searchParams.forEach((value, key) => target.searchParams.set(key, value));
+    target.searchParams.set('page', n);
+    return target.toString();
+  };
+
+  const links = { Self: link(page), First: link(1), Last: link(totalPages) };
+  if (page > 1) links.Prev = link(page - 1);
+  if (page < totalPages) links.Next = link(page + 1);
+  return links;
+}
+
+/**
+ * Wrap records in the OB envelope, paginating lists of more than pageSize
+ */
+function envelope(req, url, key, records, pageSize) {
+  if (!Array.isArray(records)) {
+    return { Data: { [key]: records }, Links: { Self: `http://${req.headers.host}${url.pathname}` }, Meta: { TotalPages: 1 } };
+  }
+
+  const totalPages = Math.max(1, Math.ceil(records.length / pageSize));
+  const page = Math.min(Math.max(parseInt(url.searchParams.get('page'), 10) || 1, 1), totalPages);
+  return {
+    Data: { [key]: records.slice((page - 1) * pageSize, page * pageSize) },
+    Links: pageLinks(req, url, page, totalPages),
+    Meta: { TotalPages: totalPages }
+  };
+}
+
+function inBookingWindow(url) {
+  const from = url.searchParams.get('fromBookingDateTime');
+  const to = url.searchParams.get('toBookingDateTime');
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+  return (transaction) => {
+    const booked = new Date(transaction.BookingDateTime).getTime();
+    return booked >= fromTime && booked <= toTime;
+  };
+}
+
+// ============================================================
+// Routes
+// ============================================================
+
+function byAccount(records, accountId) {
+  return records.filter(record => record.AccountId === accountId);
+}
+
+/**
+ * Resolve an AISP path to [Data key, records]. Returns null for unknown paths
+ * and undefined records for unknown accounts/resources.
+ */
+function resolveResource(fixtures, segments, url) {
+  const [resource, accountId, sub, subId, leaf] = segments;
+  const window = inBookingWindow(url);
+
+  if (resource !== 'accounts') {
+    const collections = {
+      balances: ['Balance', fixtures.balances],
+      transactions: ['Transaction', fixtures.transactions.filter(window)],
+      beneficiaries: ['Beneficiary', fixtures.beneficiaries],
+      'direct-debits': ['DirectDebit', fixtures.directDebits],
+      'standing-orders': ['StandingOrder', fixtures.standingOrders],
+      'scheduled-payments': ['ScheduledPayment', fixtures.scheduledPayments],
+      statements: ['Statement', fixtures.statements],
+      products: ['Product', fixtures.products],
+      offers: ['Offer', fixtures.offers],
+      party: ['Party', fixtures.party]
+    };
+    return segments.length === 1 ? collections[resource] || null : null;
+  }
+
+  if (!accountId) return ['Account', fixtures.accounts];
+
+  const account = fixtures.accounts.find(account => account.AccountId === accountId);
+  if (!account) return ['Account', undefined];
+  if (!sub) return ['Account', [account]];
+
+  const accountTransactions = byAccount(fixtures.transactions, accountId);
+
+  if (sub === 'statements' && subId) {
+    const statement = fixtures.statements.find(s => s.AccountId === accountId && s.StatementId === subId);
+    if (!statement) return ['Statement', undefined];
+    if (!leaf) return ['Statement', [statement]];
+    if (leaf === 'file') return ['File', STATEMENT_PDF];
+    if (leaf === 'transactions') {
+      const start = new Date(statement.StartDateTime).getTime();
+      const end = new Date(statement.EndDateTime).getTime();
+      return ['Transaction', accountTransactions.filter(transaction => {
+        const booked = new Date(transaction.BookingDateTime).getTime();
+        return transaction.Status === 'Booked' && booked >= start && booked <= end;
+      })];
+    }
+    return null;
+  }
+
+  if (sub === 'transactions' && subId) {
+    const transaction = accountTransactions.find(t => t.TransactionId === subId);
+    return ['Transaction', transaction ? [transaction] : undefined];
+  }
+
+  if (subId) return null;
+
+  const perAccount = {
+    balances: ['Balance', byAccount(fixtures.balances, accountId)],
+    transactions: ['Transaction', accountTransactions.filter(window)],
+    beneficiaries: ['Beneficiary', byAccount(fixtures.beneficiaries, accountId)],
+    'direct-debits': ['DirectDebit', byAccount(fixtures.directDebits, accountId)],
+    'standing-orders': ['StandingOrder', byAccount(fixtures.standingOrders, accountId)],
+    'scheduled-payments': ['ScheduledPayment', byAccount(fixtures.scheduledPayments, accountId)],
+    statements: ['Statement', byAccount(fixtures.statements, accountId)],
+    product: ['Product', byAccount(fixtures.products, accountId)],
+    offers: ['Offer', byAccount(fixtures.offers, accountId)],
+    party: ['Party', fixtures.parties[accountId]?.find(party => party.AccountRole === 'UK.OBIE.Principal')],
+    parties: ['Party', fixtures.parties[accountId] || []]
+  };
+  return perAccount[sub] || null;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Pull the consent ID out of the unsigned request object sent to /authorize
+ */
+function intentIdFromRequestObject(request) {
+  try {
+    const claims = JSON.parse(Buffer.from(request.split('.')[1], 'base64url').toString('utf8'));
+    return claims.claims?.id_token?.openbanking_intent_id?.value || claims.claims?.userinfo?.openbanking_intent_id?.value;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================
+// Server
+// ============================================================
+
+/**
+ * Create (but do not start) a mock ASPSP serving the AISP v3.1 surface under
+ * /open-banking/v3.1/aisp, plus /token and an auto-approving /authorize.
+ *
+ * Options:
+ * - fixtures: data to serve (defaults to createFixtures())
+ * - pageSize: records per page for list endpoints
+ * - tokenTtl: lifetime in seconds of tokens issued by /token
+ * - failures: rules from parseFailureRule() answered before normal routing
+ * - retryAfter: Retry-After seconds sent with 429 responses
+ * - onRequest: called with { method, path, status } after each response
+ */
+export function createMockServer({
+  fixtures = createFixtures(),
+  pageSize = DEFAULT_PAGE_SIZE,
+  tokenTtl = DEFAULT_TOKEN_TTL,
+  failures = [],
+  retryAfter = 1,
+  onRequest = () => {}
+} = {}) {
+  const tokens = new Map([[MOCK_ACCESS_TOKEN, { expiresAt: Infinity }]]);
+  const codes = new Map();
+  const consents = new Map();
+  const rules = failures.map(rule => ({ ...rule }));
+
+  function issueTokens({ refresh = true } = {}) {
+    const issued = { access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: tokenTtl };
+    tokens.set(issued.access_token, { expiresAt: Date.now() + tokenTtl * 1000 });
+    if (refresh) {
+      issued.refresh_token = crypto.randomBytes(16).toString('hex');
+      tokens.set(`refresh:${issued.refresh_token}`, { expiresAt: Infinity });
+    }
+    return issued;
+  }
+
+  function authorized(req) {
+    const token = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    const entry = token && tokens.get(token);
+    return !!entry && entry.expiresAt > Date.now();
+  }
+
+  async function handleToken(req, res) {
+    const params = new URLSearchParams(await readBody(req));
+    const grant = params.get('grant_type');
+
+    if (grant === 'client_credentials') {
+      send(res, 200, { ...issueTokens({ refresh: false }), scope: params.get('scope') || 'accounts' });
+    } else if (grant === 'authorization_code' && codes.has(params.get('code'))) {
+      codes.delete(params.get('code'));
+      send(res, 200, issueTokens());
+    } else if (grant === 'refresh_token' && tokens.has(`refresh:${params.get('refresh_token')}`)) {
+      tokens.delete(`refresh:${params.get('refresh_token')}`);
+      send(res, 200, issueTokens());
+    } else {
+      send(res, 400, { error: 'invalid_grant', error_description: `Unsupported or invalid ${grant || 'grant'}` });
+    }
+  }
+
+  function handleAuthorize(req, res, url) {
+    const redirectUri = url.searchParams.get('redirect_uri');
+    if (!redirectUri) {
+      send(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is required' });
+      return;
+    }
+
+    const consentId = intentIdFromRequestObject(url.searchParams.get('request') || '');
+    const consent = consents.get(consentId);
+    if (consent) consent.Status = 'Authorised';
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, consentId);
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (url.searchParams.get('state')) target.searchParams.set('state', url.searchParams.get('state'));
+    res.writeHead(302, { Location: target.toString() });
+    res.end();
+  }
+
+  async function handleConsents(req, res, consentId, headers) {
+    if (req.method === 'POST' && !consentId) {
+      const body = JSON.parse((await readBody(req)) || '{}');
+      const now = new Date().toISOString();
+      const consent = {
+        ConsentId: `urn-mock-intent-${crypto.randomBytes(6).toString('hex')}`,
+        Status: 'AwaitingAuthorisation',
+        CreationDateTime: now,
+        StatusUpdateDateTime: now,
+        ...body.Data
+      };
+      consents.set(consent.ConsentId, consent);
+      send(res, 201, { Data: consent, Risk: {}, Links: { Self: `http://${req.headers.host}${API_PREFIX}/account-access-consents/${consent.ConsentId}` }, Meta: { TotalPages: 1 } }, headers);
+      return 201;
+    }
+
+    const consent = consents.get(consentId);
+    if (!consent) {
+      sendError(res, 404, headers);
+      return 404;
+    }
+    if (req.method === 'DELETE') {
+      consents.delete(consentId);
+      res.writeHead(204, headers);
+      res.end();
+      return 204;
+    }
+    if (req.method === 'GET') {
+      send(res, 200, { Data: consent, Risk: {}, Links: { Self: `http://${req.headers.host}${API_PREFIX}/account-access-consents/${consentId}` }, Meta: { TotalPages: 1 } }, headers);
+      return 200;
+    }
+    sendError(res, 405, headers);
+    return 405;
+  }
+
+  async function route(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || '127.0.0.1'}`);
+
+    if (url.pathname === '/token' && req.method === 'POST') return handleToken(req, res).then(() => res.statusCode);
+    if (url.pathname === '/authorize' && req.method === 'GET') {
+      handleAuthorize(req, res, url);
+      return res.statusCode;
+    }
+
+    const headers = { 'x-fapi-interaction-id': req.headers['x-fapi-interaction-id'] || crypto.randomUUID() };
+
+    if (!url.pathname.startsWith(`${API_PREFIX}/`)) {
+      sendError(res, 404, headers);
+      return 404;
+    }
+
+    const failure = matchFailure(rules, url.pathname, req.headers);
+    if (failure) {
+      sendError(res, failure.status, failure.status === 429 ? { ...headers, 'Retry-After': String(retryAfter) } : headers);
+      return failure.status;
+    }
+
+    if (!authorized(req)) {
+      sendError(res, 401, headers);
+      return 401;
+    }
+
+    const segments = url.pathname.substring(API_PREFIX.length + 1).split('/').filter(Boolean).map(decodeURIComponent);
+    if (segments[0] === 'account-access-consents') return handleConsents(req, res, segments[1], headers);
+
+    if (req.method !== 'GET') {
+      sendError(res, 405, headers);
+      return 405;
+    }
+
+    const resolved = resolveResource(fixtures, segments, url);
+    if (!resolved || resolved[1] === undefined) {
+      sendError(res, 404, headers);
+      return 404;
+    }
+
+    const [key, records] = resolved;
+    if (Buffer.isBuffer(records)) {
+      send(res, 200, records, headers);
+      return 200;
+    }
+    send(res, 200, envelope(req, url, key, records, pageSize), headers);
+    return 200;
+  }
+
+  return http.createServer((req, res) => {
+    route(req, res)
+      .then(status => onRequest({ method: req.method, path: req.url, status: status || res.statusCode }))
+      .catch(error => {
+        if (!res.headersSent) sendError(res, 500, {}, error.message);
+        onRequest({ method: req.method, path: req.url, status: 500 });
+      });
+  });
+}
+
+/**
+ * Start a mock ASPSP on localhost. Resolves once it is listening.
+ * Pass port 0 to pick a free port; the chosen one is in the returned url.
+ */
+export function startMockServer({ port = DEFAULT_MOCK_PORT, host = '127.0.0.1', ...options } = {}) {
+  const server = createMockServer(options);
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        server,
+        url,
+        baseUrl: `${url}/open-banking`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * Profile settings that point the CLI at a mock ASPSP running at `url`
+ */
+export function sandboxConfig(url = `http://127.0.0.1:${DEFAULT_MOCK_PORT}`) {
+  const root = url.replace(/\/$/, '');
+  return {
+    baseUrl: `${root}/open-banking`,
+    apiVersion: 'v3.1',
+    accessToken: MOCK_ACCESS_TOKEN,
+    clientId: MOCK_CLIENT_ID,
+    tokenUrl: `${root}/token`,
+    authorizeUrl: `${root}/authorize`,
+    rateLimit: 0
+  };
+}
@@ -0,0 +1,376 @@
+// Open Banking UK Account and Transaction API v3.1 resource models.
+// Names follow the specification's schema names; inline schemas are named after their path.
+
+// ============================================================
+// Common
+// ============================================================
+
+/** ISO 8601 date-time, e.g. "2024-06-30T18:00:00+00:00" */
+export type ISODateTime = string;
+
+export type OBCreditDebitCode = 'Credit' | 'Debit';
+
+/** Amount with up to 5 decimal places, e.g. "12.34" */
+export interface OBActiveOrHistoricCurrencyAndAmount {
+  Amount: string;
+  Currency: string;
+}
+
+export interface OBLinks {
+  Self: string;
+  First?: string;
+  Prev?: string;
+  Next?: string;
+  Last?: string;
+}
+
+export interface OBMeta {
+  TotalPages?: number;
+  FirstAvailableDateTime?: ISODateTime;
+  LastAvailableDateTime?: ISODateTime;
+}
+
+/** Response envelope shared by every read endpoint */
+export interface OBReadEnvelope<TData> {
+  Data: TData;
+  Links?: OBLinks;
+  Meta?: OBMeta;
+}
+
+export interface OBCashAccount5 {
+  SchemeName: string;
+  Identification: string;
+  Name?: string;
+  SecondaryIdentification?: string;
+}
+
+export interface OBBranchAndFinancialInstitutionIdentification5 {
+  SchemeName: string;
+  Identification: string;
+}
+
+export interface OBBranchAndFinancialInstitutionIdentification6 {
+  SchemeName?: string;
+  Identification?: string;
+  Name?: string;
+  PostalAddress?: OBPostalAddress6;
+}
+
+export interface OBPostalAddress6 {
+  AddressType?: string;
+  Department?: string;
+  SubDepartment?: string;
+  StreetName?: string;
+  BuildingNumber?: string;
+  PostCode?: string;
+  TownName?: string;
+  CountrySubDivision?: string;
+  Country?: string;
+  AddressLine?: string[];
+}
+
+export interface OBSupplementaryData1 {
+  [key: string]: unknown;
+}
+
+// ============================================================
+// Consents
+// ============================================================
+
+export type OBExternalPermissions1Code =
+  | 'ReadAccountsBasic' | 'ReadAccountsDetail' | 'ReadBalances'
+  | 'ReadBeneficiariesBasic' | 'ReadBeneficiariesDetail' | 'ReadDirectDebits'
+  | 'ReadOffers' | 'ReadPAN' | 'ReadParty' | 'ReadPartyPSU' | 'ReadProducts'
+  | 'ReadScheduledPaymentsBasic' | 'ReadScheduledPaymentsDetail'
+  | 'ReadStandingOrdersBasic' | 'ReadStandingOrdersDetail'
+  | 'ReadStatementsBasic' | 'ReadStatementsDetail'
+  | 'ReadTransactionsBasic' | 'ReadTransactionsCredits' | 'ReadTransactionsDebits' | 'ReadTransactionsDetail';
+
+export interface OBReadConsentResponse1Data {
+  ConsentId: string;
+  CreationDateTime: ISODateTime;
+  Status: 'Authorised' | 'AwaitingAuthorisation' | 'Rejected' | 'Revoked';
+  StatusUpdateDateTime: ISODateTime;
+  Permissions: OBExternalPermissions1Code[];
+  ExpirationDateTime?: ISODateTime;
+  TransactionFromDateTime?: ISODateTime;
+  TransactionToDateTime?: ISODateTime;
+}
+
+export type OBReadConsentResponse1 = OBReadEnvelope<OBReadConsentResponse1Data> & { Risk: Record<string, unknown> };
+
+// ============================================================
+// Accounts
+// ============================================================
+
+export interface OBAccount6 {
+  AccountId: string;
+  Status?: 'Deleted' | 'Disabled' | 'Enabled' | 'Pending' | 'ProForma';
+  StatusUpdateDateTime?: ISODateTime;
+  Currency: string;
+  AccountType: 'Business' | 'Personal';
+  AccountSubType: 'ChargeCard' | 'CreditCard' | 'CurrentAccount' | 'EMoney' | 'Loan' | 'Mortgage' | 'PrePaidCard' | 'Savings';
+  Description?: string;
+  Nickname?: string;
+  OpeningDate?: ISODateTime;
+  MaturityDate?: ISODateTime;
+  SwitchStatus?: string;
+  Account?: OBCashAccount5[];
+  Servicer?: OBBranchAndFinancialInstitutionIdentification5;
+}
+
+export type OBReadAccount6 = OBReadEnvelope<{ Account?: OBAccount6[] }>;
+
+// ============================================================
+// Balances
+// ============================================================
+
+export type OBBalanceType1Code =
+  | 'ClosingAvailable' | 'ClosingBooked' | 'ClosingCleared' | 'Expected' | 'ForwardAvailable'
+  | 'Information' | 'InterimAvailable' | 'InterimBooked' | 'InterimCleared' | 'OpeningAvailable'
+  | 'OpeningBooked' | 'OpeningCleared' | 'PreviouslyClosedBooked';
+
+export interface OBCreditLine {
+  Included: boolean;
+  Type?: 'Available' | 'Credit' | 'Emergency' | 'Pre-Agreed' | 'Temporary';
+  Amount?: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export interface OBReadBalance1DataBalance {
+  AccountId: string;
+  CreditDebitIndicator: OBCreditDebitCode;
+  Type: OBBalanceType1Code;
+  DateTime: ISODateTime;
+  Amount: OBActiveOrHistoricCurrencyAndAmount;
+  CreditLine?: OBCreditLine[];
+}
+
+export type OBReadBalance1 = OBReadEnvelope<{ Balance: OBReadBalance1DataBalance[] }>;
+
+// ============================================================
+// Transactions
+// ============================================================
+
+export interface OBBankTransactionCodeStructure1 {
+  Code: string;
+  SubCode: string;
+}
+
+export interface ProprietaryBankTransactionCodeStructure1 {
+  Code: string;
+  Issuer?: string;
+}
+
+export interface OBTransactionCashBalance {
+  CreditDebitIndicator: OBCreditDebitCode;
+  Type: OBBalanceType1Code;
+  Amount: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export interface OBMerchantDetails1 {
+  MerchantName?: string;
+  MerchantCategoryCode?: string;
+}
+
+export interface OBCurrencyExchange5 {
+  SourceCurrency: string;
+  TargetCurrency?: string;
+  UnitCurrency?: string;
+  ExchangeRate: number;
+  ContractIdentification?: string;
+  QuotationDate?: ISODateTime;
+  InstructedAmount?: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export interface OBTransactionCardInstrument1 {
+  CardSchemeName: 'AmericanExpress' | 'Diners' | 'Discover' | 'MasterCard' | 'VISA';
+  AuthorisationType?: 'ConsumerDevice' | 'Contactless' | 'None' | 'PIN';
+  Name?: string;
+  Identification?: string;
+}
+
+export interface OBTransaction6 {
+  AccountId: string;
+  TransactionId?: string;
+  TransactionReference?: string;
+  StatementReference?: string[];
+  CreditDebitIndicator: OBCreditDebitCode;
+  Status: 'Booked' | 'Pending';
+  TransactionMutability?: 'Mutable' | 'Immutable';
+  BookingDateTime: ISODateTime;
+  ValueDateTime?: ISODateTime;
+  TransactionInformation?: string;
+  AddressLine?: string;
+  Amount: OBActiveOrHistoricCurrencyAndAmount;
+  ChargeAmount?: OBActiveOrHistoricCurrencyAndAmount;
+  CurrencyExchange?: OBCurrencyExchange5;
+  BankTransactionCode?: OBBankTransactionCodeStructure1;
+  ProprietaryBankTransactionCode?: ProprietaryBankTransactionCodeStructure1;
+  Balance?: OBTransactionCashBalance;
+  MerchantDetails?: OBMerchantDetails1;
+  CreditorAgent?: OBBranchAndFinancialInstitutionIdentification6;
+  CreditorAccount?: OBCashAccount5;
+  DebtorAgent?: OBBranchAndFinancialInstitutionIdentification6;
+  DebtorAccount?: OBCashAccount5;
+  CardInstrument?: OBTransactionCardInstrument1;
+  SupplementaryData?: OBSupplementaryData1;
+}
+
+export type OBReadTransaction6 = OBReadEnvelope<{ Transaction?: OBTransaction6[] }>;
+
+// ============================================================
+// Beneficiaries
+// ============================================================
+
+export interface OBBeneficiary5 {
+  AccountId?: string;
+  BeneficiaryId?: string;
+  BeneficiaryType?: 'Trusted' | 'Ordinary';
+  Reference?: string;
+  SupplementaryData?: OBSupplementaryData1;
+  CreditorAgent?: OBBranchAndFinancialInstitutionIdentification6;
+  CreditorAccount?: OBCashAccount5;
+}
+
+export type OBReadBeneficiary5 = OBReadEnvelope<{ Beneficiary?: OBBeneficiary5[] }>;
+
+// ============================================================
+// Direct debits
+// ============================================================
+
+export interface OBReadDirectDebit2DataDirectDebit {
+  AccountId: string;
+  DirectDebitId?: string;
+  MandateIdentification: string;
+  DirectDebitStatusCode?: 'Active' | 'Inactive';
+  Name: string;
+  PreviousPaymentDateTime?: ISODateTime;
+  Frequency?: string;
+  PreviousPaymentAmount?: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export type OBReadDirectDebit2 = OBReadEnvelope<{ DirectDebit?: OBReadDirectDebit2DataDirectDebit[] }>;
+
+// ============================================================
+// Standing orders
+// ============================================================
+
+export interface OBStandingOrder6 {
+  AccountId: string;
+  StandingOrderId?: string;
+  Frequency: string;
+  Reference?: string;
+  FirstPaymentDateTime?: ISODateTime;
+  NextPaymentDateTime?: ISODateTime;
+  LastPaymentDateTime?: ISODateTime;
+  FinalPaymentDateTime?: ISODateTime;
+  NumberOfPayments?: string;
+  StandingOrderStatusCode?: 'Active' | 'Inactive';
+  FirstPaymentAmount?: OBActiveOrHistoricCurrencyAndAmount;
+  NextPaymentAmount?: OBActiveOrHistoricCurrencyAndAmount;
+  LastPaymentAmount?: OBActiveOrHistoricCurrencyAndAmount;
+  FinalPaymentAmount?: OBActiveOrHistoricCurrencyAndAmount;
+  CreditorAgent?: OBBranchAndFinancialInstitutionIdentification5;
+  CreditorAccount?: OBCashAccount5;
+  SupplementaryData?: OBSupplementaryData1;
+}
+
+export type OBReadStandingOrder6 = OBReadEnvelope<{ StandingOrder?: OBStandingOrder6[] }>;
+
+// ============================================================
+// Statements
+// ============================================================
+
+export interface OBStatementAmount {
+  CreditDebitIndicator: OBCreditDebitCode;
+  /** e.g. "UK.OBIE.ClosingBalance" */
+  Type: string;
+  Amount: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export interface OBStatement2 {
+  AccountId: string;
+  StatementId?: string;
+  StatementReference?: string;
+  Type: 'AccountClosure' | 'AccountOpening' | 'Annual' | 'Interim' | 'RegularPeriodic';
+  StartDateTime: ISODateTime;
+  EndDateTime: ISODateTime;
+  CreationDateTime: ISODateTime;
+  StatementDescription?: string[];
+  StatementBenefit?: Array<{ Type: string; Amount: OBActiveOrHistoricCurrencyAndAmount }>;
+  StatementFee?: Array<{ CreditDebitIndicator: OBCreditDebitCode; Type: string; Amount: OBActiveOrHistoricCurrencyAndAmount }>;
+  StatementInterest?: Array<{ CreditDebitIndicator: OBCreditDebitCode; Type: string; Amount: OBActiveOrHistoricCurrencyAndAmount }>;
+  StatementAmount?: OBStatementAmount[];
+  StatementDateTime?: Array<{ DateTime: ISODateTime; Type: string }>;
+  StatementRate?: Array<{ Rate: string; Type: string }>;
+  StatementValue?: Array<{ Value: string; Type: string }>;
+}
+
+export type OBReadStatement2 = OBReadEnvelope<{ Statement?: OBStatement2[] }>;
+
+// ============================================================
+// Products, offers, parties, scheduled payments
+// ============================================================
+
+export interface OBReadProduct2DataProduct {
+  AccountId: string;
+  ProductId?: string;
+  ProductName?: string;
+  SecondaryProductId?: string;
+  ProductType: 'BusinessCurrentAccount' | 'CommercialCreditCard' | 'Other' | 'PersonalCurrentAccount' | 'SMELoan';
+  MarketingStateId?: string;
+  OtherProductType?: Record<string, unknown>;
+  [details: string]: unknown;
+}
+
+export type OBReadProduct2 = OBReadEnvelope<{ Product?: OBReadProduct2DataProduct[] }>;
+
+export interface OBReadOffer1DataOffer {
+  AccountId: string;
+  OfferId?: string;
+  OfferType?: 'BalanceTransfer' | 'LimitIncrease' | 'MoneyTransfer' | 'Other' | 'PromotionalRate';
+  Description?: string;
+  StartDateTime?: ISODateTime;
+  EndDateTime?: ISODateTime;
+  Rate?: string;
+  Value?: number;
+  Term?: string;
+  URL?: string;
+  Amount?: OBActiveOrHistoricCurrencyAndAmount;
+  Fee?: OBActiveOrHistoricCurrencyAndAmount;
+}
+
+export type OBReadOffer1 = OBReadEnvelope<{ Offer?: OBReadOffer1DataOffer[] }>;
+
+export interface OBParty2 {
+  PartyId: string;
+  PartyNumber?: string;
+  PartyType?: 'Delegate' | 'Joint' | 'Sole';
+  Name?: string;
+  FullLegalName?: string;
+  LegalStructure?: string;
+  BeneficialOwnership?: boolean;
+  AccountRole?: string;
+  EmailAddress?: string;
+  Phone?: string;
+  Mobile?: string;
+  Relationships?: { Account?: { Related: string; Id: string } };
+  Address?: OBPostalAddress6[];
+}
+
+export type OBReadParty2 = OBReadEnvelope<{ Party?: OBParty2 }>;
+export type OBReadParty3 = OBReadEnvelope<{ Party?: OBParty2[] }>;
+
+export interface OBScheduledPayment3 {
+  AccountId: string;
+  ScheduledPaymentId?: string;
+  ScheduledPaymentDateTime: ISODateTime;
+  ScheduledType: 'Arrival' | 'Execution';
+  Reference?: string;
+  DebtorReference?: string;
+  InstructedAmount: OBActiveOrHistoricCurrencyAndAmount;
+  CreditorAgent?: OBBranchAndFinancialInstitutionIdentification5;
+  CreditorAccount?: OBCashAccount5;
+}
+
+export type OBReadScheduledPayment3 = OBReadEnvelope<{ ScheduledPayment?: OBScheduledPayment3[] }>;
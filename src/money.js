@@ -0,0 +1,37 @@
+// OB amounts carry up to 5 decimal places; all arithmetic is done in BigInt
+// units of 1/100000 so totals never pick up float rounding errors.
+export const SCALE = 100000n;
+
+/**
+ * Parse an OB amount string into signed fixed-point units (5 decimals) without float rounding
+ */
+export function toUnits(amount, creditDebitIndicator) {
+  const [whole, fraction = ''] = String(amount).replace(/^[-+]/, '').split('.');
+  const units = BigInt(whole || '0') * SCALE + BigInt((fraction + '00000').substring(0, 5));
+  return creditDebitIndicator === 'Debit' ? -units : units;
+}
+
+/**
+ * Format units as an unsigned decimal string with at least two decimals
+ */
+export function formatUnits(units) {
+  const abs = units < 0n ? -units : units;
+  const fraction = (abs % SCALE).toString().padStart(5, '0').replace(/0{1,3}$/, '');
+  return `${abs / SCALE}.${fraction.padEnd(2, '0')}`;
+}
+
+/**
+ * Format units with a leading "-" when negative
+ */
+export function formatSigned(units) {
+  return `${units < 0n ? '-' : ''}${formatUnits(units)}`;
+}
+
+/**
+ * Round units half away from zero to the given number of decimals
+ */
+export function roundUnits(units, decimals = 2) {
+  const step = SCALE / 10n ** BigInt(decimals);
+  const half = step / 2n;
+  return units < 0n ? -(((-units + half) / step) * step) : ((units + half) / step) * step;
+}
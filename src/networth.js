@@ -0,0 +1,163 @@
+import { toUnits, formatSigned } from './money.js';
+import { convertUnits } from './fx.js';
+
+// Every OB v3.1 balance type
+export const BALANCE_TYPES = [
+  'ClosingAvailable', 'ClosingBooked', 'ClosingCleared', 'Expected', 'ForwardAvailable', 'Information',
+  'InterimAvailable', 'InterimBooked', 'InterimCleared', 'OpeningAvailable', 'OpeningBooked', 'OpeningCleared',
+  'PreviouslyClosedBooked'
+];
+
+export const DEFAULT_BALANCE_TYPE = 'ClosingBooked';
+
+// Tried in order when an account does not report the requested type: booked figures first,
+// since available balances mix in pending items and credit lines
+const FALLBACK_TYPES = [
+  'ClosingBooked', 'InterimBooked', 'Expected', 'ClosingCleared', 'InterimCleared',
+  'InterimAvailable', 'ClosingAvailable', 'OpeningBooked', 'OpeningAvailable'
+];
+
+// Account sub-types whose balance is money owed rather than money held
+const LIABILITY_SUBTYPES = ['CreditCard', 'ChargeCard', 'Loan', 'Mortgage'];
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function accountKey(record) {
+  return `${record.Profile || ''}/${record.AccountId}`;
+}
+
+/**
+ * "CreditCard" -> "Credit Card", with Business accounts kept apart from Personal ones
+ */
+function groupName(account) {
+  const subType = (account.AccountSubType || 'Other').replace(/([a-z])([A-Z])/g, '$1 $2');
+  return account.AccountType === 'Business' ? `Business ${subType}` : subType;
+}
+
+function accountName(account) {
+  return account.Nickname || account.Account?.[0]?.Name || '';
+}
+
+function pickBalance(balances, balanceType) {
+  for (const type of [balanceType, ...FALLBACK_TYPES]) {
+    const balance = balances.find(candidate => candidate.Type === type);
+    if (balance) return balance;
+  }
+  return balances[0] || null;
+}
+
+/**
+ * Credit lines in the balance's currency: the total limit, and the part an available
+ * balance already counts (`Included`), which is the bank's money, not the customer's
+ */
+function creditLines(balance) {
+  const currency = balance.Amount?.Currency;
+  return (balance.CreditLine || [])
+    .filter(line => line.Amount?.Amount && (!line.Amount.Currency || line.Amount.Currency === currency))
+    .reduce((totals, line) => {
+      const units = toUnits(line.Amount.Amount);
+      return {
+        limit: totals.limit + units,
+        included: totals.included + (line.Included && /Available$/.test(balance.Type || '') ? units : 0n)
+      };
+    }, { limit: 0n, included: 0n });
+}
+
+// ============================================================
+// Summary
+// ============================================================
+
+/**
+ * Net worth across accounts in one base currency.
+ *
+ * Each account contributes one balance: `balanceType` when reported, otherwise the first of
+ * FALLBACK_TYPES. The amount is signed by CreditDebitIndicator, and included credit lines are
+ * taken off available balances so an unused overdraft or card limit is not counted as money.
+ * Credit cards, charge cards, loans and mortgages are liabilities; their (normally Debit)
+ * balances reduce net worth. Amounts in other currencies are converted with `rates` (see
+ * loadRates); a missing rate is an error rather than a silently wrong total.
+ *
+ * Returns { base, balanceType, rates, accounts, groups, totals, missing }.
+ */
+export function summariseNetWorth({ accounts, balances, base, balanceType = DEFAULT_BALANCE_TYPE, rates = null }) {
+  const byAccount = new Map();
+  balances.forEach(balance => {
+    const key = accountKey(balance);
+    if (!byAccount.has(key)) byAccount.set(key, []);
+    byAccount.get(key).push(balance);
+  });
+
+  const rows = [];
+  const missing = [];
+  const unconvertible = new Set();
+
+  accounts.forEach(account => {
+    const balance = pickBalance(byAccount.get(accountKey(account)) || [], balanceType);
+    if (!balance) {
+      missing.push(account.AccountId);
+      return;
+    }
+
+    const currency = balance.Amount?.Currency || account.Currency;
+    const lines = creditLines(balance);
+    const units = toUnits(balance.Amount?.Amount ?? '0', balance.CreditDebitIndicator) - lines.included;
+    const converted = convertUnits(units, currency, base, rates);
+    if (!converted) {
+      unconvertible.add(currency);
+      return;
+    }
+
+    rows.push({
+      ...(account.Profile ? { Profile: account.Profile } : {}),
+      AccountId: account.AccountId,
+      Name: accountName(account),
+      Group: groupName(account),
+      Class: LIABILITY_SUBTYPES.includes(account.AccountSubType) ? 'Liability' : 'Asset',
+      BalanceType: balance.Type,
+      DateTime: balance.DateTime || null,
+      Balance: formatSigned(units),
+      Currency: currency,
+      CreditLine: lines.limit ? formatSigned(lines.limit) : null,
+      CreditLineExcluded: lines.included ? formatSigned(lines.included) : null,
+      Rate: currency === base ? null : converted.rate,
+      Value: converted.units
+    });
+  });
+
+  if (unconvertible.size) {
+    const currencies = [...unconvertible].sort().join(', ');
+    if (!rates) throw new Error(`Balances in ${currencies} need FX rates to convert to ${base}. Pass --rates <file> or run: openbankingorgukacco config set --rates <file>`);
+    throw new Error(`${rates.file} has no rate to convert ${currencies} to ${base}`);
+  }
+
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!groups.has(row.Group)) groups.set(row.Group, { Group: row.Group, Class: row.Class, Accounts: 0, value: 0n });
+    const group = groups.get(row.Group);
+    group.Accounts++;
+    group.value += row.Value;
+  });
+
+  const total = (rowClass) => rows.filter(row => row.Class === rowClass).reduce((sum, row) => sum + row.Value, 0n);
+  const assets = total('Asset');
+  const liabilities = total('Liability');
+
+  return {
+    base,
+    balanceType,
+    rates: rates && rows.some(row => row.Rate) ? { file: rates.file, base: rates.base, date: rates.date } : null,
+    accounts: rows.map(row => ({ ...row, Value: formatSigned(row.Value) })),
+    groups: [...groups.values()]
+      .sort((a, b) => a.Class.localeCompare(b.Class) || a.Group.localeCompare(b.Group))
+      .map(({ value, ...group }) => ({ ...group, Value: formatSigned(value) })),
+    totals: {
+      Assets: formatSigned(assets),
+      Liabilities: formatSigned(liabilities),
+      NetWorth: formatSigned(assets + liabilities),
+      Currency: base
+    },
+    missing
+  };
+}
@@ -0,0 +1,114 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { summariseNetWorth } from './networth.js';
+
+function account(AccountId, AccountSubType, extra = {}) {
+  return { AccountId, AccountType: 'Personal', AccountSubType, Currency: 'GBP', ...extra };
+}
+
+function balance(AccountId, Type, amount, indicator = 'Credit', extra = {}) {
+  return { AccountId, Type, CreditDebitIndicator: indicator, Amount: { Amount: amount, Currency: 'GBP' }, ...extra };
+}
+
+// Units per EUR, scaled like loadRates
+const rates = {
+  file: 'rates.json',
+  base: 'EUR',
+  date: '2024-10-16',
+  rates: { EUR: 10n ** 10n, GBP: 8_500_000_000n, USD: 10_000_000_000n }
+};
+
+describe('summariseNetWorth', () => {
+  test('sums assets and liabilities into groups and a net total', () => {
+    const summary = summariseNetWorth({
+      accounts: [
+        account('cur', 'CurrentAccount', { Nickname: 'Bills' }),
+        account('sav', 'Savings', { Account: [{ Name: 'Rainy day' }] }),
+        account('card', 'CreditCard'),
+        account('biz', 'CurrentAccount', { AccountType: 'Business' })
+      ],
+      balances: [
+        balance('cur', 'ClosingBooked', '1200.50'),
+        balance('sav', 'ClosingBooked', '3000.00'),
+        balance('card', 'ClosingBooked', '450.25', 'Debit'),
+        balance('biz', 'ClosingBooked', '100.00', 'Debit')
+      ],
+      base: 'GBP'
+    });
+
+    assert.deepEqual(summary.totals, { Assets: '4100.50', Liabilities: '-450.25', NetWorth: '3650.25', Currency: 'GBP' });
+    assert.deepEqual(summary.groups.map(({ Group, Class, Accounts, Value }) => [Group, Class, Accounts, Value]), [
+      ['Business Current Account', 'Asset', 1, '-100.00'],
+      ['Current Account', 'Asset', 1, '1200.50'],
+      ['Savings', 'Asset', 1, '3000.00'],
+      ['Credit Card', 'Liability', 1, '-450.25']
+    ]);
+    assert.deepEqual(summary.accounts.map(row => row.Name), ['Bills', 'Rainy day', '', '']);
+    assert.equal(summary.rates, null);
+    assert.deepEqual(summary.missing, []);
+  });
+
+  test('uses the requested balance type, else the first fallback the account reports', () => {
+    const balances = [
+      balance('a', 'InterimAvailable', '90.00'),
+      balance('a', 'InterimBooked', '80.00'),
+      balance('a', 'Expected', '70.00')
+    ];
+    const pick = balanceType => summariseNetWorth({ accounts: [account('a', 'CurrentAccount')], balances, base: 'GBP', balanceType }).accounts[0];
+
+    assert.equal(pick('Expected').Balance, '70.00');
+    assert.deepEqual([pick('ClosingBooked').BalanceType, pick('ClosingBooked').Balance], ['InterimBooked', '80.00']);
+    const other = summariseNetWorth({ accounts: [account('a', 'CurrentAccount')], balances: [balance('a', 'Information', '5.00')], base: 'GBP' });
+    assert.equal(other.accounts[0].BalanceType, 'Information');
+  });
+
+  test('takes included credit lines off available balances only', () => {
+    const creditLine = { CreditLine: [{ Included: true, Type: 'Pre-Agreed', Amount: { Amount: '500.00', Currency: 'GBP' } }] };
+    const summarise = type => summariseNetWorth({
+      accounts: [account('a', 'CurrentAccount')],
+      balances: [balance('a', type, '520.00', 'Credit', creditLine)],
+      base: 'GBP',
+      balanceType: type
+    }).accounts[0];
+
+    const available = summarise('InterimAvailable');
+    assert.deepEqual([available.Balance, available.CreditLine, available.CreditLineExcluded], ['20.00', '500.00', '500.00']);
+    const booked = summarise('InterimBooked');
+    assert.deepEqual([booked.Balance, booked.CreditLine, booked.CreditLineExcluded], ['520.00', '500.00', null]);
+  });
+
+  test('converts other currencies and reports the rates used', () => {
+    const summary = summariseNetWorth({
+      accounts: [account('gbp', 'CurrentAccount'), account('usd', 'Savings', { Currency: 'USD' })],
+      balances: [balance('gbp', 'ClosingBooked', '85.00'), balance('usd', 'ClosingBooked', '10.00', 'Credit', { Amount: { Amount: '10.00', Currency: 'USD' } })],
+      base: 'EUR',
+      rates
+    });
+    assert.deepEqual(summary.accounts.map(row => [row.Currency, row.Balance, row.Rate, row.Value]), [
+      ['GBP', '85.00', '1.17647', '100.00'],
+      ['USD', '10.00', '1', '10.00']
+    ]);
+    assert.deepEqual(summary.rates, { file: 'rates.json', base: 'EUR', date: '2024-10-16' });
+    assert.equal(summary.totals.NetWorth, '110.00');
+  });
+
+  test('refuses a partial total when a currency cannot be converted', () => {
+    const input = {
+      accounts: [account('chf', 'Savings', { Currency: 'CHF' })],
+      balances: [balance('chf', 'ClosingBooked', '1.00', 'Credit', { Amount: { Amount: '1.00', Currency: 'CHF' } })],
+      base: 'GBP'
+    };
+    assert.throws(() => summariseNetWorth(input), /Balances in CHF need FX rates to convert to GBP\. Pass --rates <file>/);
+    assert.throws(() => summariseNetWorth({ ...input, rates }), /^Error: rates\.json has no rate to convert CHF to GBP$/);
+  });
+
+  test('keeps profiles apart and lists accounts without a balance', () => {
+    const summary = summariseNetWorth({
+      accounts: [account('a', 'CurrentAccount', { Profile: 'home' }), account('a', 'CurrentAccount', { Profile: 'work' }), account('b', 'Loan')],
+      balances: [balance('a', 'ClosingBooked', '1.00', 'Credit', { Profile: 'home' }), balance('a', 'ClosingBooked', '2.00', 'Credit', { Profile: 'work' })],
+      base: 'GBP'
+    });
+    assert.deepEqual(summary.accounts.map(row => [row.Profile, row.Balance]), [['home', '1.00'], ['work', '2.00']]);
+    assert.deepEqual(summary.missing, ['b']);
+  });
+});
@@ -0,0 +1,415 @@
+// Client-side transaction queries: --where expressions, --sort and the simple filter flags.
+// Everything here works on OBTransaction objects as returned by the API or the local store.
+
+export const TRANSACTION_STATUSES = ['booked', 'pending'];
+
+// Query fields and where they read from on an OBTransaction. `kind` decides which operators
+// apply and how values compare: numbers numerically, dates by calendar day or instant, text
+// case-insensitively. `list` fields match when any entry does.
+const FIELDS = {
+  id: { kind: 'text', value: t => t.TransactionId },
+  account: { kind: 'text', value: t => t.AccountId },
+  date: { kind: 'date', value: t => t.BookingDateTime },
+  valuedate: { kind: 'date', value: t => t.ValueDateTime },
+  amount: { kind: 'number', value: t => t.Amount?.Amount },
+  currency: { kind: 'text', value: t => t.Amount?.Currency },
+  type: { kind: 'text', value: t => t.CreditDebitIndicator },
+  indicator: { kind: 'text', value: t => t.CreditDebitIndicator },
+  status: { kind: 'text', value: t => t.Status },
+  description: { kind: 'text', value: t => t.TransactionInformation },
+  reference: { kind: 'text', value: t => t.TransactionReference },
+  merchant: { kind: 'text', value: t => t.MerchantDetails?.MerchantName },
+  mcc: { kind: 'text', value: t => t.MerchantDetails?.MerchantCategoryCode },
+  code: { kind: 'text', value: t => t.ProprietaryBankTransactionCode?.Code },
+  payee: { kind: 'text', value: t => t.CreditorAccount?.Name },
+  payer: { kind: 'text', value: t => t.DebtorAccount?.Name },
+  balance: { kind: 'number', value: t => runningBalance(t) },
+  category: { kind: 'text', value: t => t.Category },
+  tags: { kind: 'text', list: true, value: t => t.Tags }
+};
+
+export const QUERY_FIELDS = Object.keys(FIELDS);
+
+// Fields only present once category rules have been applied
+export const CATEGORY_FIELDS = ['category', 'tags'];
+
+// Text --search looks in
+const SEARCH_FIELDS = ['description', 'reference', 'merchant', 'payee', 'payer', 'category'];
+
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', '~', '!~'];
+const ORDERING = ['>', '>=', '<', '<='];
+const KEYWORDS = ['and', 'or', 'not', 'in'];
+
+function runningBalance(transaction) {
+  const balance = transaction.Balance;
+  if (!balance?.Amount?.Amount) return undefined;
+  return balance.CreditDebitIndicator === 'Debit' ? `-${balance.Amount.Amount}` : balance.Amount.Amount;
+}
+
+// ============================================================
+// Tokens
+// ============================================================
+
+/**
+ * An error pointing at the offending part of the expression:
+ *
+ *   expected a value after ">"
+ *     amount > and type = Debit
+ *              ^^^
+ */
+function syntaxError(expression, token, message) {
+  const start = token ? token.start : expression.length;
+  const length = token ? Math.max(token.end - token.start, 1) : 1;
+  return new Error(`${message}\n  ${expression}\n  ${' '.repeat(start)}${'^'.repeat(length)}`);
+}
+
+function describe(token) {
+  return token ? `"${token.text}"` : 'the end';
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    if ('(),'.includes(char)) {
+      tokens.push({ type: char, text: char, start, end: ++index });
+      continue;
+    }
+
+    const operator = expression.substring(index).match(/^(==|!=|>=|<=|!~|=|>|<|~)/);
+    if (operator) {
+      index += operator[0].length;
+      tokens.push({ type: 'op', text: operator[0] === '==' ? '=' : operator[0], start, end: index });
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      index++;
+      while (index < expression.length && expression[index] !== char) {
+        if (expression[index] === '\\' && index + 1 < expression.length) index++;
+        value += expression[index++];
+      }
+      if (index >= expression.length) {
+        throw syntaxError(expression, { start, end: expression.length }, 'unterminated string');
+      }
+      tokens.push({ type: 'string', text: expression.substring(start, ++index), value, start, end: index });
+      continue;
+    }
+
+    const word = expression.substring(index).match(/^[^\s(),=!<>~"']+/);
+    if (!word) throw syntaxError(expression, { start, end: start + 1 }, `unexpected "${char}"`);
+    index += word[0].length;
+    tokens.push({ type: 'word', text: word[0], value: word[0], start, end: index });
+  }
+
+  return tokens;
+}
+
+// ============================================================
+// Comparisons
+// ============================================================
+
+/**
+ * "/pattern/flags" is a regular expression; anything else matches as a case-insensitive substring
+ */
+function compilePattern(text, onError) {
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    try {
+      // Stateful flags would make repeated .test() calls alternate
+      const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+      return value => pattern.test(value);
+    } catch (error) {
+      throw onError(error.message);
+    }
+  }
+  const lower = text.toLowerCase();
+  return value => value.toLowerCase().includes(lower);
+}
+
+function isDate(text) {
+  return /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(text) && !isNaN(new Date(text));
+}
+
+/**
+ * Orders a field value against the query value: <0, 0 or >0. Date-only query values compare
+ * calendar dates as the bank reported them; full timestamps compare instants.
+ */
+function comparator(kind, expected) {
+  if (kind === 'number') {
+    const target = Number(expected);
+    return actual => Number(actual) - target;
+  }
+  if (kind === 'date') {
+    if (expected.length === 10) return actual => String(actual).substring(0, 10).localeCompare(expected);
+    const target = new Date(expected).getTime();
+    return actual => new Date(actual).getTime() - target;
+  }
+  const target = expected.toLowerCase();
+  return actual => String(actual).toLowerCase().localeCompare(target);
+}
+
+/**
+ * Test for one `field op value`. Missing fields only satisfy the negative operators.
+ */
+function compileComparison(field, operator, values, fail) {
+  const spec = FIELDS[field];
+
+  if (ORDERING.includes(operator) && spec.kind === 'text') {
+    throw fail('operator', `"${operator}" needs a number or date field; ${field} is text`);
+  }
+  if ((operator === '~' || operator === '!~') && spec.kind === 'number') {
+    throw fail('operator', `"${operator}" needs a text or date field; ${field} is a number`);
+  }
+
+  const tests = values.map(({ value, token }) => {
+    if (operator === '~' || operator === '!~') {
+      const matches = compilePattern(value, message => fail(token, message));
+      return actual => matches(String(actual));
+    }
+    if (spec.kind === 'number' && (value.trim() === '' || isNaN(Number(value)))) {
+      throw fail(token, `${field} needs a number, got "${value}"`);
+    }
+    if (spec.kind === 'date' && !isDate(value)) {
+      throw fail(token, `${field} needs a date (YYYY-MM-DD or an ISO 8601 timestamp), got "${value}"`);
+    }
+    const compare = comparator(spec.kind, value);
+    switch (operator) {
+      case '>': return actual => compare(actual) > 0;
+      case '>=': return actual => compare(actual) >= 0;
+      case '<': return actual => compare(actual) < 0;
+      case '<=': return actual => compare(actual) <= 0;
+      default: return actual => compare(actual) === 0;
+    }
+  });
+
+  const negative = operator === '!=' || operator === '!~';
+  return transaction => {
+    const raw = spec.value(transaction);
+    const actuals = (spec.list ? [].concat(raw ?? []) : [raw]).filter(actual => actual !== undefined && actual !== null && actual !== '');
+    const matched = actuals.some(actual => tests.some(test => test(actual)));
+    return negative ? !matched : matched;
+  };
+}
+
+// ============================================================
+// Expressions
+// ============================================================
+
+/**
+ * Compile a --where expression into a transaction predicate.
+ *
+ *   expression := term ("or" term)*
+ *   term       := factor ("and" factor)*
+ *   factor     := "not" factor | "(" expression ")" | field operator value | field "in" "(" value ("," value)* ")"
+ *
+ * Operators are = != > >= < <= ~ (contains, or /regex/) and !~. Values are numbers, dates,
+ * bare words or quoted strings. Keywords and fields are case-insensitive.
+ *
+ * Returns { test, fields } where `fields` lists the fields the expression reads.
+ * Syntax errors say what was expected and point at the token that broke it.
+ */
+export function parseWhere(expression) {
+  const tokens = tokenize(expression);
+  const fields = new Set();
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isKeyword = (token, keyword) => token?.type === 'word' && token.text.toLowerCase() === keyword;
+  const error = (token, message) => syntaxError(expression, token, message);
+
+  function parseValue(after) {
+    const token = tokens[position];
+    if (!token || (token.type !== 'word' && token.type !== 'string') || (token.type === 'word' && KEYWORDS.includes(token.text.toLowerCase()))) {
+      throw error(token, `expected a value after "${after.text}"${token ? `, got ${describe(token)}` : ''}`);
+    }
+    position++;
+    return { value: token.value, token };
+  }
+
+  function parseComparison() {
+    const fieldToken = tokens[position];
+    if (!fieldToken || fieldToken.type !== 'word' || KEYWORDS.includes(fieldToken.text.toLowerCase())) {
+      throw error(fieldToken, `expected a field name${fieldToken ? `, got ${describe(fieldToken)}` : ''}`);
+    }
+    const field = fieldToken.text.toLowerCase();
+    if (!FIELDS[field]) {
+      throw error(fieldToken, `unknown field "${fieldToken.text}". Use one of: ${QUERY_FIELDS.join(', ')}`);
+    }
+    fields.add(field);
+    position++;
+
+    const operatorToken = tokens[position];
+    const fail = (token, message) => error(token === 'operator' ? operatorToken : token, message);
+
+    if (isKeyword(operatorToken, 'in')) {
+      position++;
+      if (peek()?.type !== '(') throw error(peek(), `expected "(" after "in", got ${describe(peek())}`);
+      position++;
+      const values = [parseValue(tokens[position - 1])];
+      while (peek()?.type === ',') {
+        position++;
+        values.push(parseValue(tokens[position - 1]));
+      }
+      if (peek()?.type !== ')') throw error(peek(), `expected "," or ")" in the "in" list, got ${describe(peek())}`);
+      position++;
+      return compileComparison(field, '=', values, fail);
+    }
+
+    if (!operatorToken || operatorToken.type !== 'op') {
+      throw error(operatorToken, `expected an operator (${OPERATORS.join(' ')} or in) after "${fieldToken.text}"${operatorToken ? `, got ${describe(operatorToken)}` : ''}`);
+    }
+    position++;
+    return compileComparison(field, operatorToken.text, [parseValue(operatorToken)], fail);
+  }
+
+  function parseFactor() {
+    const token = peek();
+    if (isKeyword(token, 'not')) {
+      position++;
+      const inner = parseFactor();
+      return transaction => !inner(transaction);
+    }
+    if (token?.type === '(') {
+      position++;
+      const inner = parseExpression();
+      if (peek()?.type !== ')') throw error(peek(), `expected ")" to close the "(" at position ${token.start + 1}, got ${describe(peek())}`);
+      position++;
+      return inner;
+    }
+    return parseComparison();
+  }
+
+  function parseTerm() {
+    const factors = [parseFactor()];
+    while (isKeyword(peek(), 'and')) {
+      position++;
+      factors.push(parseFactor());
+    }
+    return factors.length === 1 ? factors[0] : transaction => factors.every(factor => factor(transaction));
+  }
+
+  function parseExpression() {
+    const terms = [parseTerm()];
+    while (isKeyword(peek(), 'or')) {
+      position++;
+      terms.push(parseTerm());
+    }
+    return terms.length === 1 ? terms[0] : transaction => terms.some(term => term(transaction));
+  }
+
+  if (!tokens.length) throw error(null, 'expression is empty');
+  const test = parseExpression();
+  if (position < tokens.length) {
+    const token = tokens[position];
+    throw error(token, token.type === ')' ? 'unmatched ")"' : `expected "and" or "or" before ${describe(token)}`);
+  }
+  return { test, fields: [...fields] };
+}
+
+// ============================================================
+// Sorting
+// ============================================================
+
+/**
+ * Compile --sort: comma-separated fields, each optionally prefixed with "-" or suffixed with
+ * ":desc" for descending order. Transactions missing a field sort last either way.
+ */
+export function parseSort(spec) {
+  const keys = spec.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(-)?([a-z]+)(?::(asc|desc))?$/i);
+    const field = match?.[2].toLowerCase();
+    if (!match || !FIELDS[field] || FIELDS[field].list) {
+      throw new Error(`Cannot sort by "${part}". Use one of: ${QUERY_FIELDS.filter(name => !FIELDS[name].list).join(', ')}`);
+    }
+    return { field, descending: Boolean(match[1]) || match[3]?.toLowerCase() === 'desc' };
+  });
+  if (!keys.length) throw new Error('--sort needs at least one field');
+
+  const sortValue = (kind, value) => {
+    if (kind === 'number') return Number(value);
+    if (kind === 'date') return new Date(value).getTime();
+    return String(value).toLowerCase();
+  };
+
+  return (a, b) => {
+    for (const { field, descending } of keys) {
+      const spec = FIELDS[field];
+      const left = spec.value(a);
+      const right = spec.value(b);
+      const leftMissing = left === undefined || left === null || left === '';
+      const rightMissing = right === undefined || right === null || right === '';
+      if (leftMissing || rightMissing) {
+        if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+        continue;
+      }
+      const x = sortValue(spec.kind, left);
+      const y = sortValue(spec.kind, right);
+      const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+      if (order) return descending ? -order : order;
+    }
+    return 0;
+  };
+}
+
+// ============================================================
+// Queries
+// ============================================================
+
+/**
+ * Compile the transaction query options into { filter, compare, fields }:
+ * `where` (expression), `status` (booked | pending), `min`/`max` (bounds on the unsigned
+ * amount), `search` (case-insensitive text across descriptive fields) and `sort`.
+ * `filter` is null when nothing filters; `compare` is null when nothing sorts.
+ */
+export function compileQuery({ where, status, min, max, search, sort } = {}) {
+  const tests = [];
+  const fields = [];
+
+  if (where !== undefined) {
+    let parsed;
+    try {
+      parsed = parseWhere(where);
+    } catch (error) {
+      throw new Error(`Invalid --where expression: ${error.message}`);
+    }
+    tests.push(parsed.test);
+    fields.push(...parsed.fields);
+  }
+  if (status) {
+    tests.push(transaction => (transaction.Status || 'Booked').toLowerCase() === status.toLowerCase());
+  }
+  if (min !== undefined || max !== undefined) {
+    tests.push(transaction => {
+      const amount = Math.abs(parseFloat(transaction.Amount?.Amount));
+      return !isNaN(amount) && (min === undefined || amount >= min) && (max === undefined || amount <= max);
+    });
+  }
+  if (search) {
+    const text = search.toLowerCase();
+    tests.push(transaction => SEARCH_FIELDS.some(field => String(FIELDS[field].value(transaction) ?? '').toLowerCase().includes(text)));
+  }
+
+  return {
+    filter: tests.length ? transaction => tests.every(test => test(transaction)) : null,
+    compare: sort ? parseSort(sort) : null,
+    fields: [...new Set(fields)]
+  };
+}
+
+/**
+ * Filter, then sort (stable, so equal keys keep the bank's order)
+ */
+export function applyQuery(transactions, { filter, compare }) {
+  const filtered = filter ? transactions.filter(filter) : [...transactions];
+  return compare ? filtered.sort(compare) : filtered;
+}
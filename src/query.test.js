@@ -0,0 +1,169 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWhere, parseSort, compileQuery, applyQuery } from './query.js';
+
+function transaction(TransactionId, amount, indicator, date, extra = {}) {
+  return {
+    TransactionId,
+    AccountId: '22289',
+    Status: 'Booked',
+    BookingDateTime: date,
+    Amount: { Amount: amount, Currency: 'GBP' },
+    CreditDebitIndicator: indicator,
+    ...extra
+  };
+}
+
+const transactions = [
+  transaction('t1', '12.50', 'Debit', '2024-01-05T23:30:00+00:00', { TransactionInformation: 'TESCO STORES 3297', Tags: ['food'] }),
+  transaction('t2', '2500.00', 'Credit', '2024-01-25T09:00:00+00:00', { TransactionInformation: 'ACME LTD SALARY' }),
+  transaction('t3', '100.00', 'Debit', '2024-01-06T00:30:00+01:00', { TransactionInformation: "O'Neill's Bar", Tags: ['going out', 'food'] }),
+  transaction('t4', '100', 'Debit', '2024-02-01T12:00:00+00:00', { Status: 'Pending', MerchantDetails: { MerchantName: 'Shell' } })
+];
+
+function matching(expression) {
+  const { test: matches } = parseWhere(expression);
+  return transactions.filter(matches).map(t => t.TransactionId);
+}
+
+/**
+ * The message, the echoed expression and the caret line of a syntax error
+ */
+function syntaxError(expression) {
+  try {
+    parseWhere(expression);
+  } catch (error) {
+    return error.message.split('\n');
+  }
+  assert.fail(`"${expression}" parsed`);
+}
+
+describe('parseWhere', () => {
+  test('"and" binds tighter than "or"; parentheses and "not" override it', () => {
+    assert.deepEqual(matching('type = Credit or amount > 50 and status = pending'), ['t2', 't4']);
+    assert.deepEqual(matching('(type = Credit or amount > 50) and status = booked'), ['t2', 't3']);
+    assert.deepEqual(matching('not type = Credit and not status = pending'), ['t1', 't3']);
+    assert.deepEqual(matching('not (type = Credit or amount < 50)'), ['t3', 't4']);
+    assert.deepEqual(matching('TYPE = debit AND Amount >= 100 Or id IN (t2)'), ['t2', 't3', 't4']);
+  });
+
+  test('quoted values keep spaces, operators and escaped quotes', () => {
+    assert.deepEqual(matching('description = "tesco stores 3297"'), ['t1']);
+    assert.deepEqual(matching("description = 'O\\'Neill\\'s bar'"), ['t3']);
+    assert.deepEqual(matching('description = "O\'Neill\'s Bar"'), ['t3']);
+    assert.deepEqual(matching('description ~ "salary" or tags = "going out"'), ['t2', 't3']);
+    assert.deepEqual(matching('id in ("t1", t4)'), ['t1', 't4']);
+  });
+
+  test('~ matches substrings or /regex/; missing fields only match negative operators', () => {
+    assert.deepEqual(matching('description ~ /^t.*\\d{4}$/i'), ['t1']);
+    assert.deepEqual(matching('description !~ bar'), ['t1', 't2', 't4']);
+    assert.deepEqual(matching('merchant = shell'), ['t4']);
+    assert.deepEqual(matching('merchant != shell'), ['t1', 't2', 't3']);
+    assert.deepEqual(matching('tags = food'), ['t1', 't3']);
+  });
+
+  test('amounts compare as numbers', () => {
+    assert.deepEqual(matching('amount = 100'), ['t3', 't4']);
+    assert.deepEqual(matching('amount > 99.99 and amount < 2500'), ['t3', 't4']);
+    assert.deepEqual(matching('amount >= 2500.00'), ['t2']);
+    assert.deepEqual(matching('amount < 13'), ['t1']);
+  });
+
+  test('dates compare by the reported calendar day, timestamps as instants', () => {
+    assert.deepEqual(matching('date = 2024-01-06'), ['t3']);
+    assert.deepEqual(matching('date >= 2024-01-06 and date < 2024-02-01'), ['t2', 't3']);
+    assert.deepEqual(matching('date < 2024-01-06T00:00:00Z'), ['t1', 't3']);
+    assert.deepEqual(matching('date > "2024-01-31 23:59:59Z"'), ['t4']);
+    assert.deepEqual(matching('date ~ 2024-02'), ['t4']);
+  });
+
+  test('returns the fields the expression reads', () => {
+    assert.deepEqual(parseWhere('Category = Food or (amount > 1 and category != Bills)').fields, ['category', 'amount']);
+  });
+
+  test('syntax errors point a caret at the offending token', () => {
+    assert.deepEqual(syntaxError('amount > and type = Debit'), [
+      'expected a value after ">", got "and"',
+      '  amount > and type = Debit',
+      '           ^^^'
+    ]);
+    assert.deepEqual(syntaxError('amount >'), ['expected a value after ">"', '  amount >', '          ^']);
+    const [unknown, ...pointer] = syntaxError('amont > 5');
+    assert.match(unknown, /^unknown field "amont"\. Use one of: id, account, date, /);
+    assert.deepEqual(pointer, ['  amont > 5', '  ^^^^^']);
+    assert.deepEqual(syntaxError('description = "tesco'), ['unterminated string', '  description = "tesco', '                ^^^^^^']);
+    assert.deepEqual(syntaxError('(amount > 5 or type = Debit'), [
+      'expected ")" to close the "(" at position 1, got the end',
+      '  (amount > 5 or type = Debit',
+      '                             ^'
+    ]);
+    assert.deepEqual(syntaxError('amount > 5)'), ['unmatched ")"', '  amount > 5)', '            ^']);
+    assert.deepEqual(syntaxError('amount > 5 type = Debit'), [
+      'expected "and" or "or" before "type"',
+      '  amount > 5 type = Debit',
+      '             ^^^^'
+    ]);
+    assert.deepEqual(syntaxError('id in (t1 t2)'), [
+      'expected "," or ")" in the "in" list, got "t2"',
+      '  id in (t1 t2)',
+      '            ^^'
+    ]);
+    assert.deepEqual(syntaxError('type is Debit'), [
+      'expected an operator (= != > >= < <= ~ !~ or in) after "type", got "is"',
+      '  type is Debit',
+      '       ^^'
+    ]);
+    assert.deepEqual(syntaxError('type ! Debit'), ['unexpected "!"', '  type ! Debit', '       ^']);
+    assert.deepEqual(syntaxError('   '), ['expression is empty', '     ', '     ^']);
+  });
+
+  test('type errors point at the operator or the value', () => {
+    assert.deepEqual(syntaxError('description > b'), [
+      '">" needs a number or date field; description is text',
+      '  description > b',
+      '              ^'
+    ]);
+    assert.equal(syntaxError('amount ~ 5')[0], '"~" needs a text or date field; amount is a number');
+    assert.deepEqual(syntaxError('amount >= ten'), ['amount needs a number, got "ten"', '  amount >= ten', '            ^^^']);
+    assert.equal(syntaxError('date < 2024-13-45')[0], 'date needs a date (YYYY-MM-DD or an ISO 8601 timestamp), got "2024-13-45"');
+    assert.match(syntaxError('description ~ "/(/"')[0], /Unterminated group/);
+  });
+});
+
+describe('parseSort', () => {
+  test('sorts by several keys with missing values last in either direction', () => {
+    const ids = spec => [...transactions].sort(parseSort(spec)).map(t => t.TransactionId);
+    assert.deepEqual(ids('amount,-date'), ['t1', 't4', 't3', 't2']);
+    assert.deepEqual(ids('amount:desc,date'), ['t2', 't3', 't4', 't1']);
+    assert.deepEqual(ids('merchant'), ['t4', 't1', 't2', 't3']);
+    assert.deepEqual(ids('-merchant'), ['t4', 't1', 't2', 't3']);
+  });
+
+  test('rejects unknown and list fields', () => {
+    assert.throws(() => parseSort('amount,colour'), /Cannot sort by "colour"/);
+    assert.throws(() => parseSort('tags'), /Cannot sort by "tags"/);
+    assert.throws(() => parseSort(' , '), /--sort needs at least one field/);
+  });
+});
+
+describe('compileQuery', () => {
+  test('combines --where with the simple filters, then sorts', () => {
+    const query = compileQuery({ where: 'type = Debit', status: 'booked', min: 50, sort: '-amount' });
+    assert.deepEqual(applyQuery(transactions, query).map(t => t.TransactionId), ['t3']);
+    assert.deepEqual(applyQuery(transactions, compileQuery({ search: 'acme', max: 3000 })).map(t => t.TransactionId), ['t2']);
+    assert.deepEqual(compileQuery({ where: 'tags = food' }).fields, ['tags']);
+  });
+
+  test("nothing to do leaves the list in the bank's order", () => {
+    const query = compileQuery();
+    assert.equal(query.filter, null);
+    assert.equal(query.compare, null);
+    assert.deepEqual(applyQuery(transactions, query), transactions);
+    assert.notEqual(applyQuery(transactions, query), transactions);
+  });
+
+  test('prefixes --where errors', () => {
+    assert.throws(() => compileQuery({ where: 'amount >' }), /^Error: Invalid --where expression: expected a value after ">"\n/);
+  });
+});
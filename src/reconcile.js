@@ -0,0 +1,200 @@
+import { toUnits, formatSigned } from './money.js';
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function isBooked(transaction) {
+  return !transaction.Status || transaction.Status === 'Booked';
+}
+
+function signedAmount(transaction) {
+  return toUnits(transaction.Amount?.Amount ?? '0', transaction.CreditDebitIndicator);
+}
+
+/**
+ * Running balance on a transaction, ignoring "available" balances: those include pending
+ * items and credit lines, so they never follow the booked amounts
+ */
+function runningBalance(transaction) {
+  const balance = transaction.Balance;
+  if (!balance?.Amount?.Amount || /Available$/.test(balance.Type || '')) return null;
+  return toUnits(balance.Amount.Amount, balance.CreditDebitIndicator);
+}
+
+/**
+ * Date-only bounds compare calendar dates as the bank reported them; full timestamps compare instants
+ */
+function afterStart(transaction, from) {
+  if (!from) return true;
+  if (from.length === 10) return transaction.BookingDateTime.substring(0, 10) >= from;
+  return new Date(transaction.BookingDateTime) >= new Date(from);
+}
+
+function beforeEnd(transaction, to) {
+  if (!to) return true;
+  if (to.length === 10) return transaction.BookingDateTime.substring(0, 10) <= to;
+  return new Date(transaction.BookingDateTime) <= new Date(to);
+}
+
+/**
+ * Oldest first. Banks often stamp several transactions with the same time, so within a tie
+ * the one whose running balance follows on from `start` goes first.
+ */
+function chronological(transactions, start) {
+  const sorted = [...transactions].sort((a, b) => new Date(a.BookingDateTime) - new Date(b.BookingDateTime));
+  const ordered = [];
+  let balance = start;
+
+  while (sorted.length) {
+    const time = new Date(sorted[0].BookingDateTime).getTime();
+    const tied = sorted.filter(transaction => new Date(transaction.BookingDateTime).getTime() === time);
+    const next = (balance !== null && tied.find(transaction => runningBalance(transaction) === balance + signedAmount(transaction))) || tied[0];
+    sorted.splice(sorted.indexOf(next), 1);
+    ordered.push(next);
+    const reported = runningBalance(next);
+    balance = reported !== null ? reported : balance === null ? null : balance + signedAmount(next);
+  }
+
+  return ordered;
+}
+
+function checkpoint(balance, units, source) {
+  return {
+    Amount: formatSigned(units),
+    Source: source,
+    DateTime: balance?.DateTime || null
+  };
+}
+
+// ============================================================
+// Checks
+// ============================================================
+
+/**
+ * Transaction ids that appear more than once, and whether the copies are identical
+ */
+function findDuplicates(transactions) {
+  const byId = new Map();
+  transactions.forEach(transaction => {
+    if (!transaction.TransactionId) return;
+    if (!byId.has(transaction.TransactionId)) byId.set(transaction.TransactionId, []);
+    byId.get(transaction.TransactionId).push(transaction);
+  });
+
+  return [...byId.entries()]
+    .filter(([, copies]) => copies.length > 1)
+    .map(([id, copies]) => ({
+      TransactionId: id,
+      Count: copies.length,
+      Identical: copies.every(copy => JSON.stringify(copy) === JSON.stringify(copies[0])),
+      // What the extra copies added to the net movement
+      Extra: formatSigned(copies.slice(1).filter(isBooked).reduce((sum, copy) => sum + signedAmount(copy), 0n))
+    }));
+}
+
+/**
+ * Walk the booked transactions from the opening balance and compare each reported
+ * running balance with the one expected. After a break the walk carries on from the
+ * reported figure, so one bad entry does not turn every later row into a break.
+ */
+function checkRunningBalances(ordered, opening) {
+  let balance = opening;
+  let checked = 0;
+  const breaks = [];
+
+  ordered.forEach(transaction => {
+    const reported = runningBalance(transaction);
+    const expected = balance === null ? null : balance + signedAmount(transaction);
+
+    if (reported !== null && expected !== null) {
+      checked++;
+      if (reported !== expected) {
+        breaks.push({
+          TransactionId: transaction.TransactionId || null,
+          BookingDateTime: transaction.BookingDateTime,
+          Amount: formatSigned(signedAmount(transaction)),
+          Expected: formatSigned(expected),
+          Reported: formatSigned(reported),
+          Difference: formatSigned(reported - expected)
+        });
+      }
+    }
+    balance = reported !== null ? reported : expected;
+  });
+
+  return { checked, breaks };
+}
+
+// ============================================================
+// Reconciliation
+// ============================================================
+
+/**
+ * Check that opening + booked transactions = closing for one account and period.
+ *
+ * `opening` and `closing` are OB balances (or statement amounts) for the start and end
+ * of the period; either may be null, in which case it is taken from the running balances
+ * on the first or last transaction. `from`/`to` are dates or timestamps bounding the period.
+ * `transactions` may hold pending and out-of-period entries; they are filtered here.
+ */
+export function reconcile({ transactions, opening = null, closing = null, from, to, currency }) {
+  const withinPeriod = transactions.filter(transaction =>
+    transaction.BookingDateTime && afterStart(transaction, from) && beforeEnd(transaction, to));
+  const expectedCurrency = currency || closing?.Amount?.Currency || opening?.Amount?.Currency || withinPeriod[0]?.Amount?.Currency;
+
+  const otherCurrency = withinPeriod.filter(transaction => transaction.Amount?.Currency && transaction.Amount.Currency !== expectedCurrency);
+  const booked = withinPeriod.filter(transaction => isBooked(transaction) && !otherCurrency.includes(transaction));
+
+  let openingUnits = opening ? toUnits(opening.Amount.Amount, opening.CreditDebitIndicator) : null;
+  const ordered = chronological(booked, openingUnits);
+  const net = ordered.reduce((sum, transaction) => sum + signedAmount(transaction), 0n);
+
+  let openingSource = opening?.Type || null;
+  if (openingUnits === null) {
+    const index = ordered.findIndex(transaction => runningBalance(transaction) !== null);
+    if (index >= 0) {
+      const movement = ordered.slice(0, index + 1).reduce((sum, transaction) => sum + signedAmount(transaction), 0n);
+      openingUnits = runningBalance(ordered[index]) - movement;
+      openingSource = 'running balance';
+    }
+  }
+
+  let closingUnits = closing ? toUnits(closing.Amount.Amount, closing.CreditDebitIndicator) : null;
+  let closingSource = closing?.Type || null;
+  if (closingUnits === null) {
+    const index = ordered.findLastIndex(transaction => runningBalance(transaction) !== null);
+    if (index >= 0) {
+      const movement = ordered.slice(index + 1).reduce((sum, transaction) => sum + signedAmount(transaction), 0n);
+      closingUnits = runningBalance(ordered[index]) + movement;
+      closingSource = 'running balance';
+    }
+  }
+
+  if (openingUnits === null || closingUnits === null) {
+    throw new Error(`No ${openingUnits === null ? 'opening' : 'closing'} balance: the bank reported none for this period and transactions carry no running balance.`);
+  }
+
+  const expectedClosing = openingUnits + net;
+  const { checked, breaks } = checkRunningBalances(ordered, openingUnits);
+  const duplicates = findDuplicates(withinPeriod);
+  const missingIds = withinPeriod.filter(transaction => !transaction.TransactionId).length;
+
+  return {
+    from: from || null,
+    to: to || null,
+    currency: expectedCurrency,
+    opening: checkpoint(opening, openingUnits, openingSource),
+    closing: checkpoint(closing, closingUnits, closingSource),
+    bookedCount: booked.length,
+    pendingCount: withinPeriod.filter(transaction => !isBooked(transaction)).length,
+    net: formatSigned(net),
+    expectedClosing: formatSigned(expectedClosing),
+    difference: formatSigned(closingUnits - expectedClosing),
+    runningBalances: { checked, breaks: breaks.length, firstBreak: breaks[0] || null },
+    duplicates,
+    missingIds,
+    otherCurrency: otherCurrency.length,
+    ok: closingUnits === expectedClosing && breaks.length === 0 && duplicates.length === 0 && missingIds === 0
+  };
+}
@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcile } from './reconcile.js';
+
+function transaction(id, dateTime, amount, indicator, balance, extra = {}) {
+  return {
+    TransactionId: id,
+    Status: 'Booked',
+    BookingDateTime: dateTime,
+    Amount: { Amount: amount, Currency: 'GBP' },
+    CreditDebitIndicator: indicator,
+    ...(balance ? { Balance: { Amount: { Amount: balance, Currency: 'GBP' }, CreditDebitIndicator: 'Credit', Type: 'InterimBooked' } } : {}),
+    ...extra
+  };
+}
+
+function balance(type, amount, dateTime) {
+  return { Type: type, DateTime: dateTime, Amount: { Amount: amount, Currency: 'GBP' }, CreditDebitIndicator: 'Credit' };
+}
+
+const opening = balance('OpeningBooked', '100.00', '2024-03-01T00:00:00+00:00');
+const closing = balance('ClosingBooked', '130.00', '2024-03-31T23:59:59+00:00');
+
+const march = [
+  transaction('t1', '2024-03-02T10:00:00+00:00', '50.00', 'Credit', '150.00'),
+  transaction('t2', '2024-03-10T10:00:00+00:00', '25.00', 'Debit', '125.00'),
+  transaction('t3', '2024-03-31T18:00:00+00:00', '5.00', 'Credit', '130.00')
+];
+
+describe('reconcile', () => {
+  test('opening plus booked movement equals closing', () => {
+    const result = reconcile({ transactions: march, opening, closing, from: '2024-03-01', to: '2024-03-31' });
+    assert.equal(result.ok, true);
+    assert.equal(result.net, '30.00');
+    assert.equal(result.difference, '0.00');
+    assert.deepEqual(result.runningBalances, { checked: 3, breaks: 0, firstBreak: null });
+  });
+
+  test('a date-only end covers the whole day; a timestamp end is exact', () => {
+    assert.equal(reconcile({ transactions: march, opening, from: '2024-03-01', to: '2024-03-31' }).bookedCount, 3);
+    assert.equal(reconcile({ transactions: march, opening, from: '2024-03-01', to: '2024-03-31T12:00:00+00:00' }).bookedCount, 2);
+  });
+
+  test('a missing transaction shows as a difference and the first running-balance break', () => {
+    const result = reconcile({ transactions: [march[0], march[2]], opening, closing });
+    assert.equal(result.ok, false);
+    assert.equal(result.difference, '-25.00');
+    assert.deepEqual(result.runningBalances.firstBreak, {
+      TransactionId: 't3',
+      BookingDateTime: '2024-03-31T18:00:00+00:00',
+      Amount: '5.00',
+      Expected: '155.00',
+      Reported: '130.00',
+      Difference: '-25.00'
+    });
+  });
+
+  test('without balances both ends come from the running balances', () => {
+    const result = reconcile({ transactions: march });
+    assert.deepEqual([result.opening.Amount, result.opening.Source, result.closing.Amount], ['100.00', 'running balance', '130.00']);
+    assert.throws(() => reconcile({ transactions: [transaction('t1', '2024-03-02T10:00:00Z', '1.00', 'Credit')] }), /No opening balance/);
+  });
+
+  test('duplicate and missing ids fail the check; pending and foreign-currency items are set aside', () => {
+    const result = reconcile({
+      transactions: [
+        ...march,
+        { ...march[1] },
+        transaction(undefined, '2024-03-11T10:00:00+00:00', '0.00', 'Credit'),
+        transaction('p1', '2024-03-12T10:00:00+00:00', '9.00', 'Debit', null, { Status: 'Pending' }),
+        transaction('e1', '2024-03-13T10:00:00+00:00', '9.00', 'Debit', null, { Amount: { Amount: '9.00', Currency: 'EUR' } })
+      ],
+      opening,
+      closing
+    });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.duplicates, [{ TransactionId: 't2', Count: 2, Identical: true, Extra: '-25.00' }]);
+    assert.equal(result.missingIds, 1);
+    assert.equal(result.pendingCount, 1);
+    assert.equal(result.otherCurrency, 1);
+  });
+
+  test('same-time transactions are ordered by their running balances', () => {
+    const tied = [
+      transaction('b', '2024-03-05T00:00:00+00:00', '10.00', 'Debit', '80.00'),
+      transaction('a', '2024-03-05T00:00:00+00:00', '10.00', 'Debit', '90.00')
+    ];
+    assert.equal(reconcile({ transactions: tied, opening, closing: balance('ClosingBooked', '80.00') }).ok, true);
+  });
+});
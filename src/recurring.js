@@ -0,0 +1,231 @@
+import { toUnits, formatUnits, roundUnits } from './money.js';
+
+// Candidate periods with the interval tolerance (days) a payment may drift by
+const FREQUENCIES = [
+  { name: 'Weekly', days: 7, tolerance: 2, perYear: 52 },
+  { name: 'Fortnightly', days: 14, tolerance: 3, perYear: 26 },
+  { name: 'Monthly', days: 30, tolerance: 5, perYear: 12, months: 1 },
+  { name: 'Quarterly', days: 91, tolerance: 10, perYear: 4, months: 3 },
+  { name: 'Yearly', days: 365, tolerance: 20, perYear: 1, months: 12 }
+];
+
+// Amounts further than this from the group's median are not the same subscription
+const AMOUNT_TOLERANCE = 0.25;
+
+// Share of intervals that must fit the period for a payee to count as recurring
+const REGULARITY = 0.75;
+
+export const DEFAULT_MIN_OCCURRENCES = 3;
+
+// Fields of each detected payment, in output order
+export const RECURRING_FIELDS = [
+  'AccountId', 'Payee', 'Type', 'MandateId', 'Frequency', 'Occurrences', 'FirstDate', 'LastDate',
+  'LastAmount', 'PreviousAmount', 'Currency', 'NextDue', 'MissedPayments', 'AnnualCost', 'Flags'
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function bookingDate(transaction) {
+  return transaction.BookingDateTime.substring(0, 10);
+}
+
+function daysBetween(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / DAY);
+}
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+/**
+ * Same day next month(s), clamped to the month's last day (31 Jan -> 29 Feb)
+ */
+function addMonths(date, months) {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().substring(0, 10);
+}
+
+function nextDate(date, frequency) {
+  return frequency.months ? addMonths(date, frequency.months) : addDays(date, frequency.days);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Payee used to group transactions: merchant name, else the description without
+ * reference-like tokens (anything containing a digit)
+ */
+export function payeeName(transaction) {
+  const merchant = transaction.MerchantDetails?.MerchantName;
+  if (merchant) return merchant;
+  const description = (transaction.TransactionInformation || transaction.CreditorAccount?.Name || '')
+    .split(/\s+/)
+    .filter(token => token && !/\d/.test(token))
+    .join(' ');
+  return description || transaction.TransactionReference || 'Unknown';
+}
+
+function normalise(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function similarNames(a, b) {
+  const left = normalise(a);
+  const right = normalise(b);
+  return !!left && !!right && (left.includes(right) || right.includes(left));
+}
+
+// ============================================================
+// Classification
+// ============================================================
+
+function isCardPayment(transaction) {
+  return !!transaction.MerchantDetails ||
+    /card/i.test(transaction.BankTransactionCode?.Code || '') ||
+    ['POS', 'CARD'].includes(transaction.ProprietaryBankTransactionCode?.Code);
+}
+
+/**
+ * Find the mandate behind a group of payments: the bank's DD/SO list first,
+ * then the transaction codes. Returns { type, mandateId }.
+ */
+function classify(transactions, accountId, directDebits, standingOrders) {
+  const latest = transactions[transactions.length - 1];
+  const reference = normalise(latest.TransactionReference);
+  const payee = payeeName(latest);
+
+  const directDebit = directDebits.find(dd =>
+    (!dd.AccountId || dd.AccountId === accountId) &&
+    ((reference && normalise(dd.MandateIdentification) === reference) || similarNames(dd.Name, payee)));
+  if (directDebit) return { type: 'DD', mandateId: directDebit.DirectDebitId };
+
+  const standingOrder = standingOrders.find(so =>
+    (!so.AccountId || so.AccountId === accountId) &&
+    ((reference && normalise(so.Reference) === reference) || similarNames(so.CreditorAccount?.Name, payee)));
+  if (standingOrder) return { type: 'SO', mandateId: standingOrder.StandingOrderId };
+
+  const code = `${latest.BankTransactionCode?.Code || ''} ${latest.BankTransactionCode?.SubCode || ''}`;
+  if (/DirectDebit/i.test(code) || latest.ProprietaryBankTransactionCode?.Code === 'DD') return { type: 'DD', mandateId: null };
+  if (/StandingOrder/i.test(code) || latest.ProprietaryBankTransactionCode?.Code === 'SO') return { type: 'SO', mandateId: null };
+  if (isCardPayment(latest)) return { type: 'Card', mandateId: null };
+  return { type: 'Other', mandateId: null };
+}
+
+function detectFrequency(dates) {
+  const intervals = dates.slice(1).map((date, index) => daysBetween(dates[index], date));
+  const typical = median(intervals);
+
+  return FREQUENCIES.find(frequency => {
+    if (Math.abs(typical - frequency.days) > frequency.tolerance) return false;
+    // A missed payment doubles one interval; that should not hide the pattern
+    const fitting = intervals.filter(interval => {
+      const cycles = Math.max(1, Math.round(interval / frequency.days));
+      return Math.abs(interval - cycles * frequency.days) <= frequency.tolerance * cycles;
+    });
+    return fitting.length / intervals.length >= REGULARITY;
+  }) || null;
+}
+
+/**
+ * Check a payee's payments for a regular pattern and summarise it; null when irregular
+ */
+function analyseGroup(transactions, asOf, context) {
+  const dates = transactions.map(bookingDate);
+  const frequency = detectFrequency(dates);
+  if (!frequency) return null;
+
+  const amounts = transactions.map(transaction => toUnits(transaction.Amount.Amount));
+  const typical = median(amounts);
+  const tolerance = (typical * BigInt(Math.round(AMOUNT_TOLERANCE * 100))) / 100n;
+  const similar = amounts.filter(amount => amount >= typical - tolerance && amount <= typical + tolerance);
+  if (similar.length / amounts.length < REGULARITY) return null;
+
+  const latest = transactions[transactions.length - 1];
+  const lastAmount = amounts[amounts.length - 1];
+  // The amount before the latest run of identical payments, i.e. what it changed from
+  let runStart = amounts.length - 1;
+  while (runStart > 0 && amounts[runStart - 1] === lastAmount) runStart--;
+  const previousAmount = runStart > 0 ? amounts[runStart - 1] : lastAmount;
+  const highestBefore = amounts.slice(0, runStart).reduce((max, amount) => (amount > max ? amount : max), lastAmount);
+  const lastDate = dates[dates.length - 1];
+
+  // Count due dates that passed without a payment, allowing for the usual drift
+  let nextDue = nextDate(lastDate, frequency);
+  let missed = 0;
+  while (daysBetween(nextDue, asOf) > frequency.tolerance) {
+    missed++;
+    nextDue = nextDate(nextDue, frequency);
+  }
+
+  const flags = [];
+  // Only a step above everything paid before counts, so variable bills do not flag on every rise
+  if (runStart > 0 && lastAmount >= highestBefore) flags.push('price-increase');
+  if (missed) flags.push('missed-payment');
+
+  const { type, mandateId } = classify(transactions, context.accountId, context.directDebits, context.standingOrders);
+
+  return {
+    AccountId: context.accountId,
+    Payee: payeeName(latest),
+    Type: type,
+    MandateId: mandateId,
+    Frequency: frequency.name,
+    Occurrences: transactions.length,
+    FirstDate: dates[0],
+    LastDate: lastDate,
+    LastAmount: formatUnits(lastAmount),
+    PreviousAmount: formatUnits(previousAmount),
+    Currency: latest.Amount.Currency,
+    NextDue: nextDue,
+    MissedPayments: missed,
+    AnnualCost: formatUnits(roundUnits(lastAmount * BigInt(frequency.perYear))),
+    Flags: flags
+  };
+}
+
+// ============================================================
+// Detection
+// ============================================================
+
+/**
+ * Find payees debited at regular intervals with similar amounts.
+ * `asOf` (YYYY-MM-DD) is when missed payments are judged; it defaults to the latest booking date seen.
+ */
+export function detectRecurring(transactions, { directDebits = [], standingOrders = [], minOccurrences = DEFAULT_MIN_OCCURRENCES, asOf } = {}) {
+  const booked = transactions.filter(transaction =>
+    (!transaction.Status || transaction.Status === 'Booked') &&
+    transaction.CreditDebitIndicator === 'Debit' &&
+    transaction.BookingDateTime &&
+    transaction.Amount?.Amount);
+  const horizon = asOf || booked.map(bookingDate).sort().pop() || new Date().toISOString().substring(0, 10);
+
+  const groups = new Map();
+  booked.forEach(transaction => {
+    const key = [transaction.AccountId || '', transaction.Amount.Currency, normalise(payeeName(transaction))].join('\u0000');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  });
+
+  const results = [];
+  groups.forEach(group => {
+    if (group.length < minOccurrences) return;
+    group.sort((a, b) => new Date(a.BookingDateTime) - new Date(b.BookingDateTime));
+    const result = analyseGroup(group, horizon, { accountId: group[0].AccountId || '', directDebits, standingOrders });
+    if (result) results.push(result);
+  });
+
+  return results.sort((a, b) =>
+    a.Currency.localeCompare(b.Currency) || (toUnits(b.AnnualCost) > toUnits(a.AnnualCost) ? 1 : -1));
+}
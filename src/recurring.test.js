@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRecurring, payeeName } from './recurring.js';
+
+function payments(dates, amount, extra = {}) {
+  return dates.map((date, index) => ({
+    AccountId: 'A',
+    TransactionId: `${extra.TransactionInformation || extra.MerchantDetails?.MerchantName}-${index}`,
+    Status: 'Booked',
+    BookingDateTime: `${date}T09:00:00+00:00`,
+    Amount: { Amount: Array.isArray(amount) ? amount[index] : amount, Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    ...extra
+  }));
+}
+
+const netflix = payments(['2024-01-15', '2024-02-15', '2024-03-15', '2024-04-15'], ['10.99', '10.99', '12.99', '12.99'], { MerchantDetails: { MerchantName: 'Netflix' } });
+const energy = payments(['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01'], '85.00', { TransactionInformation: 'OCTOPUS ENERGY 8841', TransactionReference: 'A-77231' });
+const rent = payments(['2024-01-28', '2024-02-28', '2024-03-28', '2024-04-28'], '950.00', { TransactionInformation: 'Landlord Ltd', BankTransactionCode: { Code: 'IssuedCreditTransfer', SubCode: 'StandingOrder' } });
+
+describe('payeeName', () => {
+  test('prefers the merchant and drops reference-like tokens from descriptions', () => {
+    assert.equal(payeeName(netflix[0]), 'Netflix');
+    assert.equal(payeeName(energy[0]), 'OCTOPUS ENERGY');
+    assert.equal(payeeName({ TransactionInformation: '12345', TransactionReference: 'REF' }), 'REF');
+  });
+});
+
+describe('detectRecurring', () => {
+  const directDebits = [{ AccountId: 'A', DirectDebitId: 'DD01', Name: 'Octopus Energy', MandateIdentification: 'A-77231' }];
+
+  test('labels card subscriptions, direct debits and standing orders, largest annual cost first', () => {
+    const results = detectRecurring([...netflix, ...energy, ...rent], { directDebits, asOf: '2024-04-28' });
+    assert.deepEqual(results.map(r => [r.Payee, r.Type, r.MandateId, r.Frequency, r.AnnualCost]), [
+      ['Landlord Ltd', 'SO', null, 'Monthly', '11400.00'],
+      ['OCTOPUS ENERGY', 'DD', 'DD01', 'Monthly', '1020.00'],
+      ['Netflix', 'Card', null, 'Monthly', '155.88']
+    ]);
+  });
+
+  test('flags a price rise and estimates the next payment', () => {
+    const [result] = detectRecurring(netflix, { asOf: '2024-04-20' });
+    assert.equal(result.LastAmount, '12.99');
+    assert.equal(result.PreviousAmount, '10.99');
+    assert.equal(result.NextDue, '2024-05-15');
+    assert.deepEqual(result.Flags, ['price-increase']);
+  });
+
+  test('counts due dates that passed without a payment', () => {
+    const [result] = detectRecurring(energy, { directDebits, asOf: '2024-07-10' });
+    assert.equal(result.MissedPayments, 3);
+    assert.equal(result.NextDue, '2024-08-01');
+    assert.deepEqual(result.Flags, ['missed-payment']);
+  });
+
+  test('a gap from one missed payment does not hide a monthly pattern', () => {
+    const gappy = payments(['2024-01-10', '2024-02-10', '2024-04-10', '2024-05-10', '2024-06-10'], '9.99', { MerchantDetails: { MerchantName: 'Spotify' } });
+    assert.equal(detectRecurring(gappy)[0]?.Frequency, 'Monthly');
+  });
+
+  test('monthly dates keep to the month end', () => {
+    const gym = payments(['2023-11-30', '2023-12-31', '2024-01-31'], '30.00', { MerchantDetails: { MerchantName: 'Gym' } });
+    assert.equal(detectRecurring(gym)[0].NextDue, '2024-02-29');
+  });
+
+  test('ignores irregular dates, unstable amounts, credits, pending items and short histories', () => {
+    const irregular = payments(['2024-01-01', '2024-01-04', '2024-02-20', '2024-03-01'], '5.00', { MerchantDetails: { MerchantName: 'Cafe' } });
+    const varying = payments(['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01'], ['20.00', '80.00', '5.00', '41.00'], { MerchantDetails: { MerchantName: 'Market' } });
+    const credits = payments(['2024-01-25', '2024-02-25', '2024-03-25'], '2000.00', { TransactionInformation: 'Salary', CreditDebitIndicator: 'Credit' });
+    const pending = payments(['2024-01-03', '2024-02-03', '2024-03-03'], '7.00', { MerchantDetails: { MerchantName: 'Cloud' }, Status: 'Pending' });
+    assert.deepEqual(detectRecurring([...irregular, ...varying, ...credits, ...pending, ...netflix.slice(0, 2)]), []);
+    assert.equal(detectRecurring(netflix.slice(0, 2), { minOccurrences: 2 }).length, 1);
+  });
+});
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import { getRedactionKey } from './config.js';
+
+// Replaces the stored key, e.g. so two machines produce the same tokens
+export const REDACT_KEY_ENV = 'OBACCOUNT_REDACT_KEY';
+
+// Token prefixes for account identifications, by SchemeName without the UK.OBIE. namespace
+const SCHEME_PREFIXES = {
+  SortCodeAccountNumber: 'SCAN',
+  IBAN: 'IBAN',
+  BBAN: 'BBAN',
+  PAN: 'PAN',
+  Paym: 'PAYM'
+};
+
+// Objects under these keys identify a bank (BIC, sort code), not a customer, and are kept
+const INSTITUTION_KEYS = ['Servicer', 'CreditorAgent', 'DebtorAgent'];
+
+// Personal and free-text fields masked wherever they appear, with their token prefix
+const FIELD_PREFIXES = {
+  FullLegalName: 'NAME',
+  PartyNumber: 'PARTY',
+  EmailAddress: 'EMAIL',
+  Phone: 'PHONE',
+  Mobile: 'PHONE',
+  AddressLine: 'ADDR',
+  StreetName: 'ADDR',
+  BuildingNumber: 'ADDR',
+  PostCode: 'ADDR',
+  Reference: 'REF',
+  TransactionReference: 'REF',
+  DebtorReference: 'REF',
+  MandateIdentification: 'REF'
+};
+
+// Set by the global --redact option or the profile's redactOutput setting
+let enabled = false;
+
+// HMAC key, read once per run
+let secret = null;
+
+// ============================================================
+// Helpers
+// ============================================================
+
+function schemePrefix(schemeName) {
+  const scheme = String(schemeName).replace(/^UK\.OBIE\./, '');
+  return SCHEME_PREFIXES[scheme] || 'ACCT';
+}
+
+/**
+ * Spelling that should not change the token: case and spacing, plus the separators banks
+ * put in sort codes, IBANs and card numbers
+ */
+function normalise(prefix, value) {
+  const text = String(value).trim().replace(/\s+/g, ' ').toUpperCase();
+  return ['NAME', 'REF', 'ADDR', 'EMAIL'].includes(prefix) ? text : text.replace(/[\s-]/g, '');
+}
+
+function pseudonym(prefix, value) {
+  if (value === null || value === undefined || value === '') return value;
+  // Already a token, e.g. output passed through twice
+  if (new RegExp(`^${prefix}-[0-9a-f]{10}$`).test(value)) return value;
+  if (!secret) secret = process.env[REDACT_KEY_ENV] || getRedactionKey();
+  const digest = crypto.createHmac('sha256', secret).update(`${prefix}\0${normalise(prefix, value)}`).digest('hex');
+  return `${prefix}-${digest.slice(0, 10)}`;
+}
+
+/**
+ * Fields of this object that identify a customer, with their token prefix. Account
+ * identifications (anything with a SchemeName) and card instruments are masked whole;
+ * parties lose their name.
+ */
+function identifyingFields(object, parentKey) {
+  if (INSTITUTION_KEYS.includes(parentKey)) return {};
+  if ('SchemeName' in object) {
+    return { Identification: schemePrefix(object.SchemeName), SecondaryIdentification: 'ROLL', Name: 'NAME' };
+  }
+  if ('CardSchemeName' in object) return { Identification: 'PAN', Name: 'NAME' };
+  if ('PartyId' in object) return { Name: 'NAME' };
+  return {};
+}
+
+function redactValue(value, parentKey) {
+  if (Array.isArray(value)) return value.map(item => redactValue(item, parentKey));
+  if (!value || typeof value !== 'object') return value;
+
+  const masked = identifyingFields(value, parentKey);
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => {
+    const prefix = masked[key] || FIELD_PREFIXES[key];
+    if (!prefix) return [key, redactValue(field, key)];
+    return [key, Array.isArray(field) ? field.map(item => pseudonym(prefix, item)) : pseudonym(prefix, field)];
+  }));
+}
+
+// ============================================================
+// Redaction
+// ============================================================
+
+export function setRedaction(value) {
+  enabled = Boolean(value);
+}
+
+export function isRedacting() {
+  return enabled;
+}
+
+/**
+ * Copy of API records with personal data replaced by pseudonyms such as SCAN-3f9a1c07b2.
+ *
+ * A token is an HMAC of the value under a random key kept in the config (or REDACT_KEY_ENV),
+ * so the same account, name or reference gets the same token on every run and in every
+ * command, and output stays joinable. Ids the bank assigns (AccountId, TransactionId, ...),
+ * nicknames, amounts, merchant details and TransactionInformation are kept.
+ */
+export function redact(data) {
+  return redactValue(data, null);
+}
+
+/**
+ * redact(data) when redaction is on for this run, otherwise data unchanged
+ */
+export function redactOutput(data) {
+  return enabled ? redact(data) : data;
+}
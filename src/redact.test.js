@@ -0,0 +1,108 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import { join } from 'path';
+import { useTempConfig } from './testkit.js';
+
+const dir = useTempConfig();
+delete process.env.OBACCOUNT_REDACT_KEY;
+const { redact, redactOutput, setRedaction, isRedacting } = await import('./redact.js');
+
+const account = {
+  AccountId: '22289',
+  Nickname: 'Bills',
+  Account: [
+    { SchemeName: 'UK.OBIE.SortCodeAccountNumber', Identification: '60161331926819', Name: 'Mr Kevin', SecondaryIdentification: '0002' },
+    { SchemeName: 'UK.OBIE.IBAN', Identification: 'GB29 NWBK 6016 1331 9268 19', Name: 'Mr Kevin' }
+  ],
+  Servicer: { SchemeName: 'UK.OBIE.BICFI', Identification: 'NWBKGB2L' }
+};
+
+const transaction = {
+  AccountId: '22289',
+  TransactionId: 't1',
+  TransactionReference: 'INV-1001',
+  TransactionInformation: 'TESCO STORES 3297',
+  Amount: { Amount: '12.50', Currency: 'GBP' },
+  CardInstrument: { CardSchemeName: 'VISA', Identification: '4111-1111-1111-1111', Name: 'MR K' },
+  CreditorAccount: { SchemeName: 'SortCodeAccountNumber', Identification: '60-16-13 31926819', Name: 'mr  kevin' },
+  CreditorAgent: { SchemeName: 'UK.OBIE.BICFI', Identification: 'NWBKGB2L' },
+  MerchantDetails: { MerchantName: 'Tesco', MerchantCategoryCode: '5411' }
+};
+
+describe('redact', () => {
+  test('tokens are an HMAC under a key created once and kept in the config', () => {
+    const redacted = redact(account);
+    const { key } = JSON.parse(fs.readFileSync(join(dir, 'config.json'), 'utf8')).redaction;
+    const expected = crypto.createHmac('sha256', key).update('SCAN\u000060161331926819').digest('hex').slice(0, 10);
+    assert.equal(redacted.Account[0].Identification, `SCAN-${expected}`);
+    assert.deepEqual(redact(account), redacted, 'the same input gives the same tokens');
+  });
+
+  test('masks account identifications by scheme and keeps ids, nicknames and institutions', () => {
+    const redacted = redact(account);
+    assert.match(redacted.Account[0].Identification, /^SCAN-[0-9a-f]{10}$/);
+    assert.match(redacted.Account[0].SecondaryIdentification, /^ROLL-/);
+    assert.match(redacted.Account[0].Name, /^NAME-/);
+    assert.match(redacted.Account[1].Identification, /^IBAN-/);
+    assert.equal(redacted.AccountId, '22289');
+    assert.equal(redacted.Nickname, 'Bills');
+    assert.deepEqual(redacted.Servicer, account.Servicer);
+    assert.equal(account.Account[0].Identification, '60161331926819', 'the input is not changed');
+  });
+
+  test('spacing, case and separators do not change a token', () => {
+    const [scan] = redact(account).Account;
+    const redacted = redact(transaction);
+    assert.equal(redacted.CreditorAccount.Identification, scan.Identification);
+    assert.equal(redacted.CreditorAccount.Name, scan.Name);
+    assert.equal(redact({ CardInstrument: { CardSchemeName: 'VISA', Identification: '4111 1111 1111 1111' } }).CardInstrument.Identification, redacted.CardInstrument.Identification);
+  });
+
+  test('the same value under another prefix gets an unrelated token', () => {
+    const redacted = redact({ TransactionReference: 'INV-1001', Party: { PartyId: 'p1', Name: 'INV-1001' } });
+    assert.match(redacted.TransactionReference, /^REF-/);
+    assert.match(redacted.Party.Name, /^NAME-/);
+    assert.notEqual(redacted.TransactionReference.slice(4), redacted.Party.Name.slice(5));
+  });
+
+  test('masks personal fields anywhere and keeps amounts, merchants and descriptions', () => {
+    const redacted = redact({
+      Data: {
+        Party: [{ PartyId: 'p1', PartyNumber: '0001', Name: 'Kevin', EmailAddress: 'k@example.com', Mobile: '+44 7700 900000', Address: [{ AddressLine: ['1 High St', 'Flat 2'], PostCode: 'AB1 2CD' }] }],
+        Transaction: [transaction]
+      }
+    });
+    const [party] = redacted.Data.Party;
+    assert.equal(party.PartyId, 'p1');
+    assert.match(party.PartyNumber, /^PARTY-/);
+    assert.match(party.EmailAddress, /^EMAIL-/);
+    assert.match(party.Mobile, /^PHONE-/);
+    assert.deepEqual(party.Address[0].AddressLine.map(line => line.slice(0, 5)), ['ADDR-', 'ADDR-']);
+    assert.match(party.Address[0].PostCode, /^ADDR-/);
+
+    const [kept] = redacted.Data.Transaction;
+    assert.deepEqual(kept.Amount, transaction.Amount);
+    assert.deepEqual(kept.MerchantDetails, transaction.MerchantDetails);
+    assert.equal(kept.TransactionInformation, 'TESCO STORES 3297');
+    assert.match(kept.TransactionReference, /^REF-/);
+  });
+
+  test('tokens pass through a second time unchanged, and empty values stay empty', () => {
+    const once = redact(transaction);
+    assert.deepEqual(redact(once), once);
+    assert.deepEqual(redact({ Reference: '', PartyId: 'p', Name: null }), { Reference: '', PartyId: 'p', Name: null });
+  });
+});
+
+describe('redactOutput', () => {
+  test('only redacts when redaction is on for the run', () => {
+    assert.equal(isRedacting(), false);
+    assert.equal(redactOutput(account), account);
+    setRedaction(true);
+    assert.equal(isRedacting(), true);
+    assert.deepEqual(redactOutput(account), redact(account));
+    setRedaction(false);
+  });
+});
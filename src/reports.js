@@ -0,0 +1,216 @@
+import { toUnits, formatUnits, formatSigned, roundUnits } from './money.js';
+import { ledgerBalance } from './export.js';
+
+export const CASHFLOW_GROUPINGS = ['month', 'week', 'category'];
+
+// Amounts are only ever added up within one currency; every grouping key includes it.
+
+function isBooked(transaction) {
+  return !transaction.Status || transaction.Status === 'Booked';
+}
+
+/**
+ * Calendar date of a transaction as the bank reported it (no timezone shifting)
+ */
+function bookingDate(transaction) {
+  return transaction.BookingDateTime?.substring(0, 10) || '';
+}
+
+/**
+ * ISO 8601 week for a YYYY-MM-DD date, e.g. 2024-W05
+ */
+export function isoWeek(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  // Thursday decides which year the week belongs to
+  day.setUTCDate(day.getUTCDate() + 3 - ((day.getUTCDay() + 6) % 7));
+  const firstThursday = new Date(Date.UTC(day.getUTCFullYear(), 0, 4));
+  firstThursday.setUTCDate(firstThursday.getUTCDate() + 3 - ((firstThursday.getUTCDay() + 6) % 7));
+  const week = 1 + Math.round((day - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function bucketFor(transaction, by) {
+  if (by === 'category') return transaction.Category || 'Uncategorised';
+  if (by === 'week') return isoWeek(bookingDate(transaction));
+  return bookingDate(transaction).substring(0, 7);
+}
+
+function addTo(groups, key, init, units) {
+  if (!groups.has(key)) groups.set(key, { ...init, in: 0n, out: 0n, count: 0 });
+  const group = groups.get(key);
+  if (units < 0n) group.out -= units;
+  else group.in += units;
+  group.count++;
+}
+
+function flowFields(group) {
+  return {
+    In: formatUnits(group.in),
+    Out: formatUnits(group.out),
+    Net: formatSigned(group.in - group.out),
+    Count: group.count
+  };
+}
+
+// ============================================================
+// Cash flow
+// ============================================================
+
+/**
+ * Money in and out per account and currency, bucketed by month, ISO week or Category.
+ * Only booked transactions count. Returns { rows, totals }.
+ */
+export function cashflow(transactions, { by = 'month' } = {}) {
+  const label = by === 'category' ? 'Category' : 'Period';
+  const groups = new Map();
+  const totals = new Map();
+
+  transactions.filter(isBooked).forEach(transaction => {
+    const accountId = transaction.AccountId || '';
+    const currency = transaction.Amount?.Currency || '';
+    const bucket = bucketFor(transaction, by);
+    const units = toUnits(transaction.Amount?.Amount ?? '0', transaction.CreditDebitIndicator);
+
+    addTo(groups, [accountId, currency, bucket].join('\u0000'), { AccountId: accountId, Currency: currency, [label]: bucket }, units);
+    addTo(totals, [accountId, currency].join('\u0000'), { AccountId: accountId, Currency: currency }, units);
+  });
+
+  const compare = (a, b) => a.AccountId.localeCompare(b.AccountId) || a.Currency.localeCompare(b.Currency);
+  const rows = [...groups.values()].sort((a, b) => {
+    if (compare(a, b)) return compare(a, b);
+    // Categories read best biggest-spend first; periods chronologically
+    if (by === 'category') return a.out === b.out ? a[label].localeCompare(b[label]) : (b.out > a.out ? 1 : -1);
+    return a[label].localeCompare(b[label]);
+  });
+
+  return {
+    rows: rows.map(group => ({ AccountId: group.AccountId, [label]: group[label], Currency: group.Currency, ...flowFields(group) })),
+    totals: [...totals.values()].sort(compare).map(group => ({ AccountId: group.AccountId, Currency: group.Currency, ...flowFields(group) }))
+  };
+}
+
+// ============================================================
+// Top merchants
+// ============================================================
+
+function merchantName(transaction) {
+  return transaction.MerchantDetails?.MerchantName ||
+    transaction.CreditorAccount?.Name ||
+    transaction.TransactionInformation ||
+    'Unknown';
+}
+
+/**
+ * Largest destinations of booked debits, ranked separately within each currency
+ */
+export function topMerchants(transactions, { top = 10 } = {}) {
+  const groups = new Map();
+
+  transactions
+    .filter(transaction => isBooked(transaction) && transaction.CreditDebitIndicator === 'Debit')
+    .forEach(transaction => {
+      const merchant = merchantName(transaction);
+      const currency = transaction.Amount?.Currency || '';
+      const key = `${merchant.toLowerCase()}\u0000${currency}`;
+      if (!groups.has(key)) groups.set(key, { Merchant: merchant, Currency: currency, total: 0n, count: 0, last: '' });
+      const group = groups.get(key);
+      group.total -= toUnits(transaction.Amount?.Amount ?? '0', 'Debit');
+      group.count++;
+      if (bookingDate(transaction) > group.last) group.last = bookingDate(transaction);
+    });
+
+  const byCurrency = new Map();
+  [...groups.values()].forEach(group => {
+    if (!byCurrency.has(group.Currency)) byCurrency.set(group.Currency, []);
+    byCurrency.get(group.Currency).push(group);
+  });
+
+  return [...byCurrency.keys()].sort().flatMap(currency =>
+    byCurrency.get(currency)
+      .sort((a, b) => (a.total === b.total ? b.count - a.count : (b.total > a.total ? 1 : -1)))
+      .slice(0, top)
+      .map((group, index) => ({
+        Rank: index + 1,
+        Merchant: group.Merchant,
+        Currency: group.Currency,
+        Count: group.count,
+        Total: formatUnits(group.total),
+        Average: formatUnits(roundUnits(group.total / BigInt(group.count))),
+        LastSeen: group.last
+      })));
+}
+
+// ============================================================
+// Balance history
+// ============================================================
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().substring(0, 10);
+}
+
+/**
+ * The balance history is anchored on ClosingBooked (or the best ledger balance) and
+ * covers `from`..`to`, defaulting to the 30 days up to the balance date.
+ */
+export function historyRange(balances, { from, to } = {}) {
+  const anchor = balances.find(balance => balance.Type === 'ClosingBooked') || ledgerBalance(balances);
+  if (!anchor) throw new Error('No balance returned for this account; cannot reconstruct history.');
+
+  const anchorDate = (anchor.DateTime || new Date().toISOString()).substring(0, 10);
+  const lastDate = to && to < anchorDate ? to : anchorDate;
+  return { anchor, from: from || addDays(lastDate, -30), to: lastDate };
+}
+
+/**
+ * End-of-day balances rebuilt backwards from the account's ClosingBooked balance.
+ * `transactions` must cover everything booked between `from` and the balance's DateTime.
+ * Transactions in another currency than the balance are left out and counted in `skipped`.
+ */
+export function balanceHistory({ balances, transactions, from, to }) {
+  const range = historyRange(balances, { from, to });
+  const { anchor } = range;
+  const currency = anchor.Amount?.Currency;
+  const anchorTime = anchor.DateTime ? new Date(anchor.DateTime).getTime() : Date.now();
+
+  let skipped = 0;
+  const daily = new Map();
+  transactions.filter(isBooked).forEach(transaction => {
+    if (new Date(transaction.BookingDateTime).getTime() > anchorTime) return;
+    if (transaction.Amount?.Currency !== currency) {
+      skipped++;
+      return;
+    }
+    const date = bookingDate(transaction);
+    if (!daily.has(date)) daily.set(date, { in: 0n, out: 0n });
+    const units = toUnits(transaction.Amount.Amount, transaction.CreditDebitIndicator);
+    if (units < 0n) daily.get(date).out -= units;
+    else daily.get(date).in += units;
+  });
+
+  // Undo movements after the last day shown, then walk back one day at a time
+  let balance = toUnits(anchor.Amount.Amount, anchor.CreditDebitIndicator);
+  for (const [date, movement] of daily) {
+    if (date > range.to) balance -= movement.in - movement.out;
+  }
+
+  const rows = [];
+  for (let date = range.to; date >= range.from; date = addDays(date, -1)) {
+    const movement = daily.get(date) || { in: 0n, out: 0n };
+    rows.push({
+      Date: date,
+      Currency: currency,
+      In: formatUnits(movement.in),
+      Out: formatUnits(movement.out),
+      Balance: formatSigned(balance)
+    });
+    balance -= movement.in - movement.out;
+  }
+
+  return {
+    anchor: { Type: anchor.Type, DateTime: anchor.DateTime, Amount: formatSigned(toUnits(anchor.Amount.Amount, anchor.CreditDebitIndicator)), Currency: currency },
+    rows: rows.reverse(),
+    skipped
+  };
+}
@@ -0,0 +1,107 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { isoWeek, cashflow, topMerchants, historyRange, balanceHistory } from './reports.js';
+
+function transaction(date, amount, indicator, extra = {}) {
+  return {
+    AccountId: 'A',
+    Status: 'Booked',
+    BookingDateTime: `${date}T12:00:00+00:00`,
+    Amount: { Amount: amount, Currency: 'GBP' },
+    CreditDebitIndicator: indicator,
+    ...extra
+  };
+}
+
+describe('isoWeek', () => {
+  test('assigns days at year boundaries to the week holding Thursday', () => {
+    assert.equal(isoWeek('2024-01-01'), '2024-W01');
+    assert.equal(isoWeek('2023-01-01'), '2022-W52');
+    assert.equal(isoWeek('2020-12-31'), '2020-W53');
+    assert.equal(isoWeek('2024-12-30'), '2025-W01');
+  });
+});
+
+describe('cashflow', () => {
+  const transactions = [
+    transaction('2024-01-05', '1000.00', 'Credit', { Category: 'Salary' }),
+    transaction('2024-01-20', '40.10', 'Debit', { Category: 'Groceries' }),
+    transaction('2024-02-02', '0.20', 'Debit', { Category: 'Groceries' }),
+    transaction('2024-02-03', '99.00', 'Debit', { Status: 'Pending' }),
+    transaction('2024-02-04', '10.00', 'Debit', { Amount: { Amount: '10.00', Currency: 'EUR' } }),
+    transaction('2024-01-09', '5.00', 'Credit', { AccountId: 'B' })
+  ];
+
+  test('groups booked money in and out by month, per account and currency', () => {
+    const { rows, totals } = cashflow(transactions);
+    assert.deepEqual(rows, [
+      { AccountId: 'A', Period: '2024-02', Currency: 'EUR', In: '0.00', Out: '10.00', Net: '-10.00', Count: 1 },
+      { AccountId: 'A', Period: '2024-01', Currency: 'GBP', In: '1000.00', Out: '40.10', Net: '959.90', Count: 2 },
+      { AccountId: 'A', Period: '2024-02', Currency: 'GBP', In: '0.00', Out: '0.20', Net: '-0.20', Count: 1 },
+      { AccountId: 'B', Period: '2024-01', Currency: 'GBP', In: '5.00', Out: '0.00', Net: '5.00', Count: 1 }
+    ]);
+    assert.deepEqual(totals.map(total => [total.AccountId, total.Currency, total.Net]), [['A', 'EUR', '-10.00'], ['A', 'GBP', '959.70'], ['B', 'GBP', '5.00']]);
+  });
+
+  test('by week and by category, biggest spend first', () => {
+    assert.deepEqual(cashflow(transactions.slice(0, 2), { by: 'week' }).rows.map(row => row.Period), ['2024-W01', '2024-W03']);
+    const byCategory = cashflow(transactions.filter(t => t.AccountId === 'A' && t.Amount.Currency === 'GBP'), { by: 'category' }).rows;
+    assert.deepEqual(byCategory.map(row => [row.Category, row.Out]), [['Groceries', '40.30'], ['Salary', '0.00']]);
+  });
+});
+
+describe('topMerchants', () => {
+  test('ranks booked debits by total within each currency', () => {
+    const rows = topMerchants([
+      transaction('2024-01-01', '5.00', 'Debit', { MerchantDetails: { MerchantName: 'Costa' } }),
+      transaction('2024-01-08', '6.00', 'Debit', { MerchantDetails: { MerchantName: 'COSTA' } }),
+      transaction('2024-01-03', '10.00', 'Debit', { CreditorAccount: { Name: 'Landlord' } }),
+      transaction('2024-01-04', '500.00', 'Credit', { MerchantDetails: { MerchantName: 'Employer' } }),
+      transaction('2024-01-05', '50.00', 'Debit', { Status: 'Pending', MerchantDetails: { MerchantName: 'Hotel' } }),
+      transaction('2024-01-06', '3.00', 'Debit', { TransactionInformation: 'Paris metro', Amount: { Amount: '3.00', Currency: 'EUR' } })
+    ], { top: 5 });
+    assert.deepEqual(rows, [
+      { Rank: 1, Merchant: 'Paris metro', Currency: 'EUR', Count: 1, Total: '3.00', Average: '3.00', LastSeen: '2024-01-06' },
+      { Rank: 1, Merchant: 'Costa', Currency: 'GBP', Count: 2, Total: '11.00', Average: '5.50', LastSeen: '2024-01-08' },
+      { Rank: 2, Merchant: 'Landlord', Currency: 'GBP', Count: 1, Total: '10.00', Average: '10.00', LastSeen: '2024-01-03' }
+    ]);
+  });
+});
+
+describe('balanceHistory', () => {
+  const balances = [
+    { Type: 'InterimAvailable', DateTime: '2024-03-10T08:00:00+00:00', Amount: { Amount: '999.00', Currency: 'GBP' }, CreditDebitIndicator: 'Credit' },
+    { Type: 'ClosingBooked', DateTime: '2024-03-10T00:00:00+00:00', Amount: { Amount: '100.00', Currency: 'GBP' }, CreditDebitIndicator: 'Credit' }
+  ];
+
+  test('walks back from ClosingBooked one day at a time', () => {
+    const history = balanceHistory({
+      balances,
+      from: '2024-03-06',
+      to: '2024-03-08',
+      transactions: [
+        transaction('2024-03-09', '20.00', 'Debit'),
+        transaction('2024-03-08', '50.00', 'Credit'),
+        transaction('2024-03-07', '15.00', 'Debit'),
+        transaction('2024-03-07', '5.00', 'Debit', { Status: 'Pending' }),
+        transaction('2024-03-07', '7.00', 'Debit', { Amount: { Amount: '7.00', Currency: 'EUR' } })
+      ]
+    });
+    assert.deepEqual(history.anchor, { Type: 'ClosingBooked', DateTime: '2024-03-10T00:00:00+00:00', Amount: '100.00', Currency: 'GBP' });
+    assert.deepEqual(history.rows.map(row => [row.Date, row.In, row.Out, row.Balance]), [
+      ['2024-03-06', '0.00', '0.00', '85.00'],
+      ['2024-03-07', '0.00', '15.00', '70.00'],
+      ['2024-03-08', '50.00', '0.00', '120.00']
+    ]);
+    assert.equal(history.skipped, 1);
+  });
+
+  test('defaults to the 30 days up to the balance and needs a balance', () => {
+    assert.deepEqual(
+      (({ from, to }) => ({ from, to }))(historyRange(balances)),
+      { from: '2024-02-09', to: '2024-03-10' }
+    );
+    assert.equal(historyRange(balances, { to: '2024-12-31' }).to, '2024-03-10');
+    assert.throws(() => historyRange([]), /No balance returned/);
+  });
+});
@@ -0,0 +1,113 @@
+import chalk from 'chalk';
+
+// Status codes worth another attempt; everything else is the caller's problem
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// Upper bound for a single backoff wait, whatever the attempt number
+const MAX_DELAY = 30 * 1000;
+
+// Longer Retry-After values fail fast rather than leaving the CLI hanging
+const MAX_RETRY_AFTER = 60 * 1000;
+
+let verbose = false;
+
+// ============================================================
+// Verbose logging
+// ============================================================
+
+export function setVerbose(enabled) {
+  verbose = !!enabled;
+}
+
+export function isVerbose() {
+  return verbose;
+}
+
+/**
+ * Write a diagnostic line to stderr when --verbose is on
+ */
+export function logVerbose(message) {
+  if (verbose) process.stderr.write(chalk.dim(`[${new Date().toISOString()}] ${message}`) + '\n');
+}
+
+// ============================================================
+// Retry policy
+// ============================================================
+
+export const DEFAULT_RETRY_POLICY = { maxRetries: 3, baseDelay: 500 };
+
+/**
+ * Whether a failed request may be repeated. Only GETs are idempotent on the AISP surface.
+ */
+export function isRetryable(method, error) {
+  if (method.toUpperCase() !== 'GET') return false;
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return !!error.request && (RETRYABLE_CODES.includes(error.code) || !error.code);
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait before the given retry (1-based): Retry-After when the bank sent one,
+ * otherwise exponential backoff with full jitter. Null means do not retry.
+ */
+export function retryDelay(attempt, { baseDelay }, retryAfter) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter <= MAX_RETRY_AFTER ? retryAfter : null;
+  }
+  const ceiling = Math.min(MAX_DELAY, baseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================
+// Rate limiting
+// ============================================================
+
+/**
+ * Token bucket per host holding `rate` tokens and refilling at `rate` per second; 0 disables it.
+ * `acquire(url)` resolves once a request to that host may go out.
+ */
+export function createRateLimiter(rate, log = () => {}) {
+  const buckets = new Map();
+
+  async function acquire(url) {
+    if (!rate) return;
+
+    const host = new URL(url).host;
+    let bucket = buckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: rate, updatedAt: Date.now() };
+      buckets.set(host, bucket);
+    }
+
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(rate, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+      bucket.updatedAt = now;
+
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      const wait = Math.ceil(((1 - bucket.tokens) / rate) * 1000);
+      log(`Rate limit: waiting ${wait}ms for ${host}`);
+      await sleep(wait);
+    }
+  }
+
+  return { rate, acquire };
+}
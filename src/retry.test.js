@@ -0,0 +1,75 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryable, parseRetryAfter, retryDelay, createRateLimiter } from './retry.js';
+
+function httpError(status) {
+  return { response: { status }, request: {} };
+}
+
+describe('isRetryable', () => {
+  test('retries GETs on 429, 5xx gateway errors and network failures', () => {
+    [429, 500, 502, 503, 504].forEach(status => assert.equal(isRetryable('GET', httpError(status)), true, String(status)));
+    assert.equal(isRetryable('get', { request: {}, code: 'ECONNRESET' }), true);
+    assert.equal(isRetryable('GET', { request: {} }), true);
+  });
+
+  test('does not retry client errors, unknown codes, failures before sending, or other methods', () => {
+    [400, 401, 403, 404, 501].forEach(status => assert.equal(isRetryable('GET', httpError(status)), false, String(status)));
+    assert.equal(isRetryable('GET', { request: {}, code: 'ERR_BAD_OPTION' }), false);
+    assert.equal(isRetryable('GET', { code: 'ECONNRESET' }), false);
+    assert.equal(isRetryable('POST', httpError(503)), false);
+    assert.equal(isRetryable('DELETE', { request: {}, code: 'ECONNRESET' }), false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delta-seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(' 0 '), 0);
+    const inTenSeconds = new Date(Date.now() + 10_000).toUTCString();
+    assert.ok(Math.abs(parseRetryAfter(inTenSeconds) - 10_000) <= 1000);
+    assert.equal(parseRetryAfter('Wed, 01 Jan 2020 00:00:00 GMT'), 0);
+  });
+
+  test('ignores missing or unreadable values', () => {
+    [undefined, null, '', 'soon'].forEach(value => assert.equal(parseRetryAfter(value), null, String(value)));
+  });
+});
+
+describe('retryDelay', () => {
+  test('honours Retry-After up to a minute and gives up beyond it', () => {
+    assert.equal(retryDelay(1, { baseDelay: 500 }, 2000), 2000);
+    assert.equal(retryDelay(1, { baseDelay: 500 }, 0), 0);
+    assert.equal(retryDelay(1, { baseDelay: 500 }, 61_000), null);
+  });
+
+  test('backs off exponentially with full jitter, capped at 30 seconds', (t) => {
+    t.mock.method(Math, 'random', () => 1);
+    assert.deepEqual([1, 2, 3, 4].map(attempt => retryDelay(attempt, { baseDelay: 500 })), [500, 1000, 2000, 4000]);
+    assert.equal(retryDelay(20, { baseDelay: 500 }), 30_000);
+    Math.random.mock.mockImplementation(() => 0);
+    assert.equal(retryDelay(3, { baseDelay: 500 }), 0);
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('a rate of 0 never waits', async () => {
+    const log = mock.fn();
+    const limiter = createRateLimiter(0, log);
+    for (let i = 0; i < 100; i++) await limiter.acquire('https://bank.example/a');
+    assert.equal(log.mock.callCount(), 0);
+  });
+
+  test('lets a burst of `rate` requests through per host, then waits for a token', async () => {
+    const waits = [];
+    const limiter = createRateLimiter(20, message => waits.push(message));
+    for (let i = 0; i < 20; i++) await limiter.acquire('https://bank.example/a');
+    await limiter.acquire('https://other.example/a');
+    assert.deepEqual(waits, []);
+
+    const started = Date.now();
+    await limiter.acquire('https://bank.example/b');
+    assert.ok(Date.now() - started >= 40);
+    assert.match(waits[0], /^Rate limit: waiting \d+ms for bank\.example$/);
+  });
+});
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import { execSync } from 'child_process';
+
+// Profile settings that are encrypted at rest
+export const SECRET_KEYS = ['accessToken', 'refreshToken', 'clientSecret', 'certPassphrase'];
+
+// Environment variables that supply a secret for this run instead of the stored value
+export const SECRET_ENV = {
+  accessToken: 'OBACCOUNT_ACCESS_TOKEN',
+  refreshToken: 'OBACCOUNT_REFRESH_TOKEN',
+  clientSecret: 'OBACCOUNT_CLIENT_SECRET',
+  certPassphrase: 'OBACCOUNT_CERT_PASSPHRASE'
+};
+
+// Passphrase for a locked configuration, for CI and other non-interactive runs
+export const PASSPHRASE_ENV = 'OBACCOUNT_PASSPHRASE';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// scrypt cost; about 100ms per derivation, paid once per run
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// Encrypted with the key so a wrong passphrase is caught before any secret is touched
+const CHECK_VALUE = 'openbankingorgukacco';
+
+const COMMAND_TIMEOUT = 30 * 1000;
+
+// ============================================================
+// Keys
+// ============================================================
+
+export function generateKey() {
+  return crypto.randomBytes(KEY_LENGTH);
+}
+
+export function generateSalt() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+export function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), KEY_LENGTH, SCRYPT);
+}
+
+export function createCheck(key) {
+  return encryptSecret(key, 'check', CHECK_VALUE);
+}
+
+export function verifyCheck(key, check) {
+  try {
+    return decryptSecret(key, 'check', check) === CHECK_VALUE;
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================
+// Values
+// ============================================================
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt one setting. The setting name is authenticated too, so a value copied
+ * into another field fails to decrypt.
+ */
+export function encryptSecret(key, name, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(name));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+export function decryptSecret(key, name, value) {
+  const [iv, tag, ciphertext] = value.substring(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(name));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// ============================================================
+// Commands
+// ============================================================
+
+/**
+ * Run a configured secret command (e.g. a password manager CLI) and return its trimmed stdout
+ */
+export function runSecretCommand(command) {
+  let output;
+  try {
+    output = execSync(command, { encoding: 'utf8', timeout: COMMAND_TIMEOUT, stdio: ['ignore', 'pipe', 'inherit'] });
+  } catch (error) {
+    const reason = error.code === 'ETIMEDOUT' ? `timed out after ${COMMAND_TIMEOUT / 1000}s` : `exited with status ${error.status ?? error.code}`;
+    throw new Error(`Token command ${reason}: ${command}`);
+  }
+  const secret = output.trim();
+  if (!secret) throw new Error(`Token command printed nothing: ${command}`);
+  return secret;
+}
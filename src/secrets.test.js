@@ -0,0 +1,70 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateKey,
+  generateSalt,
+  deriveKey,
+  createCheck,
+  verifyCheck,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret,
+  runSecretCommand
+} from './secrets.js';
+
+describe('encryptSecret', () => {
+  const key = generateKey();
+
+  test('round-trips, with a fresh IV each time', () => {
+    const first = encryptSecret(key, 'accessToken', 'eyJ.token.£');
+    const second = encryptSecret(key, 'accessToken', 'eyJ.token.£');
+    assert.ok(isEncrypted(first));
+    assert.notEqual(first, second);
+    assert.doesNotMatch(first, /eyJ/);
+    assert.equal(decryptSecret(key, 'accessToken', first), 'eyJ.token.£');
+    assert.equal(decryptSecret(key, 'accessToken', second), 'eyJ.token.£');
+  });
+
+  test('a value moved to another setting fails to decrypt', () => {
+    const value = encryptSecret(key, 'refreshToken', 'refresh');
+    assert.throws(() => decryptSecret(key, 'accessToken', value), /unable to authenticate data/);
+  });
+
+  test('another key or a tampered value fails to decrypt', () => {
+    const value = encryptSecret(key, 'clientSecret', 'secret');
+    assert.throws(() => decryptSecret(generateKey(), 'clientSecret', value), /unable to authenticate data/);
+
+    const parts = value.split(':');
+    const ciphertext = Buffer.from(parts[4], 'base64');
+    ciphertext[0] ^= 1;
+    parts[4] = ciphertext.toString('base64');
+    assert.throws(() => decryptSecret(key, 'clientSecret', parts.join(':')), /unable to authenticate data/);
+  });
+
+  test('isEncrypted only recognises the enc:v1 prefix', () => {
+    assert.equal(isEncrypted('plain'), false);
+    assert.equal(isEncrypted(''), false);
+    assert.equal(isEncrypted(undefined), false);
+  });
+});
+
+describe('passphrase keys', () => {
+  test('the same passphrase and salt give the same key; the check rejects a wrong passphrase', () => {
+    const salt = generateSalt();
+    const key = deriveKey('correct horse', salt);
+    assert.deepEqual(deriveKey('correct horse', salt), key);
+    assert.notDeepEqual(deriveKey('correct horse', generateSalt()), key);
+
+    const check = createCheck(key);
+    assert.equal(verifyCheck(key, check), true);
+    assert.equal(verifyCheck(deriveKey('wrong horse', salt), check), false);
+  });
+});
+
+describe('runSecretCommand', () => {
+  test('returns trimmed stdout and reports failures without the output', () => {
+    assert.equal(runSecretCommand('echo "  tok-123  "'), 'tok-123');
+    assert.throws(() => runSecretCommand('exit 3'), /^Error: Token command exited with status 3: exit 3$/);
+    assert.throws(() => runSecretCommand('true'), /printed nothing/);
+  });
+});
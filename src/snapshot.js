@@ -0,0 +1,352 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import config, { getActiveProfile } from './config.js';
+import { listAccounts, listBeneficiaries, listDirectDebits, listStandingOrders } from './api.js';
+import { queryAccounts, queryBeneficiaries, queryDirectDebits, queryStandingOrders } from './store.js';
+
+export const DIFF_FORMATS = ['text', 'json-patch', 'markdown'];
+
+// Reference for the live data instead of a saved snapshot
+export const LIVE = 'now';
+
+// Standing data a snapshot records. `key` identifies a record across snapshots; the OB ids are
+// optional, so each falls back to what the bank is least likely to change. `label` is for people.
+const COLLECTIONS = {
+  accounts: {
+    title: 'Accounts',
+    fetch: () => listAccounts(),
+    offline: () => queryAccounts(),
+    key: r => r.AccountId,
+    label: r => r.Nickname || r.Account?.[0]?.Name || r.AccountId
+  },
+  beneficiaries: {
+    title: 'Beneficiaries',
+    fetch: () => listBeneficiaries(),
+    offline: () => queryBeneficiaries(null),
+    key: r => `${r.AccountId}/${r.BeneficiaryId || `${r.CreditorAccount?.Identification}/${r.Reference || ''}`}`,
+    label: r => r.CreditorAccount?.Name || r.Reference || r.BeneficiaryId
+  },
+  directDebits: {
+    title: 'Direct debits',
+    fetch: () => listDirectDebits(),
+    offline: () => queryDirectDebits(null),
+    key: r => `${r.AccountId}/${r.DirectDebitId || r.MandateIdentification}`,
+    label: r => r.Name || r.MandateIdentification
+  },
+  standingOrders: {
+    title: 'Standing orders',
+    fetch: () => listStandingOrders(),
+    offline: () => queryStandingOrders(null),
+    key: r => `${r.AccountId}/${r.StandingOrderId || `${r.CreditorAccount?.Identification}/${r.Reference || ''}`}`,
+    label: r => r.Reference || r.CreditorAccount?.Name || r.StandingOrderId
+  }
+};
+
+export const SNAPSHOT_COLLECTIONS = Object.keys(COLLECTIONS);
+
+export const SNAPSHOT_TITLES = Object.fromEntries(Object.entries(COLLECTIONS).map(([name, collection]) => [name, collection.title]));
+
+// ============================================================
+// Storage
+// ============================================================
+
+/**
+ * Directory holding the active profile's snapshots
+ */
+export function getSnapshotDir() {
+  return join(dirname(config.path), 'snapshots', getActiveProfile());
+}
+
+/**
+ * 2024-06-30T18:00:05.123Z -> 2024-06-30T18-00-05Z, safe in file names and sortable
+ */
+function snapshotId(takenAt) {
+  return takenAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+/**
+ * Fetch the current standing data. Nothing is written; see saveSnapshot().
+ */
+export async function captureSnapshot({ offline = false } = {}) {
+  const snapshot = { version: 1, profile: getActiveProfile(), takenAt: new Date().toISOString() };
+  for (const [name, collection] of Object.entries(COLLECTIONS)) {
+    snapshot[name] = offline ? collection.offline() : await collection.fetch();
+  }
+  return snapshot;
+}
+
+/**
+ * Write a snapshot and return it with its id and file
+ */
+export function saveSnapshot(snapshot) {
+  const dir = getSnapshotDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  let id = snapshotId(snapshot.takenAt);
+  for (let n = 2; fs.existsSync(join(dir, `${id}.json`)); n++) id = `${snapshotId(snapshot.takenAt)}-${n}`;
+
+  const file = join(dir, `${id}.json`);
+  const saved = { ...snapshot, id };
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(saved, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+  return { ...saved, file };
+}
+
+/**
+ * Orders snapshot ids by time, then by the -2, -3, ... that saveSnapshot() adds within one
+ * second. Plain name order would put "...05Z-2" before "...05Z".
+ */
+function byTakenAt(a, b) {
+  const split = id => {
+    const match = /^(.*Z)-(\d+)$/.exec(id);
+    return match ? [match[1], Number(match[2])] : [id, 1];
+  };
+  const [stampA, nA] = split(a);
+  const [stampB, nB] = split(b);
+  return stampA.localeCompare(stampB) || nA - nB;
+}
+
+/**
+ * Saved snapshots for the active profile, oldest first, with record counts
+ */
+export function listSnapshots() {
+  const dir = getSnapshotDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.replace(/\.json$/, ''))
+    .sort(byTakenAt)
+    .map(name => `${name}.json`)
+    .map(name => {
+      const snapshot = JSON.parse(fs.readFileSync(join(dir, name), 'utf8'));
+      return {
+        id: snapshot.id || name.replace(/\.json$/, ''),
+        takenAt: snapshot.takenAt,
+        file: join(dir, name),
+        ...Object.fromEntries(SNAPSHOT_COLLECTIONS.map(collection => [collection, snapshot[collection]?.length || 0]))
+      };
+    });
+}
+
+/**
+ * Load a snapshot by id, unique id prefix (e.g. a date), "latest", "previous" or file path
+ */
+export function loadSnapshot(ref) {
+  const snapshots = listSnapshots();
+  let file = null;
+
+  if (ref === 'latest' || ref === 'previous') {
+    const entry = snapshots[snapshots.length - (ref === 'latest' ? 1 : 2)];
+    if (!entry) {
+      throw new Error(snapshots.length ? 'Only one snapshot so far; "previous" needs two' : 'No snapshots yet. Run: openbankingorgukacco snapshot take');
+    }
+    file = entry.file;
+  } else if (ref.endsWith('.json') && fs.existsSync(ref)) {
+    file = ref;
+  } else {
+    const matches = snapshots.filter(entry => entry.id === ref || entry.id.startsWith(ref));
+    const exact = matches.find(entry => entry.id === ref);
+    if (!exact && matches.length > 1) {
+      throw new Error(`"${ref}" matches ${matches.length} snapshots: ${matches.map(entry => entry.id).join(', ')}`);
+    }
+    if (!exact && !matches.length) throw new Error(`No snapshot "${ref}". See: openbankingorgukacco snapshot list`);
+    file = (exact || matches[0]).file;
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read snapshot ${file}: ${error.message}`);
+  }
+  if (!SNAPSHOT_COLLECTIONS.every(collection => Array.isArray(snapshot[collection]))) {
+    throw new Error(`${file} is not a snapshot`);
+  }
+  return { ...snapshot, id: snapshot.id || file };
+}
+
+// ============================================================
+// Diff
+// ============================================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * "NextPaymentAmount.Amount", "Account[0].Name"
+ */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function ignored(path, ignore) {
+  return ignore.some(field => path === field || path.startsWith(`${field}.`) || path.startsWith(`${field}[`));
+}
+
+/**
+ * Leaf-level differences between two values: [{ field, before, after }]. Arrays compare
+ * position by position; a value that is missing on one side is undefined there.
+ */
+function diffValues(before, after, path, ignore, changes) {
+  if (path && ignored(path, ignore)) return changes;
+  if (Array.isArray(before) && Array.isArray(after)) {
+    for (let index = 0; index < Math.max(before.length, after.length); index++) {
+      diffValues(before[index], after[index], joinPath(path, index), ignore, changes);
+    }
+  } else if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    keys.forEach(key => diffValues(before[key], after[key], joinPath(path, key), ignore, changes));
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ field: path, before, after });
+  }
+  return changes;
+}
+
+function indexBy(records, key) {
+  const byKey = new Map();
+  records.forEach((record, index) => byKey.set(key(record), { record, index }));
+  return byKey;
+}
+
+/**
+ * Compare two snapshots. Records are matched by id within each collection; `ignore` lists
+ * fields (e.g. NextPaymentDateTime) whose changes do not count.
+ *
+ * Returns { from, to, changes, summary }. Each change is { collection, key, accountId, label,
+ * type: 'added' | 'removed' | 'modified', fields } with `fields` listing modified values.
+ */
+export function diffSnapshots(a, b, { ignore = [] } = {}) {
+  const changes = [];
+  const summary = {};
+
+  Object.entries(COLLECTIONS).forEach(([name, collection]) => {
+    const before = indexBy(a[name], collection.key);
+    const after = indexBy(b[name], collection.key);
+    const counts = { added: 0, removed: 0, modified: 0 };
+
+    const change = (type, key, record, fields) => {
+      counts[type]++;
+      changes.push({ collection: name, key, accountId: record.AccountId, label: collection.label(record), type, ...(fields ? { fields } : {}) });
+    };
+
+    before.forEach(({ record }, key) => {
+      if (!after.has(key)) {
+        change('removed', key, record);
+        return;
+      }
+      const fields = diffValues(record, after.get(key).record, '', ignore, []);
+      if (fields.length) change('modified', key, after.get(key).record, fields);
+    });
+    after.forEach(({ record }, key) => {
+      if (!before.has(key)) change('added', key, record);
+    });
+
+    summary[name] = counts;
+  });
+
+  return {
+    from: { id: a.id || LIVE, takenAt: a.takenAt },
+    to: { id: b.id || LIVE, takenAt: b.takenAt },
+    changes,
+    summary
+  };
+}
+
+// ============================================================
+// Formats
+// ============================================================
+
+function pointerEscape(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * "NextPaymentAmount.Amount" -> "/NextPaymentAmount/Amount", "Account[0].Name" -> "/Account/0/Name"
+ */
+function fieldPointer(field) {
+  return field.split(/\.|(?=\[)/).map(part => part.replace(/^\[(\d+)\]$/, '$1')).map(pointerEscape).map(part => `/${part}`).join('');
+}
+
+/**
+ * RFC 6902 JSON Patch turning snapshot `a` into `b`. Field changes come first and record
+ * removals run from the highest index down, so every index refers to `a` as the patch is
+ * applied; added records are appended.
+ */
+export function toJsonPatch(a, b, diff) {
+  const replacements = [];
+  const fieldRemovals = [];
+  const removals = [];
+  const additions = [];
+
+  diff.changes.forEach(change => {
+    const collection = COLLECTIONS[change.collection];
+    const base = `/${change.collection}`;
+    if (change.type === 'added') {
+      additions.push({ op: 'add', path: `${base}/-`, value: b[change.collection].find(record => collection.key(record) === change.key) });
+      return;
+    }
+    const index = a[change.collection].findIndex(record => collection.key(record) === change.key);
+    if (change.type === 'removed') {
+      removals.push({ index, op: { op: 'remove', path: `${base}/${index}` } });
+      return;
+    }
+    change.fields.forEach(({ field, before, after }) => {
+      const path = `${base}/${index}${fieldPointer(field)}`;
+      if (after === undefined) fieldRemovals.push({ op: 'remove', path });
+      else if (before === undefined) replacements.push({ op: 'add', path, value: after });
+      else replacements.push({ op: 'replace', path, value: after });
+    });
+  });
+
+  // Trailing array entries are listed lowest index first; removing them in reverse keeps the rest valid
+  return [
+    ...replacements,
+    ...fieldRemovals.reverse(),
+    ...removals.sort((x, y) => y.index - x.index).map(removal => removal.op),
+    ...additions
+  ];
+}
+
+function formatValue(value) {
+  if (value === undefined) return '(none)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function markdownCell(value) {
+  return formatValue(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown summary for pasting into a review: one table per collection with changes
+ */
+export function toMarkdown(diff) {
+  const lines = [`## Standing data changes: ${diff.from.id} → ${diff.to.id}`, ''];
+
+  if (!diff.changes.length) {
+    lines.push('No changes.', '');
+    return lines.join('\n');
+  }
+
+  Object.entries(COLLECTIONS).forEach(([name, collection]) => {
+    const changes = diff.changes.filter(change => change.collection === name);
+    if (!changes.length) return;
+    const { added, removed, modified } = diff.summary[name];
+    lines.push(`### ${collection.title} (${added} added, ${removed} removed, ${modified} modified)`, '');
+    lines.push('| Change | Account | Item | Field | Before | After |', '|---|---|---|---|---|---|');
+    changes.forEach(change => {
+      const item = `${markdownCell(change.label)} (\`${change.key}\`)`;
+      if (change.type !== 'modified') {
+        lines.push(`| ${change.type} | ${change.accountId || ''} | ${item} | | | |`);
+        return;
+      }
+      change.fields.forEach(({ field, before, after }, index) => {
+        lines.push(`| ${index ? '' : 'modified'} | ${index ? '' : change.accountId || ''} | ${index ? '' : item} | \`${field}\` | ${markdownCell(before)} | ${markdownCell(after)} |`);
+      });
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
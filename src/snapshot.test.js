@@ -0,0 +1,197 @@
+import { test, describe, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { useTempConfig, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig } = await import('./config.js');
+const {
+  captureSnapshot,
+  saveSnapshot,
+  listSnapshots,
+  loadSnapshot,
+  getSnapshotDir,
+  diffSnapshots,
+  toJsonPatch,
+  toMarkdown
+} = await import('./snapshot.js');
+
+function snapshot(takenAt, data = {}) {
+  return { version: 1, profile: 'default', takenAt, accounts: [], beneficiaries: [], directDebits: [], standingOrders: [], ...data };
+}
+
+/**
+ * Apply the add, replace and remove operations of an RFC 6902 patch
+ */
+function applyPatch(document, patch) {
+  const result = structuredClone(document);
+  patch.forEach(({ op, path, value }) => {
+    const parts = path.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => node[part], result);
+    if (Array.isArray(parent)) {
+      if (op === 'remove') parent.splice(Number(last), 1);
+      else if (last === '-') parent.push(value);
+      else if (op === 'add') parent.splice(Number(last), 0, value);
+      else parent[Number(last)] = value;
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  });
+  return result;
+}
+
+const before = snapshot('2024-06-01T08:00:00.000Z', {
+  id: '2024-06-01T08-00-00Z',
+  accounts: [{ AccountId: '22289', Nickname: 'Bills', Account: [{ Name: 'Mr A' }, { Name: 'Mrs A' }] }],
+  beneficiaries: [
+    { AccountId: '22289', BeneficiaryId: 'b1', Reference: 'Rent', CreditorAccount: { Name: 'Landlord' } },
+    { AccountId: '22289', BeneficiaryId: 'b2', Reference: 'Old', CreditorAccount: { Name: 'Gone' } },
+    { AccountId: '22289', BeneficiaryId: 'b3', Reference: 'Older', CreditorAccount: { Name: 'Also gone' } }
+  ],
+  directDebits: [{ AccountId: '22289', MandateIdentification: 'GYM-1', Name: 'Gym', PreviousPaymentAmount: { Amount: '30.00' } }],
+  standingOrders: [{ AccountId: '22289', StandingOrderId: 'so1', Reference: 'Savings', NextPaymentDateTime: '2024-06-05', NextPaymentAmount: { Amount: '100.00' } }]
+});
+
+const after = snapshot('2024-07-01T08:00:00.000Z', {
+  id: '2024-07-01T08-00-00Z',
+  accounts: [{ AccountId: '22289', Nickname: 'Bills | joint', Account: [{ Name: 'Mr A' }] }],
+  beneficiaries: [
+    { AccountId: '22289', BeneficiaryId: 'b1', Reference: 'Rent', CreditorAccount: { Name: 'Landlord' } },
+    { AccountId: '22289', BeneficiaryId: 'b4', Reference: 'New', CreditorAccount: { Name: 'Builder' } }
+  ],
+  directDebits: [{ AccountId: '22289', MandateIdentification: 'GYM-1', Name: 'Gym', PreviousPaymentAmount: { Amount: '35.00' } }],
+  standingOrders: [{ AccountId: '22289', StandingOrderId: 'so1', Reference: 'Savings', NextPaymentDateTime: '2024-07-05', NextPaymentAmount: { Amount: '100.00' }, Frequency: 'EvryMnth' }]
+});
+
+describe('diffSnapshots', () => {
+  test('matches records by id, falling back to the mandate, and lists changed fields', () => {
+    const diff = diffSnapshots(before, after);
+    assert.deepEqual(diff.summary, {
+      accounts: { added: 0, removed: 0, modified: 1 },
+      beneficiaries: { added: 1, removed: 2, modified: 0 },
+      directDebits: { added: 0, removed: 0, modified: 1 },
+      standingOrders: { added: 0, removed: 0, modified: 1 }
+    });
+    assert.deepEqual(diff.from, { id: '2024-06-01T08-00-00Z', takenAt: before.takenAt });
+
+    const account = diff.changes.find(change => change.collection === 'accounts');
+    assert.deepEqual(account.fields, [
+      { field: 'Nickname', before: 'Bills', after: 'Bills | joint' },
+      { field: 'Account[1]', before: { Name: 'Mrs A' }, after: undefined }
+    ]);
+    const debit = diff.changes.find(change => change.collection === 'directDebits');
+    assert.deepEqual([debit.key, debit.label, debit.fields[0].field], ['22289/GYM-1', 'Gym', 'PreviousPaymentAmount.Amount']);
+    assert.deepEqual(diff.changes.filter(change => change.type === 'removed').map(change => change.label), ['Gone', 'Also gone']);
+  });
+
+  test('ignored fields and everything below them do not count', () => {
+    const diff = diffSnapshots(before, after, { ignore: ['NextPaymentDateTime', 'Frequency', 'PreviousPaymentAmount'] });
+    assert.deepEqual(diff.summary.standingOrders, { added: 0, removed: 0, modified: 0 });
+    assert.deepEqual(diff.summary.directDebits, { added: 0, removed: 0, modified: 0 });
+  });
+
+  test('an unchanged snapshot has no changes, and the live side is called "now"', () => {
+    const diff = diffSnapshots(after, { ...after, id: undefined });
+    assert.deepEqual(diff.changes, []);
+    assert.equal(diff.to.id, 'now');
+  });
+});
+
+describe('toJsonPatch', () => {
+  test('turns the older snapshot into the newer one', () => {
+    const patch = toJsonPatch(before, after, diffSnapshots(before, after));
+    const patched = applyPatch(before, patch);
+    for (const collection of ['accounts', 'beneficiaries', 'directDebits', 'standingOrders']) {
+      assert.deepEqual(patched[collection], after[collection], collection);
+    }
+    assert.deepEqual(patch.filter(op => op.op === 'remove' && op.path.startsWith('/beneficiaries')).map(op => op.path), ['/beneficiaries/2', '/beneficiaries/1']);
+    assert.ok(patch.some(op => op.op === 'add' && op.path === '/standingOrders/0/Frequency'));
+  });
+
+  test('escapes "/" and "~" in field names', () => {
+    const a = snapshot('2024-06-01T00:00:00Z', { accounts: [{ AccountId: 'a', Meta: { 'x/y~z': 1 } }] });
+    const b = snapshot('2024-06-02T00:00:00Z', { accounts: [{ AccountId: 'a', Meta: { 'x/y~z': 2 } }] });
+    assert.deepEqual(toJsonPatch(a, b, diffSnapshots(a, b)), [{ op: 'replace', path: '/accounts/0/Meta/x~1y~0z', value: 2 }]);
+  });
+});
+
+describe('toMarkdown', () => {
+  test('one table per collection with changes, pipes escaped', () => {
+    const markdown = toMarkdown(diffSnapshots(before, after));
+    assert.match(markdown, /^## Standing data changes: 2024-06-01T08-00-00Z → 2024-07-01T08-00-00Z\n/);
+    assert.match(markdown, /### Beneficiaries \(1 added, 2 removed, 0 modified\)/);
+    assert.match(markdown, /\| modified \| 22289 \| Bills \\\| joint \(`22289`\) \| `Nickname` \| Bills \| Bills \\\| joint \|/);
+    assert.ok(markdown.includes('\n|  |  |  | `Account[1]` | {"Name":"Mrs A"} | (none) |\n'), 'later fields leave the first columns blank');
+    assert.match(markdown, /\| removed \| 22289 \| Also gone \(`22289\/b3`\) \| \| \| \|/);
+  });
+
+  test('says so when nothing changed', () => {
+    assert.match(toMarkdown(diffSnapshots(before, before)), /\nNo changes\.\n/);
+  });
+});
+
+describe('storage', () => {
+  test('saves under the profile, numbering snapshots taken in the same second', () => {
+    const first = saveSnapshot(snapshot('2024-06-30T18:00:05.123Z', { accounts: [{ AccountId: 'a' }] }));
+    const second = saveSnapshot(snapshot('2024-06-30T18:00:05.900Z'));
+    saveSnapshot(snapshot('2024-07-31T18:00:00.000Z'));
+
+    assert.equal(first.id, '2024-06-30T18-00-05Z');
+    assert.equal(second.id, '2024-06-30T18-00-05Z-2');
+    assert.equal(first.file, join(getSnapshotDir(), '2024-06-30T18-00-05Z.json'));
+    assert.deepEqual(fs.readdirSync(getSnapshotDir()).filter(name => name.endsWith('.tmp')), []);
+    assert.deepEqual(listSnapshots().map(entry => [entry.id, entry.accounts]), [
+      ['2024-06-30T18-00-05Z', 1],
+      ['2024-06-30T18-00-05Z-2', 0],
+      ['2024-07-31T18-00-00Z', 0]
+    ]);
+  });
+
+  test('loads by "latest", "previous", id, unique prefix or file', () => {
+    assert.equal(loadSnapshot('latest').id, '2024-07-31T18-00-00Z');
+    assert.equal(loadSnapshot('previous').id, '2024-06-30T18-00-05Z-2');
+    assert.equal(loadSnapshot('2024-06-30T18-00-05Z').accounts.length, 1);
+    assert.equal(loadSnapshot('2024-07').id, '2024-07-31T18-00-00Z');
+    assert.equal(loadSnapshot(join(getSnapshotDir(), '2024-07-31T18-00-00Z.json')).id, '2024-07-31T18-00-00Z');
+
+    assert.throws(() => loadSnapshot('2024-06-30T18-00-05'), /"2024-06-30T18-00-05" matches 2 snapshots/);
+    assert.throws(() => loadSnapshot('2023'), /No snapshot "2023"/);
+    const notSnapshot = join(getSnapshotDir(), '..', 'other.json');
+    fs.writeFileSync(notSnapshot, '{"accounts":[]}');
+    assert.throws(() => loadSnapshot(notSnapshot), /other\.json is not a snapshot/);
+  });
+
+  test('captures every collection from the bank', async () => {
+    const bank = await startServer((req, url) => {
+      const collection = url.pathname.split('/').pop();
+      const data = {
+        accounts: { Account: [{ AccountId: '22289' }] },
+        beneficiaries: { Beneficiary: [{ AccountId: '22289', BeneficiaryId: 'b1' }] },
+        'direct-debits': { DirectDebit: [] },
+        'standing-orders': { StandingOrder: [{ AccountId: '22289', StandingOrderId: 'so1' }] }
+      };
+      return { body: { Data: data[collection], Links: {} } };
+    });
+    try {
+      setConfig('baseUrl', bank.baseUrl);
+      setConfig('accessToken', 'test-token');
+      setConfig('rateLimit', 0);
+      setConfig('maxRetries', 0);
+      mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-08-01T09:00:00Z') });
+      const captured = await captureSnapshot();
+      mock.timers.reset();
+
+      assert.equal(captured.takenAt, '2024-08-01T09:00:00.000Z');
+      assert.equal(captured.profile, 'default');
+      assert.deepEqual([captured.accounts.length, captured.beneficiaries.length, captured.directDebits.length, captured.standingOrders.length], [1, 1, 0, 1]);
+      assert.equal(listSnapshots().length, 3, 'capturing writes nothing');
+    } finally {
+      mock.timers.reset();
+      await bank.close();
+    }
+  });
+});
@@ -0,0 +1,260 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import config, { getActiveProfile } from './config.js';
+import {
+  listAccounts,
+  getAccountBalances,
+  getAccountTransactions,
+  getAccountBeneficiaries,
+  getAccountDirectDebits,
+  getAccountStandingOrders
+} from './api.js';
+
+// Transactions can post days after they happen, so each sync re-reads this window
+export const DEFAULT_OVERLAP_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================
+// Storage
+// ============================================================
+
+/**
+ * Directory holding the active profile's synced data
+ */
+export function getStorePath() {
+  return join(dirname(config.path), 'store', getActiveProfile());
+}
+
+function collectionFile(name) {
+  return join(getStorePath(), `${name}.jsonl`);
+}
+
+function readCollection(name) {
+  const file = collectionFile(name);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+function writeCollection(name, records) {
+  fs.mkdirSync(getStorePath(), { recursive: true });
+  const file = collectionFile(name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : ''));
+  fs.renameSync(tmp, file);
+}
+
+export function readSyncState() {
+  const file = join(getStorePath(), 'sync-state.json');
+  if (!fs.existsSync(file)) return { accounts: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeSyncState(state) {
+  fs.mkdirSync(getStorePath(), { recursive: true });
+  fs.writeFileSync(join(getStorePath(), 'sync-state.json'), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Stable key for a transaction; TransactionId is optional in the spec
+ */
+export function transactionKey(transaction, accountId = transaction.AccountId) {
+  const id = transaction.TransactionId ||
+    [transaction.TransactionReference, transaction.BookingDateTime, transaction.Amount?.Amount, transaction.CreditDebitIndicator].join('|');
+  return `${accountId}:${id}`;
+}
+
+/**
+ * Replace the records belonging to the given accounts, keeping everyone else's
+ */
+function replaceForAccounts(name, accountIds, records) {
+  const kept = readCollection(name).filter(record => !accountIds.includes(record.AccountId));
+  writeCollection(name, [...kept, ...records]);
+}
+
+// ============================================================
+// Sync
+// ============================================================
+
+function withAccountId(records, accountId) {
+  return records.map(record => ({ ...record, AccountId: record.AccountId || accountId }));
+}
+
+/**
+ * Merge freshly fetched transactions into the store.
+ * Stored pending items booked on or after `fromDate` (all of them when the fetch had no
+ * start date) are dropped first: the fetch covers that window and returns whatever is
+ * still pending there, while banks may re-issue pending items under a new TransactionId
+ * once booked, or cancel them. Older pending items are outside the fetch and are kept.
+ */
+function mergeTransactions(accountId, fetched, fromDate) {
+  const byKey = new Map();
+  const dropped = new Set();
+  const refetched = transaction => !fromDate || new Date(transaction.BookingDateTime) >= new Date(fromDate);
+
+  readCollection('transactions').forEach(transaction => {
+    const key = transactionKey(transaction);
+    if (transaction.AccountId === accountId && transaction.Status === 'Pending' && refetched(transaction)) {
+      dropped.add(key);
+      return;
+    }
+    byKey.set(key, transaction);
+  });
+
+  let added = 0;
+  fetched.forEach(transaction => {
+    const key = transactionKey(transaction);
+    if (!byKey.has(key) && !dropped.has(key)) added++;
+    byKey.set(key, transaction);
+  });
+
+  writeCollection('transactions', [...byKey.values()]);
+  return added;
+}
+
+function latestBookingDateTime(transactions, previous) {
+  return transactions.reduce((latest, transaction) => {
+    const booked = transaction.BookingDateTime;
+    return booked && (!latest || new Date(booked) > new Date(latest)) ? booked : latest;
+  }, previous || null);
+}
+
+/**
+ * Pull accounts and their resources into the local store.
+ * Transactions are fetched from the last synced BookingDateTime minus the overlap window.
+ */
+export async function syncStore({ accountIds, overlapDays = DEFAULT_OVERLAP_DAYS, full = false, onProgress = () => {} } = {}) {
+  const state = readSyncState();
+  const allAccounts = await listAccounts();
+  const accounts = accountIds?.length
+    ? allAccounts.filter(account => accountIds.includes(account.AccountId))
+    : allAccounts;
+
+  const syncedIds = accounts.map(account => account.AccountId);
+  const kept = readCollection('accounts').filter(account => !syncedIds.includes(account.AccountId));
+  writeCollection('accounts', [...kept, ...accounts]);
+
+  const summary = [];
+
+  for (const account of accounts) {
+    const accountId = account.AccountId;
+    const accountState = state.accounts[accountId] || {};
+    onProgress(`Syncing ${account.Nickname || accountId}...`);
+
+    const balances = withAccountId(await getAccountBalances(accountId), accountId);
+    const standingOrders = withAccountId(await getAccountStandingOrders(accountId), accountId);
+    const directDebits = withAccountId(await getAccountDirectDebits(accountId), accountId);
+    const beneficiaries = withAccountId(await getAccountBeneficiaries(accountId), accountId);
+    replaceForAccounts('balances', [accountId], balances);
+    replaceForAccounts('standing-orders', [accountId], standingOrders);
+    replaceForAccounts('direct-debits', [accountId], directDebits);
+    replaceForAccounts('beneficiaries', [accountId], beneficiaries);
+
+    let fromDate;
+    if (!full && accountState.lastBookingDateTime) {
+      fromDate = new Date(new Date(accountState.lastBookingDateTime).getTime() - overlapDays * DAY).toISOString();
+    }
+
+    const transactions = withAccountId(await getAccountTransactions(accountId, { fromDate }), accountId);
+    const added = mergeTransactions(accountId, transactions, fromDate);
+
+    state.accounts[accountId] = {
+      lastBookingDateTime: latestBookingDateTime(transactions, accountState.lastBookingDateTime),
+      lastSyncedAt: new Date().toISOString()
+    };
+    writeSyncState(state);
+
+    summary.push({
+      AccountId: accountId,
+      Nickname: account.Nickname,
+      From: fromDate || null,
+      Fetched: transactions.length,
+      New: added,
+      Balances: balances.length,
+      StandingOrders: standingOrders.length,
+      DirectDebits: directDebits.length,
+      Beneficiaries: beneficiaries.length
+    });
+  }
+
+  return summary;
+}
+
+// ============================================================
+// Offline queries
+// ============================================================
+
+function requireStore() {
+  if (!fs.existsSync(collectionFile('accounts'))) {
+    throw new Error(`No offline data for profile "${getActiveProfile()}". Run: openbankingorgukacco sync`);
+  }
+}
+
+function limitResults(records, { page, limit } = {}) {
+  // Offline pages are a convenience for parity with the live commands: 100 records each
+  const start = page ? (page - 1) * 100 : 0;
+  const sliced = records.slice(start);
+  return limit ? sliced.slice(0, limit) : sliced;
+}
+
+function byAccount(records, accountId) {
+  return accountId ? records.filter(record => record.AccountId === accountId) : records;
+}
+
+export function queryAccounts(options = {}) {
+  requireStore();
+  return limitResults(readCollection('accounts'), options);
+}
+
+export function queryAccount(accountId) {
+  requireStore();
+  const account = readCollection('accounts').find(account => account.AccountId === accountId);
+  if (!account) throw new Error(`Account ${accountId} not found in local store.`);
+  return account;
+}
+
+export function queryBalances(accountId, options = {}) {
+  requireStore();
+  return limitResults(byAccount(readCollection('balances'), accountId), options);
+}
+
+export function queryTransactions(accountId, { fromDate, toDate, ...options } = {}) {
+  requireStore();
+  const from = fromDate ? new Date(fromDate).getTime() : -Infinity;
+  const to = toDate ? new Date(toDate).getTime() : Infinity;
+
+  const transactions = byAccount(readCollection('transactions'), accountId)
+    .filter(transaction => {
+      const booked = new Date(transaction.BookingDateTime).getTime();
+      return booked >= from && booked <= to;
+    })
+    .sort((a, b) => new Date(b.BookingDateTime) - new Date(a.BookingDateTime));
+
+  return limitResults(transactions, options);
+}
+
+export function queryTransaction(accountId, transactionId) {
+  requireStore();
+  const transaction = readCollection('transactions')
+    .find(transaction => transaction.AccountId === accountId && transaction.TransactionId === transactionId);
+  if (!transaction) throw new Error(`Transaction ${transactionId} not found in local store.`);
+  return transaction;
+}
+
+export function queryBeneficiaries(accountId, options = {}) {
+  requireStore();
+  return limitResults(byAccount(readCollection('beneficiaries'), accountId), options);
+}
+
+export function queryDirectDebits(accountId, options = {}) {
+  requireStore();
+  return limitResults(byAccount(readCollection('direct-debits'), accountId), options);
+}
+
+export function queryStandingOrders(accountId, options = {}) {
+  requireStore();
+  return limitResults(byAccount(readCollection('standing-orders'), accountId), options);
+}
@@ -0,0 +1,83 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempConfig, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig } = await import('./config.js');
+const { syncStore, queryTransactions, transactionKey } = await import('./store.js');
+
+function transaction(id, status, date, amount = '10.00') {
+  return {
+    TransactionId: id,
+    Status: status,
+    BookingDateTime: `${date}T10:00:00+00:00`,
+    Amount: { Amount: amount, Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit'
+  };
+}
+
+describe('transactionKey', () => {
+  test('prefixes the account and falls back to reference, date and amount', () => {
+    assert.equal(transactionKey({ AccountId: 'A', TransactionId: 't1' }), 'A:t1');
+    assert.equal(transactionKey({ TransactionId: 't1' }, 'B'), 'B:t1');
+    const keyless = { AccountId: 'A', TransactionReference: 'REF', BookingDateTime: '2024-06-01', Amount: { Amount: '5.00' }, CreditDebitIndicator: 'Credit' };
+    assert.equal(transactionKey(keyless), 'A:REF|2024-06-01|5.00|Credit');
+  });
+});
+
+describe('syncStore', () => {
+  let server;
+  // Transactions the bank currently returns, by account
+  const feed = {};
+
+  before(async () => {
+    server = await startServer((req, url) => {
+      const match = /\/accounts(?:\/([^/]+)\/(\w+))?$/.exec(url.pathname);
+      if (!match?.[1]) return { body: { Data: { Account: [{ AccountId: 'A' }, { AccountId: 'B' }] }, Links: {} } };
+      if (match[2] === 'transactions') return { body: { Data: { Transaction: feed[match[1]] }, Links: {} } };
+      return { body: { Data: {}, Links: {} } };
+    });
+    setConfig('baseUrl', server.baseUrl);
+    setConfig('accessToken', 'test-token');
+    setConfig('rateLimit', 0);
+    setConfig('maxRetries', 0);
+  });
+
+  after(() => server.close());
+
+  test('drops stored pending rows inside the re-read window once the bank stops returning them', async () => {
+    feed.A = [transaction('p-recent', 'Pending', '2024-05-30'), transaction('t1', 'Booked', '2024-06-01')];
+    feed.B = [transaction('b-pending', 'Pending', '2024-05-01')];
+    await syncStore();
+    assert.equal(queryTransactions('A').length, 2);
+
+    // Booked under a new id; the next sync re-reads from 2024-05-25
+    feed.A = [transaction('t1', 'Booked', '2024-06-01'), transaction('t2', 'Booked', '2024-06-02')];
+    const [summary] = await syncStore({ accountIds: ['A'] });
+    assert.equal(summary.New, 1);
+    assert.deepEqual(queryTransactions('A').map(t => t.TransactionId), ['t2', 't1']);
+    assert.deepEqual(queryTransactions('B').map(t => t.TransactionId), ['b-pending'], 'other accounts are left alone');
+  });
+
+  test('keeps pending rows older than the re-read window, which the fetch does not cover', async () => {
+    feed.B = [transaction('b-pending', 'Pending', '2024-05-01'), transaction('b1', 'Booked', '2024-06-10')];
+    await syncStore({ accountIds: ['B'] });
+
+    // Still pending, but before 2024-06-03 and so not returned by a fetch from there
+    feed.B = [transaction('b1', 'Booked', '2024-06-10')];
+    const [summary] = await syncStore({ accountIds: ['B'] });
+    assert.equal(summary.From, '2024-06-03T10:00:00.000Z');
+    assert.deepEqual(queryTransactions('B').map(t => t.TransactionId), ['b1', 'b-pending']);
+
+    feed.B = [transaction('b1', 'Booked', '2024-06-10')];
+    await syncStore({ accountIds: ['B'], full: true });
+    assert.deepEqual(queryTransactions('B').map(t => t.TransactionId), ['b1'], 'a full sync re-reads everything');
+  });
+
+  test('an item still pending is kept and not counted as new', async () => {
+    feed.A = [transaction('t2', 'Booked', '2024-06-02'), transaction('p3', 'Pending', '2024-06-03')];
+    assert.equal((await syncStore({ accountIds: ['A'] }))[0].New, 1);
+    assert.equal((await syncStore({ accountIds: ['A'] }))[0].New, 0);
+    assert.deepEqual(queryTransactions('A').map(t => t.TransactionId), ['p3', 't2', 't1']);
+  });
+});
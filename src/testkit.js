@@ -0,0 +1,58 @@
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+
+// Shared by the *.test.js files; not part of the package
+
+/**
+ * Local HTTP server answering each request with what `handler(req, url)` returns:
+ * { status, body, headers }. Every request is kept in `requests`.
+ */
+export async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, url: req.url, path: url.pathname, headers: req.headers });
+    const { status = 200, body = {}, headers = {} } = handler(req, url, requests.length) || {};
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const root = `http://127.0.0.1:${server.address().port}`;
+  return {
+    root,
+    baseUrl: `${root}/open-banking`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Fresh directory under the system temp dir
+ */
+export function tempDir(prefix = 'obaccount-test-') {
+  return fs.mkdtempSync(join(os.tmpdir(), prefix));
+}
+
+/**
+ * Point the configuration at a fresh temp directory. Call before anything imports
+ * config.js, i.e. import the modules under test dynamically afterwards.
+ */
+export function useTempConfig() {
+  const dir = tempDir('obaccount-config-');
+  process.env.OBACCOUNT_CONFIG_DIR = dir;
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * A port nothing is listening on right now
+ */
+export async function freePort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
@@ -0,0 +1,40 @@
+import fs from 'fs';
+import https from 'https';
+import { getConfig } from './config.js';
+
+let cachedAgent;
+let cachedKey = null;
+
+function readFile(path, label) {
+  try {
+    return fs.readFileSync(path);
+  } catch (error) {
+    throw new Error(`Could not read ${label} at ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Build the mutual TLS agent from the configured transport certificate.
+ * Returns undefined when no certificate material is configured.
+ */
+export function getHttpsAgent() {
+  const certPath = getConfig('certPath');
+  const keyPath = getConfig('keyPath');
+  const caPath = getConfig('caPath');
+  const passphrase = getConfig('certPassphrase');
+
+  if (!certPath && !keyPath && !caPath) return undefined;
+
+  const key = JSON.stringify([certPath, keyPath, caPath, passphrase]);
+  if (key === cachedKey) return cachedAgent;
+
+  const options = { keepAlive: true };
+  if (certPath) options.cert = readFile(certPath, 'client certificate');
+  if (keyPath) options.key = readFile(keyPath, 'client key');
+  if (caPath) options.ca = readFile(caPath, 'CA bundle');
+  if (passphrase) options.passphrase = passphrase;
+
+  cachedAgent = new https.Agent(options);
+  cachedKey = key;
+  return cachedAgent;
+}
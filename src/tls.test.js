@@ -0,0 +1,67 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { join } from 'path';
+import { useTempConfig, tempDir, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig } = await import('./config.js');
+const { getHttpsAgent } = await import('./tls.js');
+const { listAccounts } = await import('./api.js');
+
+describe('transport certificate', () => {
+  test('no agent without certificate settings', () => {
+    assert.equal(getHttpsAgent(), undefined);
+  });
+
+  test('agent carries the configured PEM files and is reused until they change', () => {
+    const dir = tempDir();
+    fs.writeFileSync(join(dir, 'cert.pem'), 'CERT');
+    fs.writeFileSync(join(dir, 'key.pem'), 'KEY');
+    setConfig('certPath', join(dir, 'cert.pem'));
+    setConfig('keyPath', join(dir, 'key.pem'));
+    setConfig('certPassphrase', 'pem-pass');
+
+    const agent = getHttpsAgent();
+    assert.equal(agent.options.cert.toString(), 'CERT');
+    assert.equal(agent.options.key.toString(), 'KEY');
+    assert.equal(agent.options.passphrase, 'pem-pass');
+    assert.equal(getHttpsAgent(), agent);
+
+    fs.writeFileSync(join(dir, 'ca.pem'), 'CA');
+    setConfig('caPath', join(dir, 'ca.pem'));
+    assert.notEqual(getHttpsAgent(), agent);
+  });
+
+  test('a missing file names the setting and path', () => {
+    setConfig('certPath', '/nonexistent/cert.pem');
+    assert.throws(() => getHttpsAgent(), /Could not read client certificate at \/nonexistent\/cert\.pem/);
+    ['certPath', 'keyPath', 'caPath', 'certPassphrase'].forEach(key => setConfig(key, ''));
+  });
+});
+
+describe('FAPI headers', () => {
+  test('every request carries the configured FAPI headers and a fresh interaction id', async () => {
+    const server = await startServer(() => ({ body: { Data: { Account: [] }, Links: {} } }));
+    try {
+      setConfig('baseUrl', server.baseUrl);
+      setConfig('accessToken', 'token-1');
+      setConfig('rateLimit', 0);
+      setConfig('financialId', '0015800001041REAAY');
+      setConfig('customerIpAddress', '203.0.113.7');
+      setConfig('authDate', 'Sun, 10 Sep 2017 19:43:31 GMT');
+
+      await listAccounts();
+      await listAccounts();
+      const [first, second] = server.requests.map(request => request.headers);
+      assert.equal(first['x-fapi-financial-id'], '0015800001041REAAY');
+      assert.equal(first['x-fapi-customer-ip-address'], '203.0.113.7');
+      assert.equal(first['x-fapi-auth-date'], 'Sun, 10 Sep 2017 19:43:31 GMT');
+      assert.equal(first.authorization, 'Bearer token-1');
+      assert.match(first['x-fapi-interaction-id'], /^[0-9a-f-]{36}$/);
+      assert.notEqual(first['x-fapi-interaction-id'], second['x-fapi-interaction-id']);
+    } finally {
+      await server.close();
+    }
+  });
+});
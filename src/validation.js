@@ -0,0 +1,116 @@
+import fs from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+// Checks AISP response bodies against the bundled OB Account and Transaction v3.1 schemas
+
+const SCHEMA_FILE = new URL('./schemas/account-info-v3.1.json', import.meta.url);
+
+// Endpoint paths (below /aisp) and the schema their response bodies follow; first match wins
+const RESPONSE_SCHEMAS = [
+  [/^\/account-access-consents(\/[^/]+)?$/, 'OBReadConsentResponse1'],
+  [/^\/accounts(\/[^/]+)?$/, 'OBReadAccount6'],
+  [/^(\/accounts\/[^/]+)?\/balances$/, 'OBReadBalance1'],
+  [/^(\/accounts\/[^/]+)?\/transactions(\/[^/]+)?$/, 'OBReadTransaction6'],
+  [/^\/accounts\/[^/]+\/statements\/[^/]+\/transactions$/, 'OBReadTransaction6'],
+  [/^(\/accounts\/[^/]+)?\/beneficiaries$/, 'OBReadBeneficiary5'],
+  [/^(\/accounts\/[^/]+)?\/direct-debits$/, 'OBReadDirectDebit2'],
+  [/^(\/accounts\/[^/]+)?\/standing-orders$/, 'OBReadStandingOrder6'],
+  [/^(\/accounts\/[^/]+)?\/statements(\/[^/]+)?$/, 'OBReadStatement2'],
+  [/^\/accounts\/[^/]+\/product$/, 'OBReadProduct2'],
+  [/^\/products$/, 'OBReadProduct2'],
+  [/^(\/accounts\/[^/]+)?\/offers$/, 'OBReadOffer1'],
+  [/^(\/accounts\/[^/]+)?\/party$/, 'OBReadParty2'],
+  [/^\/accounts\/[^/]+\/parties$/, 'OBReadParty3'],
+  [/^(\/accounts\/[^/]+)?\/scheduled-payments$/, 'OBReadScheduledPayment3']
+];
+
+let ajv = null;
+let schemaId = null;
+
+/**
+ * Compiled lazily: most commands never validate
+ */
+function getValidator(schemaName) {
+  if (!ajv) {
+    const document = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+    ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    ajv.addSchema(document);
+    schemaId = document.$id;
+  }
+  return ajv.getSchema(`${schemaId}#/definitions/${schemaName}`);
+}
+
+/**
+ * Schema name for a request URL or endpoint path, or null for endpoints that do not
+ * return JSON (statement files)
+ */
+export function schemaForEndpoint(endpoint) {
+  const pathname = endpoint.startsWith('http') ? new URL(endpoint).pathname : endpoint.split('?')[0];
+  const path = pathname.replace(/^.*\/aisp(?=\/)/, '').replace(/\/$/, '');
+  const match = RESPONSE_SCHEMAS.find(([pattern]) => pattern.test(path));
+  return match ? match[1] : null;
+}
+
+function pointerSegments(pointer) {
+  return pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * "/Data/Transaction/3/Amount" -> "Data.Transaction[3].Amount"
+ */
+function fieldPath(pointer, property) {
+  const segments = pointerSegments(pointer);
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+  }, '') || '(root)';
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'object';
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function violation(error, body) {
+  const value = pointerSegments(error.instancePath).reduce((node, key) => node?.[key], body);
+
+  switch (error.keyword) {
+    case 'required':
+      return { path: fieldPath(error.instancePath, error.params.missingProperty), message: 'is required but missing' };
+    case 'type':
+      return { path: fieldPath(error.instancePath), message: `must be ${error.params.type}, got ${describeValue(value)}` };
+    case 'enum':
+      return { path: fieldPath(error.instancePath), message: `must be one of ${error.params.allowedValues.join(', ')}, got ${describeValue(value)}` };
+    case 'format':
+      return { path: fieldPath(error.instancePath), message: `must be a ${error.params.format}, got ${describeValue(value)}` };
+    case 'pattern':
+      return { path: fieldPath(error.instancePath), message: `must match ${error.params.pattern}, got ${describeValue(value)}` };
+    default:
+      return { path: fieldPath(error.instancePath), message: error.message };
+  }
+}
+
+/**
+ * Validate a response body against a named schema.
+ * Returns the violations as `{ path, message }`, with paths like "Data.Transaction[3].Amount.Amount".
+ */
+export function validateBody(schemaName, body) {
+  const validator = getValidator(schemaName);
+  if (!validator) throw new Error(`Unknown schema: ${schemaName}`);
+  if (validator(body)) return [];
+  return validator.errors.map(error => violation(error, body));
+}
+
+/**
+ * Validate the body returned by an endpoint. Returns null when the endpoint has no schema.
+ */
+export function validateResponse(endpoint, body) {
+  const schema = schemaForEndpoint(endpoint);
+  if (!schema) return null;
+  return { schema, violations: validateBody(schema, body) };
+}
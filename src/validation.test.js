@@ -0,0 +1,116 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { schemaForEndpoint, validateBody, validateResponse } from './validation.js';
+import { OpenBankingClient, ResponseValidationError } from './client.js';
+import { startMockServer } from './mock-server.js';
+import { startServer } from './testkit.js';
+
+const transactionBody = {
+  Data: {
+    Transaction: [{
+      AccountId: '22289',
+      TransactionId: 't1',
+      CreditDebitIndicator: 'Debit',
+      Status: 'Booked',
+      BookingDateTime: '2024-06-01T10:00:00+00:00',
+      Amount: { Amount: '10.00', Currency: 'GBP' }
+    }]
+  },
+  Links: { Self: 'https://bank.example/open-banking/v3.1/aisp/accounts/22289/transactions' },
+  Meta: { TotalPages: 1 }
+};
+
+describe('schemaForEndpoint', () => {
+  test('maps endpoint paths and full URLs to response schemas', () => {
+    assert.equal(schemaForEndpoint('/accounts'), 'OBReadAccount6');
+    assert.equal(schemaForEndpoint('/accounts/22289'), 'OBReadAccount6');
+    assert.equal(schemaForEndpoint('https://bank.example/open-banking/v3.1/aisp/accounts/a%2Fb/transactions?page=2'), 'OBReadTransaction6');
+    assert.equal(schemaForEndpoint('/accounts/22289/statements/s1/transactions'), 'OBReadTransaction6');
+    assert.equal(schemaForEndpoint('/accounts/22289/statements/s1'), 'OBReadStatement2');
+    assert.equal(schemaForEndpoint('/accounts/22289/parties'), 'OBReadParty3');
+    assert.equal(schemaForEndpoint('/party'), 'OBReadParty2');
+    assert.equal(schemaForEndpoint('/account-access-consents/c1/'), 'OBReadConsentResponse1');
+  });
+
+  test('has no schema for statement files or unknown paths', () => {
+    assert.equal(schemaForEndpoint('/accounts/22289/statements/s1/file'), null);
+    assert.equal(schemaForEndpoint('/unknown'), null);
+    assert.equal(validateResponse('/unknown', {}), null);
+  });
+});
+
+describe('validateBody', () => {
+  test('accepts a conformant body', () => {
+    assert.deepEqual(validateBody('OBReadTransaction6', transactionBody), []);
+  });
+
+  test('reports violations with readable paths and the offending value', () => {
+    const body = structuredClone(transactionBody);
+    const [transaction] = body.Data.Transaction;
+    delete transaction.Status;
+    transaction.CreditDebitIndicator = 'Out';
+    transaction.Amount.Amount = 10;
+    transaction.BookingDateTime = 'yesterday';
+
+    const violations = validateBody('OBReadTransaction6', body);
+    const byPath = Object.fromEntries(violations.map(({ path, message }) => [path, message]));
+    assert.equal(byPath['Data.Transaction[0].Status'], 'is required but missing');
+    assert.equal(byPath['Data.Transaction[0].CreditDebitIndicator'], 'must be one of Credit, Debit, got string "Out"');
+    assert.equal(byPath['Data.Transaction[0].Amount.Amount'], 'must be string, got number 10');
+    assert.equal(byPath['Data.Transaction[0].BookingDateTime'], 'must be a date-time, got string "yesterday"');
+  });
+
+  test('refuses unknown schema names', () => {
+    assert.throws(() => validateBody('OBReadNothing1', {}), /Unknown schema: OBReadNothing1/);
+  });
+});
+
+describe('client validation', () => {
+  let mock;
+  let broken;
+
+  before(async () => {
+    mock = await startMockServer({ port: 0 });
+    broken = await startServer(() => ({ body: { Data: { Account: [{ AccountId: 5 }] }, Links: {}, Meta: {} } }));
+  });
+
+  after(async () => {
+    await mock.close();
+    await broken.close();
+  });
+
+  function client(baseUrl, validate, warnings = []) {
+    return new OpenBankingClient({
+      baseUrl,
+      accessToken: 'mock-access-token',
+      validate,
+      retry: { maxRetries: 0 },
+      logger: { debug: () => {}, warn: message => warnings.push(message) }
+    });
+  }
+
+  test('the mock ASPSP conforms to the schemas', async () => {
+    const strict = client(mock.baseUrl, 'strict');
+    await strict.listAccounts();
+    await strict.getAccountTransactions('22289');
+    await strict.getAccountBalances('22289');
+    await strict.listStatements('22289');
+    await strict.getStatementTransactions('22289', 'STMT-CUR-2024-01');
+    await strict.getAccountParties('22289');
+    await strict.listScheduledPayments();
+  });
+
+  test('warn mode logs violations and returns the data; strict mode throws', async () => {
+    const warnings = [];
+    assert.deepEqual(await client(broken.baseUrl, true, warnings).listAccounts(), [{ AccountId: 5 }]);
+    assert.match(warnings[0], /OBReadAccount6/);
+    assert.match(warnings[0], /Data\.Account\[0\]\.AccountId must be string, got number 5/);
+
+    await assert.rejects(client(broken.baseUrl, 'strict').listAccounts(), (error) => {
+      assert.ok(error instanceof ResponseValidationError);
+      assert.equal(error.schema, 'OBReadAccount6');
+      assert.ok(error.violations.some(({ path }) => path === 'Data.Account[0].AccountId'));
+      return true;
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import { dirname, join } from 'path';
+import axios from 'axios';
+import config, { getActiveProfile } from './config.js';
+import {
+  listAccounts,
+  getAccountBalances,
+  getAccountTransactions,
+  getAccountBeneficiaries,
+  getAccountDirectDebits
+} from './api.js';
+import { toUnits } from './money.js';
+import { transactionKey } from './store.js';
+
+export const WATCH_EVENTS = ['new-transaction', 'pending-booked', 'balance-low', 'new-beneficiary', 'new-direct-debit'];
+
+// Transactions booked this many days back are re-read on every poll to catch late postings
+export const DEFAULT_WATCH_WINDOW_DAYS = 7;
+
+export const DEFAULT_WATCH_INTERVAL = 300;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ============================================================
+// State
+// ============================================================
+
+/**
+ * File remembering what the active profile's watch has already seen
+ */
+export function getWatchStatePath() {
+  return join(dirname(config.path), 'watch', `${getActiveProfile()}.json`);
+}
+
+export function readWatchState() {
+  const file = getWatchStatePath();
+  if (!fs.existsSync(file)) return { accounts: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+export function writeWatchState(state) {
+  const file = getWatchStatePath();
+  fs.mkdirSync(dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+export function resetWatchState() {
+  fs.rmSync(getWatchStatePath(), { force: true });
+}
+
+// ============================================================
+// Detection
+// ============================================================
+
+/**
+ * What a booked transaction has in common with the pending entry it replaces,
+ * for banks that issue a new TransactionId on booking
+ */
+function pendingMatch(transaction) {
+  return [transaction.Amount?.Amount, transaction.Amount?.Currency, transaction.CreditDebitIndicator, transaction.TransactionInformation].join('|');
+}
+
+/**
+ * Balance compared with the threshold: available funds when reported, else the ledger balance
+ */
+export function watchedBalance(balances) {
+  return balances.find(balance => balance.Type === 'InterimAvailable') ||
+    balances.find(balance => balance.Type === 'ClosingAvailable') ||
+    balances.find(balance => balance.Type === 'InterimBooked') ||
+    balances.find(balance => balance.Type === 'ClosingBooked') ||
+    balances[0] ||
+    null;
+}
+
+function event(type, accountId, data) {
+  return { type, time: new Date().toISOString(), profile: getActiveProfile(), accountId, ...data };
+}
+
+/**
+ * Compare one account's fresh snapshot with what was seen before.
+ * Returns the events and the account's new state. For an account seen for the first
+ * time, transactions, beneficiaries and direct debits only record a baseline, so starting
+ * a watch does not replay history; a balance already below its threshold is still reported.
+ */
+export function diffAccount(accountId, previous, snapshot, { threshold = null, windowStart } = {}) {
+  const events = [];
+  const seen = { ...previous?.transactions };
+
+  if (previous) {
+    const fetchedKeys = new Set(snapshot.transactions.map(transaction => transactionKey(transaction, accountId)));
+    // Pending entries that vanished this poll, by what their booked replacement would look like
+    const vanished = Object.entries(seen)
+      .filter(([key, entry]) => entry.status === 'Pending' && !fetchedKeys.has(key))
+      .map(([key, entry]) => ({ key, match: entry.match }));
+
+    snapshot.transactions.forEach(transaction => {
+      const key = transactionKey(transaction, accountId);
+      const before = seen[key];
+      const booked = transaction.Status !== 'Pending';
+      if (!booked || before?.status === 'Booked') return;
+
+      if (before?.status === 'Pending') {
+        events.push(event('pending-booked', accountId, { transaction }));
+        return;
+      }
+      const replaced = vanished.findIndex(entry => entry.match === pendingMatch(transaction));
+      if (replaced >= 0) {
+        delete seen[vanished[replaced].key];
+        vanished.splice(replaced, 1);
+        events.push(event('pending-booked', accountId, { transaction }));
+      } else {
+        events.push(event('new-transaction', accountId, { transaction }));
+      }
+    });
+
+    vanished.forEach(entry => delete seen[entry.key]);
+  }
+
+  snapshot.transactions.forEach(transaction => {
+    seen[transactionKey(transaction, accountId)] = {
+      status: transaction.Status === 'Pending' ? 'Pending' : 'Booked',
+      booked: transaction.BookingDateTime,
+      match: pendingMatch(transaction)
+    };
+  });
+
+  // Transactions booked before the fetch window (a YYYY-MM-DD date) will not be fetched again
+  if (windowStart) {
+    Object.entries(seen).forEach(([key, entry]) => {
+      if (entry.booked && entry.booked.substring(0, 10) < windowStart) delete seen[key];
+    });
+  }
+
+  const beneficiaries = snapshot.beneficiaries.map(beneficiary => beneficiary.BeneficiaryId).filter(Boolean);
+  const directDebits = snapshot.directDebits.map(directDebit => directDebit.DirectDebitId).filter(Boolean);
+  if (previous) {
+    snapshot.beneficiaries
+      .filter(beneficiary => beneficiary.BeneficiaryId && !previous.beneficiaries?.includes(beneficiary.BeneficiaryId))
+      .forEach(beneficiary => events.push(event('new-beneficiary', accountId, { beneficiary })));
+    snapshot.directDebits
+      .filter(directDebit => directDebit.DirectDebitId && !previous.directDebits?.includes(directDebit.DirectDebitId))
+      .forEach(directDebit => events.push(event('new-direct-debit', accountId, { directDebit })));
+  }
+
+  // Alert once on crossing below the threshold; re-arm when the balance recovers
+  const balance = watchedBalance(snapshot.balances);
+  let balanceLow = false;
+  if (balance && threshold !== null) {
+    balanceLow = toUnits(balance.Amount.Amount, balance.CreditDebitIndicator) < toUnits(threshold);
+    if (balanceLow && !previous?.balanceLow) {
+      events.push(event('balance-low', accountId, { balance, threshold }));
+    }
+  }
+
+  return { events, state: { transactions: seen, beneficiaries, directDebits, balanceLow } };
+}
+
+// ============================================================
+// Polling
+// ============================================================
+
+async function fetchSnapshot(accountId, fromDate) {
+  const [balances, transactions, beneficiaries, directDebits] = await Promise.all([
+    getAccountBalances(accountId),
+    getAccountTransactions(accountId, { fromDate }),
+    getAccountBeneficiaries(accountId),
+    getAccountDirectDebits(accountId)
+  ]);
+  return { balances, transactions, beneficiaries, directDebits };
+}
+
+/**
+ * Fetch every watched account once, diff against the saved state and persist it.
+ * `thresholds` maps account ids to amounts; "*" applies to the rest.
+ */
+export async function pollOnce({ accountIds, thresholds = {}, windowDays = DEFAULT_WATCH_WINDOW_DAYS } = {}) {
+  const state = readWatchState();
+  const ids = accountIds?.length ? accountIds : (await listAccounts()).map(account => account.AccountId);
+  const windowStart = new Date(Date.now() - windowDays * DAY).toISOString().substring(0, 10);
+
+  const events = [];
+  const baselined = [];
+  for (const accountId of ids) {
+    const snapshot = await fetchSnapshot(accountId, windowStart);
+    const previous = state.accounts[accountId];
+    const threshold = thresholds[accountId] ?? thresholds['*'] ?? null;
+    const result = diffAccount(accountId, previous, snapshot, { threshold, windowStart });
+
+    if (!previous) baselined.push(accountId);
+    events.push(...result.events);
+    state.accounts[accountId] = result.state;
+  }
+
+  state.lastPoll = new Date().toISOString();
+  writeWatchState(state);
+  return { events, baselined };
+}
+
+/**
+ * POST one event as JSON; the receiver is expected to answer 2xx
+ */
+export async function postWebhook(url, payload) {
+  await axios.post(url, payload, { timeout: 10000, headers: { 'Content-Type': 'application/json' } });
+}
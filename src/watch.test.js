@@ -0,0 +1,138 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { useTempConfig, startServer } from './testkit.js';
+
+useTempConfig();
+const { setConfig } = await import('./config.js');
+const { diffAccount, watchedBalance, pollOnce, postWebhook, readWatchState, getWatchStatePath } = await import('./watch.js');
+
+function transaction(id, status, amount = '10.00', date = '2024-06-03') {
+  return {
+    AccountId: 'A',
+    TransactionId: id,
+    Status: status,
+    BookingDateTime: `${date}T10:00:00+00:00`,
+    Amount: { Amount: amount, Currency: 'GBP' },
+    CreditDebitIndicator: 'Debit',
+    TransactionInformation: 'Coffee shop'
+  };
+}
+
+function balance(amount, type = 'InterimAvailable') {
+  return { Type: type, Amount: { Amount: amount, Currency: 'GBP' }, CreditDebitIndicator: 'Credit' };
+}
+
+function snapshot({ transactions = [], balances = [balance('500.00')], beneficiaries = [], directDebits = [] } = {}) {
+  return { transactions, balances, beneficiaries, directDebits };
+}
+
+function types(result) {
+  return result.events.map(event => event.type);
+}
+
+describe('diffAccount', () => {
+  test('the first poll records a baseline without replaying history', () => {
+    const first = diffAccount('A', undefined, snapshot({ transactions: [transaction('t1', 'Booked')], beneficiaries: [{ BeneficiaryId: 'b1' }] }));
+    assert.deepEqual(first.events, []);
+    assert.deepEqual(Object.keys(first.state.transactions), ['A:t1']);
+    assert.deepEqual(first.state.beneficiaries, ['b1']);
+  });
+
+  test('reports new booked transactions once, and pending ones only when they book', () => {
+    const first = diffAccount('A', undefined, snapshot({ transactions: [transaction('t1', 'Booked')] }));
+    const second = diffAccount('A', first.state, snapshot({ transactions: [transaction('t1', 'Booked'), transaction('t2', 'Booked'), transaction('p1', 'Pending')] }));
+    assert.deepEqual(types(second), ['new-transaction']);
+    assert.equal(second.events[0].transaction.TransactionId, 't2');
+    assert.equal(second.events[0].profile, 'default');
+
+    const third = diffAccount('A', second.state, snapshot({ transactions: [transaction('t1', 'Booked'), transaction('t2', 'Booked'), transaction('p1', 'Booked')] }));
+    assert.deepEqual(types(third), ['pending-booked']);
+  });
+
+  test('a pending item booked under a new TransactionId is reported as booked, not new', () => {
+    const first = diffAccount('A', undefined, snapshot({ transactions: [transaction('p1', 'Pending', '4.20')] }));
+    const second = diffAccount('A', first.state, snapshot({ transactions: [transaction('t9', 'Booked', '4.20')] }));
+    assert.deepEqual(types(second), ['pending-booked']);
+    assert.deepEqual(Object.keys(second.state.transactions), ['A:t9']);
+  });
+
+  test('a cancelled pending item is forgotten silently', () => {
+    const first = diffAccount('A', undefined, snapshot({ transactions: [transaction('p1', 'Pending')] }));
+    const second = diffAccount('A', first.state, snapshot());
+    assert.deepEqual(second.events, []);
+    assert.deepEqual(second.state.transactions, {});
+  });
+
+  test('transactions booked before the fetch window are dropped from the state', () => {
+    const first = diffAccount('A', undefined, snapshot({ transactions: [transaction('old', 'Booked', '1.00', '2024-05-01'), transaction('t1', 'Booked')] }));
+    const second = diffAccount('A', first.state, snapshot({ transactions: [transaction('t1', 'Booked')] }), { windowStart: '2024-05-27' });
+    assert.deepEqual(Object.keys(second.state.transactions), ['A:t1']);
+  });
+
+  test('a low balance alerts once per crossing, including on the first poll', () => {
+    const low = diffAccount('A', undefined, snapshot({ balances: [balance('50.00')] }), { threshold: '100' });
+    assert.deepEqual(types(low), ['balance-low']);
+    assert.equal(low.events[0].threshold, '100');
+    const stillLow = diffAccount('A', low.state, snapshot({ balances: [balance('20.00')] }), { threshold: '100' });
+    assert.deepEqual(stillLow.events, []);
+    const recovered = diffAccount('A', stillLow.state, snapshot({ balances: [balance('200.00')] }), { threshold: '100' });
+    const lowAgain = diffAccount('A', recovered.state, snapshot({ balances: [balance('99.99')] }), { threshold: '100' });
+    assert.deepEqual(types(lowAgain), ['balance-low']);
+  });
+
+  test('new beneficiaries and direct debits', () => {
+    const first = diffAccount('A', undefined, snapshot({ beneficiaries: [{ BeneficiaryId: 'b1' }] }));
+    const second = diffAccount('A', first.state, snapshot({ beneficiaries: [{ BeneficiaryId: 'b1' }, { BeneficiaryId: 'b2' }], directDebits: [{ DirectDebitId: 'd1' }] }));
+    assert.deepEqual(types(second), ['new-beneficiary', 'new-direct-debit']);
+    assert.equal(second.events[0].beneficiary.BeneficiaryId, 'b2');
+  });
+});
+
+describe('watchedBalance', () => {
+  test('prefers available funds, then the ledger balance', () => {
+    assert.equal(watchedBalance([balance('1.00', 'ClosingBooked'), balance('2.00', 'InterimAvailable')]).Amount.Amount, '2.00');
+    assert.equal(watchedBalance([balance('1.00', 'Expected'), balance('3.00', 'InterimBooked')]).Amount.Amount, '3.00');
+    assert.equal(watchedBalance([]), null);
+  });
+});
+
+describe('pollOnce', () => {
+  let server;
+  let feed = [];
+
+  before(async () => {
+    server = await startServer((req, url) => {
+      if (url.pathname.endsWith('/hook')) return { status: 204, body: '' };
+      if (url.pathname.endsWith('/transactions')) return { body: { Data: { Transaction: feed }, Links: {} } };
+      if (url.pathname.endsWith('/balances')) return { body: { Data: { Balance: [balance('500.00')] }, Links: {} } };
+      return { body: { Data: {}, Links: {} } };
+    });
+    setConfig('baseUrl', server.baseUrl);
+    setConfig('accessToken', 'test-token');
+    setConfig('rateLimit', 0);
+    setConfig('maxRetries', 0);
+  });
+
+  after(() => server.close());
+
+  test('baselines, then reports what changed since the saved state', async () => {
+    const today = new Date().toISOString().substring(0, 10);
+    feed = [transaction('t1', 'Booked', '1.00', today)];
+    assert.deepEqual(await pollOnce({ accountIds: ['A'] }), { events: [], baselined: ['A'] });
+    assert.ok(fs.existsSync(getWatchStatePath()));
+    assert.ok(readWatchState().lastPoll);
+
+    feed = [...feed, transaction('t2', 'Booked', '2.00', today)];
+    const { events, baselined } = await pollOnce({ accountIds: ['A'] });
+    assert.deepEqual(baselined, []);
+    assert.deepEqual(events.map(event => [event.type, event.transaction.TransactionId]), [['new-transaction', 't2']]);
+  });
+
+  test('postWebhook sends the event as JSON', async () => {
+    await postWebhook(`${server.root}/hook`, { type: 'new-transaction' });
+    const hook = server.requests.at(-1);
+    assert.equal(hook.method, 'POST');
+    assert.equal(hook.headers['content-type'], 'application/json');
+  });
+});